@@ -0,0 +1,366 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * MiningRigAdmin
+ * - The rarely called, role-gated functions of MiningRigOwnership: rig management,
+ *   sale configuration (presale rounds, allowlists, transfer restrictions), treasury
+ *   (sales, buybacks, surplus rescue) and importing holders from an earlier deployment. MiningRigOwnership forwards these calls here with delegatecall, which
+ *   keeps its own bytecode under the 24 KB contract size limit.
+ * - Always runs in the proxy's storage and context (msg.sender, msg.value, roles); the
+ *   deployed contract itself is never initialized and holds nothing.
+ * - Deployed alongside every MiningRigOwnership implementation, which stores its address
+ *   as an immutable; an upgrade deploys both.
+ */
+
+import "./MiningRigStorage.sol";
+
+contract MiningRigAdmin is MiningRigStorage {
+    constructor() {
+        _disableInitializers();
+    }
+
+    // ---------------------------
+    // Rig management (role-gated)
+    // ---------------------------
+
+    /**
+     * @notice Register a new rig. Name and wallet cap are fixed after registration;
+     *         status, price and total shares can be changed with the functions below.
+     * @param rigId          tokenId for this rig
+     * @param name           human-friendly name
+     * @param totalShares    max supply (cannot be exceeded)
+     * @param pricePerShareWei price per share in wei
+     * @param maxPerWallet   per-wallet cap (0 = no cap)
+     */
+    function registerRig(
+        uint256 rigId,
+        string calldata name,
+        uint256 totalShares,
+        uint256 pricePerShareWei,
+        uint256 maxPerWallet
+    ) external onlyRole(RIG_MANAGER_ROLE) {
+        require(totalShares > 0, "totalShares=0");
+        require(pricePerShareWei > 0, "price=0");
+        Rig storage r = rigs[rigId];
+        require(r.totalShares == 0 && !r.active, "rig exists");
+
+        rigs[rigId] = Rig({
+            name: name,
+            totalShares: totalShares,
+            pricePerShareWei: pricePerShareWei,
+            maxPerWallet: maxPerWallet,
+            rewardPerShare: 0,
+            active: true
+        });
+
+        emit RigRegistered(rigId, name, totalShares, pricePerShareWei, maxPerWallet);
+    }
+
+    /**
+     * @notice Pause a rig: blocks buying and reward deposits until reactivated.
+     *         Claims and transfers are unaffected.
+     */
+    function deactivateRig(uint256 rigId) external onlyRole(PAUSER_ROLE) {
+        Rig storage r = rigs[rigId];
+        require(r.totalShares > 0, "rig not found");
+        require(r.active, "rig inactive");
+        r.active = false;
+        emit RigDeactivated(rigId);
+    }
+
+    /**
+     * @notice Resume a paused rig.
+     */
+    function reactivateRig(uint256 rigId) external onlyRole(PAUSER_ROLE) {
+        Rig storage r = rigs[rigId];
+        require(r.totalShares > 0, "rig not found");
+        require(!r.active, "rig active");
+        require(decommissions[rigId].decommissionedAt == 0, "rig decommissioned");
+        r.active = true;
+        emit RigReactivated(rigId);
+    }
+
+    /**
+     * @notice Change the price of shares not yet sold. Existing holders are unaffected.
+     */
+    function setRigPrice(uint256 rigId, uint256 newPriceWei) external onlyRole(RIG_MANAGER_ROLE) {
+        require(newPriceWei > 0, "price=0");
+        Rig storage r = rigs[rigId];
+        require(r.totalShares > 0, "rig not found");
+
+        uint256 oldPrice = r.pricePerShareWei;
+        r.pricePerShareWei = newPriceWei;
+        emit RigPriceUpdated(rigId, oldPrice, newPriceWei);
+    }
+
+    /**
+     * @notice Raise or lower the share cap. Cannot go below the shares already minted.
+     */
+    function setRigTotalShares(uint256 rigId, uint256 newTotalShares) external onlyRole(RIG_MANAGER_ROLE) {
+        require(newTotalShares > 0, "totalShares=0");
+        Rig storage r = rigs[rigId];
+        require(r.totalShares > 0, "rig not found");
+        require(newTotalShares >= totalSupply(rigId), "below minted supply");
+
+        uint256 oldTotal = r.totalShares;
+        r.totalShares = newTotalShares;
+        emit RigTotalSharesUpdated(rigId, oldTotal, newTotalShares);
+    }
+
+    /**
+     * @notice Set the fees taken off this rig's future ETH deposits.
+     * @param operatorBps      operator fee, to operatorFeeRecipient
+     * @param hostingBps       hosting fee, to `hostingRecipient`
+     * @param hostingRecipient hosting provider (may be zero when hostingBps is 0)
+     */
+    function setRigFees(
+        uint256 rigId,
+        uint16 operatorBps,
+        uint16 hostingBps,
+        address hostingRecipient
+    ) external onlyRole(RIG_MANAGER_ROLE) {
+        require(rigs[rigId].totalShares > 0, "rig not found");
+        require(uint256(operatorBps) + hostingBps <= MAX_TOTAL_FEE_BPS, "fee too high");
+        require(hostingBps == 0 || hostingRecipient != address(0), "zero addr");
+
+        rigFees[rigId] = RigFees(operatorBps, hostingBps, hostingRecipient);
+        emit RigFeesUpdated(rigId, operatorBps, hostingBps, hostingRecipient);
+    }
+
+    /**
+     * @notice Change who accrues operator fees from future deposits.
+     */
+    function setOperatorFeeRecipient(address recipient) external onlyRole(TREASURER_ROLE) {
+        require(recipient != address(0), "zero addr");
+        operatorFeeRecipient = recipient;
+        emit OperatorFeeRecipientUpdated(recipient);
+    }
+
+    /**
+     * @notice Set the ERC-1155 metadata URI of a rig (JSON with name, image, properties).
+     * @dev Emits the standard URI event so wallets and marketplaces refresh.
+     */
+    function setRigURI(uint256 rigId, string calldata tokenURI) external onlyRole(RIG_MANAGER_ROLE) {
+        require(rigs[rigId].totalShares > 0, "rig not found");
+        _setURI(rigId, tokenURI);
+    }
+
+    /**
+     * @notice Allow or disallow an ERC-20 token for reward deposits.
+     * @dev Disallowing only blocks new deposits; already deposited rewards stay claimable.
+     */
+    function setRewardToken(address token, bool allowed) external onlyRole(RIG_MANAGER_ROLE) {
+        require(token != address(0), "zero addr");
+        rewardTokenAllowed[token] = allowed;
+        emit RewardTokenUpdated(token, allowed);
+    }
+
+    /**
+     * @notice Set how long after buying a holder may return shares (applies to new purchases).
+     */
+    function setRefundWindow(uint256 rigId, uint256 windowSeconds) external onlyRole(RIG_MANAGER_ROLE) {
+        require(rigs[rigId].totalShares > 0, "rig not found");
+        refundWindow[rigId] = windowSeconds;
+        emit RefundWindowUpdated(rigId, windowSeconds);
+    }
+
+    // ---------------------------
+    // Sale configuration (role-gated)
+    // ---------------------------
+
+    /**
+     * @notice Replace a rig's presale rounds. Only possible before the first current round
+     *         opens; the public sale (at the rig's price) starts when the last round ends.
+     * @dev Rounds must be in time order and not overlap; `sold` is ignored. An empty list
+     *      removes the presale, opening the public sale right away.
+     */
+    function setSaleRounds(uint256 rigId, SaleRound[] calldata rounds) external onlyRole(RIG_MANAGER_ROLE) {
+        require(rigs[rigId].totalShares > 0, "rig not found");
+        require(rounds.length <= MAX_SALE_ROUNDS, "too many rounds");
+        SaleRound[] storage current = _saleRounds[rigId];
+        require(current.length == 0 || block.timestamp < current[0].start, "sale started");
+
+        delete _saleRounds[rigId];
+        uint256 previousEnd = block.timestamp;
+        for (uint256 i = 0; i < rounds.length; i++) {
+            SaleRound calldata round = rounds[i];
+            require(round.start >= previousEnd && round.end > round.start, "bad round times");
+            require(round.pricePerShareWei > 0, "price=0");
+            require(round.cap > 0, "cap=0");
+            current.push(round);
+            current[i].sold = 0;
+            previousEnd = round.end;
+        }
+
+        emit SaleRoundsUpdated(rigId, rounds.length);
+    }
+
+    /**
+     * @notice Set the Merkle root of the addresses allowed to buy a rig's shares
+     *         (bytes32(0) opens the sale to anyone). A round's own root replaces it.
+     */
+    function setAllowlistRoot(uint256 rigId, bytes32 root) external onlyRole(RIG_MANAGER_ROLE) {
+        require(rigs[rigId].totalShares > 0, "rig not found");
+        allowlistRoot[rigId] = root;
+        emit AllowlistRootUpdated(rigId, root);
+    }
+
+    /**
+     * @notice Restrict a rig's shares to move only between transfer-approved addresses.
+     * @dev Buying, refunds and buybacks (mints and burns) are not affected.
+     */
+    function setTransferRestricted(uint256 rigId, bool restricted) external onlyRole(RIG_MANAGER_ROLE) {
+        require(rigs[rigId].totalShares > 0, "rig not found");
+        transferRestricted[rigId] = restricted;
+        emit TransferRestrictionUpdated(rigId, restricted);
+    }
+
+    /**
+     * @notice Approve (or revoke) addresses to send and receive shares of restricted rigs.
+     *         Approve the RigShareMarket buyers and sellers, not the market itself:
+     *         fills move shares straight from seller to buyer.
+     */
+    function setTransferApproved(address[] calldata accounts, bool approved) external onlyRole(RIG_MANAGER_ROLE) {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            require(accounts[i] != address(0), "zero addr");
+            transferApproved[accounts[i]] = approved;
+            emit TransferApprovalUpdated(accounts[i], approved);
+        }
+    }
+
+    // ---------------------------
+    // Treasury
+    // ---------------------------
+
+    function withdrawSales(address payable to, uint256 amount) external onlyRole(TREASURER_ROLE) nonReentrant {
+        require(to != address(0), "zero addr");
+        require(amount <= totalSalesETH, "exceeds sales");
+        totalSalesETH -= amount;
+
+        (bool ok, ) = to.call{value: amount}("");
+        require(ok, "withdraw failed");
+
+        emit SalesWithdrawn(to, amount);
+    }
+
+    /**
+     * @notice Open or top up a buyback: holders can sell shares back at `pricePerShareWei`
+     *         until the funded ETH runs out or the treasurer closes it.
+     */
+    function openBuyback(uint256 rigId, uint256 pricePerShareWei) external payable onlyRole(TREASURER_ROLE) {
+        require(rigs[rigId].totalShares > 0, "rig not found");
+        require(pricePerShareWei > 0, "price=0");
+
+        buybackPrice[rigId] = pricePerShareWei;
+        buybackFunds[rigId] += msg.value;
+        totalBuybackETH += msg.value;
+
+        emit BuybackOpened(rigId, pricePerShareWei, buybackFunds[rigId]);
+    }
+
+    /**
+     * @notice Close a buyback and return its unspent funds to `to`.
+     */
+    function closeBuyback(uint256 rigId, address payable to) external onlyRole(TREASURER_ROLE) nonReentrant {
+        require(to != address(0), "zero addr");
+        require(buybackPrice[rigId] > 0, "no buyback");
+
+        uint256 remaining = buybackFunds[rigId];
+        buybackPrice[rigId] = 0;
+        buybackFunds[rigId] = 0;
+        totalBuybackETH -= remaining;
+
+        (bool ok, ) = to.call{value: remaining}("");
+        require(ok, "withdraw failed");
+
+        emit BuybackClosed(rigId, remaining);
+    }
+
+    /**
+     * @notice Send ETH the accounting doesn't explain (reconcileETH's surplus) to `to`.
+     */
+    function rescueSurplusETH(address payable to) external onlyRole(TREASURER_ROLE) nonReentrant {
+        require(to != address(0), "zero addr");
+        uint256 amount = _surplusETH();
+        require(amount > 0, "no surplus");
+
+        (bool ok, ) = to.call{value: amount}("");
+        require(ok, "withdraw failed");
+
+        emit SurplusRescued(to, amount);
+    }
+
+    // ---------------------------
+    // Migration from an earlier deployment
+    // ---------------------------
+
+    /**
+     * @notice Carry a rig's ETH reward accumulator over from the old deployment.
+     *         Call after registerRig and before importHolders.
+     * @dev msg.value funds every reward carried over for this rig (the holders' pending and
+     *      accrued rewards plus `queuedWei`); it is booked as deposited rewards.
+     * @param rewardPerShare the old rig's rewardPerShare
+     * @param remainder      the old rig's rewardRemainder
+     * @param queuedWei      the old rig's queuedRewards (only when it has no holders)
+     */
+    function importRigRewards(uint256 rigId, uint256 rewardPerShare, uint256 remainder, uint256 queuedWei)
+        external
+        payable
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        require(migrationOpen, "migration closed");
+        Rig storage r = rigs[rigId];
+        require(r.totalShares > 0, "rig not found");
+        require(totalSupply(rigId) == 0, "holders imported");
+        require(msg.value >= queuedWei, "underfunded");
+
+        r.rewardPerShare = rewardPerShare;
+        rewardRemainder[rigId] = remainder;
+        queuedRewards[rigId] += queuedWei;
+        totalQueuedETH += queuedWei;
+        totalRewardETH += msg.value;
+
+        emit RigRewardsImported(rigId, rewardPerShare, queuedWei, msg.value);
+    }
+
+    /**
+     * @notice Mint holders' shares as they were on the old deployment, with their ETH
+     *         reward position (pending and last paid rewardPerShare). Can be called in batches;
+     *         each holder is imported once per rig, so a re-run batch reverts instead of
+     *         minting twice.
+     * @dev Mints without the ERC-1155 receiver check (the holders already held these shares)
+     *      and without sales accounting or refund windows.
+     */
+    function importHolders(uint256 rigId, HolderSnapshot[] calldata holders) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(migrationOpen, "migration closed");
+        Rig storage r = rigs[rigId];
+        require(r.totalShares > 0, "rig not found");
+
+        uint256[] memory ids = new uint256[](1);
+        uint256[] memory amounts = new uint256[](1);
+        ids[0] = rigId;
+        for (uint256 i = 0; i < holders.length; i++) {
+            HolderSnapshot calldata h = holders[i];
+            require(h.holder != address(0), "zero addr");
+            require(!holderImported[rigId][h.holder], "holder already imported");
+            holderImported[rigId][h.holder] = true;
+            if (h.balance > 0) {
+                amounts[0] = h.balance;
+                _update(address(0), h.holder, ids, amounts);
+            }
+            pending[h.holder][rigId] = h.pendingWei;
+            userRewardPerSharePaid[h.holder][rigId] = h.rewardPerSharePaid;
+        }
+        require(totalSupply(rigId) <= r.totalShares, "exceeds total shares");
+    }
+
+    /**
+     * @notice Close the migration for good; no more holders can be imported.
+     */
+    function finishMigration() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(migrationOpen, "migration closed");
+        migrationOpen = false;
+        emit MigrationFinished();
+    }
+}
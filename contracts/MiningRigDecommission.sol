@@ -0,0 +1,156 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * MiningRigDecommission
+ * - End of life of a rig in MiningRigOwnership. The admin decommissions it with a last
+ *   reward deposit and its salvage value; sales and deposits stop for good. Holders
+ *   redeem (burn) their shares for their share of the salvage plus their pending ETH
+ *   rewards in one call. After the redeem deadline the treasurer sweeps what was never
+ *   redeemed or claimed.
+ * - Salvage is split evenly over the shares minted when the rig is decommissioned; the
+ *   salvage of shares burned in other ways (refunds, buybacks), its rounding dust and the
+ *   rig's undistributed reward remainder are swept with the rest. Rewards rounded down
+ *   when each holder is settled (under 1 wei per settlement) are not tracked per rig, so
+ *   they stay booked as unclaimed rewards (reconcileETH's `unclaimed`).
+ * - Always runs in the proxy's storage and context; deployed alongside every
+ *   MiningRigOwnership implementation, which stores its address as an immutable.
+ */
+
+import "./MiningRigStorage.sol";
+
+contract MiningRigDecommission is MiningRigStorage {
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Retire a rig for good: no more sales or deposits. msg.value is the rig's last
+     *         reward deposit (`finalRewardWei`, fees apply as for depositRewards) plus its
+     *         salvage value (the rest, fee-free), split evenly over the minted shares.
+     * @param redeemPeriod seconds holders get to redeem before the rest can be swept
+     *        (at least MIN_REDEEM_PERIOD)
+     */
+    function decommissionRig(uint256 rigId, uint256 finalRewardWei, uint256 redeemPeriod)
+        external
+        payable
+        onlyRole(DEFAULT_ADMIN_ROLE)
+        whenNotPaused
+    {
+        Rig storage r = rigs[rigId];
+        require(r.totalShares > 0, "rig not found");
+        Decommission storage d = decommissions[rigId];
+        require(d.decommissionedAt == 0, "rig decommissioned");
+        require(redeemPeriod >= MIN_REDEEM_PERIOD, "redeem period too short");
+        require(finalRewardWei <= msg.value, "final reward exceeds ETH sent");
+        uint256 supply = totalSupply(rigId);
+        require(supply > 0 || msg.value == 0, "no holders");
+
+        if (finalRewardWei > 0) {
+            uint256 fee = _accrueFees(rigId, finalRewardWei);
+            totalRewardETH += finalRewardWei - fee;
+            _distributeRewards(rigId, finalRewardWei, fee);
+        }
+
+        uint256 salvage = msg.value - finalRewardWei;
+        r.active = false;
+        d.decommissionedAt = uint64(block.timestamp);
+        d.redeemDeadline = uint64(block.timestamp + redeemPeriod);
+        d.salvagePerShare = supply > 0 ? salvage / supply : 0;
+        d.salvageRemaining = salvage;
+        totalSalvageETH += salvage;
+
+        emit RigDecommissioned(rigId, finalRewardWei, salvage, d.redeemDeadline);
+    }
+
+    /**
+     * @notice Burn all of the caller's shares of a decommissioned rig for their salvage
+     *         value plus every ETH reward still pending on the rig, in one transfer.
+     *         Also possible after the redeem deadline, until the shares are swept, and
+     *         while the contract is paused (an exit, like claimRewards).
+     */
+    function redeemShares(uint256 rigId) external nonReentrant {
+        (uint256 shares, uint256 salvageWei, uint256 rewardsWei) = _redeem(msg.sender, rigId);
+        require(shares > 0, "no shares");
+        totalClaimedETH += rewardsWei;
+
+        (bool ok, ) = msg.sender.call{value: salvageWei + rewardsWei}("");
+        require(ok, "ETH transfer failed");
+
+        emit SharesRedeemed(rigId, msg.sender, shares, salvageWei, rewardsWei);
+        if (rewardsWei > 0) emit RewardsClaimed(rigId, msg.sender, rewardsWei);
+    }
+
+    /**
+     * @notice After a decommissioned rig's redeem deadline, redeem `holders` (burning their
+     *         shares) and send their salvage and ETH rewards to `to`, together with the
+     *         salvage of shares burned otherwise, salvage rounding dust, queued rewards and
+     *         the reward remainder never reflected in rewardPerShare.
+     * @dev Holders not listed keep their shares and can still redeem; sweep again later.
+     *      List former holders too: their unclaimed rewards are swept as well.
+     */
+    function sweepDecommissioned(uint256 rigId, address[] calldata holders, address payable to)
+        external
+        onlyRole(TREASURER_ROLE)
+        nonReentrant
+    {
+        require(to != address(0), "zero addr");
+        Decommission storage d = decommissions[rigId];
+        require(d.decommissionedAt > 0, "rig not decommissioned");
+        require(block.timestamp > d.redeemDeadline, "redeem period open");
+
+        uint256 amount = 0;
+        uint256 rewards = 0;
+        for (uint256 i = 0; i < holders.length; i++) {
+            (, uint256 salvageWei, uint256 rewardsWei) = _redeem(holders[i], rigId);
+            amount += salvageWei;
+            rewards += rewardsWei;
+        }
+
+        // Keep the salvage of the shares still out; the rest was never claimed
+        uint256 unclaimedSalvage = d.salvageRemaining - d.salvagePerShare * totalSupply(rigId);
+        d.salvageRemaining -= unclaimedSalvage;
+        totalSalvageETH -= unclaimedSalvage;
+
+        // Swept rewards leave the books without being paid to a holder
+        uint256 queued = queuedRewards[rigId];
+        queuedRewards[rigId] = 0;
+        totalQueuedETH -= queued;
+        rewards += queued;
+
+        // The rig takes no more deposits, so the carried remainder will never be distributed
+        rewards += rewardRemainder[rigId] / ACC_PRECISION;
+        rewardRemainder[rigId] = 0;
+        totalRewardETH -= rewards;
+
+        amount += unclaimedSalvage + rewards;
+        require(amount > 0, "nothing to sweep");
+        (bool ok, ) = to.call{value: amount}("");
+        require(ok, "withdraw failed");
+
+        emit DecommissionSwept(rigId, to, amount);
+    }
+
+    /**
+     * @dev Burn all of `holder`'s shares of a decommissioned rig and take their salvage
+     *      and pending ETH rewards out of the books; the caller pays them out. ERC-20
+     *      rewards are settled by the burn and stay claimable.
+     */
+    function _redeem(address holder, uint256 rigId)
+        private
+        returns (uint256 shares, uint256 salvageWei, uint256 rewardsWei)
+    {
+        Decommission storage d = decommissions[rigId];
+        require(d.decommissionedAt > 0, "rig not decommissioned");
+
+        shares = balanceOf(holder, rigId);
+        if (shares > 0) _burn(holder, rigId, shares);
+
+        salvageWei = d.salvagePerShare * shares;
+        d.salvageRemaining -= salvageWei;
+        totalSalvageETH -= salvageWei;
+
+        rewardsWei = pending[holder][rigId];
+        pending[holder][rigId] = 0;
+    }
+}
@@ -0,0 +1,119 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * MiningRigIntents
+ * - EIP-712 signed intents of MiningRigOwnership, for users without ETH for gas:
+ *     PurchaseIntent  the buyer asks for shares; whoever submits it (the sponsor) pays the
+ *                     price, and the shares are minted to the buyer
+ *     ClaimIntent     the holder asks for their ETH rewards; they are paid to the holder,
+ *                     the submitter only pays gas
+ *   relayer/ runs a service that submits them for the frontend.
+ * - Every intent carries the signer's nonces() value (used once, in order) and a deadline.
+ *   Signatures of smart-contract wallets are checked with ERC-1271.
+ * - Sponsored purchases go through the same checks as buyShares (sale phase, the buyer's
+ *   allowlist proof, caps) but open no refund window: a refund would pay the buyer back
+ *   for ETH the sponsor paid.
+ * - Always runs in the proxy's storage and context; deployed alongside every
+ *   MiningRigOwnership implementation, which stores its address as an immutable.
+ */
+
+import "./MiningRigStorage.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+
+contract MiningRigIntents is MiningRigStorage {
+    bytes32 private constant PURCHASE_INTENT_TYPEHASH = keccak256(
+        "PurchaseIntent(address buyer,uint256 rigId,uint256 amount,uint256 maxCost,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 private constant CLAIM_INTENT_TYPEHASH =
+        keccak256("ClaimIntent(address holder,uint256[] rigIds,uint256 nonce,uint256 deadline)");
+
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Buy shares for `intent.buyer`, paying the price with msg.value (exactly the
+     *         current price * amount, at most `intent.maxCost`).
+     * @param signature the buyer's EIP-712 signature of `intent`
+     * @param proof     Merkle proof of the buyer when an allowlist applies (else empty)
+     */
+    function buySharesFor(PurchaseIntent calldata intent, bytes calldata signature, bytes32[] calldata proof)
+        external
+        payable
+        nonReentrant
+    {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                PURCHASE_INTENT_TYPEHASH,
+                intent.buyer,
+                intent.rigId,
+                intent.amount,
+                intent.maxCost,
+                intent.nonce,
+                intent.deadline
+            )
+        );
+        _useIntent(intent.buyer, intent.nonce, intent.deadline, structHash, signature);
+        require(msg.value <= intent.maxCost, "exceeds max cost");
+
+        _buy(intent.buyer, intent.rigId, intent.amount, proof, false);
+    }
+
+    /**
+     * @notice Pay `intent.holder` their pending ETH rewards of `intent.rigIds`, like claimMany.
+     * @param signature the holder's EIP-712 signature of `intent`
+     */
+    function claimFor(ClaimIntent calldata intent, bytes calldata signature) external nonReentrant {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                CLAIM_INTENT_TYPEHASH,
+                intent.holder,
+                keccak256(abi.encodePacked(intent.rigIds)),
+                intent.nonce,
+                intent.deadline
+            )
+        );
+        _useIntent(intent.holder, intent.nonce, intent.deadline, structHash, signature);
+
+        _claimMany(intent.holder, intent.rigIds);
+    }
+
+    /**
+     * @dev Check the deadline and `account`'s signature, then use up its nonce.
+     */
+    function _useIntent(
+        address account,
+        uint256 nonce,
+        uint256 deadline,
+        bytes32 structHash,
+        bytes calldata signature
+    ) private {
+        require(block.timestamp <= deadline, "intent expired");
+        bytes32 digest = MessageHashUtils.toTypedDataHash(_domainSeparator(), structHash);
+        require(_isValidSignature(account, digest, signature), "invalid signature");
+        _useCheckedNonce(account, nonce);
+
+        emit IntentExecuted(account, nonce, msg.sender);
+    }
+
+    /**
+     * @dev ECDSA for EOAs, ERC-1271 for contract accounts. (OpenZeppelin's SignatureChecker
+     *      needs a newer compiler than this repo's 0.8.22.)
+     */
+    function _isValidSignature(address account, bytes32 digest, bytes calldata signature)
+        private
+        view
+        returns (bool)
+    {
+        if (account.code.length == 0) {
+            (address recovered, ECDSA.RecoverError err, ) = ECDSA.tryRecover(digest, signature);
+            return err == ECDSA.RecoverError.NoError && recovered == account;
+        }
+        (bool ok, bytes memory result) =
+            account.staticcall(abi.encodeCall(IERC1271.isValidSignature, (digest, signature)));
+        return ok && result.length >= 32 && abi.decode(result, (bytes32)) == bytes32(IERC1271.isValidSignature.selector);
+    }
+}
@@ -4,140 +4,271 @@ pragma solidity ^0.8.20;
 /**
  * MiningRigOwnership (ERC-1155, cumulative rewards)
  * - Each rig is a tokenId; each share = 1 unit of that token.
- * - Owner registers rigs and sets totalShares, price, and per-wallet cap.
+ * - Admin is split into roles (OpenZeppelin AccessControl), all granted to the deployer:
+ *     RIG_MANAGER_ROLE      register/configure rigs, URIs, refund windows, reward tokens,
+ *                           sale rounds, allowlists and transfer approvals
+ *     REWARD_DEPOSITOR_ROLE deposit ETH / ERC-20 rewards (e.g. the oracle's bot key)
+ *     TREASURER_ROLE        withdraw sales, fund/close buybacks, set the operator fee recipient
+ *     PAUSER_ROLE           pause/resume rigs, pause the whole contract
+ *   DEFAULT_ADMIN_ROLE grants and revokes roles and is handed over in two steps
+ *   (beginDefaultAdminTransfer, then acceptDefaultAdminTransfer by the new admin).
+ * - Rig manager registers rigs and sets totalShares, price, and per-wallet cap.
+ * - The pauser can pause/resume a rig; the rig manager can reprice unsold shares and
+ *   adjust the share cap (never below the shares already minted).
+ * - Each rig has its own ERC-1155 metadata URI, set by the rig manager (emits URI).
+ * - Optional per-rig refund window: buyers can return freshly bought shares at the price
+ *   they paid (burned, paid from totalSalesETH). After that, the treasurer can fund a buyback
+ *   at a set price. Both paths settle rewards before burning.
  * - Users buy shares (mint), with oversell prevention and wallet cap.
- * - Owner deposits ETH rewards; holders claim proportionally since their last snapshot,
- *   using a cumulative reward-per-share (RPS) accumulator (fair to early & late buyers).
+ * - The reward depositor deposits ETH rewards; holders claim proportionally since their
+ *   last snapshot, using a cumulative reward-per-share (RPS) accumulator (fair to early & late buyers).
+ * - Optional per-rig operator and hosting fees (basis points) are taken off each ETH
+ *   deposit first and accrue to withdrawable fee balances, separate from sales.
+ * - ETH deposited before any shares are sold is queued and released to the first holders;
+ *   the division remainder of each deposit is carried into the next one.
  * - Rewards are settled on buy, transfer, and claim to keep accounting correct.
+ * - Emergency pause (circuit breaker): the pauser can stop every mint, transfer, refund,
+ *   sell-back and reward deposit at once; only the admin can unpause. Claims, redeems of
+ *   decommissioned rigs and fee/sales withdrawals stay open so holders can always take
+ *   out what they already earned.
+ * - ETH the accounting doesn't explain (force-sent, reconcileETH's surplus) can be
+ *   rescued by the treasurer; accounted ETH can never leave through that path.
+ * - Upgradeable: deployed behind an ERC-1967 proxy (UUPS). initialize() replaces the
+ *   constructor and only the admin can upgrade. State lives in MiningRigStorage; the
+ *   role-gated admin functions run in MiningRigAdmin, buying, refunds and sell-backs in
+ *   MiningRigSale, signed intents in MiningRigIntents and decommissioning in
+ *   MiningRigDecommission, all by delegatecall (same ABI here).
+ * - Optional presale rounds per rig (time-boxed, own price, cap and wallet cap) ahead of
+ *   the public sale, Merkle allowlists per rig or round (KYC), and per-rig transfer
+ *   restrictions: shares of a restricted rig only move between approved addresses.
+ * - A deployment initialized for migration lets the admin import holders, pending
+ *   rewards and reward positions from an earlier deployment until finishMigration().
+ * - Holders can claim several rigs at once with claimMany (single ETH transfer).
+ * - End of life: the admin decommissions a rig with a final reward deposit and its
+ *   salvage value; holders redeem (burn) their shares for both, and after the redeem
+ *   deadline the treasurer sweeps what was never redeemed.
+ * - Gasless flows: buyers and holders sign EIP-712 purchase / claim intents (with nonces
+ *   and a deadline) that anyone can submit; a sponsor submitting a purchase intent pays
+ *   its price. See MiningRigIntents and the relayer service in relayer/.
+ * - The reward depositor can also deposit allow-listed ERC-20 reward tokens (e.g. WBTC,
+ *   stablecoins); each rig/token pair has its own accumulator and pending balances.
  * - Added tracking: totalSalesETH (ETH collected from share sales)
- *                   totalRewardETH (ETH deposited for rewards)
+ *                   totalRewardETH (ETH deposited for rewards, net of fees)
+ *                   totalFeeETH (operator/hosting fees not yet withdrawn)
+ *                   totalClaimedETH (ETH rewards paid out to holders)
+ *                   totalQueuedETH (ETH rewards waiting for a rig's first holders)
+ *                   totalTokenRewards (ERC-20 deposited for rewards, per token)
  */
 
-import "@openzeppelin/contracts/token/ERC1155/extensions/ERC1155Supply.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "./MiningRigStorage.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+contract MiningRigOwnership is MiningRigStorage, UUPSUpgradeable {
+    using SafeERC20 for IERC20;
+
+    // Modules deployed with this implementation; the functions under "Admin functions",
+    // "Share sales", "Signed intents" and "End of life" below are forwarded to them
+    address public immutable adminLogic;
+    address public immutable saleLogic;
+    address public immutable intentLogic;
+    address public immutable decommissionLogic;
+
+    constructor(address adminLogic_, address saleLogic_, address intentLogic_, address decommissionLogic_) {
+        adminLogic = adminLogic_;
+        saleLogic = saleLogic_;
+        intentLogic = intentLogic_;
+        decommissionLogic = decommissionLogic_;
+        _disableInitializers();
+    }
 
-contract MiningRigOwnership is ERC1155Supply, Ownable, ReentrancyGuard {
-    // Precision used for reward-per-share math
-    uint256 private constant ACC_PRECISION = 1e18;
+    /**
+     * @notice Set up a new proxy. `admin` starts with every role; a new admin can accept
+     *         the handover as soon as the block after beginDefaultAdminTransfer (no delay).
+     *         No shared metadata URI; each rig gets its own via setRigURI.
+     * @param migrating true to allow importing holders from an earlier deployment
+     *                  (importRigRewards / importHolders) until finishMigration()
+     */
+    function initialize(address admin, bool migrating) external initializer {
+        __ERC1155_init("");
+        __ERC1155Supply_init();
+        __ERC1155URIStorage_init();
+        __AccessControlDefaultAdminRules_init(0, admin);
+        __ReentrancyGuard_init();
+        __Pausable_init();
+        __Nonces_init();
+        __UUPSUpgradeable_init();
+
+        _grantRole(RIG_MANAGER_ROLE, admin);
+        _grantRole(REWARD_DEPOSITOR_ROLE, admin);
+        _grantRole(TREASURER_ROLE, admin);
+        _grantRole(PAUSER_ROLE, admin);
+        operatorFeeRecipient = admin;
+        migrationOpen = migrating;
+    }
 
-    struct Rig {
-        string name;
-        uint256 totalShares;       // maximum shares that can ever be minted for this rig
-        uint256 pricePerShareWei;  // price per share in wei
-        uint256 maxPerWallet;      // 0 = no cap; otherwise cap per address
-        uint256 rewardPerShare;    // cumulative rewards per share * ACC_PRECISION
-        bool active;               // if false, buying/deposits are disabled
+    // ---------------------------
+    // Admin functions (MiningRigAdmin)
+    // ---------------------------
+    // Each forwards the call unchanged; see MiningRigAdmin for what it does and which
+    // role it needs.
+
+    function registerRig(uint256, string calldata, uint256, uint256, uint256) external {
+        _delegate(adminLogic);
     }
 
-    // rigId => Rig config/state
-    mapping(uint256 => Rig) public rigs;
+    function deactivateRig(uint256) external {
+        _delegate(adminLogic);
+    }
 
-    // Per-account reward accounting:
-    // Tracks each user's last observed rewardPerShare to compute deltas.
-    // user => rigId => last paid RPS
-    mapping(address => mapping(uint256 => uint256)) public userRewardPerSharePaid;
+    function reactivateRig(uint256) external {
+        _delegate(adminLogic);
+    }
 
-    // Accumulated but unclaimed ETH for each user/rig
-    // user => rigId => pending amount (wei)
-    mapping(address => mapping(uint256 => uint256)) public pending;
+    function setRigPrice(uint256, uint256) external {
+        _delegate(adminLogic);
+    }
 
-    // Total ETH collected from sales (for owner tracking)
-    uint256 public totalSalesETH;
+    function setRigTotalShares(uint256, uint256) external {
+        _delegate(adminLogic);
+    }
 
-    // Total ETH deposited as rewards (for owner tracking)
-    uint256 public totalRewardETH;
+    function setRigFees(uint256, uint16, uint16, address) external {
+        _delegate(adminLogic);
+    }
 
-    // Events
-    event RigRegistered(
-        uint256 indexed rigId,
-        string name,
-        uint256 totalShares,
-        uint256 pricePerShareWei,
-        uint256 maxPerWallet
-    );
-    event SharesPurchased(uint256 indexed rigId, address indexed buyer, uint256 amount, uint256 paidWei);
-    event RewardsDeposited(uint256 indexed rigId, uint256 amountWei, uint256 newRewardPerShare);
-    event RewardsClaimed(uint256 indexed rigId, address indexed user, uint256 amountWei);
-    event SalesWithdrawn(address indexed to, uint256 amount);
+    function setOperatorFeeRecipient(address) external {
+        _delegate(adminLogic);
+    }
 
-    // Minimal constructor: no metadata URI needed; pass empty string.
-    constructor() ERC1155("") Ownable(msg.sender) {}
+    function setRigURI(uint256, string calldata) external {
+        _delegate(adminLogic);
+    }
 
+    function setRewardToken(address, bool) external {
+        _delegate(adminLogic);
+    }
 
+    function setRefundWindow(uint256, uint256) external {
+        _delegate(adminLogic);
+    }
 
-    // ---------------------------
-    // Rig management (owner-only)
-    // ---------------------------
+    function withdrawSales(address payable, uint256) external {
+        _delegate(adminLogic);
+    }
 
-    /**
-     * @notice Register a new rig. After registration, params are fixed.
-     * @param rigId          tokenId for this rig
-     * @param name           human-friendly name
-     * @param totalShares    max supply (cannot be exceeded)
-     * @param pricePerShareWei price per share in wei
-     * @param maxPerWallet   per-wallet cap (0 = no cap)
-     */
-    function registerRig(
-        uint256 rigId,
-        string calldata name,
-        uint256 totalShares,
-        uint256 pricePerShareWei,
-        uint256 maxPerWallet
-    ) external onlyOwner {
-        require(totalShares > 0, "totalShares=0");
-        require(pricePerShareWei > 0, "price=0");
-        Rig storage r = rigs[rigId];
-        require(r.totalShares == 0 && !r.active, "rig exists");
+    function openBuyback(uint256, uint256) external payable {
+        _delegate(adminLogic);
+    }
+
+    function closeBuyback(uint256, address payable) external {
+        _delegate(adminLogic);
+    }
+
+    function rescueSurplusETH(address payable) external {
+        _delegate(adminLogic);
+    }
 
-        rigs[rigId] = Rig({
-            name: name,
-            totalShares: totalShares,
-            pricePerShareWei: pricePerShareWei,
-            maxPerWallet: maxPerWallet,
-            rewardPerShare: 0,
-            active: true
-        });
+    function importRigRewards(uint256, uint256, uint256, uint256) external payable {
+        _delegate(adminLogic);
+    }
+
+    function importHolders(uint256, HolderSnapshot[] calldata) external {
+        _delegate(adminLogic);
+    }
+
+    function finishMigration() external {
+        _delegate(adminLogic);
+    }
+
+    function setSaleRounds(uint256, SaleRound[] calldata) external {
+        _delegate(adminLogic);
+    }
+
+    function setAllowlistRoot(uint256, bytes32) external {
+        _delegate(adminLogic);
+    }
 
-        emit RigRegistered(rigId, name, totalShares, pricePerShareWei, maxPerWallet);
+    function setTransferRestricted(uint256, bool) external {
+        _delegate(adminLogic);
+    }
+
+    function setTransferApproved(address[] calldata, bool) external {
+        _delegate(adminLogic);
     }
 
     // ---------------------------
-    // Buying shares
+    // Share sales (MiningRigSale)
     // ---------------------------
+    // Forwarded the same way; the views below read the sale state directly.
+
+    function buyShares(uint256, uint256) external payable {
+        _delegate(saleLogic);
+    }
+
+    function buySharesWithProof(uint256, uint256, bytes32[] calldata) external payable {
+        _delegate(saleLogic);
+    }
+
+    function refundShares(uint256, uint256) external {
+        _delegate(saleLogic);
+    }
+
+    function sellBackShares(uint256, uint256) external {
+        _delegate(saleLogic);
+    }
 
     /**
-     * @notice Buy `amount` shares of `rigId`. Mints ERC-1155 tokens to buyer.
-     * Uses exact ETH = pricePerShareWei * amount.
+     * @notice Presale rounds of a rig, in time order, with what each has sold.
      */
-    function buyShares(uint256 rigId, uint256 amount) external payable nonReentrant {
-        require(amount > 0, "amount=0");
-        Rig storage r = rigs[rigId];
-        require(r.active, "rig inactive");
-        require(r.totalShares > 0, "rig not found");
+    function saleRounds(uint256 rigId) external view returns (SaleRound[] memory) {
+        return _saleRounds[rigId];
+    }
 
-        uint256 cost = r.pricePerShareWei * amount;
-        require(msg.value == cost, "wrong ETH sent");
+    /**
+     * @notice Where a rig's sale stands: Closed (`round` = the next round), Presale
+     *         (`round` = the open round) or Public.
+     */
+    function salePhase(uint256 rigId) external view returns (SalePhase phase, uint256 round) {
+        return _salePhase(rigId);
+    }
 
-        // Oversell prevention vs cap
-        require(totalSupply(rigId) + amount <= r.totalShares, "exceeds total shares");
+    // ---------------------------
+    // Signed intents (MiningRigIntents)
+    // ---------------------------
 
-        // Per-wallet cap
-        if (r.maxPerWallet > 0) {
-            require(balanceOf(msg.sender, rigId) + amount <= r.maxPerWallet, "wallet cap exceeded");
-        }
+    function buySharesFor(PurchaseIntent calldata, bytes calldata, bytes32[] calldata) external payable {
+        _delegate(intentLogic);
+    }
 
-        // Settle rewards for buyer before balance changes
-        _settleAccount(msg.sender, rigId);
+    function claimFor(ClaimIntent calldata, bytes calldata) external {
+        _delegate(intentLogic);
+    }
 
-        // Mint shares
-        _mint(msg.sender, rigId, amount, "");
+    // ---------------------------
+    // End of life (MiningRigDecommission)
+    // ---------------------------
 
-        // Track total sales for owner reference
-        totalSalesETH += cost;
+    function decommissionRig(uint256, uint256, uint256) external payable {
+        _delegate(decommissionLogic);
+    }
 
-        emit SharesPurchased(rigId, msg.sender, amount, cost);
+    function redeemShares(uint256) external {
+        _delegate(decommissionLogic);
+    }
+
+    function sweepDecommissioned(uint256, address[] calldata, address payable) external {
+        _delegate(decommissionLogic);
+    }
+
+    /**
+     * @notice EIP-712 domain separator of purchase and claim intents
+     *         (name "MiningRigOwnership", version "1", this proxy's address).
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparator();
     }
 
     // ---------------------------
@@ -146,25 +277,32 @@ contract MiningRigOwnership is ERC1155Supply, Ownable, ReentrancyGuard {
 
     /**
      * @notice Deposit ETH rewards to a rig. Fair distribution via accumulator.
-     * @dev Uses circulating supply (minted shares) so unsold shares don't get rewards.
+     * @dev The rig's operator and hosting fees are taken off first; holders get the rest.
+     *      Uses circulating supply (minted shares) so unsold shares don't get rewards.
+     *      If no shares are minted yet, the net deposit is queued (RewardsQueued) and
+     *      distributed when the first shares are minted.
      */
-    function depositRewards(uint256 rigId) external payable onlyOwner nonReentrant {
-        uint256 amount = msg.value;
-        require(amount > 0, "no ETH sent");
+    function depositRewards(uint256 rigId) external payable onlyRole(REWARD_DEPOSITOR_ROLE) nonReentrant whenNotPaused {
+        uint256 gross = msg.value;
+        require(gross > 0, "no ETH sent");
         Rig storage r = rigs[rigId];
         require(r.active, "rig inactive");
         require(r.totalShares > 0, "rig not found");
 
-        uint256 circulating = totalSupply(rigId);
-        require(circulating > 0, "no holders yet");
+        uint256 fee = _accrueFees(rigId, gross);
+        uint256 net = gross - fee;
 
-        // Increase cumulative reward-per-share
-        r.rewardPerShare += (amount * ACC_PRECISION) / circulating;
+        // Track total reward deposited for holders
+        totalRewardETH += net;
 
-        // Track total reward deposited
-        totalRewardETH += amount;
+        if (totalSupply(rigId) == 0) {
+            queuedRewards[rigId] += net;
+            totalQueuedETH += net;
+            emit RewardsQueued(rigId, net, queuedRewards[rigId]);
+            return;
+        }
 
-        emit RewardsDeposited(rigId, amount, r.rewardPerShare);
+        _distributeRewards(rigId, gross, fee);
     }
 
     /**
@@ -176,6 +314,7 @@ contract MiningRigOwnership is ERC1155Supply, Ownable, ReentrancyGuard {
         uint256 amount = pending[msg.sender][rigId];
         require(amount > 0, "nothing to claim");
         pending[msg.sender][rigId] = 0;
+        totalClaimedETH += amount;
 
         (bool ok, ) = msg.sender.call{value: amount}("");
         require(ok, "ETH transfer failed");
@@ -183,6 +322,15 @@ contract MiningRigOwnership is ERC1155Supply, Ownable, ReentrancyGuard {
         emit RewardsClaimed(rigId, msg.sender, amount);
     }
 
+    /**
+     * @notice Claim pending rewards for several rigs in one ETH transfer.
+     * @dev Rigs with nothing pending are skipped; reverts if the total is zero.
+     *      Emits one RewardsClaimed per rig that paid out.
+     */
+    function claimMany(uint256[] calldata rigIds) external nonReentrant {
+        _claimMany(msg.sender, rigIds);
+    }
+
     /**
      * @notice View helper: total claimable (pending + fresh) for a user/rig.
      */
@@ -201,62 +349,174 @@ contract MiningRigOwnership is ERC1155Supply, Ownable, ReentrancyGuard {
     }
 
     // ---------------------------
-    // Admin withdrawals
+    // Rewards (ERC-20)
     // ---------------------------
-    function withdrawSales(address payable to, uint256 amount) external onlyOwner nonReentrant {
-        require(to != address(0), "zero addr");
-        require(amount <= totalSalesETH, "exceeds sales");
-        totalSalesETH -= amount;
 
-        (bool ok, ) = to.call{value: amount}("");
-        require(ok, "withdraw failed");
+    /**
+     * @notice Deposit `amount` of an allow-listed ERC-20 as rewards to a rig.
+     *         The depositor must approve this contract for `amount` first.
+     * @dev Credits the amount actually received, so fee-on-transfer tokens don't over-credit.
+     */
+    function depositTokenRewards(uint256 rigId, address token, uint256 amount)
+        external
+        onlyRole(REWARD_DEPOSITOR_ROLE)
+        nonReentrant
+        whenNotPaused
+    {
+        require(amount > 0, "amount=0");
+        require(rewardTokenAllowed[token], "token not allowed");
+        Rig storage r = rigs[rigId];
+        require(r.active, "rig inactive");
+        require(r.totalShares > 0, "rig not found");
+
+        uint256 circulating = totalSupply(rigId);
+        require(circulating > 0, "no holders yet");
+
+        if (!_hasRewardToken(rigId, token)) {
+            require(_rigRewardTokens[rigId].length < MAX_REWARD_TOKENS_PER_RIG, "too many reward tokens");
+            _rigRewardTokens[rigId].push(token);
+        }
+
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        uint256 received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+
+        tokenRewardPerShare[rigId][token] += (received * ACC_PRECISION) / circulating;
+        totalTokenRewards[token] += received;
+
+        emit TokenRewardsDeposited(rigId, token, received, tokenRewardPerShare[rigId][token]);
+    }
+
+    /**
+     * @notice Claim all pending rewards of one ERC-20 token for a given rig.
+     */
+    function claimTokenRewards(uint256 rigId, address token) external nonReentrant {
+        _settleAccount(msg.sender, rigId);
+
+        uint256 amount = pendingToken[msg.sender][rigId][token];
+        require(amount > 0, "nothing to claim");
+        pendingToken[msg.sender][rigId][token] = 0;
+
+        IERC20(token).safeTransfer(msg.sender, amount);
+
+        emit TokenRewardsClaimed(rigId, token, msg.sender, amount);
+    }
+
+    /**
+     * @notice ERC-20 tokens that have been deposited as rewards to a rig.
+     */
+    function rigRewardTokens(uint256 rigId) external view returns (address[] memory) {
+        return _rigRewardTokens[rigId];
+    }
 
-        emit SalesWithdrawn(to, amount);
+    /**
+     * @notice View helper: total claimable (pending + fresh) of `token` for a user/rig.
+     */
+    function claimableToken(address user, uint256 rigId, address token) external view returns (uint256) {
+        uint256 last = userTokenRewardPerSharePaid[user][rigId][token];
+        uint256 current = tokenRewardPerShare[rigId][token];
+        uint256 accrued = 0;
+        if (current > last) {
+            accrued = (balanceOf(user, rigId) * (current - last)) / ACC_PRECISION;
+        }
+        return pendingToken[user][rigId][token] + accrued;
+    }
+
+    /**
+     * @notice Reconcile the contract's ETH balance against what it owes.
+     * @return balance        ETH held by the contract
+     * @return sales          withdrawable sales (totalSalesETH)
+     * @return unclaimed      distributed rewards not yet claimed, including per-holder rounding dust
+     * @return queued         rewards waiting for a rig's first holders
+     * @return buyback        treasurer-funded buyback ETH not yet paid out
+     * @return fees           operator/hosting fees not yet withdrawn
+     * @return salvage        salvage of decommissioned rigs not yet redeemed or swept
+     * @return surplus        ETH the accounting doesn't explain (e.g. force-sent); 0 when consistent
+     */
+    function reconcileETH()
+        external
+        view
+        returns (
+            uint256 balance,
+            uint256 sales,
+            uint256 unclaimed,
+            uint256 queued,
+            uint256 buyback,
+            uint256 fees,
+            uint256 salvage,
+            uint256 surplus
+        )
+    {
+        balance = address(this).balance;
+        sales = totalSalesETH;
+        queued = totalQueuedETH;
+        buyback = totalBuybackETH;
+        fees = totalFeeETH;
+        salvage = totalSalvageETH;
+        unclaimed = totalRewardETH - totalClaimedETH - totalQueuedETH;
+        surplus = _surplusETH();
     }
 
     // ---------------------------
-    // Internal reward settling
+    // Emergency pause
     // ---------------------------
 
     /**
-     * @dev Settle pending rewards for `user` on `rigId` to keep accounting correct
-     *      before any balance change (buy, transfer, burn) or on claim.
+     * @notice Stop all mints, transfers, refunds, sell-backs and reward deposits.
+     * Claims and redeems (burns) of decommissioned rigs stay open.
      */
-    function _settleAccount(address user, uint256 rigId) internal {
-        if (user == address(0)) return;
-        Rig storage r = rigs[rigId];
-        if (r.totalShares == 0) return;
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
 
-        uint256 last = userRewardPerSharePaid[user][rigId];
-        uint256 current = r.rewardPerShare;
+    /**
+     * @notice Resume after a pause. Admin only, so a pauser key alone can't undo a pause.
+     */
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _unpause();
+    }
 
-        if (current > last) {
-            uint256 bal = balanceOf(user, rigId);
-            if (bal > 0) {
-                uint256 delta = (bal * (current - last)) / ACC_PRECISION;
-                if (delta > 0) {
-                    pending[user][rigId] += delta;
-                }
-            }
-            userRewardPerSharePaid[user][rigId] = current;
+    // ---------------------------
+    // Fee withdrawals
+    // ---------------------------
+
+    /**
+     * @notice Withdraw the caller's accrued operator/hosting fees to `to`.
+     */
+    function withdrawFees(address payable to) external nonReentrant {
+        require(to != address(0), "zero addr");
+        uint256 amount = feeBalances[msg.sender];
+        require(amount > 0, "no fees");
+        feeBalances[msg.sender] = 0;
+        totalFeeETH -= amount;
+
+        (bool ok, ) = to.call{value: amount}("");
+        require(ok, "withdraw failed");
+
+        emit FeesWithdrawn(msg.sender, to, amount);
+    }
+
+    // ---------------------------
+    // Internal
+    // ---------------------------
+
+    function _hasRewardToken(uint256 rigId, address token) internal view returns (bool) {
+        address[] storage tokens = _rigRewardTokens[rigId];
+        for (uint256 i = 0; i < tokens.length; i++) {
+            if (tokens[i] == token) return true;
         }
+        return false;
     }
 
     /**
-     * @dev Hook for ERC1155Supply (OpenZeppelin v5): settle rewards for from/to
-     *      before the balances actually move so rewards stay correct across transfers.
+     * @dev Only the admin can upgrade the implementation (upgradeToAndCall).
      */
-    function _update(
-        address from,
-        address to,
-        uint256[] memory ids,
-        uint256[] memory amounts
-    ) internal override{
-        // Settle for all involved tokenIds before moving balances
-        for (uint256 i = 0; i < ids.length; i++) {
-            _settleAccount(from, ids[i]);
-            _settleAccount(to, ids[i]);
-        }
-        super._update(from, to, ids, amounts);
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+
+    /**
+     * @dev Run the current call in `module`, in this contract's storage; reverts bubble up.
+     */
+    function _delegate(address module) private {
+        Address.functionDelegateCall(module, msg.data);
     }
 }
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * MiningRigProxy
+ * - The ERC-1967 proxy holding MiningRigOwnership's state and ETH; the address users,
+ *   the market and the frontend talk to. Upgrades go through the implementation (UUPS).
+ */
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+contract MiningRigProxy is ERC1967Proxy {
+    constructor(address implementation, bytes memory initData) ERC1967Proxy(implementation, initData) {}
+}
@@ -0,0 +1,97 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * MiningRigSale
+ * - Share sales of MiningRigOwnership: buying (presale rounds, allowlists, public sale),
+ *   refunds within the refund window and sell-backs into a buyback. MiningRigOwnership
+ *   forwards these calls here with delegatecall, like the admin functions in MiningRigAdmin.
+ * - Allowlists are Merkle roots over the buyers' addresses (scripts/build-allowlist.js
+ *   builds them from a CSV); buyers pass their proof to buySharesWithProof.
+ * - Always runs in the proxy's storage and context; deployed alongside every
+ *   MiningRigOwnership implementation, which stores its address as an immutable.
+ */
+
+import "./MiningRigStorage.sol";
+
+contract MiningRigSale is MiningRigStorage {
+    constructor() {
+        _disableInitializers();
+    }
+
+    // ---------------------------
+    // Buying shares
+    // ---------------------------
+
+    /**
+     * @notice Buy `amount` shares of `rigId`. Mints ERC-1155 tokens to buyer.
+     * Uses exact ETH = current price * amount. Only for sales without an allowlist.
+     */
+    function buyShares(uint256 rigId, uint256 amount) external payable nonReentrant {
+        _buy(msg.sender, rigId, amount, new bytes32[](0), true);
+    }
+
+    /**
+     * @notice Buy shares while an allowlist applies: the current round's, or the rig's.
+     * @param proof Merkle proof of msg.sender in that allowlist (from build-allowlist.js)
+     */
+    function buySharesWithProof(uint256 rigId, uint256 amount, bytes32[] calldata proof)
+        external
+        payable
+        nonReentrant
+    {
+        _buy(msg.sender, rigId, amount, proof, true);
+    }
+
+    // ---------------------------
+    // Refunds & buyback (burn)
+    // ---------------------------
+
+    /**
+     * @notice Return `amount` shares bought within the refund window at the price paid.
+     * @dev Burns the shares (rewards are settled first in _update); the refund comes out
+     *      of totalSalesETH, so it fails if the treasurer already withdrew those sales.
+     */
+    function refundShares(uint256 rigId, uint256 amount) external nonReentrant whenNotPaused {
+        require(amount > 0, "amount=0");
+        RefundablePurchase storage p = refundablePurchases[msg.sender][rigId];
+        require(block.timestamp <= p.deadline, "refund window closed");
+        require(amount <= p.amount, "exceeds refundable");
+
+        uint256 refundWei = (p.paidWei * amount) / p.amount;
+        require(refundWei <= totalSalesETH, "exceeds sales");
+
+        p.amount -= amount;
+        p.paidWei -= refundWei;
+        totalSalesETH -= refundWei;
+
+        _burn(msg.sender, rigId, amount);
+
+        (bool ok, ) = msg.sender.call{value: refundWei}("");
+        require(ok, "ETH transfer failed");
+
+        emit SharesRefunded(rigId, msg.sender, amount, refundWei);
+    }
+
+    /**
+     * @notice Sell `amount` shares back at the buyback price. Shares are burned.
+     */
+    function sellBackShares(uint256 rigId, uint256 amount) external nonReentrant whenNotPaused {
+        require(amount > 0, "amount=0");
+        uint256 price = buybackPrice[rigId];
+        require(price > 0, "no buyback");
+
+        uint256 payout = price * amount;
+        require(payout <= buybackFunds[rigId], "buyback underfunded");
+
+        buybackFunds[rigId] -= payout;
+        totalBuybackETH -= payout;
+
+        _burn(msg.sender, rigId, amount);
+
+        (bool ok, ) = msg.sender.call{value: payout}("");
+        require(ok, "ETH transfer failed");
+
+        emit SharesBoughtBack(rigId, msg.sender, amount, payout);
+    }
+}
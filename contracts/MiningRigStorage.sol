@@ -0,0 +1,584 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * MiningRigStorage
+ * - State, events and settlement logic shared by MiningRigOwnership (the UUPS
+ *   implementation behind the proxy) and the modules it reaches by delegatecall:
+ *   MiningRigAdmin (admin functions), MiningRigSale (share sales, refunds, buybacks),
+ *   MiningRigIntents (signed purchase and claim intents) and MiningRigDecommission
+ *   (end of life of rigs).
+ *   All of them inherit this contract, so they see the same storage layout.
+ * - OpenZeppelin's upgradeable bases keep their state in ERC-7201 namespaced slots; the
+ *   variables below are laid out from slot 0. Only ever append new variables at the
+ *   end: the tests compare the layout with storage-layouts/MiningRigOwnership.json.
+ */
+
+import "@openzeppelin/contracts-upgradeable/token/ERC1155/extensions/ERC1155SupplyUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC1155/extensions/ERC1155URIStorageUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/extensions/AccessControlDefaultAdminRulesUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/NoncesUpgradeable.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+
+abstract contract MiningRigStorage is
+    ERC1155SupplyUpgradeable,
+    ERC1155URIStorageUpgradeable,
+    AccessControlDefaultAdminRulesUpgradeable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable,
+    NoncesUpgradeable
+{
+    bytes32 public constant RIG_MANAGER_ROLE = keccak256("RIG_MANAGER_ROLE");
+    bytes32 public constant REWARD_DEPOSITOR_ROLE = keccak256("REWARD_DEPOSITOR_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    // Precision used for reward-per-share math
+    uint256 internal constant ACC_PRECISION = 1e18;
+
+    // Bounds the per-token loop in _settleAccount (runs on every transfer)
+    uint256 public constant MAX_REWARD_TOKENS_PER_RIG = 5;
+
+    // Operator + hosting fee can never take more than half of a deposit
+    uint256 public constant MAX_TOTAL_FEE_BPS = 5000;
+
+    // Bounds the round lookup in every purchase
+    uint256 public constant MAX_SALE_ROUNDS = 10;
+
+    // Shortest time holders get to redeem the shares of a decommissioned rig
+    uint256 public constant MIN_REDEEM_PERIOD = 30 days;
+
+    // EIP-712 domain of signed intents (see MiningRigIntents); verifyingContract is the proxy
+    bytes32 private constant _DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant _DOMAIN_NAME_HASH = keccak256("MiningRigOwnership");
+    bytes32 private constant _DOMAIN_VERSION_HASH = keccak256("1");
+
+    struct Rig {
+        string name;
+        uint256 totalShares;       // maximum shares that can ever be minted for this rig
+        uint256 pricePerShareWei;  // price per share in wei
+        uint256 maxPerWallet;      // 0 = no cap; otherwise cap per address
+        uint256 rewardPerShare;    // cumulative rewards per share * ACC_PRECISION
+        bool active;               // if false, buying/deposits are disabled
+    }
+
+    // rigId => Rig config/state
+    mapping(uint256 => Rig) public rigs;
+
+    // Per-account reward accounting:
+    // Tracks each user's last observed rewardPerShare to compute deltas.
+    // user => rigId => last paid RPS
+    mapping(address => mapping(uint256 => uint256)) public userRewardPerSharePaid;
+
+    // Accumulated but unclaimed ETH for each user/rig
+    // user => rigId => pending amount (wei)
+    mapping(address => mapping(uint256 => uint256)) public pending;
+
+    // Total ETH collected from sales (for owner tracking)
+    uint256 public totalSalesETH;
+
+    // Total ETH deposited as rewards (for owner tracking)
+    uint256 public totalRewardETH;
+
+    // Total ETH rewards paid out by claims
+    uint256 public totalClaimedETH;
+
+    // rigId => ETH deposited while the rig had no holders, released on first mint
+    mapping(uint256 => uint256) public queuedRewards;
+
+    // Sum of queuedRewards across all rigs
+    uint256 public totalQueuedETH;
+
+    // rigId => deposit remainder (wei * ACC_PRECISION) not yet reflected in rewardPerShare
+    mapping(uint256 => uint256) public rewardRemainder;
+
+    // Revenue split of a rig's ETH deposits, in basis points of the gross deposit
+    struct RigFees {
+        uint16 operatorBps;        // to operatorFeeRecipient
+        uint16 hostingBps;         // to hostingRecipient
+        address hostingRecipient;  // required when hostingBps > 0
+    }
+
+    // rigId => fee split (all zero = holders get the full deposit)
+    mapping(uint256 => RigFees) public rigFees;
+
+    // Receives the operator fee of every rig
+    address public operatorFeeRecipient;
+
+    // recipient => fees accrued and not yet withdrawn
+    mapping(address => uint256) public feeBalances;
+
+    // Sum of feeBalances
+    uint256 public totalFeeETH;
+
+    // Shares a buyer may still return, with what they paid for them
+    struct RefundablePurchase {
+        uint256 amount;    // shares still refundable
+        uint256 paidWei;   // ETH paid for those shares
+        uint256 deadline;  // refunds allowed until this timestamp
+    }
+
+    // rigId => refund window in seconds (0 = no refunds)
+    mapping(uint256 => uint256) public refundWindow;
+
+    // user => rigId => refundable purchase
+    mapping(address => mapping(uint256 => RefundablePurchase)) public refundablePurchases;
+
+    // rigId => treasurer-set buyback price per share (0 = no buyback open)
+    mapping(uint256 => uint256) public buybackPrice;
+
+    // rigId => ETH the treasurer funded for buybacks and not yet paid out
+    mapping(uint256 => uint256) public buybackFunds;
+
+    // Sum of buybackFunds across all rigs
+    uint256 public totalBuybackETH;
+
+    // ERC-20 tokens the reward depositor may deposit as rewards
+    mapping(address => bool) public rewardTokenAllowed;
+
+    // rigId => ERC-20 tokens that have ever been deposited to this rig
+    mapping(uint256 => address[]) internal _rigRewardTokens;
+
+    // rigId => token => cumulative token rewards per share * ACC_PRECISION
+    mapping(uint256 => mapping(address => uint256)) public tokenRewardPerShare;
+
+    // user => rigId => token => last paid token RPS
+    mapping(address => mapping(uint256 => mapping(address => uint256))) public userTokenRewardPerSharePaid;
+
+    // user => rigId => token => pending token amount
+    mapping(address => mapping(uint256 => mapping(address => uint256))) public pendingToken;
+
+    // token => total deposited as rewards (for owner tracking)
+    mapping(address => uint256) public totalTokenRewards;
+
+    // One holder's position on an earlier deployment, for MiningRigAdmin.importHolders
+    struct HolderSnapshot {
+        address holder;
+        uint256 balance;             // shares held
+        uint256 pendingWei;          // pending ETH rewards
+        uint256 rewardPerSharePaid;  // userRewardPerSharePaid
+    }
+
+    // True while the admin may import holders from an earlier deployment (see MiningRigAdmin)
+    bool public migrationOpen;
+
+    // A time-boxed presale round of a rig, with its own price, cap and allowlist
+    struct SaleRound {
+        uint64 start;              // opens at this timestamp
+        uint64 end;                // closes at this timestamp (exclusive)
+        uint256 pricePerShareWei;  // replaces the rig's price during the round
+        uint256 cap;               // shares the round may sell
+        uint256 maxPerWallet;      // shares one wallet may buy in the round (0 = only the rig's cap)
+        bytes32 allowlistRoot;     // Merkle root of the round's buyers (0 = the rig's allowlist)
+        uint256 sold;              // shares sold in the round so far
+    }
+
+    enum SalePhase {
+        Closed,   // before the first round or between rounds
+        Presale,  // a round is open
+        Public    // after the last round (or no rounds): anyone on the rig's allowlist, at the rig's price
+    }
+
+    // Signed by `buyer`: buy `amount` shares of `rigId` for them, paid by whoever submits it
+    // (the sponsor), at a cost of at most `maxCost`
+    struct PurchaseIntent {
+        address buyer;
+        uint256 rigId;
+        uint256 amount;
+        uint256 maxCost;
+        uint256 nonce;     // the buyer's nonces() value
+        uint256 deadline;  // unix time after which the intent can't be used
+    }
+
+    // Signed by `holder`: claim their ETH rewards of `rigIds`, paid to them
+    struct ClaimIntent {
+        address holder;
+        uint256[] rigIds;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    // rigId => presale rounds in time order; the public sale opens when the last one ends
+    mapping(uint256 => SaleRound[]) internal _saleRounds;
+
+    // rigId => round => buyer => shares bought in that round
+    mapping(uint256 => mapping(uint256 => mapping(address => uint256))) public roundPurchases;
+
+    // rigId => Merkle root of the addresses allowed to buy (0 = anyone)
+    mapping(uint256 => bytes32) public allowlistRoot;
+
+    // rigId => shares may only move between transferApproved addresses
+    mapping(uint256 => bool) public transferRestricted;
+
+    // Addresses cleared to send and receive shares of restricted rigs
+    mapping(address => bool) public transferApproved;
+
+    // End of life of a rig (see MiningRigDecommission)
+    struct Decommission {
+        uint64 decommissionedAt;   // 0 = still in service
+        uint64 redeemDeadline;     // after this, what holders haven't redeemed can be swept
+        uint256 salvagePerShare;   // salvage ETH paid for each redeemed share
+        uint256 salvageRemaining;  // salvage ETH not yet redeemed or swept
+    }
+
+    // rigId => decommission state
+    mapping(uint256 => Decommission) public decommissions;
+
+    // Sum of salvageRemaining across rigs
+    uint256 public totalSalvageETH;
+
+    // rigId => holder => already imported by MiningRigAdmin.importHolders (once per rig)
+    mapping(uint256 => mapping(address => bool)) public holderImported;
+
+    // Events
+    event RigRegistered(
+        uint256 indexed rigId,
+        string name,
+        uint256 totalShares,
+        uint256 pricePerShareWei,
+        uint256 maxPerWallet
+    );
+    event SharesPurchased(uint256 indexed rigId, address indexed buyer, uint256 amount, uint256 paidWei);
+    event RewardsDeposited(
+        uint256 indexed rigId,
+        uint256 grossWei,
+        uint256 feeWei,
+        uint256 netWei,
+        uint256 newRewardPerShare
+    );
+    event RewardsQueued(uint256 indexed rigId, uint256 amountWei, uint256 totalQueuedWei);
+    event RewardsClaimed(uint256 indexed rigId, address indexed user, uint256 amountWei);
+    event SalesWithdrawn(address indexed to, uint256 amount);
+    event RigFeesUpdated(uint256 indexed rigId, uint16 operatorBps, uint16 hostingBps, address hostingRecipient);
+    event OperatorFeeRecipientUpdated(address indexed recipient);
+    event FeesWithdrawn(address indexed recipient, address to, uint256 amount);
+    event RewardTokenUpdated(address indexed token, bool allowed);
+    event TokenRewardsDeposited(
+        uint256 indexed rigId,
+        address indexed token,
+        uint256 amount,
+        uint256 newRewardPerShare
+    );
+    event TokenRewardsClaimed(uint256 indexed rigId, address indexed token, address indexed user, uint256 amount);
+    event RefundWindowUpdated(uint256 indexed rigId, uint256 windowSeconds);
+    event SharesRefunded(uint256 indexed rigId, address indexed user, uint256 amount, uint256 refundWei);
+    event BuybackOpened(uint256 indexed rigId, uint256 pricePerShareWei, uint256 fundedWei);
+    event SharesBoughtBack(uint256 indexed rigId, address indexed user, uint256 amount, uint256 paidWei);
+    event BuybackClosed(uint256 indexed rigId, uint256 returnedWei);
+    event RigDeactivated(uint256 indexed rigId);
+    event RigReactivated(uint256 indexed rigId);
+    event RigPriceUpdated(uint256 indexed rigId, uint256 oldPriceWei, uint256 newPriceWei);
+    event RigTotalSharesUpdated(uint256 indexed rigId, uint256 oldTotalShares, uint256 newTotalShares);
+    event SurplusRescued(address indexed to, uint256 amount);
+    event RigRewardsImported(uint256 indexed rigId, uint256 rewardPerShare, uint256 queuedWei, uint256 fundedWei);
+    event MigrationFinished();
+    event SaleRoundsUpdated(uint256 indexed rigId, uint256 rounds);
+    event AllowlistRootUpdated(uint256 indexed rigId, bytes32 root);
+    event TransferRestrictionUpdated(uint256 indexed rigId, bool restricted);
+    event TransferApprovalUpdated(address indexed account, bool approved);
+    event IntentExecuted(address indexed account, uint256 nonce, address indexed relayer);
+    event RigDecommissioned(uint256 indexed rigId, uint256 finalRewardWei, uint256 salvageWei, uint256 redeemDeadline);
+    event SharesRedeemed(
+        uint256 indexed rigId,
+        address indexed holder,
+        uint256 shares,
+        uint256 salvageWei,
+        uint256 rewardsWei
+    );
+    event DecommissionSwept(uint256 indexed rigId, address to, uint256 amountWei);
+
+    /**
+     * @notice Metadata URI of a rig; empty until the rig manager sets one.
+     */
+    function uri(uint256 rigId)
+        public
+        view
+        virtual
+        override(ERC1155Upgradeable, ERC1155URIStorageUpgradeable)
+        returns (string memory)
+    {
+        return super.uri(rigId);
+    }
+
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        virtual
+        override(ERC1155Upgradeable, AccessControlDefaultAdminRulesUpgradeable)
+        returns (bool)
+    {
+        return super.supportsInterface(interfaceId);
+    }
+
+    /**
+     * @dev Where a rig's sale stands right now. `round` is the open round (Presale), the
+     *      next one (Closed) or the number of rounds (Public).
+     */
+    function _salePhase(uint256 rigId) internal view returns (SalePhase, uint256 round) {
+        SaleRound[] storage rounds = _saleRounds[rigId];
+        for (; round < rounds.length; round++) {
+            if (block.timestamp < rounds[round].start) return (SalePhase.Closed, round);
+            if (block.timestamp < rounds[round].end) return (SalePhase.Presale, round);
+        }
+        return (SalePhase.Public, round);
+    }
+
+    // ---------------------------
+    // Buying and claiming
+    // ---------------------------
+
+    /**
+     * @dev Sell `amount` shares to `buyer` for exactly msg.value at the current round's (or
+     *      the rig's) price, checking the allowlist that applies against `buyer`.
+     * @param refundable open a refund window for the shares; off for sponsored purchases,
+     *        whose refund would go to the buyer instead of the sponsor who paid
+     */
+    function _buy(address buyer, uint256 rigId, uint256 amount, bytes32[] memory proof, bool refundable) internal {
+        require(amount > 0, "amount=0");
+        Rig storage r = rigs[rigId];
+        require(r.active, "rig inactive");
+        require(r.totalShares > 0, "rig not found");
+
+        // Presale rounds have their own price, cap and (optionally) allowlist
+        uint256 price = r.pricePerShareWei;
+        bytes32 root = allowlistRoot[rigId];
+        (SalePhase phase, uint256 index) = _salePhase(rigId);
+        require(phase != SalePhase.Closed, "sale not open");
+        if (phase == SalePhase.Presale) {
+            SaleRound storage round = _saleRounds[rigId][index];
+            require(round.sold + amount <= round.cap, "exceeds round cap");
+            uint256 bought = roundPurchases[rigId][index][buyer] + amount;
+            require(round.maxPerWallet == 0 || bought <= round.maxPerWallet, "round wallet cap exceeded");
+
+            round.sold += amount;
+            roundPurchases[rigId][index][buyer] = bought;
+            price = round.pricePerShareWei;
+            if (round.allowlistRoot != bytes32(0)) root = round.allowlistRoot;
+        }
+
+        // Same leaf encoding as scripts/build-allowlist.js
+        if (root != bytes32(0)) {
+            bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(buyer))));
+            require(MerkleProof.verify(proof, root, leaf), "not allowlisted");
+        }
+
+        uint256 cost = price * amount;
+        require(msg.value == cost, "wrong ETH sent");
+
+        // Oversell prevention vs cap
+        require(totalSupply(rigId) + amount <= r.totalShares, "exceeds total shares");
+
+        // Per-wallet cap
+        if (r.maxPerWallet > 0) {
+            require(balanceOf(buyer, rigId) + amount <= r.maxPerWallet, "wallet cap exceeded");
+        }
+
+        // Settle rewards for buyer before balance changes
+        _settleAccount(buyer, rigId);
+
+        // Mint shares
+        _mint(buyer, rigId, amount, "");
+
+        // Track total sales for owner reference
+        totalSalesETH += cost;
+
+        // Open (or add to) the buyer's refund window. Adding to an open window keeps its
+        // deadline, so a new purchase can't extend refunds on older shares.
+        uint256 window = refundWindow[rigId];
+        if (refundable && window > 0) {
+            RefundablePurchase storage p = refundablePurchases[buyer][rigId];
+            if (block.timestamp > p.deadline) {
+                p.amount = 0;
+                p.paidWei = 0;
+                p.deadline = block.timestamp + window;
+            }
+            p.amount += amount;
+            p.paidWei += cost;
+        }
+
+        emit SharesPurchased(rigId, buyer, amount, cost);
+    }
+
+    /**
+     * @dev Pay `holder` their pending ETH rewards of `rigIds` in one transfer. Rigs with
+     *      nothing pending are skipped; reverts if the total is zero.
+     */
+    function _claimMany(address holder, uint256[] memory rigIds) internal {
+        uint256 total = 0;
+
+        for (uint256 i = 0; i < rigIds.length; i++) {
+            uint256 rigId = rigIds[i];
+            _settleAccount(holder, rigId);
+
+            uint256 amount = pending[holder][rigId];
+            if (amount == 0) continue;
+            pending[holder][rigId] = 0;
+            total += amount;
+
+            emit RewardsClaimed(rigId, holder, amount);
+        }
+
+        require(total > 0, "nothing to claim");
+        totalClaimedETH += total;
+
+        (bool ok, ) = holder.call{value: total}("");
+        require(ok, "ETH transfer failed");
+    }
+
+    /**
+     * @dev EIP-712 domain separator, computed for the current chain and address(this)
+     *      (the proxy, also when running in a module).
+     */
+    function _domainSeparator() internal view returns (bytes32) {
+        return keccak256(
+            abi.encode(_DOMAIN_TYPEHASH, _DOMAIN_NAME_HASH, _DOMAIN_VERSION_HASH, block.chainid, address(this))
+        );
+    }
+
+    // ---------------------------
+    // Internal reward settling
+    // ---------------------------
+
+    /**
+     * @dev Contract balance beyond everything owed (sales, unclaimed and queued rewards,
+     *      buyback funds, fees and salvage), e.g. from selfdestruct or coinbase transfers.
+     */
+    function _surplusETH() internal view returns (uint256) {
+        uint256 owed =
+            totalSalesETH + (totalRewardETH - totalClaimedETH) + totalBuybackETH + totalFeeETH + totalSalvageETH;
+        uint256 balance = address(this).balance;
+        return balance > owed ? balance - owed : 0;
+    }
+
+    /**
+     * @dev Credit the rig's operator and hosting fees on a `gross` deposit; returns the total fee.
+     */
+    function _accrueFees(uint256 rigId, uint256 gross) internal returns (uint256) {
+        RigFees storage f = rigFees[rigId];
+        uint256 operatorFee = (gross * f.operatorBps) / 10_000;
+        uint256 hostingFee = (gross * f.hostingBps) / 10_000;
+        if (operatorFee + hostingFee == 0) return 0;
+
+        feeBalances[operatorFeeRecipient] += operatorFee;
+        feeBalances[f.hostingRecipient] += hostingFee;
+        totalFeeETH += operatorFee + hostingFee;
+        return operatorFee + hostingFee;
+    }
+
+    /**
+     * @dev Spread `gross - fee` over circulating shares, carrying the division remainder
+     *      forward so no wei is stranded by integer rounding.
+     */
+    function _distributeRewards(uint256 rigId, uint256 gross, uint256 fee) internal {
+        Rig storage r = rigs[rigId];
+        uint256 circulating = totalSupply(rigId);
+        uint256 amount = gross - fee;
+
+        uint256 scaled = amount * ACC_PRECISION + rewardRemainder[rigId];
+        uint256 increment = scaled / circulating;
+        rewardRemainder[rigId] = scaled - increment * circulating;
+
+        // Increase cumulative reward-per-share
+        r.rewardPerShare += increment;
+
+        emit RewardsDeposited(rigId, gross, fee, amount, r.rewardPerShare);
+    }
+
+    /**
+     * @dev Settle pending rewards for `user` on `rigId` to keep accounting correct
+     *      before any balance change (buy, transfer, burn) or on claim.
+     */
+    function _settleAccount(address user, uint256 rigId) internal {
+        if (user == address(0)) return;
+        Rig storage r = rigs[rigId];
+        if (r.totalShares == 0) return;
+
+        uint256 bal = balanceOf(user, rigId);
+        uint256 last = userRewardPerSharePaid[user][rigId];
+        uint256 current = r.rewardPerShare;
+
+        if (current > last) {
+            if (bal > 0) {
+                uint256 delta = (bal * (current - last)) / ACC_PRECISION;
+                if (delta > 0) {
+                    pending[user][rigId] += delta;
+                }
+            }
+            userRewardPerSharePaid[user][rigId] = current;
+        }
+
+        // Same settlement for each ERC-20 reward token of this rig
+        address[] storage tokens = _rigRewardTokens[rigId];
+        for (uint256 i = 0; i < tokens.length; i++) {
+            address token = tokens[i];
+            uint256 lastToken = userTokenRewardPerSharePaid[user][rigId][token];
+            uint256 currentToken = tokenRewardPerShare[rigId][token];
+            if (currentToken > lastToken) {
+                if (bal > 0) {
+                    pendingToken[user][rigId][token] += (bal * (currentToken - lastToken)) / ACC_PRECISION;
+                }
+                userTokenRewardPerSharePaid[user][rigId][token] = currentToken;
+            }
+        }
+    }
+
+    /**
+     * @dev Hook for ERC1155Supply (OpenZeppelin v5): settle rewards for from/to
+     *      before the balances actually move so rewards stay correct across transfers.
+     */
+    function _update(
+        address from,
+        address to,
+        uint256[] memory ids,
+        uint256[] memory amounts
+    ) internal virtual override(ERC1155Upgradeable, ERC1155SupplyUpgradeable) {
+        // Mints (buys) and transfers stop while paused. Burns don't: redeeming a decommissioned
+        // rig is a holder's exit, like claiming; refunds and sell-backs check the pause themselves
+        if (to != address(0)) _requireNotPaused();
+
+        // Restricted rigs: shares only move between approved addresses (mints and burns are exempt)
+        if (from != address(0) && to != address(0)) {
+            for (uint256 i = 0; i < ids.length; i++) {
+                if (transferRestricted[ids[i]]) {
+                    require(transferApproved[from] && transferApproved[to], "transfer restricted");
+                }
+            }
+        }
+
+        // Settle for all involved tokenIds before moving balances
+        for (uint256 i = 0; i < ids.length; i++) {
+            _settleAccount(from, ids[i]);
+            _settleAccount(to, ids[i]);
+        }
+        super._update(from, to, ids, amounts);
+
+        // Shares that leave the buyer's wallet are no longer refundable; keep the
+        // refundable amount (and what was paid for it) within the remaining balance
+        if (from != address(0)) {
+            for (uint256 i = 0; i < ids.length; i++) {
+                RefundablePurchase storage p = refundablePurchases[from][ids[i]];
+                uint256 bal = balanceOf(from, ids[i]);
+                if (p.amount > bal) {
+                    p.paidWei = (p.paidWei * bal) / p.amount;
+                    p.amount = bal;
+                }
+            }
+        }
+
+        // First mint after rewards were queued: release them to the new holders
+        if (from == address(0)) {
+            for (uint256 i = 0; i < ids.length; i++) {
+                uint256 queued = queuedRewards[ids[i]];
+                if (queued > 0) {
+                    queuedRewards[ids[i]] = 0;
+                    totalQueuedETH -= queued;
+                    // Fees were already taken when the rewards were queued
+                    _distributeRewards(ids[i], queued, 0);
+                }
+            }
+        }
+    }
+}
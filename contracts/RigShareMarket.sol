@@ -0,0 +1,122 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * RigShareMarket (peer-to-peer secondary market for rig shares)
+ * - Holders list shares of a rig at a fixed ETH price per share.
+ * - Shares stay in the seller's wallet until a fill (no escrow), so the seller keeps
+ *   earning rewards while listed; the market only needs setApprovalForAll.
+ * - Buyers fill listings partially or in full. Shares move with safeTransferFrom, which
+ *   runs MiningRigOwnership's _update hook and settles rewards for both sides.
+ * - Fills honour the rig's maxPerWallet cap for the buyer.
+ */
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./MiningRigOwnership.sol";
+
+contract RigShareMarket is ReentrancyGuard {
+    struct Listing {
+        address seller;
+        uint256 rigId;
+        uint256 amount;            // shares still available in this listing
+        uint256 pricePerShareWei;  // asking price per share in wei
+    }
+
+    // Share token contract this market trades
+    MiningRigOwnership public immutable rigShares;
+
+    // listingId => Listing (amount == 0 once filled or cancelled)
+    mapping(uint256 => Listing) public listings;
+
+    // Next listing ID to assign; IDs start at 1
+    uint256 public nextListingId = 1;
+
+    // Events
+    event ListingCreated(
+        uint256 indexed listingId,
+        uint256 indexed rigId,
+        address indexed seller,
+        uint256 amount,
+        uint256 pricePerShareWei
+    );
+    event ListingFilled(
+        uint256 indexed listingId,
+        uint256 indexed rigId,
+        address indexed buyer,
+        uint256 amount,
+        uint256 paidWei
+    );
+    event ListingCancelled(uint256 indexed listingId);
+
+    constructor(MiningRigOwnership rigShares_) {
+        rigShares = rigShares_;
+    }
+
+    /**
+     * @notice List `amount` shares of `rigId` for sale at `pricePerShareWei` each.
+     * @dev Caller must have approved this market via setApprovalForAll.
+     */
+    function createListing(uint256 rigId, uint256 amount, uint256 pricePerShareWei) external returns (uint256 listingId) {
+        require(amount > 0, "amount=0");
+        require(pricePerShareWei > 0, "price=0");
+        (, uint256 totalShares, , , , ) = rigShares.rigs(rigId);
+        require(totalShares > 0, "rig not found");
+        require(rigShares.balanceOf(msg.sender, rigId) >= amount, "insufficient shares");
+        require(rigShares.isApprovedForAll(msg.sender, address(this)), "market not approved");
+
+        listingId = nextListingId++;
+        listings[listingId] = Listing({
+            seller: msg.sender,
+            rigId: rigId,
+            amount: amount,
+            pricePerShareWei: pricePerShareWei
+        });
+
+        emit ListingCreated(listingId, rigId, msg.sender, amount, pricePerShareWei);
+    }
+
+    /**
+     * @notice Withdraw the unfilled part of a listing.
+     */
+    function cancelListing(uint256 listingId) external {
+        Listing storage l = listings[listingId];
+        require(l.amount > 0, "listing inactive");
+        require(l.seller == msg.sender, "not seller");
+
+        l.amount = 0;
+        emit ListingCancelled(listingId);
+    }
+
+    /**
+     * @notice Buy `amount` shares from a listing. Uses exact ETH = pricePerShareWei * amount,
+     *         paid straight to the seller.
+     */
+    function fillListing(uint256 listingId, uint256 amount) external payable nonReentrant {
+        require(amount > 0, "amount=0");
+        Listing storage l = listings[listingId];
+        require(l.amount > 0, "listing inactive");
+        require(amount <= l.amount, "exceeds listing");
+        require(msg.sender != l.seller, "own listing");
+
+        uint256 cost = l.pricePerShareWei * amount;
+        require(msg.value == cost, "wrong ETH sent");
+
+        // Same per-wallet cap as primary sales
+        (, , , uint256 maxPerWallet, , ) = rigShares.rigs(l.rigId);
+        if (maxPerWallet > 0) {
+            require(rigShares.balanceOf(msg.sender, l.rigId) + amount <= maxPerWallet, "wallet cap exceeded");
+        }
+
+        l.amount -= amount;
+        address seller = l.seller;
+        uint256 rigId = l.rigId;
+
+        // Transfer settles rewards for seller and buyer before balances move
+        rigShares.safeTransferFrom(seller, msg.sender, rigId, amount, "");
+
+        (bool ok, ) = payable(seller).call{value: cost}("");
+        require(ok, "payment failed");
+
+        emit ListingFilled(listingId, rigId, msg.sender, amount, cost);
+    }
+}
@@ -0,0 +1,935 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * LegacyMiningRigOwnership - MiningRigOwnership as deployed before it moved behind a
+ * proxy (non-upgradeable, constructor-initialized). Kept as a test fixture for
+ * rig:migrate; do not change it. Only the contract name and this note differ from the
+ * pre-proxy source; it builds with this repo's compiler (0.8.22), not the 0.8.20 that
+ * deployment used, so its bytecode differs but not its behaviour.
+ *
+ * MiningRigOwnership (ERC-1155, cumulative rewards)
+ * - Each rig is a tokenId; each share = 1 unit of that token.
+ * - Admin is split into roles (OpenZeppelin AccessControl), all granted to the deployer:
+ *     RIG_MANAGER_ROLE      register/configure rigs, URIs, refund windows, reward tokens
+ *     REWARD_DEPOSITOR_ROLE deposit ETH / ERC-20 rewards (e.g. the oracle's bot key)
+ *     TREASURER_ROLE        withdraw sales, fund/close buybacks, set the operator fee recipient
+ *     PAUSER_ROLE           pause/resume rigs, pause the whole contract
+ *   DEFAULT_ADMIN_ROLE grants and revokes roles and is handed over in two steps
+ *   (beginDefaultAdminTransfer, then acceptDefaultAdminTransfer by the new admin).
+ * - Rig manager registers rigs and sets totalShares, price, and per-wallet cap.
+ * - The pauser can pause/resume a rig; the rig manager can reprice unsold shares and
+ *   adjust the share cap (never below the shares already minted).
+ * - Each rig has its own ERC-1155 metadata URI, set by the rig manager (emits URI).
+ * - Optional per-rig refund window: buyers can return freshly bought shares at the price
+ *   they paid (burned, paid from totalSalesETH). After that, the treasurer can fund a buyback
+ *   at a set price. Both paths settle rewards before burning.
+ * - Users buy shares (mint), with oversell prevention and wallet cap.
+ * - The reward depositor deposits ETH rewards; holders claim proportionally since their
+ *   last snapshot, using a cumulative reward-per-share (RPS) accumulator (fair to early & late buyers).
+ * - Optional per-rig operator and hosting fees (basis points) are taken off each ETH
+ *   deposit first and accrue to withdrawable fee balances, separate from sales.
+ * - ETH deposited before any shares are sold is queued and released to the first holders;
+ *   the division remainder of each deposit is carried into the next one.
+ * - Rewards are settled on buy, transfer, and claim to keep accounting correct.
+ * - Emergency pause (circuit breaker): the pauser can stop every mint, transfer, burn
+ *   and reward deposit at once; only the admin can unpause. Claims and fee/sales
+ *   withdrawals stay open so holders can always take out what they already earned.
+ * - ETH the accounting doesn't explain (force-sent, reconcileETH's surplus) can be
+ *   rescued by the treasurer; accounted ETH can never leave through that path.
+ * - Holders can claim several rigs at once with claimMany (single ETH transfer).
+ * - The reward depositor can also deposit allow-listed ERC-20 reward tokens (e.g. WBTC,
+ *   stablecoins); each rig/token pair has its own accumulator and pending balances.
+ * - Added tracking: totalSalesETH (ETH collected from share sales)
+ *                   totalRewardETH (ETH deposited for rewards, net of fees)
+ *                   totalFeeETH (operator/hosting fees not yet withdrawn)
+ *                   totalClaimedETH (ETH rewards paid out to holders)
+ *                   totalQueuedETH (ETH rewards waiting for a rig's first holders)
+ *                   totalTokenRewards (ERC-20 deposited for rewards, per token)
+ */
+
+import "@openzeppelin/contracts/token/ERC1155/extensions/ERC1155Supply.sol";
+import "@openzeppelin/contracts/token/ERC1155/extensions/ERC1155URIStorage.sol";
+import "@openzeppelin/contracts/access/extensions/AccessControlDefaultAdminRules.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+contract LegacyMiningRigOwnership is
+    ERC1155Supply,
+    ERC1155URIStorage,
+    AccessControlDefaultAdminRules,
+    ReentrancyGuard,
+    Pausable
+{
+    using SafeERC20 for IERC20;
+
+    bytes32 public constant RIG_MANAGER_ROLE = keccak256("RIG_MANAGER_ROLE");
+    bytes32 public constant REWARD_DEPOSITOR_ROLE = keccak256("REWARD_DEPOSITOR_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    // Precision used for reward-per-share math
+    uint256 private constant ACC_PRECISION = 1e18;
+
+    // Bounds the per-token loop in _settleAccount (runs on every transfer)
+    uint256 public constant MAX_REWARD_TOKENS_PER_RIG = 5;
+
+    // Operator + hosting fee can never take more than half of a deposit
+    uint256 public constant MAX_TOTAL_FEE_BPS = 5000;
+
+    struct Rig {
+        string name;
+        uint256 totalShares;       // maximum shares that can ever be minted for this rig
+        uint256 pricePerShareWei;  // price per share in wei
+        uint256 maxPerWallet;      // 0 = no cap; otherwise cap per address
+        uint256 rewardPerShare;    // cumulative rewards per share * ACC_PRECISION
+        bool active;               // if false, buying/deposits are disabled
+    }
+
+    // rigId => Rig config/state
+    mapping(uint256 => Rig) public rigs;
+
+    // Per-account reward accounting:
+    // Tracks each user's last observed rewardPerShare to compute deltas.
+    // user => rigId => last paid RPS
+    mapping(address => mapping(uint256 => uint256)) public userRewardPerSharePaid;
+
+    // Accumulated but unclaimed ETH for each user/rig
+    // user => rigId => pending amount (wei)
+    mapping(address => mapping(uint256 => uint256)) public pending;
+
+    // Total ETH collected from sales (for owner tracking)
+    uint256 public totalSalesETH;
+
+    // Total ETH deposited as rewards (for owner tracking)
+    uint256 public totalRewardETH;
+
+    // Total ETH rewards paid out by claims
+    uint256 public totalClaimedETH;
+
+    // rigId => ETH deposited while the rig had no holders, released on first mint
+    mapping(uint256 => uint256) public queuedRewards;
+
+    // Sum of queuedRewards across all rigs
+    uint256 public totalQueuedETH;
+
+    // rigId => deposit remainder (wei * ACC_PRECISION) not yet reflected in rewardPerShare
+    mapping(uint256 => uint256) public rewardRemainder;
+
+    // Revenue split of a rig's ETH deposits, in basis points of the gross deposit
+    struct RigFees {
+        uint16 operatorBps;        // to operatorFeeRecipient
+        uint16 hostingBps;         // to hostingRecipient
+        address hostingRecipient;  // required when hostingBps > 0
+    }
+
+    // rigId => fee split (all zero = holders get the full deposit)
+    mapping(uint256 => RigFees) public rigFees;
+
+    // Receives the operator fee of every rig
+    address public operatorFeeRecipient;
+
+    // recipient => fees accrued and not yet withdrawn
+    mapping(address => uint256) public feeBalances;
+
+    // Sum of feeBalances
+    uint256 public totalFeeETH;
+
+    // Shares a buyer may still return, with what they paid for them
+    struct RefundablePurchase {
+        uint256 amount;    // shares still refundable
+        uint256 paidWei;   // ETH paid for those shares
+        uint256 deadline;  // refunds allowed until this timestamp
+    }
+
+    // rigId => refund window in seconds (0 = no refunds)
+    mapping(uint256 => uint256) public refundWindow;
+
+    // user => rigId => refundable purchase
+    mapping(address => mapping(uint256 => RefundablePurchase)) public refundablePurchases;
+
+    // rigId => treasurer-set buyback price per share (0 = no buyback open)
+    mapping(uint256 => uint256) public buybackPrice;
+
+    // rigId => ETH the treasurer funded for buybacks and not yet paid out
+    mapping(uint256 => uint256) public buybackFunds;
+
+    // Sum of buybackFunds across all rigs
+    uint256 public totalBuybackETH;
+
+    // ERC-20 tokens the reward depositor may deposit as rewards
+    mapping(address => bool) public rewardTokenAllowed;
+
+    // rigId => ERC-20 tokens that have ever been deposited to this rig
+    mapping(uint256 => address[]) private _rigRewardTokens;
+
+    // rigId => token => cumulative token rewards per share * ACC_PRECISION
+    mapping(uint256 => mapping(address => uint256)) public tokenRewardPerShare;
+
+    // user => rigId => token => last paid token RPS
+    mapping(address => mapping(uint256 => mapping(address => uint256))) public userTokenRewardPerSharePaid;
+
+    // user => rigId => token => pending token amount
+    mapping(address => mapping(uint256 => mapping(address => uint256))) public pendingToken;
+
+    // token => total deposited as rewards (for owner tracking)
+    mapping(address => uint256) public totalTokenRewards;
+
+    // Events
+    event RigRegistered(
+        uint256 indexed rigId,
+        string name,
+        uint256 totalShares,
+        uint256 pricePerShareWei,
+        uint256 maxPerWallet
+    );
+    event SharesPurchased(uint256 indexed rigId, address indexed buyer, uint256 amount, uint256 paidWei);
+    event RewardsDeposited(
+        uint256 indexed rigId,
+        uint256 grossWei,
+        uint256 feeWei,
+        uint256 netWei,
+        uint256 newRewardPerShare
+    );
+    event RewardsQueued(uint256 indexed rigId, uint256 amountWei, uint256 totalQueuedWei);
+    event RewardsClaimed(uint256 indexed rigId, address indexed user, uint256 amountWei);
+    event SalesWithdrawn(address indexed to, uint256 amount);
+    event RigFeesUpdated(uint256 indexed rigId, uint16 operatorBps, uint16 hostingBps, address hostingRecipient);
+    event OperatorFeeRecipientUpdated(address indexed recipient);
+    event FeesWithdrawn(address indexed recipient, address to, uint256 amount);
+    event RewardTokenUpdated(address indexed token, bool allowed);
+    event TokenRewardsDeposited(
+        uint256 indexed rigId,
+        address indexed token,
+        uint256 amount,
+        uint256 newRewardPerShare
+    );
+    event TokenRewardsClaimed(uint256 indexed rigId, address indexed token, address indexed user, uint256 amount);
+    event RefundWindowUpdated(uint256 indexed rigId, uint256 windowSeconds);
+    event SharesRefunded(uint256 indexed rigId, address indexed user, uint256 amount, uint256 refundWei);
+    event BuybackOpened(uint256 indexed rigId, uint256 pricePerShareWei, uint256 fundedWei);
+    event SharesBoughtBack(uint256 indexed rigId, address indexed user, uint256 amount, uint256 paidWei);
+    event BuybackClosed(uint256 indexed rigId, uint256 returnedWei);
+    event RigDeactivated(uint256 indexed rigId);
+    event RigReactivated(uint256 indexed rigId);
+    event RigPriceUpdated(uint256 indexed rigId, uint256 oldPriceWei, uint256 newPriceWei);
+    event RigTotalSharesUpdated(uint256 indexed rigId, uint256 oldTotalShares, uint256 newTotalShares);
+    event SurplusRescued(address indexed to, uint256 amount);
+
+    // No shared metadata URI; each rig gets its own via setRigURI.
+    // The deployer starts with every role; a new admin can accept the handover
+    // as soon as the block after beginDefaultAdminTransfer (no delay).
+    constructor() ERC1155("") AccessControlDefaultAdminRules(0, msg.sender) {
+        _grantRole(RIG_MANAGER_ROLE, msg.sender);
+        _grantRole(REWARD_DEPOSITOR_ROLE, msg.sender);
+        _grantRole(TREASURER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        operatorFeeRecipient = msg.sender;
+    }
+
+
+
+    // ---------------------------
+    // Rig management (role-gated)
+    // ---------------------------
+
+    /**
+     * @notice Register a new rig. Name and wallet cap are fixed after registration;
+     *         status, price and total shares can be changed with the functions below.
+     * @param rigId          tokenId for this rig
+     * @param name           human-friendly name
+     * @param totalShares    max supply (cannot be exceeded)
+     * @param pricePerShareWei price per share in wei
+     * @param maxPerWallet   per-wallet cap (0 = no cap)
+     */
+    function registerRig(
+        uint256 rigId,
+        string calldata name,
+        uint256 totalShares,
+        uint256 pricePerShareWei,
+        uint256 maxPerWallet
+    ) external onlyRole(RIG_MANAGER_ROLE) {
+        require(totalShares > 0, "totalShares=0");
+        require(pricePerShareWei > 0, "price=0");
+        Rig storage r = rigs[rigId];
+        require(r.totalShares == 0 && !r.active, "rig exists");
+
+        rigs[rigId] = Rig({
+            name: name,
+            totalShares: totalShares,
+            pricePerShareWei: pricePerShareWei,
+            maxPerWallet: maxPerWallet,
+            rewardPerShare: 0,
+            active: true
+        });
+
+        emit RigRegistered(rigId, name, totalShares, pricePerShareWei, maxPerWallet);
+    }
+
+    /**
+     * @notice Pause a rig: blocks buying and reward deposits until reactivated.
+     *         Claims and transfers are unaffected.
+     */
+    function deactivateRig(uint256 rigId) external onlyRole(PAUSER_ROLE) {
+        Rig storage r = rigs[rigId];
+        require(r.totalShares > 0, "rig not found");
+        require(r.active, "rig inactive");
+        r.active = false;
+        emit RigDeactivated(rigId);
+    }
+
+    /**
+     * @notice Resume a paused rig.
+     */
+    function reactivateRig(uint256 rigId) external onlyRole(PAUSER_ROLE) {
+        Rig storage r = rigs[rigId];
+        require(r.totalShares > 0, "rig not found");
+        require(!r.active, "rig active");
+        r.active = true;
+        emit RigReactivated(rigId);
+    }
+
+    /**
+     * @notice Change the price of shares not yet sold. Existing holders are unaffected.
+     */
+    function setRigPrice(uint256 rigId, uint256 newPriceWei) external onlyRole(RIG_MANAGER_ROLE) {
+        require(newPriceWei > 0, "price=0");
+        Rig storage r = rigs[rigId];
+        require(r.totalShares > 0, "rig not found");
+
+        uint256 oldPrice = r.pricePerShareWei;
+        r.pricePerShareWei = newPriceWei;
+        emit RigPriceUpdated(rigId, oldPrice, newPriceWei);
+    }
+
+    /**
+     * @notice Raise or lower the share cap. Cannot go below the shares already minted.
+     */
+    function setRigTotalShares(uint256 rigId, uint256 newTotalShares) external onlyRole(RIG_MANAGER_ROLE) {
+        require(newTotalShares > 0, "totalShares=0");
+        Rig storage r = rigs[rigId];
+        require(r.totalShares > 0, "rig not found");
+        require(newTotalShares >= totalSupply(rigId), "below minted supply");
+
+        uint256 oldTotal = r.totalShares;
+        r.totalShares = newTotalShares;
+        emit RigTotalSharesUpdated(rigId, oldTotal, newTotalShares);
+    }
+
+    /**
+     * @notice Set the fees taken off this rig's future ETH deposits.
+     * @param operatorBps      operator fee, to operatorFeeRecipient
+     * @param hostingBps       hosting fee, to `hostingRecipient`
+     * @param hostingRecipient hosting provider (may be zero when hostingBps is 0)
+     */
+    function setRigFees(
+        uint256 rigId,
+        uint16 operatorBps,
+        uint16 hostingBps,
+        address hostingRecipient
+    ) external onlyRole(RIG_MANAGER_ROLE) {
+        require(rigs[rigId].totalShares > 0, "rig not found");
+        require(uint256(operatorBps) + hostingBps <= MAX_TOTAL_FEE_BPS, "fee too high");
+        require(hostingBps == 0 || hostingRecipient != address(0), "zero addr");
+
+        rigFees[rigId] = RigFees(operatorBps, hostingBps, hostingRecipient);
+        emit RigFeesUpdated(rigId, operatorBps, hostingBps, hostingRecipient);
+    }
+
+    /**
+     * @notice Change who accrues operator fees from future deposits.
+     */
+    function setOperatorFeeRecipient(address recipient) external onlyRole(TREASURER_ROLE) {
+        require(recipient != address(0), "zero addr");
+        operatorFeeRecipient = recipient;
+        emit OperatorFeeRecipientUpdated(recipient);
+    }
+
+    /**
+     * @notice Set the ERC-1155 metadata URI of a rig (JSON with name, image, properties).
+     * @dev Emits the standard URI event so wallets and marketplaces refresh.
+     */
+    function setRigURI(uint256 rigId, string calldata tokenURI) external onlyRole(RIG_MANAGER_ROLE) {
+        require(rigs[rigId].totalShares > 0, "rig not found");
+        _setURI(rigId, tokenURI);
+    }
+
+    /**
+     * @notice Metadata URI of a rig; empty until the rig manager sets one.
+     */
+    function uri(uint256 rigId) public view override(ERC1155, ERC1155URIStorage) returns (string memory) {
+        return super.uri(rigId);
+    }
+
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        override(ERC1155, AccessControlDefaultAdminRules)
+        returns (bool)
+    {
+        return super.supportsInterface(interfaceId);
+    }
+
+    // ---------------------------
+    // Buying shares
+    // ---------------------------
+
+    /**
+     * @notice Buy `amount` shares of `rigId`. Mints ERC-1155 tokens to buyer.
+     * Uses exact ETH = pricePerShareWei * amount.
+     */
+    function buyShares(uint256 rigId, uint256 amount) external payable nonReentrant {
+        require(amount > 0, "amount=0");
+        Rig storage r = rigs[rigId];
+        require(r.active, "rig inactive");
+        require(r.totalShares > 0, "rig not found");
+
+        uint256 cost = r.pricePerShareWei * amount;
+        require(msg.value == cost, "wrong ETH sent");
+
+        // Oversell prevention vs cap
+        require(totalSupply(rigId) + amount <= r.totalShares, "exceeds total shares");
+
+        // Per-wallet cap
+        if (r.maxPerWallet > 0) {
+            require(balanceOf(msg.sender, rigId) + amount <= r.maxPerWallet, "wallet cap exceeded");
+        }
+
+        // Settle rewards for buyer before balance changes
+        _settleAccount(msg.sender, rigId);
+
+        // Mint shares
+        _mint(msg.sender, rigId, amount, "");
+
+        // Track total sales for owner reference
+        totalSalesETH += cost;
+
+        // Open (or add to) the buyer's refund window. Adding to an open window keeps its
+        // deadline, so a new purchase can't extend refunds on older shares.
+        uint256 window = refundWindow[rigId];
+        if (window > 0) {
+            RefundablePurchase storage p = refundablePurchases[msg.sender][rigId];
+            if (block.timestamp > p.deadline) {
+                p.amount = 0;
+                p.paidWei = 0;
+                p.deadline = block.timestamp + window;
+            }
+            p.amount += amount;
+            p.paidWei += cost;
+        }
+
+        emit SharesPurchased(rigId, msg.sender, amount, cost);
+    }
+
+    // ---------------------------
+    // Rewards (ETH)
+    // ---------------------------
+
+    /**
+     * @notice Deposit ETH rewards to a rig. Fair distribution via accumulator.
+     * @dev The rig's operator and hosting fees are taken off first; holders get the rest.
+     *      Uses circulating supply (minted shares) so unsold shares don't get rewards.
+     *      If no shares are minted yet, the net deposit is queued (RewardsQueued) and
+     *      distributed when the first shares are minted.
+     */
+    function depositRewards(uint256 rigId) external payable onlyRole(REWARD_DEPOSITOR_ROLE) nonReentrant whenNotPaused {
+        uint256 gross = msg.value;
+        require(gross > 0, "no ETH sent");
+        Rig storage r = rigs[rigId];
+        require(r.active, "rig inactive");
+        require(r.totalShares > 0, "rig not found");
+
+        uint256 fee = _accrueFees(rigId, gross);
+        uint256 net = gross - fee;
+
+        // Track total reward deposited for holders
+        totalRewardETH += net;
+
+        if (totalSupply(rigId) == 0) {
+            queuedRewards[rigId] += net;
+            totalQueuedETH += net;
+            emit RewardsQueued(rigId, net, queuedRewards[rigId]);
+            return;
+        }
+
+        _distributeRewards(rigId, gross, fee);
+    }
+
+    /**
+     * @notice Claim all pending rewards for a given rig.
+     */
+    function claimRewards(uint256 rigId) external nonReentrant {
+        _settleAccount(msg.sender, rigId);
+
+        uint256 amount = pending[msg.sender][rigId];
+        require(amount > 0, "nothing to claim");
+        pending[msg.sender][rigId] = 0;
+        totalClaimedETH += amount;
+
+        (bool ok, ) = msg.sender.call{value: amount}("");
+        require(ok, "ETH transfer failed");
+
+        emit RewardsClaimed(rigId, msg.sender, amount);
+    }
+
+    /**
+     * @notice Claim pending rewards for several rigs in one ETH transfer.
+     * @dev Rigs with nothing pending are skipped; reverts if the total is zero.
+     *      Emits one RewardsClaimed per rig that paid out.
+     */
+    function claimMany(uint256[] calldata rigIds) external nonReentrant {
+        uint256 total = 0;
+
+        for (uint256 i = 0; i < rigIds.length; i++) {
+            uint256 rigId = rigIds[i];
+            _settleAccount(msg.sender, rigId);
+
+            uint256 amount = pending[msg.sender][rigId];
+            if (amount == 0) continue;
+            pending[msg.sender][rigId] = 0;
+            total += amount;
+
+            emit RewardsClaimed(rigId, msg.sender, amount);
+        }
+
+        require(total > 0, "nothing to claim");
+        totalClaimedETH += total;
+
+        (bool ok, ) = msg.sender.call{value: total}("");
+        require(ok, "ETH transfer failed");
+    }
+
+    /**
+     * @notice View helper: total claimable (pending + fresh) for a user/rig.
+     */
+    function claimable(address user, uint256 rigId) external view returns (uint256) {
+        Rig storage r = rigs[rigId];
+        if (r.totalShares == 0) return 0;
+
+        uint256 bal = balanceOf(user, rigId);
+        uint256 accrued = 0;
+        if (r.rewardPerShare > userRewardPerSharePaid[user][rigId] && bal > 0) {
+            accrued =
+                (bal * (r.rewardPerShare - userRewardPerSharePaid[user][rigId])) /
+                ACC_PRECISION;
+        }
+        return pending[user][rigId] + accrued;
+    }
+
+    // ---------------------------
+    // Rewards (ERC-20)
+    // ---------------------------
+
+    /**
+     * @notice Allow or disallow an ERC-20 token for reward deposits.
+     * @dev Disallowing only blocks new deposits; already deposited rewards stay claimable.
+     */
+    function setRewardToken(address token, bool allowed) external onlyRole(RIG_MANAGER_ROLE) {
+        require(token != address(0), "zero addr");
+        rewardTokenAllowed[token] = allowed;
+        emit RewardTokenUpdated(token, allowed);
+    }
+
+    /**
+     * @notice Deposit `amount` of an allow-listed ERC-20 as rewards to a rig.
+     *         The depositor must approve this contract for `amount` first.
+     * @dev Credits the amount actually received, so fee-on-transfer tokens don't over-credit.
+     */
+    function depositTokenRewards(uint256 rigId, address token, uint256 amount)
+        external
+        onlyRole(REWARD_DEPOSITOR_ROLE)
+        nonReentrant
+        whenNotPaused
+    {
+        require(amount > 0, "amount=0");
+        require(rewardTokenAllowed[token], "token not allowed");
+        Rig storage r = rigs[rigId];
+        require(r.active, "rig inactive");
+        require(r.totalShares > 0, "rig not found");
+
+        uint256 circulating = totalSupply(rigId);
+        require(circulating > 0, "no holders yet");
+
+        if (!_hasRewardToken(rigId, token)) {
+            require(_rigRewardTokens[rigId].length < MAX_REWARD_TOKENS_PER_RIG, "too many reward tokens");
+            _rigRewardTokens[rigId].push(token);
+        }
+
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        uint256 received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+
+        tokenRewardPerShare[rigId][token] += (received * ACC_PRECISION) / circulating;
+        totalTokenRewards[token] += received;
+
+        emit TokenRewardsDeposited(rigId, token, received, tokenRewardPerShare[rigId][token]);
+    }
+
+    /**
+     * @notice Claim all pending rewards of one ERC-20 token for a given rig.
+     */
+    function claimTokenRewards(uint256 rigId, address token) external nonReentrant {
+        _settleAccount(msg.sender, rigId);
+
+        uint256 amount = pendingToken[msg.sender][rigId][token];
+        require(amount > 0, "nothing to claim");
+        pendingToken[msg.sender][rigId][token] = 0;
+
+        IERC20(token).safeTransfer(msg.sender, amount);
+
+        emit TokenRewardsClaimed(rigId, token, msg.sender, amount);
+    }
+
+    /**
+     * @notice ERC-20 tokens that have been deposited as rewards to a rig.
+     */
+    function rigRewardTokens(uint256 rigId) external view returns (address[] memory) {
+        return _rigRewardTokens[rigId];
+    }
+
+    /**
+     * @notice View helper: total claimable (pending + fresh) of `token` for a user/rig.
+     */
+    function claimableToken(address user, uint256 rigId, address token) external view returns (uint256) {
+        uint256 last = userTokenRewardPerSharePaid[user][rigId][token];
+        uint256 current = tokenRewardPerShare[rigId][token];
+        uint256 accrued = 0;
+        if (current > last) {
+            accrued = (balanceOf(user, rigId) * (current - last)) / ACC_PRECISION;
+        }
+        return pendingToken[user][rigId][token] + accrued;
+    }
+
+    /**
+     * @notice Reconcile the contract's ETH balance against what it owes.
+     * @return balance        ETH held by the contract
+     * @return sales          withdrawable sales (totalSalesETH)
+     * @return unclaimed      distributed rewards not yet claimed, including per-holder rounding dust
+     * @return queued         rewards waiting for a rig's first holders
+     * @return buyback        treasurer-funded buyback ETH not yet paid out
+     * @return fees           operator/hosting fees not yet withdrawn
+     * @return surplus        ETH the accounting doesn't explain (e.g. force-sent); 0 when consistent
+     */
+    function reconcileETH()
+        external
+        view
+        returns (
+            uint256 balance,
+            uint256 sales,
+            uint256 unclaimed,
+            uint256 queued,
+            uint256 buyback,
+            uint256 fees,
+            uint256 surplus
+        )
+    {
+        balance = address(this).balance;
+        sales = totalSalesETH;
+        queued = totalQueuedETH;
+        buyback = totalBuybackETH;
+        fees = totalFeeETH;
+        unclaimed = totalRewardETH - totalClaimedETH - totalQueuedETH;
+        surplus = _surplusETH();
+    }
+
+    // ---------------------------
+    // Emergency pause & rescue
+    // ---------------------------
+
+    /**
+     * @notice Stop all mints, transfers, burns and reward deposits. Claims stay open.
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @notice Resume after a pause. Admin only, so a pauser key alone can't undo a pause.
+     */
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @notice Send ETH the accounting doesn't explain (reconcileETH's surplus) to `to`.
+     */
+    function rescueSurplusETH(address payable to) external onlyRole(TREASURER_ROLE) nonReentrant {
+        require(to != address(0), "zero addr");
+        uint256 amount = _surplusETH();
+        require(amount > 0, "no surplus");
+
+        (bool ok, ) = to.call{value: amount}("");
+        require(ok, "withdraw failed");
+
+        emit SurplusRescued(to, amount);
+    }
+
+    // ---------------------------
+    // Admin withdrawals
+    // ---------------------------
+
+    /**
+     * @notice Withdraw the caller's accrued operator/hosting fees to `to`.
+     */
+    function withdrawFees(address payable to) external nonReentrant {
+        require(to != address(0), "zero addr");
+        uint256 amount = feeBalances[msg.sender];
+        require(amount > 0, "no fees");
+        feeBalances[msg.sender] = 0;
+        totalFeeETH -= amount;
+
+        (bool ok, ) = to.call{value: amount}("");
+        require(ok, "withdraw failed");
+
+        emit FeesWithdrawn(msg.sender, to, amount);
+    }
+
+    function withdrawSales(address payable to, uint256 amount) external onlyRole(TREASURER_ROLE) nonReentrant {
+        require(to != address(0), "zero addr");
+        require(amount <= totalSalesETH, "exceeds sales");
+        totalSalesETH -= amount;
+
+        (bool ok, ) = to.call{value: amount}("");
+        require(ok, "withdraw failed");
+
+        emit SalesWithdrawn(to, amount);
+    }
+
+    // ---------------------------
+    // Refunds & buyback (burn)
+    // ---------------------------
+
+    /**
+     * @notice Set how long after buying a holder may return shares (applies to new purchases).
+     */
+    function setRefundWindow(uint256 rigId, uint256 windowSeconds) external onlyRole(RIG_MANAGER_ROLE) {
+        require(rigs[rigId].totalShares > 0, "rig not found");
+        refundWindow[rigId] = windowSeconds;
+        emit RefundWindowUpdated(rigId, windowSeconds);
+    }
+
+    /**
+     * @notice Return `amount` shares bought within the refund window at the price paid.
+     * @dev Burns the shares (rewards are settled first in _update); the refund comes out
+     *      of totalSalesETH, so it fails if the treasurer already withdrew those sales.
+     */
+    function refundShares(uint256 rigId, uint256 amount) external nonReentrant {
+        require(amount > 0, "amount=0");
+        RefundablePurchase storage p = refundablePurchases[msg.sender][rigId];
+        require(block.timestamp <= p.deadline, "refund window closed");
+        require(amount <= p.amount, "exceeds refundable");
+
+        uint256 refundWei = (p.paidWei * amount) / p.amount;
+        require(refundWei <= totalSalesETH, "exceeds sales");
+
+        p.amount -= amount;
+        p.paidWei -= refundWei;
+        totalSalesETH -= refundWei;
+
+        _burn(msg.sender, rigId, amount);
+
+        (bool ok, ) = msg.sender.call{value: refundWei}("");
+        require(ok, "ETH transfer failed");
+
+        emit SharesRefunded(rigId, msg.sender, amount, refundWei);
+    }
+
+    /**
+     * @notice Open or top up a buyback: holders can sell shares back at `pricePerShareWei`
+     *         until the funded ETH runs out or the treasurer closes it.
+     */
+    function openBuyback(uint256 rigId, uint256 pricePerShareWei) external payable onlyRole(TREASURER_ROLE) {
+        require(rigs[rigId].totalShares > 0, "rig not found");
+        require(pricePerShareWei > 0, "price=0");
+
+        buybackPrice[rigId] = pricePerShareWei;
+        buybackFunds[rigId] += msg.value;
+        totalBuybackETH += msg.value;
+
+        emit BuybackOpened(rigId, pricePerShareWei, buybackFunds[rigId]);
+    }
+
+    /**
+     * @notice Sell `amount` shares back at the buyback price. Shares are burned.
+     */
+    function sellBackShares(uint256 rigId, uint256 amount) external nonReentrant {
+        require(amount > 0, "amount=0");
+        uint256 price = buybackPrice[rigId];
+        require(price > 0, "no buyback");
+
+        uint256 payout = price * amount;
+        require(payout <= buybackFunds[rigId], "buyback underfunded");
+
+        buybackFunds[rigId] -= payout;
+        totalBuybackETH -= payout;
+
+        _burn(msg.sender, rigId, amount);
+
+        (bool ok, ) = msg.sender.call{value: payout}("");
+        require(ok, "ETH transfer failed");
+
+        emit SharesBoughtBack(rigId, msg.sender, amount, payout);
+    }
+
+    /**
+     * @notice Close a buyback and return its unspent funds to `to`.
+     */
+    function closeBuyback(uint256 rigId, address payable to) external onlyRole(TREASURER_ROLE) nonReentrant {
+        require(to != address(0), "zero addr");
+        require(buybackPrice[rigId] > 0, "no buyback");
+
+        uint256 remaining = buybackFunds[rigId];
+        buybackPrice[rigId] = 0;
+        buybackFunds[rigId] = 0;
+        totalBuybackETH -= remaining;
+
+        (bool ok, ) = to.call{value: remaining}("");
+        require(ok, "withdraw failed");
+
+        emit BuybackClosed(rigId, remaining);
+    }
+
+    // ---------------------------
+    // Internal reward settling
+    // ---------------------------
+
+    /**
+     * @dev Contract balance beyond everything owed (sales, unclaimed and queued rewards,
+     *      buyback funds and fees), e.g. from selfdestruct or coinbase transfers.
+     */
+    function _surplusETH() internal view returns (uint256) {
+        uint256 owed = totalSalesETH + (totalRewardETH - totalClaimedETH) + totalBuybackETH + totalFeeETH;
+        uint256 balance = address(this).balance;
+        return balance > owed ? balance - owed : 0;
+    }
+
+    /**
+     * @dev Credit the rig's operator and hosting fees on a `gross` deposit; returns the total fee.
+     */
+    function _accrueFees(uint256 rigId, uint256 gross) internal returns (uint256) {
+        RigFees storage f = rigFees[rigId];
+        uint256 operatorFee = (gross * f.operatorBps) / 10_000;
+        uint256 hostingFee = (gross * f.hostingBps) / 10_000;
+        if (operatorFee + hostingFee == 0) return 0;
+
+        feeBalances[operatorFeeRecipient] += operatorFee;
+        feeBalances[f.hostingRecipient] += hostingFee;
+        totalFeeETH += operatorFee + hostingFee;
+        return operatorFee + hostingFee;
+    }
+
+    /**
+     * @dev Spread `gross - fee` over circulating shares, carrying the division remainder
+     *      forward so no wei is stranded by integer rounding.
+     */
+    function _distributeRewards(uint256 rigId, uint256 gross, uint256 fee) internal {
+        Rig storage r = rigs[rigId];
+        uint256 circulating = totalSupply(rigId);
+        uint256 amount = gross - fee;
+
+        uint256 scaled = amount * ACC_PRECISION + rewardRemainder[rigId];
+        uint256 increment = scaled / circulating;
+        rewardRemainder[rigId] = scaled - increment * circulating;
+
+        // Increase cumulative reward-per-share
+        r.rewardPerShare += increment;
+
+        emit RewardsDeposited(rigId, gross, fee, amount, r.rewardPerShare);
+    }
+
+    /**
+     * @dev Settle pending rewards for `user` on `rigId` to keep accounting correct
+     *      before any balance change (buy, transfer, burn) or on claim.
+     */
+    function _settleAccount(address user, uint256 rigId) internal {
+        if (user == address(0)) return;
+        Rig storage r = rigs[rigId];
+        if (r.totalShares == 0) return;
+
+        uint256 bal = balanceOf(user, rigId);
+        uint256 last = userRewardPerSharePaid[user][rigId];
+        uint256 current = r.rewardPerShare;
+
+        if (current > last) {
+            if (bal > 0) {
+                uint256 delta = (bal * (current - last)) / ACC_PRECISION;
+                if (delta > 0) {
+                    pending[user][rigId] += delta;
+                }
+            }
+            userRewardPerSharePaid[user][rigId] = current;
+        }
+
+        // Same settlement for each ERC-20 reward token of this rig
+        address[] storage tokens = _rigRewardTokens[rigId];
+        for (uint256 i = 0; i < tokens.length; i++) {
+            address token = tokens[i];
+            uint256 lastToken = userTokenRewardPerSharePaid[user][rigId][token];
+            uint256 currentToken = tokenRewardPerShare[rigId][token];
+            if (currentToken > lastToken) {
+                if (bal > 0) {
+                    pendingToken[user][rigId][token] += (bal * (currentToken - lastToken)) / ACC_PRECISION;
+                }
+                userTokenRewardPerSharePaid[user][rigId][token] = currentToken;
+            }
+        }
+    }
+
+    function _hasRewardToken(uint256 rigId, address token) internal view returns (bool) {
+        address[] storage tokens = _rigRewardTokens[rigId];
+        for (uint256 i = 0; i < tokens.length; i++) {
+            if (tokens[i] == token) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @dev Hook for ERC1155Supply (OpenZeppelin v5): settle rewards for from/to
+     *      before the balances actually move so rewards stay correct across transfers.
+     */
+    function _update(
+        address from,
+        address to,
+        uint256[] memory ids,
+        uint256[] memory amounts
+    ) internal override(ERC1155, ERC1155Supply) {
+        // Mints (buys), transfers and burns (refunds, buybacks) all stop while paused
+        _requireNotPaused();
+
+        // Settle for all involved tokenIds before moving balances
+        for (uint256 i = 0; i < ids.length; i++) {
+            _settleAccount(from, ids[i]);
+            _settleAccount(to, ids[i]);
+        }
+        super._update(from, to, ids, amounts);
+
+        // Shares that leave the buyer's wallet are no longer refundable; keep the
+        // refundable amount (and what was paid for it) within the remaining balance
+        if (from != address(0)) {
+            for (uint256 i = 0; i < ids.length; i++) {
+                RefundablePurchase storage p = refundablePurchases[from][ids[i]];
+                uint256 bal = balanceOf(from, ids[i]);
+                if (p.amount > bal) {
+                    p.paidWei = (p.paidWei * bal) / p.amount;
+                    p.amount = bal;
+                }
+            }
+        }
+
+        // First mint after rewards were queued: release them to the new holders
+        if (from == address(0)) {
+            for (uint256 i = 0; i < ids.length; i++) {
+                uint256 queued = queuedRewards[ids[i]];
+                if (queued > 0) {
+                    queuedRewards[ids[i]] = 0;
+                    totalQueuedETH -= queued;
+                    // Fees were already taken when the rewards were queued
+                    _distributeRewards(ids[i], queued, 0);
+                }
+            }
+        }
+    }
+}
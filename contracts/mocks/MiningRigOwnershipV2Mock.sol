@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../MiningRigOwnership.sol";
+
+/**
+ * Test-only next version of MiningRigOwnership, to exercise upgrades.
+ */
+contract MiningRigOwnershipV2Mock is MiningRigOwnership {
+    constructor(address adminLogic_, address saleLogic_, address intentLogic_, address decommissionLogic_)
+        MiningRigOwnership(adminLogic_, saleLogic_, intentLogic_, decommissionLogic_)
+    {}
+
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+}
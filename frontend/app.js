@@ -1,32 +1,109 @@
-// Contract ABI - This is a simplified ABI with only the functions we need
-const contractABI = [
-    // Read functions
-    "function rigs(uint256) view returns (uint256 totalShares, uint256 pricePerShareWei, uint256 maxPerWallet, uint256 rewardPerShare, bool active)",
-    "function balanceOf(address account, uint256 id) view returns (uint256)",
-    "function claimable(address user, uint256 rigId) view returns (uint256)",
-    "function totalSupply(uint256 id) view returns (uint256)",
-    
-    // Write functions
-    "function buyShares(uint256 rigId, uint256 amount) payable",
-    "function claimRewards(uint256 rigId)",
-    
-    // Events
-    "event SharesPurchased(uint256 indexed rigId, address indexed buyer, uint256 amount, uint256 paidWei)",
-    "event RewardsClaimed(uint256 indexed rigId, address indexed user, uint256 amountWei)"
+// Contract ABIs by contract name, loaded from abi/<name>.json. `npx hardhat compile` writes
+// them from the Hardhat artifacts, so they always match the deployed contracts.
+const contractAbis = { MiningRigOwnership: null, RigShareMarket: null };
+
+// Minimal ERC-20 ABI for reward tokens
+const erc20ABI = [
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)"
 ];
 
-// Replace with your deployed contract address
-const contractAddress = "0x0000000000000000000000000000000000000000"; // Update after deployment
+// Contract roles by the short names used in index.html's data-role attributes
+const contractRoles = {
+    manager: { name: 'RIG_MANAGER_ROLE', label: 'Rig manager' },
+    depositor: { name: 'REWARD_DEPOSITOR_ROLE', label: 'Reward depositor' },
+    treasurer: { name: 'TREASURER_ROLE', label: 'Treasurer' },
+    pauser: { name: 'PAUSER_ROLE', label: 'Pauser' },
+    admin: { name: 'DEFAULT_ADMIN_ROLE', label: 'Admin' }
+};
+
+// Chains the app runs on, in the order read-only visitors try them. The fields are
+// wallet_addEthereumChain's; rpcUrls[0] also serves visitors without a wallet.
+const supportedChains = {
+    421614: {
+        chainName: 'Arbitrum Sepolia',
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        rpcUrls: ['https://sepolia-rollup.arbitrum.io/rpc'],
+        blockExplorerUrls: ['https://sepolia.arbiscan.io']
+    },
+    31337: {
+        chainName: 'Hardhat (local)',
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        rpcUrls: ['http://127.0.0.1:8545']
+    }
+};
+
+// Set from deployments/<chainId>.json (written by scripts/deploy.js and rig:sync)
+let contractAddress = null;
+
+// Block the contract was deployed in; rig discovery starts scanning logs here
+let deploymentBlock = 0;
+
+// Contents of the current chain's deployment manifest
+let deploymentManifest = null;
+
+// Max block range per eth_getLogs request (public RPCs reject larger ranges)
+const logPageSize = 10000;
+
+// Gateway used to fetch ipfs:// metadata and images
+const ipfsGateway = "https://ipfs.io/ipfs/";
+
+// Folder next to index.html with the <root>.json proof files of scripts/build-allowlist.js
+const allowlistDir = "allowlists/";
+
+// Sale phases by MiningRigStorage.SalePhase value
+const salePhases = ['Closed', 'Presale', 'Public'];
+
+// URL of the relayer service (relayer/), from the chain's deployment manifest. With a
+// relayer, claims and sponsored purchases are signed as EIP-712 intents instead of sent.
+let relayerUrl = null;
+
+// EIP-712 types of MiningRigIntents (same as relayer/intents.js)
+const intentTypes = {
+    PurchaseIntent: [
+        { name: 'buyer', type: 'address' },
+        { name: 'rigId', type: 'uint256' },
+        { name: 'amount', type: 'uint256' },
+        { name: 'maxCost', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ],
+    ClaimIntent: [
+        { name: 'holder', type: 'address' },
+        { name: 'rigIds', type: 'uint256[]' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+// How long a signed intent stays valid
+const intentLifetimeSeconds = 15 * 60;
 
 // Global variables
 let provider;
 let signer;
 let contract;
 let userAddress;
+let chainId;
 let rigs = [];
+let tokenInfoCache = {};
+let metadataCache = {};
+let blockTimeCache = {};
+let allowlistCache = {};
+let buySale = null;
+let portfolioHistory = { positions: [], transactions: [] };
+let userRoles = {};
+let contractPaused = false;
+let relayerConfig = null;
+let walletManager;
+let transactionTracker;
 
 // DOM Elements
 const connectWalletBtn = document.getElementById('connect-wallet');
+const disconnectWalletBtn = document.getElementById('disconnect-wallet');
+const walletChoices = document.getElementById('wallet-choices');
 const connectionStatus = document.getElementById('connection-status');
 const walletAddress = document.getElementById('wallet-address');
 const addressText = document.getElementById('address-text');
@@ -34,6 +111,19 @@ const rigsContainer = document.getElementById('rigs-container');
 const mySharesContainer = document.getElementById('my-shares-container');
 const noShares = document.getElementById('no-shares');
 const loadingRigs = document.getElementById('loading-rigs');
+const pausedBanner = document.getElementById('paused-banner');
+const networkBanner = document.getElementById('network-banner');
+const networkBannerText = document.getElementById('network-banner-text');
+const networkSwitchButtons = document.getElementById('network-switch-buttons');
+const feeEarnings = document.getElementById('fee-earnings');
+const feeEarningsBalance = document.getElementById('fee-earnings-balance');
+const withdrawFeesBtn = document.getElementById('withdraw-fees');
+const historyTab = document.getElementById('history-tab-btn');
+const historyContainer = document.getElementById('history-container');
+const refreshHistoryBtn = document.getElementById('refresh-history');
+const exportHistoryBtn = document.getElementById('export-history');
+const transactionsList = document.getElementById('transactions-list');
+const clearTransactionsBtn = document.getElementById('clear-transactions');
 
 // Modal elements
 const buySharesModal = new bootstrap.Modal(document.getElementById('buySharesModal'));
@@ -44,108 +134,499 @@ const sharePrice = document.getElementById('share-price');
 const sharesAmount = document.getElementById('shares-amount');
 const totalCost = document.getElementById('total-cost');
 const confirmBuy = document.getElementById('confirm-buy');
+const buyRigStatus = document.getElementById('buy-rig-status');
+const buySaleRound = document.getElementById('buy-sale-round');
+const buyPreflight = document.getElementById('buy-preflight');
+const buyLimitText = document.getElementById('buy-limit');
 const claimRigInfo = document.getElementById('claim-rig-info');
 const claimRigId = document.getElementById('claim-rig-id');
 const claimableAmount = document.getElementById('claimable-amount');
 const confirmClaim = document.getElementById('confirm-claim');
 
+// Admin elements
+const adminPanel = document.getElementById('admin-panel');
+const adminSalesBalance = document.getElementById('admin-sales-balance');
+const adminRewardBalance = document.getElementById('admin-reward-balance');
+const adminReconcile = document.getElementById('admin-reconcile');
+const adminRolesText = document.getElementById('admin-roles');
+const acceptAdminAlert = document.getElementById('accept-admin');
+const acceptAdminBtn = document.getElementById('accept-admin-btn');
+const pendingAdminText = document.getElementById('pending-admin');
+const pauseContractBtn = document.getElementById('pause-contract');
+const unpauseContractBtn = document.getElementById('unpause-contract');
+const rescueSurplusBtn = document.getElementById('rescue-surplus');
+const rolesForm = document.getElementById('roles-form');
+const adminTransferForm = document.getElementById('admin-transfer-form');
+const registerRigForm = document.getElementById('register-rig-form');
+const depositRewardsForm = document.getElementById('deposit-rewards-form');
+const withdrawSalesForm = document.getElementById('withdraw-sales-form');
+const manageRigForm = document.getElementById('manage-rig-form');
+const rigFeesForm = document.getElementById('rig-fees-form');
+const buybackForm = document.getElementById('buyback-form');
+
 // Initialize the app
 async function init() {
-    connectWalletBtn.addEventListener('click', connectWallet);
     sharesAmount.addEventListener('input', updateTotalCost);
     confirmBuy.addEventListener('click', buyShares);
     confirmClaim.addEventListener('click', claimRewards);
+    registerRigForm.addEventListener('submit', registerRig);
+    depositRewardsForm.addEventListener('submit', depositRewards);
+    withdrawSalesForm.addEventListener('submit', withdrawSales);
+    manageRigForm.addEventListener('submit', manageRig);
+    rigFeesForm.addEventListener('submit', setRigFees);
+    withdrawFeesBtn.addEventListener('click', withdrawFees);
+    buybackForm.addEventListener('submit', manageBuyback);
+    rolesForm.addEventListener('submit', manageRoles);
+    adminTransferForm.addEventListener('submit', manageAdminTransfer);
+    acceptAdminBtn.addEventListener('click', acceptAdminRole);
+    pauseContractBtn.addEventListener('click', () => setContractPaused(true));
+    unpauseContractBtn.addEventListener('click', () => setContractPaused(false));
+    rescueSurplusBtn.addEventListener('click', rescueSurplus);
+    historyTab.addEventListener('shown.bs.tab', loadHistory);
+    refreshHistoryBtn.addEventListener('click', loadHistory);
+    exportHistoryBtn.addEventListener('click', exportHistoryCsv);
+    
+    // ABIs first: nothing can be read without them
+    try {
+        await loadContractAbis();
+    } catch (error) {
+        showNotification("Could not load the contract ABIs. Run `npx hardhat compile` to write frontend/abi/.", "danger");
+        console.error("Error loading ABIs:", error);
+        return;
+    }
+    
+    // Transactions sent from this browser, kept per account and chain
+    transactionTracker = createTransactionTracker();
+    transactionTracker.on('change', displayTransactions);
+    clearTransactionsBtn.addEventListener('click', () => transactionTracker.clear());
     
-    // Check if MetaMask is installed
-    if (window.ethereum) {
-        provider = new ethers.providers.Web3Provider(window.ethereum);
+    // Every injected wallet (EIP-6963); account and chain changes rebind the page in place
+    walletManager = createWalletManager();
+    walletManager.on('accountsChanged', useWallet);
+    walletManager.on('chainChanged', useWallet);
+    walletManager.on('disconnect', handleWalletDisconnected);
+    connectWalletBtn.addEventListener('click', chooseWallet);
+    disconnectWalletBtn.addEventListener('click', disconnectWallet);
+    
+    // Reconnect the wallet chosen on an earlier visit if it's still authorized
+    const wallets = await walletManager.discover();
+    try {
+        if (await walletManager.restore()) {
+            await useWallet();
+            return;
+        }
+    } catch (error) {
+        console.error("Error restoring the wallet connection:", error);
+    }
+    await browseReadOnly();
+    if (wallets.length === 0) connectionStatus.textContent = `No wallet found. ${connectionStatus.textContent}`;
+}
+
+// Load abi/<name>.json for every contract in contractAbis
+async function loadContractAbis() {
+    for (const name of Object.keys(contractAbis)) {
+        const response = await fetch(`abi/${name}.json`, { cache: 'no-cache' });
+        if (!response.ok) throw new Error(`abi/${name}.json: HTTP ${response.status}`);
+        contractAbis[name] = await response.json();
+    }
+}
+
+// Load deployments/<chainId>.json next to index.html; false if the chain has no deployment
+async function loadDeploymentManifest(id) {
+    try {
+        const response = await fetch(`deployments/${id}.json`, { cache: 'no-cache' });
+        if (!response.ok) return false;
+        
+        deploymentManifest = await response.json();
+        contractAddress = deploymentManifest.MiningRigOwnership.address;
+        deploymentBlock = deploymentManifest.MiningRigOwnership.blockNumber || 0;
+        // Each chain has its own relayer, or none: intents must never go to another chain's
+        relayerUrl = deploymentManifest.relayerUrl || null;
+        relayerConfig = null;
+        return true;
+    } catch (error) {
+        console.warn(`No deployment manifest for chain ${id}:`, error);
+        return false;
+    }
+}
+
+// Show the rigs of the first supported chain with a deployment through its public RPC,
+// for visitors without a wallet or not connected yet. Buying and claiming need a wallet.
+async function browseReadOnly() {
+    for (const id of Object.keys(supportedChains).map(Number)) {
+        if (!(await loadDeploymentManifest(id))) continue;
         
-        // Check if already connected
         try {
-            const accounts = await provider.listAccounts();
-            if (accounts.length > 0) {
-                await connectWallet();
-            }
+            if (contract) contract.removeAllListeners();
+            chainId = id;
+            provider = new ethers.providers.JsonRpcProvider(supportedChains[id].rpcUrls[0], id);
+            contract = new ethers.Contract(contractAddress, contractAbis.MiningRigOwnership, provider);
+            connectionStatus.textContent = `Not connected (browsing ${supportedChains[id].chainName} read-only)`;
+            
+            await loadPauseState();
+            await loadRigs();
+            watchContract();
         } catch (error) {
-            console.error("Error checking connection:", error);
+            showNotification(`Error reading ${supportedChains[id].chainName}: ${error.message}`, "danger");
+            console.error("Error browsing read-only:", error);
         }
-    } else {
-        connectionStatus.textContent = "MetaMask not installed";
-        connectWalletBtn.textContent = "Install MetaMask";
-        connectWalletBtn.addEventListener('click', () => {
-            window.open("https://metamask.io/download.html", "_blank");
-        });
+        return;
+    }
+    
+    loadingRigs.style.display = 'none';
+    rigsContainer.innerHTML = '<p class="text-muted">No deployment found. Run scripts/deploy.js or rig:frontend to write deployments/&lt;chainId&gt;.json.</p>';
+}
+
+// Connect the only wallet found, or list them all to pick from
+function chooseWallet() {
+    const wallets = walletManager.wallets;
+    if (wallets.length === 0) {
+        showNotification("No browser wallet found. Install one (e.g. MetaMask, Rabby or Coinbase Wallet) and reload.", "warning");
+        return;
+    }
+    if (wallets.length === 1) {
+        connectWallet(wallets[0].info.rdns);
+        return;
+    }
+    
+    // EIP-6963 icons are data URIs; anything else is dropped
+    walletChoices.innerHTML = wallets.map(({ info }) => `
+        <button class="btn btn-outline-primary btn-sm me-2 mb-2 wallet-choice-btn" data-rdns="${escapeHtml(info.rdns)}">
+            ${info.icon.startsWith('data:image/') ? `<img src="${escapeHtml(info.icon)}" alt="" width="20" height="20" class="me-1">` : ''}${escapeHtml(info.name)}
+        </button>
+    `).join('');
+    walletChoices.querySelectorAll('.wallet-choice-btn').forEach(btn => {
+        btn.addEventListener('click', () => connectWallet(btn.getAttribute('data-rdns')));
+    });
+    walletChoices.classList.remove('d-none');
+}
+
+// Connect a wallet by its EIP-6963 rdns; the wallet layer remembers it for the next visit
+async function connectWallet(rdns) {
+    walletChoices.classList.add('d-none');
+    try {
+        await walletManager.connect(rdns);
+        await useWallet();
+    } catch (error) {
+        // 4001: the user closed the wallet's prompt
+        if (error.code === 4001) return;
+        showNotification("Error connecting wallet: " + friendlyError(error), "danger");
+        console.error("Error connecting wallet:", error);
     }
 }
 
-// Connect wallet function
-async function connectWallet() {
+// Bind the page to the connected wallet's current account and chain. Runs on connect and
+// again whenever the wallet switches either, instead of reloading the page.
+async function useWallet() {
+    const walletChainId = walletManager.chainId;
+    
+    // Only use the wallet on a supported chain the contract is deployed to
+    if (!supportedChains[walletChainId] || !(await loadDeploymentManifest(walletChainId))) {
+        clearWalletSession();
+        showNetworkGuard(walletChainId);
+        await browseReadOnly();
+        return;
+    }
+    networkBanner.classList.add('d-none');
+    
     try {
-        await window.ethereum.request({ method: 'eth_requestAccounts' });
-        provider = new ethers.providers.Web3Provider(window.ethereum);
-        signer = provider.getSigner();
-        userAddress = await signer.getAddress();
+        // A new provider per chain: ethers' Web3Provider refuses to follow network changes
+        provider = new ethers.providers.Web3Provider(walletManager.provider);
+        userAddress = ethers.utils.getAddress(walletManager.accounts[0]);
+        signer = provider.getSigner(userAddress);
+        chainId = walletChainId;
+        resetPortfolioHistory();
+        transactionTracker.open(chainId, userAddress, provider);
         
         // Update UI
-        connectionStatus.textContent = "Connected";
+        connectionStatus.textContent = `Connected to ${supportedChains[chainId].chainName} with ${walletManager.wallet.info.name}`;
         walletAddress.classList.remove('d-none');
         addressText.textContent = `${userAddress.substring(0, 6)}...${userAddress.substring(userAddress.length - 4)}`;
+        connectWalletBtn.textContent = "Wallet Connected";
+        connectWalletBtn.disabled = true;
+        disconnectWalletBtn.classList.remove('d-none');
         
-        // Initialize contract
-        contract = new ethers.Contract(contractAddress, contractABI, signer);
+        // Initialize contract, replacing the previous one
+        if (contract) contract.removeAllListeners();
+        contract = new ethers.Contract(contractAddress, contractAbis.MiningRigOwnership, signer);
         
         // Load data
+        await loadRelayerConfig();
+        await loadPauseState();
         await loadRigs();
         await loadUserShares();
-        
-        // Setup event listeners for network changes
-        window.ethereum.on('accountsChanged', handleAccountsChanged);
-        window.ethereum.on('chainChanged', () => window.location.reload());
-        
-        connectWalletBtn.textContent = "Wallet Connected";
-        connectWalletBtn.disabled = true;
+        await loadFeeEarnings();
+        await loadAdminPanel();
+        await initMarket();
+        watchContract();
+        if (historyTab.classList.contains('active')) await loadHistory();
     } catch (error) {
-        showNotification("Error connecting wallet: " + error.message, "danger");
+        showNotification("Error connecting wallet: " + friendlyError(error), "danger");
         console.error("Error connecting wallet:", error);
     }
 }
 
-// Handle account changes
-async function handleAccountsChanged(accounts) {
-    if (accounts.length === 0) {
-        // User disconnected their wallet
-        window.location.reload();
-    } else if (accounts[0] !== userAddress) {
-        // User switched accounts
-        window.location.reload();
+// Drop everything tied to the connected account and show the page as for a visitor
+function clearWalletSession() {
+    signer = null;
+    userAddress = null;
+    userRoles = {};
+    relayerConfig = null;
+    resetPortfolioHistory();
+    transactionTracker.close();
+    closeMarket();
+    
+    connectionStatus.textContent = "Not connected";
+    walletAddress.classList.add('d-none');
+    connectWalletBtn.textContent = "Connect Wallet";
+    connectWalletBtn.disabled = false;
+    disconnectWalletBtn.classList.add('d-none');
+    mySharesContainer.innerHTML = '<p class="text-muted">Connect your wallet to view your shares</p>';
+    feeEarnings.classList.add('d-none');
+    adminPanel.classList.add('d-none');
+}
+
+function resetPortfolioHistory() {
+    portfolioHistory = { positions: [], transactions: [] };
+    historyContainer.innerHTML = '<p class="text-muted">Connect your wallet to view your history</p>';
+}
+
+// The wallet locked or revoked the site: keep browsing read-only
+async function handleWalletDisconnected() {
+    clearWalletSession();
+    networkBanner.classList.add('d-none');
+    await browseReadOnly();
+}
+
+// Stop using the wallet here and forget it for the next visit
+async function disconnectWallet() {
+    walletManager.disconnect();
+    await handleWalletDisconnected();
+}
+
+// Keep the rig list, cards and buy modal in sync with the contract's events
+function watchContract() {
+    // Pick up rigs registered while the page is open
+    contract.on('RigRegistered', handleRigRegistered);
+    
+    // Keep cards and the buy modal in sync with owner lifecycle changes
+    contract.on('RigDeactivated', handleRigUpdated);
+    contract.on('RigReactivated', handleRigUpdated);
+    contract.on('RigDecommissioned', handleRigUpdated);
+    contract.on('RigPriceUpdated', handleRigUpdated);
+    contract.on('RigTotalSharesUpdated', handleRigUpdated);
+    contract.on('URI', (value, id) => handleRigUpdated(id));
+    contract.on('SaleRoundsUpdated', handleRigUpdated);
+    contract.on('AllowlistRootUpdated', handleRigUpdated);
+    
+    // Remaining shares and wallet allowances move with every purchase, transfer and burn
+    contract.on('SharesPurchased', handleSharesMoved);
+    contract.on('TransferSingle', (operator, from, to, id) => handleSharesMoved(id));
+    
+    // Show or clear the paused banner as soon as the circuit breaker flips
+    contract.on('Paused', handlePauseChanged);
+    contract.on('Unpaused', handlePauseChanged);
+}
+
+// Tell the user the wallet is on a chain without a deployment and offer to switch
+function showNetworkGuard(walletChainId) {
+    const name = supportedChains[walletChainId] ? supportedChains[walletChainId].chainName : `chain ${walletChainId}`;
+    networkBannerText.textContent = `Your wallet is on ${name}, where the contract isn't deployed. Switch networks to buy and claim.`;
+    networkSwitchButtons.innerHTML = Object.entries(supportedChains)
+        .filter(([id]) => Number(id) !== walletChainId)
+        .map(([id, chain]) => `<button class="btn btn-sm btn-outline-dark me-2 switch-chain-btn" data-chain-id="${id}">Switch to ${escapeHtml(chain.chainName)}</button>`)
+        .join('');
+    networkSwitchButtons.querySelectorAll('.switch-chain-btn').forEach(btn => {
+        btn.addEventListener('click', () => switchChain(Number(btn.getAttribute('data-chain-id'))));
+    });
+    networkBanner.classList.remove('d-none');
+}
+
+// Ask the wallet to switch to a supported chain, adding it first if the wallet doesn't
+// know it. The wallet's chainChanged then rebinds the page.
+async function switchChain(id) {
+    const hexId = ethers.utils.hexValue(id);
+    const wallet = walletManager.provider;
+    try {
+        await wallet.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: hexId }] });
+    } catch (error) {
+        // 4902: unrecognized chain (some wallets nest the code)
+        const code = error.code === 4902 ? 4902 : error.data && error.data.originalError && error.data.originalError.code;
+        if (code !== 4902) {
+            if (error.code !== 4001) showNotification("Error switching networks: " + friendlyError(error), "danger");
+            return;
+        }
+        try {
+            await wallet.request({ method: 'wallet_addEthereumChain', params: [{ chainId: hexId, ...supportedChains[id] }] });
+        } catch (addError) {
+            if (addError.code !== 4001) showNotification("Error adding the network: " + addError.message, "danger");
+        }
+    }
+}
+
+// Read the global pause flag and update the banner
+async function loadPauseState() {
+    contractPaused = await contract.paused();
+    pausedBanner.classList.toggle('d-none', !contractPaused);
+}
+
+async function handlePauseChanged() {
+    await loadPauseState();
+    displayRigs();
+    if (typeof displayListings === 'function' && market) displayListings();
+    if (!adminPanel.classList.contains('d-none')) await loadAdminPanel();
+}
+
+// Key for the rig catalogue cache, scoped to chain and contract
+function rigCacheKey() {
+    return `rigCatalogue:${chainId}:${contractAddress.toLowerCase()}`;
+}
+
+// Read the cached rig catalogue ({ lastBlock, rigs: [{ id, name }] })
+function readRigCache() {
+    try {
+        const cached = JSON.parse(localStorage.getItem(rigCacheKey()));
+        if (cached && Array.isArray(cached.rigs)) return cached;
+    } catch (error) {
+        console.error("Error reading rig cache:", error);
+    }
+    return { lastBlock: deploymentBlock - 1, rigs: [] };
+}
+
+function writeRigCache(cache) {
+    try {
+        localStorage.setItem(rigCacheKey(), JSON.stringify(cache));
+    } catch (error) {
+        console.error("Error writing rig cache:", error);
+    }
+}
+
+// Run queryFilter in pages of logPageSize blocks
+async function queryFilterPaged(target, filter, fromBlock, toBlock) {
+    const events = [];
+    
+    for (let start = fromBlock; start <= toBlock; start += logPageSize) {
+        const end = Math.min(start + logPageSize - 1, toBlock);
+        events.push(...await target.queryFilter(filter, start, end));
+    }
+    
+    return events;
+}
+
+// Fetch RigRegistered logs between two blocks
+async function fetchRegisteredRigs(fromBlock, toBlock) {
+    const events = await queryFilterPaged(contract, contract.filters.RigRegistered(), fromBlock, toBlock);
+    return events.map(event => ({ id: event.args.rigId.toString(), name: event.args.name }));
+}
+
+// Build the rig catalogue from RigRegistered events, resuming from the cache
+async function syncRigCatalogue() {
+    const cache = readRigCache();
+    const latestBlock = await provider.getBlockNumber();
+    const fromBlock = Math.max(cache.lastBlock + 1, deploymentBlock);
+    
+    if (fromBlock <= latestBlock) {
+        const registered = await fetchRegisteredRigs(fromBlock, latestBlock);
+        registered.forEach(rig => {
+            if (!cache.rigs.some(r => r.id === rig.id)) cache.rigs.push(rig);
+        });
+        cache.lastBlock = latestBlock;
+        writeRigCache(cache);
+    }
+    
+    return cache.rigs;
+}
+
+// Read the current on-chain state of a catalogued rig
+async function fetchRig(entry) {
+    const [rigData, fees, decommission, { minted, held }] = await Promise.all([
+        contract.rigs(entry.id),
+        contract.rigFees(entry.id),
+        // Deployments from before decommissioning have no decommissions()
+        contract.decommissions(entry.id).catch(() => null),
+        loadSupply(contract, userAddress, entry.id)
+    ]);
+    return {
+        id: entry.id,
+        name: rigData.name || entry.name,
+        totalShares: rigData.totalShares.toString(),
+        pricePerShareWei: rigData.pricePerShareWei,
+        maxPerWallet: rigData.maxPerWallet.toString(),
+        minted,
+        // The connected wallet's balance; null when browsing read-only
+        held,
+        active: rigData.active,
+        operatorBps: fees.operatorBps,
+        hostingBps: fees.hostingBps,
+        decommission: decommission && decommission.decommissionedAt.gt(0) ? decommission : null,
+        metadata: await loadRigMetadata(entry.id)
+    };
+}
+
+// Turn ipfs:// links into gateway URLs; other schemes pass through
+function resolveUri(uri) {
+    return uri.startsWith('ipfs://') ? ipfsGateway + uri.slice('ipfs://'.length) : uri;
+}
+
+// Fetch and cache a rig's ERC-1155 metadata JSON; null if unset or unreachable
+async function loadRigMetadata(id) {
+    try {
+        const uri = await contract.uri(id);
+        if (!uri) return null;
+        
+        // ERC-1155: clients replace {id} with the 64-char lowercase hex token ID
+        const hexId = ethers.utils.hexZeroPad(ethers.BigNumber.from(id).toHexString(), 32).slice(2);
+        const url = resolveUri(uri.replace('{id}', hexId));
+        
+        if (!metadataCache[url]) {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            metadataCache[url] = await response.json();
+        }
+        return metadataCache[url];
+    } catch (error) {
+        console.error(`Error loading metadata for rig ${id}:`, error);
+        return null;
     }
 }
 
+// Metadata image and properties for a rig card
+function renderRigMetadata(metadata) {
+    if (!metadata) return { image: '', details: '' };
+    
+    const props = metadata.properties || {};
+    const image = metadata.image && /^(https?|ipfs):\/\//.test(metadata.image)
+        ? `<img src="${escapeHtml(resolveUri(metadata.image))}" class="card-img-top" alt="${escapeHtml(metadata.name || '')}">`
+        : '';
+    
+    const rows = [
+        ['Hash Rate', props.hashRate],
+        ['Location', props.location],
+        ['Coin Mined', props.coinMined]
+    ].filter(([, value]) => value);
+    const details = rows.map(([label, value]) => `<p class="card-text">${label}: ${escapeHtml(String(value))}</p>`).join('');
+    
+    return {
+        image,
+        details: (metadata.description ? `<p class="card-text small text-muted">${escapeHtml(metadata.description)}</p>` : '') + details
+    };
+}
+
 // Load available rigs
 async function loadRigs() {
     try {
-        // In a real app, you would query events or have an API to get all rig IDs
-        // For this demo, we'll assume rigs with IDs 1, 2, and 3 exist
-        const rigIds = [1, 2, 3];
+        const catalogue = await syncRigCatalogue();
         rigs = [];
         
-        for (const id of rigIds) {
+        for (const entry of catalogue) {
             try {
-                const rigData = await contract.rigs(id);
-                if (rigData.totalShares.gt(0)) { // Only show rigs that exist
-                    rigs.push({
-                        id: id,
-                        totalShares: rigData.totalShares.toString(),
-                        pricePerShareWei: rigData.pricePerShareWei,
-                        maxPerWallet: rigData.maxPerWallet.toString(),
-                        active: rigData.active
-                    });
-                }
+                rigs.push(await fetchRig(entry));
             } catch (error) {
-                console.error(`Error loading rig ${id}:`, error);
+                console.error(`Error loading rig ${entry.id}:`, error);
             }
         }
         
+        rigs.sort((a, b) => ethers.BigNumber.from(a.id).lt(b.id) ? -1 : 1);
         displayRigs();
     } catch (error) {
         showNotification("Error loading rigs: " + error.message, "danger");
@@ -153,6 +634,84 @@ async function loadRigs() {
     }
 }
 
+// Live handler for rigs registered after the page loaded
+async function handleRigRegistered(rigIdValue, name, totalShares, pricePerShareWei, maxPerWallet, event) {
+    const entry = { id: rigIdValue.toString(), name };
+    if (rigs.some(r => r.id === entry.id)) return;
+    
+    const cache = readRigCache();
+    if (!cache.rigs.some(r => r.id === entry.id)) cache.rigs.push(entry);
+    cache.lastBlock = Math.max(cache.lastBlock, event.blockNumber);
+    writeRigCache(cache);
+    
+    try {
+        rigs.push(await fetchRig(entry));
+        displayRigs();
+    } catch (error) {
+        console.error(`Error loading rig ${entry.id}:`, error);
+    }
+}
+
+// Live handler for pause/resume, price and share-cap changes
+async function handleRigUpdated(rigIdValue) {
+    const id = rigIdValue.toString();
+    const index = rigs.findIndex(r => r.id === id);
+    if (index === -1) return;
+    
+    try {
+        rigs[index] = await fetchRig(rigs[index]);
+        displayRigs();
+        if (rigId.value === id) refreshBuyModal(rigs[index]);
+    } catch (error) {
+        console.error(`Error refreshing rig ${id}:`, error);
+    }
+}
+
+// Rigs with a supply refresh queued: a purchase emits both SharesPurchased and
+// TransferSingle, and one poll can deliver a block's worth of events
+const queuedSupplyRefreshes = new Set();
+
+// Live handler for purchases, transfers, refunds and redemptions
+function handleSharesMoved(rigIdValue) {
+    const id = rigIdValue.toString();
+    if (queuedSupplyRefreshes.has(id)) return;
+    queuedSupplyRefreshes.add(id);
+    setTimeout(() => {
+        queuedSupplyRefreshes.delete(id);
+        refreshRigSupply(id);
+    }, 0);
+}
+
+// Re-read a rig's minted supply and the wallet's balance, then redraw its card and the buy modal
+async function refreshRigSupply(id) {
+    const rig = rigs.find(r => r.id === id);
+    if (!rig) return;
+    
+    try {
+        ({ minted: rig.minted, held: rig.held } = await loadSupply(contract, userAddress, id));
+        displayRigs();
+        if (rigId.value === id) refreshBuyModal(rig);
+    } catch (error) {
+        console.error(`Error refreshing the supply of rig ${id}:`, error);
+    }
+}
+
+// Display name for a rig, falling back to its ID
+function rigLabel(id) {
+    const rig = rigs.find(r => r.id == id);
+    return rig && rig.name ? rig.name : `Mining Rig #${id}`;
+}
+
+// Escape text before inserting it into innerHTML (safe in attributes too)
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // Display rigs in the UI
 function displayRigs() {
     loadingRigs.style.display = 'none';
@@ -164,23 +723,37 @@ function displayRigs() {
     }
     
     rigs.forEach(rig => {
-        const available = rig.active ? 'Available' : 'Not Available';
-        const availableClass = rig.active ? 'text-success' : 'text-danger';
+        const remaining = remainingShares(rig);
+        const soldOut = remaining.lte(0);
+        const capLeft = walletCapLeft(rig);
+        const available = rig.decommission ? 'Decommissioned' : !rig.active ? 'Not Available' : soldOut ? 'Sold Out' : 'Available';
+        const availableClass = rig.decommission || (rig.active && soldOut) ? 'text-secondary' : rig.active ? 'text-success' : 'text-danger';
         const priceInEth = ethers.utils.formatEther(rig.pricePerShareWei);
+        const soldPercent = rig.totalShares === '0' ? 0 : rig.minted.mul(100).div(rig.totalShares).toNumber();
+        const allowance = capLeft ? ` (you can buy ${capLeft} more)` : '';
+        const canBuy = rig.active && !contractPaused && !soldOut && !(capLeft && capLeft.eq(0));
         
         const rigCard = document.createElement('div');
         rigCard.className = 'col-md-4 mb-3';
+        const metadata = renderRigMetadata(rig.metadata);
         rigCard.innerHTML = `
             <div class="card rig-card h-100">
+                ${metadata.image}
                 <div class="card-body">
-                    <h5 class="card-title">Mining Rig #${rig.id}</h5>
-                    <p class="card-text">Total Shares: ${rig.totalShares}</p>
+                    <h5 class="card-title">${escapeHtml(rigLabel(rig.id))}</h5>
+                    <p class="card-text text-muted">Rig ID: ${rig.id}</p>
+                    ${metadata.details}
+                    <p class="card-text mb-1">Remaining: ${remaining} of ${rig.totalShares} shares</p>
+                    <div class="progress mb-3" role="progressbar" aria-label="Shares sold" aria-valuenow="${soldPercent}" aria-valuemin="0" aria-valuemax="100">
+                        <div class="progress-bar" style="width: ${soldPercent}%">${soldPercent}% sold</div>
+                    </div>
                     <p class="card-text">Price per Share: ${priceInEth} ETH</p>
-                    <p class="card-text">Max per Wallet: ${rig.maxPerWallet === '0' ? 'No Limit' : rig.maxPerWallet}</p>
+                    <p class="card-text">Max per Wallet: ${rig.maxPerWallet === '0' ? 'No Limit' : rig.maxPerWallet}${allowance}</p>
+                    <p class="card-text">Fees: ${formatFees(rig)}</p>
                     <p class="card-text">Status: <span class="${availableClass}">${available}</span></p>
                 </div>
                 <div class="card-footer">
-                    <button class="btn btn-primary buy-btn" data-rig-id="${rig.id}" ${!rig.active ? 'disabled' : ''}>Buy Shares</button>
+                    <button class="btn btn-primary buy-btn" data-rig-id="${rig.id}" ${canBuy ? '' : 'disabled'}>Buy Shares</button>
                 </div>
             </div>
         `;
@@ -194,6 +767,20 @@ function displayRigs() {
     });
 }
 
+// Basis points as a percentage, e.g. 250 -> "2.5%"
+function formatBps(bps) {
+    return `${bps / 100}%`;
+}
+
+// Operator + hosting fees on ETH rewards and what holders keep
+function formatFees(rig) {
+    const total = rig.operatorBps + rig.hostingBps;
+    if (total === 0) return 'None (holders receive 100% of ETH rewards)';
+    const parts = [`${formatBps(rig.operatorBps)} operator`];
+    if (rig.hostingBps > 0) parts.push(`${formatBps(rig.hostingBps)} hosting`);
+    return `${parts.join(' + ')} (holders receive ${formatBps(10000 - total)} of ETH rewards)`;
+}
+
 // Load user's shares
 async function loadUserShares() {
     if (!contract || !userAddress) return;
@@ -204,17 +791,24 @@ async function loadUserShares() {
         
         const userShares = [];
         
-        for (const rig of rigs) {
-            const balance = await contract.balanceOf(userAddress, rig.id);
-            if (balance.gt(0)) {
-                const claimableRewards = await contract.claimable(userAddress, rig.id);
-                userShares.push({
-                    rigId: rig.id,
-                    shares: balance.toString(),
-                    claimable: claimableRewards
-                });
-                hasShares = true;
-            }
+        // Rigs sold out of with ETH or token rewards left stay listed, so those rewards can be claimed
+        const holdings = await loadHoldings(contract, userAddress, rigs.map(rig => rig.id));
+        for (const { rigId: id, balance, claimable: claimableRewards, tokenRewards } of holdings) {
+            const rig = rigs.find(r => r.id === id);
+            userShares.push({
+                rigId: id,
+                shares: balance.toString(),
+                claimable: claimableRewards,
+                tokenRewards: await loadTokenRewards(tokenRewards),
+                refund: await contract.refundablePurchases(userAddress, id),
+                buybackPrice: await contract.buybackPrice(id),
+                // Salvage plus every pending ETH reward, paid out by redeemShares
+                redeemWei: rig.decommission && balance.gt(0)
+                    ? rig.decommission.salvagePerShare.mul(balance).add(claimableRewards)
+                    : null,
+                redeemDeadline: rig.decommission ? rig.decommission.redeemDeadline.toNumber() : null
+            });
+            hasShares = true;
         }
         
         displayUserShares(userShares, hasShares);
@@ -224,6 +818,22 @@ async function loadUserShares() {
     }
 }
 
+// Symbol and decimals for an ERC-20 reward token, cached per address
+async function getTokenInfo(address) {
+    const key = address.toLowerCase();
+    if (!tokenInfoCache[key]) {
+        const token = new ethers.Contract(address, erc20ABI, provider);
+        const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+        tokenInfoCache[key] = { address, symbol, decimals };
+    }
+    return tokenInfoCache[key];
+}
+
+// A holding's claimable ERC-20 rewards with each token's symbol and decimals
+async function loadTokenRewards(tokenRewards) {
+    return Promise.all(tokenRewards.map(async ({ token, amount }) => ({ ...(await getTokenInfo(token)), amount })));
+}
+
 // Display user's shares in the UI
 function displayUserShares(userShares, hasShares) {
     mySharesContainer.innerHTML = '';
@@ -238,9 +848,11 @@ function displayUserShares(userShares, hasShares) {
     table.innerHTML = `
         <thead>
             <tr>
-                <th>Rig ID</th>
+                <th>Rig</th>
                 <th>Shares Owned</th>
                 <th>Claimable Rewards</th>
+                <th>Token Rewards</th>
+                <th>Refund</th>
                 <th>Actions</th>
             </tr>
         </thead>
@@ -254,72 +866,299 @@ function displayUserShares(userShares, hasShares) {
         const claimableEth = ethers.utils.formatEther(share.claimable);
         const row = document.createElement('tr');
         row.innerHTML = `
-            <td>Mining Rig #${share.rigId}</td>
+            <td>${escapeHtml(rigLabel(share.rigId))}</td>
             <td>${share.shares}</td>
             <td>${claimableEth} ETH</td>
+            <td>${renderTokenRewards(share)}</td>
+            <td>${renderRefund(share)}</td>
             <td>
                 <button class="btn btn-success btn-sm claim-btn" data-rig-id="${share.rigId}" ${share.claimable.eq(0) ? 'disabled' : ''}>Claim</button>
+                ${share.buybackPrice.gt(0) && share.shares !== '0' ? `<button class="btn btn-outline-primary btn-sm sell-back-btn mt-1" data-rig-id="${share.rigId}">Sell back @ ${ethers.utils.formatEther(share.buybackPrice)} ETH</button>` : ''}
+                ${renderRedeem(share)}
             </td>
         `;
         tableBody.appendChild(row);
     });
     
+    // Summed claimable across every rig, claimed in one transaction
+    const claimableShares = userShares.filter(share => share.claimable.gt(0));
+    const totalClaimable = claimableShares.reduce((sum, share) => sum.add(share.claimable), ethers.constants.Zero);
+    const footer = document.createElement('div');
+    footer.className = 'd-flex justify-content-between align-items-center';
+    footer.innerHTML = `
+        <span>Total claimable: <strong>${ethers.utils.formatEther(totalClaimable)} ETH</strong></span>
+        <button id="claim-all-btn" class="btn btn-success" ${claimableShares.length === 0 ? 'disabled' : ''}>Claim all</button>
+    `;
+    mySharesContainer.appendChild(footer);
+    
     // Add event listeners to claim buttons
     document.querySelectorAll('.claim-btn').forEach(btn => {
         btn.addEventListener('click', openClaimModal);
     });
+    document.querySelectorAll('.claim-token-btn').forEach(btn => {
+        btn.addEventListener('click', claimTokenRewards);
+    });
+    document.querySelectorAll('.refund-btn').forEach(btn => {
+        btn.addEventListener('click', () => refundShares(userShares.find(s => s.rigId === btn.getAttribute('data-rig-id'))));
+    });
+    document.querySelectorAll('.sell-back-btn').forEach(btn => {
+        btn.addEventListener('click', () => sellBackShares(userShares.find(s => s.rigId === btn.getAttribute('data-rig-id'))));
+    });
+    document.querySelectorAll('.redeem-btn').forEach(btn => {
+        btn.addEventListener('click', () => redeemShares(userShares.find(s => s.rigId === btn.getAttribute('data-rig-id'))));
+    });
+    document.getElementById('claim-all-btn').addEventListener('click', () => {
+        claimAllRewards(claimableShares.map(share => share.rigId), totalClaimable);
+    });
+}
+
+// Per-token claimable amounts for a share row, each with its own claim button
+function renderTokenRewards(share) {
+    if (share.tokenRewards.length === 0) return '<span class="text-muted">-</span>';
+    
+    return share.tokenRewards.map(reward => `
+        <div class="d-flex justify-content-between align-items-center mb-1">
+            <span>${ethers.utils.formatUnits(reward.amount, reward.decimals)} ${escapeHtml(reward.symbol)}</span>
+            <button class="btn btn-outline-success btn-sm claim-token-btn" data-rig-id="${share.rigId}" data-token="${reward.address}" ${reward.amount.eq(0) ? 'disabled' : ''}>Claim</button>
+        </div>
+    `).join('');
+}
+
+// Human-readable time left, e.g. "2d 4h" or "35m"
+function formatDuration(seconds) {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${Math.max(minutes, 1)}m`;
+}
+
+// Refundable shares and time left in the refund window for a share row
+function renderRefund(share) {
+    const secondsLeft = share.refund.deadline.toNumber() - Math.floor(Date.now() / 1000);
+    if (share.refund.amount.eq(0) || secondsLeft <= 0) return '<span class="text-muted">-</span>';
+    
+    return `
+        <div>${share.refund.amount} shares, ${formatDuration(secondsLeft)} left</div>
+        <button class="btn btn-outline-warning btn-sm refund-btn" data-rig-id="${share.rigId}">Refund ${ethers.utils.formatEther(share.refund.paidWei)} ETH</button>
+    `;
+}
+
+// Redeem button and deadline for a share row of a decommissioned rig
+function renderRedeem(share) {
+    if (!share.redeemWei) return '';
+    
+    const secondsLeft = share.redeemDeadline - Math.floor(Date.now() / 1000);
+    const note = secondsLeft > 0
+        ? `Decommissioned, redeem within ${formatDuration(secondsLeft)}`
+        : 'Decommissioned, redeem deadline passed: redeem before your shares are swept';
+    return `
+        <button class="btn btn-danger btn-sm redeem-btn mt-1" data-rig-id="${share.rigId}">Redeem ${ethers.utils.formatEther(share.redeemWei)} ETH</button>
+        <div class="small text-muted">${note}</div>
+    `;
 }
 
 // Open buy shares modal
 function openBuyModal(event) {
+    if (!signer) {
+        showNotification("Connect your wallet to buy shares", "warning");
+        return;
+    }
     const rigIdValue = event.target.getAttribute('data-rig-id');
     const rig = rigs.find(r => r.id == rigIdValue);
     
-    rigInfo.value = `Mining Rig #${rig.id}`;
+    rigInfo.value = rigLabel(rig.id);
     rigId.value = rig.id;
-    sharePrice.value = `${ethers.utils.formatEther(rig.pricePerShareWei)} ETH`;
     sharesAmount.value = 1;
-    updateTotalCost();
+    sharesAmount.removeAttribute('max');
+    buySale = null;
+    refreshBuyModal(rig);
     
     buySharesModal.show();
 }
 
+// Update price, sale round, cost and availability shown in the buy modal for `rig`
+async function refreshBuyModal(rig) {
+    confirmBuy.disabled = true;
+    let sale;
+    try {
+        sale = await loadSaleState(rig);
+    } catch (error) {
+        // Deployments from before presale rounds: always a public sale
+        console.error(`Error loading the sale state of rig ${rig.id}:`, error);
+        sale = { phase: 'Public', count: 0, price: rig.pricePerShareWei, root: ethers.constants.HashZero, proof: null };
+    }
+    if (rigId.value !== rig.id) return;
+    buySale = sale;
+    
+    sharePrice.value = `${ethers.utils.formatEther(sale.price)} ETH`;
+    
+    const round = describeSale(sale);
+    buySaleRound.textContent = round;
+    buySaleRound.classList.toggle('d-none', !round);
+    
+    let blocker = '';
+    if (rig.decommission) blocker = 'This rig has been decommissioned. Holders can redeem their shares.';
+    else if (!rig.active) blocker = 'This rig has been paused. Buying is disabled.';
+    else if (sale.phase === 'Closed') blocker = 'The sale is closed until the next round opens.';
+    else if (sale.root !== ethers.constants.HashZero && !sale.proof) blocker = "Your wallet is not on this sale's allowlist.";
+    
+    // Clamp the amount to what the contract would accept
+    const limit = buyLimit(rig, sale);
+    if (!blocker && limit.left.lte(0)) blocker = limit.reached;
+    if (blocker) {
+        sharesAmount.removeAttribute('max');
+        buyLimitText.textContent = '';
+    } else {
+        sharesAmount.max = limit.left.toString();
+        buyLimitText.textContent = `Up to ${limit.left} shares, limited by ${limit.by}`;
+    }
+    confirmBuy.disabled = blocker !== '';
+    buyRigStatus.textContent = blocker;
+    buyRigStatus.classList.toggle('d-none', !blocker);
+    updateTotalCost();
+}
+
+// Where `rig`'s sale stands: the open (or next) presale round, the price that applies
+// now and, when an allowlist applies, the connected wallet's proof
+async function loadSaleState(rig) {
+    const [[phaseValue, index], rounds, rigRoot] = await Promise.all([
+        contract.salePhase(rig.id),
+        contract.saleRounds(rig.id),
+        contract.allowlistRoot(rig.id)
+    ]);
+    const phase = salePhases[phaseValue];
+    const round = phase === 'Public' ? null : rounds[index.toNumber()];
+    const sale = { phase, index: index.toNumber(), count: rounds.length, round, price: rig.pricePerShareWei, root: rigRoot, proof: null };
+    
+    // A round has its own price, and its own allowlist if it sets one
+    if (phase === 'Presale') {
+        sale.price = round.pricePerShareWei;
+        if (round.allowlistRoot !== ethers.constants.HashZero) sale.root = round.allowlistRoot;
+        sale.roundBought = await contract.roundPurchases(rig.id, sale.index, userAddress);
+    }
+    if (sale.root !== ethers.constants.HashZero) sale.proof = await loadAllowlistProof(sale.root);
+    return sale;
+}
+
+// The connected wallet's Merkle proof from allowlists/<root>.json; null if it isn't listed
+async function loadAllowlistProof(root) {
+    try {
+        if (!allowlistCache[root]) {
+            const response = await fetch(`${allowlistDir}${root}.json`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            allowlistCache[root] = await response.json();
+        }
+        return allowlistCache[root].proofs[ethers.utils.getAddress(userAddress)] || null;
+    } catch (error) {
+        console.error(`Error loading allowlist ${root}:`, error);
+        return null;
+    }
+}
+
+// One line about the presale round for the buy modal; empty for rigs without rounds
+function describeSale(sale) {
+    if (sale.count === 0) return '';
+    if (sale.phase === 'Public') return 'Public sale (all presale rounds have ended)';
+    
+    const date = seconds => new Date(seconds.toNumber() * 1000).toLocaleString();
+    const name = `Presale round ${sale.index + 1} of ${sale.count}`;
+    if (sale.phase === 'Closed') return `${name} opens ${date(sale.round.start)}`;
+    
+    const walletCap = sale.round.maxPerWallet.gt(0) ? `, up to ${sale.round.maxPerWallet} per wallet` : '';
+    return `${name}: ${sale.round.sold}/${sale.round.cap} shares sold${walletCap}, ends ${date(sale.round.end)}`;
+}
+
 // Update total cost when shares amount changes
 function updateTotalCost() {
+    if (sharesAmount.max && parseInt(sharesAmount.value) > parseInt(sharesAmount.max)) sharesAmount.value = sharesAmount.max;
     const rig = rigs.find(r => r.id == rigId.value);
+    const price = buySale ? buySale.price : rig.pricePerShareWei;
+    const amount = parseInt(sharesAmount.value) || 0;
+    const cost = price.mul(amount);
+    const sponsored = buySale && relayerSponsors(buySale, cost) ? ' (paid by the sponsor)' : '';
+    totalCost.value = `${ethers.utils.formatEther(cost)} ETH${sponsored}`;
+    preflightBuy();
+}
+
+// The contract call that buys `amount` shares in `sale`: [method, args, overrides]
+function buyCall(id, amount, sale) {
+    const overrides = { value: sale.price.mul(amount) };
+    return sale.proof
+        ? ['buySharesWithProof', [id, amount, sale.proof], overrides]
+        : ['buyShares', [id, amount], overrides];
+}
+
+// Dry-run the purchase (callStatic, then a gas estimate) so the modal shows why it would
+// revert before the wallet opens. Sponsored purchases are checked by the relayer.
+let buyPreflightRun = 0;
+async function preflightBuy() {
+    const run = ++buyPreflightRun;
     const amount = parseInt(sharesAmount.value) || 0;
-    const cost = rig.pricePerShareWei.mul(amount);
-    totalCost.value = `${ethers.utils.formatEther(cost)} ETH`;
+    buyPreflight.textContent = '';
+    buyPreflight.classList.remove('text-danger');
+    if (!signer || !buySale || amount <= 0 || !buyRigStatus.classList.contains('d-none')) return;
+    if (relayerSponsors(buySale, buySale.price.mul(amount))) return;
+    
+    try {
+        const [method, args, overrides] = buyCall(rigId.value, amount, buySale);
+        const { gasLimit, gasCostWei } = await preflightCall(contract, method, args, overrides);
+        if (run !== buyPreflightRun) return;
+        buyPreflight.textContent = `Estimated gas: ${gasLimit} (about ${ethers.utils.formatEther(gasCostWei)} ETH)`;
+        confirmBuy.disabled = false;
+    } catch (error) {
+        if (run !== buyPreflightRun) return;
+        buyPreflight.textContent = `This purchase would fail: ${friendlyError(error)}`;
+        buyPreflight.classList.add('text-danger');
+        confirmBuy.disabled = true;
+    }
 }
 
 // Buy shares function
 async function buyShares() {
     try {
-        const rigIdValue = parseInt(rigId.value);
+        const rigIdValue = rigId.value;
         const amount = parseInt(sharesAmount.value);
-        const rig = rigs.find(r => r.id == rigIdValue);
+        const sale = buySale;
         
         if (!amount || amount <= 0) {
             showNotification("Please enter a valid amount", "warning");
             return;
         }
         
-        const cost = rig.pricePerShareWei.mul(amount);
+        // Price of the open round (or the rig's); allowlisted sales need the wallet's proof
+        const cost = sale.price.mul(amount);
         
-        // Execute transaction
-        const tx = await contract.buyShares(rigIdValue, amount, { value: cost });
+        // Allow-listed buyers can have the relayer sponsor the purchase: sign, don't send
+        const sponsored = relayerSponsors(sale, cost);
+        let tx;
+        if (sponsored) {
+            tx = await relayIntent('purchase', 'PurchaseIntent', {
+                buyer: userAddress,
+                rigId: rigIdValue,
+                amount: String(amount),
+                maxCost: cost.toString()
+            }, { proof: sale.proof });
+        } else {
+            // Dry-run again: the sale may have moved since the modal opened
+            const [method, args, overrides] = buyCall(rigIdValue, amount, sale);
+            await preflightCall(contract, method, args, overrides);
+            tx = await contract[method](...args, overrides);
+        }
         buySharesModal.hide();
         showNotification("Transaction submitted. Waiting for confirmation...", "info");
         
         // Wait for transaction to be mined
-        await tx.wait();
-        showNotification(`Successfully purchased ${amount} shares of Mining Rig #${rigIdValue}!`, "success");
+        await trackTransaction(tx, `Buy ${amount} shares of ${rigLabel(rigIdValue)}`);
+        showNotification(`Successfully purchased ${amount} shares of ${rigLabel(rigIdValue)}!`, "success");
         
-        // Reload data
+        // Reload data; a sponsored purchase used up some of the wallet's sponsor budget
+        if (sponsored) await loadRelayerConfig();
         await loadRigs();
         await loadUserShares();
     } catch (error) {
-        showNotification("Error buying shares: " + error.message, "danger");
+        showNotification("Error buying shares: " + friendlyError(error), "danger");
         console.error("Error buying shares:", error);
     }
 }
@@ -328,7 +1167,7 @@ async function buyShares() {
 function openClaimModal(event) {
     const rigIdValue = event.target.getAttribute('data-rig-id');
     claimRigId.value = rigIdValue;
-    claimRigInfo.value = `Mining Rig #${rigIdValue}`;
+    claimRigInfo.value = rigLabel(rigIdValue);
     
     // Get claimable amount
     contract.claimable(userAddress, rigIdValue).then(amount => {
@@ -343,25 +1182,1139 @@ function openClaimModal(event) {
 // Claim rewards function
 async function claimRewards() {
     try {
-        const rigIdValue = parseInt(claimRigId.value);
+        const rigIdValue = claimRigId.value;
         
-        // Execute transaction
-        const tx = await contract.claimRewards(rigIdValue);
+        // Execute transaction (or have the relayer submit a signed claim)
+        const tx = relayerConfig
+            ? await relayIntent('claim', 'ClaimIntent', { holder: userAddress, rigIds: [rigIdValue] })
+            : await contract.claimRewards(rigIdValue);
         claimRewardsModal.hide();
         showNotification("Transaction submitted. Waiting for confirmation...", "info");
         
         // Wait for transaction to be mined
-        await tx.wait();
-        showNotification(`Successfully claimed rewards from Mining Rig #${rigIdValue}!`, "success");
+        await trackTransaction(tx, `Claim rewards from ${rigLabel(rigIdValue)}`);
+        showNotification(`Successfully claimed rewards from ${rigLabel(rigIdValue)}!`, "success");
         
         // Reload user shares
         await loadUserShares();
     } catch (error) {
-        showNotification("Error claiming rewards: " + error.message, "danger");
+        showNotification("Error claiming rewards: " + friendlyError(error), "danger");
         console.error("Error claiming rewards:", error);
     }
 }
 
+// Claim one ERC-20 reward token from a rig
+async function claimTokenRewards(event) {
+    const btn = event.target;
+    const rigIdValue = btn.getAttribute('data-rig-id');
+    const tokenAddress = btn.getAttribute('data-token');
+    
+    try {
+        btn.disabled = true;
+        const info = await getTokenInfo(tokenAddress);
+        
+        const tx = await contract.claimTokenRewards(rigIdValue, tokenAddress);
+        showNotification("Transaction submitted. Waiting for confirmation...", "info");
+        
+        await trackTransaction(tx, `Claim ${info.symbol} rewards from ${rigLabel(rigIdValue)}`);
+        showNotification(`Successfully claimed ${info.symbol} rewards from ${rigLabel(rigIdValue)}!`, "success");
+        
+        await loadUserShares();
+    } catch (error) {
+        btn.disabled = false;
+        showNotification("Error claiming token rewards: " + friendlyError(error), "danger");
+        console.error("Error claiming token rewards:", error);
+    }
+}
+
+// Return every refundable share of a position at the price paid
+async function refundShares(share) {
+    const refundEth = ethers.utils.formatEther(share.refund.paidWei);
+    if (!window.confirm(`Return ${share.refund.amount} shares of ${rigLabel(share.rigId)} for ${refundEth} ETH? The shares will be burned.`)) return;
+    
+    try {
+        const tx = await contract.refundShares(share.rigId, share.refund.amount);
+        showNotification("Transaction submitted. Waiting for confirmation...", "info");
+        await trackTransaction(tx, `Refund ${share.refund.amount} shares of ${rigLabel(share.rigId)}`);
+        showNotification(`Refunded ${refundEth} ETH for ${share.refund.amount} shares of ${rigLabel(share.rigId)}`, "success");
+        
+        await loadRigs();
+        await loadUserShares();
+    } catch (error) {
+        showNotification("Error refunding shares: " + friendlyError(error), "danger");
+        console.error("Error refunding shares:", error);
+    }
+}
+
+// Sell shares back to the owner at the open buyback price
+async function sellBackShares(share) {
+    const input = window.prompt(`How many shares of ${rigLabel(share.rigId)} do you want to sell back at ${ethers.utils.formatEther(share.buybackPrice)} ETH each?`, share.shares);
+    if (input === null) return;
+    
+    const amount = parseUintField(input);
+    if (!amount || amount.isZero() || amount.gt(share.shares)) {
+        showNotification(`Enter between 1 and ${share.shares} shares`, "warning");
+        return;
+    }
+    
+    try {
+        const payout = share.buybackPrice.mul(amount);
+        const funds = await contract.buybackFunds(share.rigId);
+        if (payout.gt(funds)) {
+            showNotification(`The buyback only has ${ethers.utils.formatEther(funds)} ETH left (buyback underfunded)`, "warning");
+            return;
+        }
+        
+        const tx = await contract.sellBackShares(share.rigId, amount);
+        showNotification("Transaction submitted. Waiting for confirmation...", "info");
+        await trackTransaction(tx, `Sell back ${amount} shares of ${rigLabel(share.rigId)}`);
+        showNotification(`Sold ${amount} shares of ${rigLabel(share.rigId)} back for ${ethers.utils.formatEther(payout)} ETH`, "success");
+        
+        await loadRigs();
+        await loadUserShares();
+    } catch (error) {
+        showNotification("Error selling back shares: " + friendlyError(error), "danger");
+        console.error("Error selling back shares:", error);
+    }
+}
+
+// Burn every share of a decommissioned rig for its salvage and pending ETH rewards
+async function redeemShares(share) {
+    const payout = ethers.utils.formatEther(share.redeemWei);
+    if (!window.confirm(`Redeem (burn) all ${share.shares} shares of ${rigLabel(share.rigId)} for ${payout} ETH?`)) return;
+    
+    try {
+        const tx = await contract.redeemShares(share.rigId);
+        showNotification("Transaction submitted. Waiting for confirmation...", "info");
+        await trackTransaction(tx, `Redeem ${share.shares} shares of ${rigLabel(share.rigId)}`);
+        showNotification(`Redeemed ${share.shares} shares of ${rigLabel(share.rigId)} for ${payout} ETH`, "success");
+        
+        await loadRigs();
+        await loadUserShares();
+    } catch (error) {
+        showNotification("Error redeeming shares: " + friendlyError(error), "danger");
+        console.error("Error redeeming shares:", error);
+    }
+}
+
+// Claim rewards from several rigs in one transaction
+async function claimAllRewards(rigIds, totalClaimable) {
+    const claimAllBtn = document.getElementById('claim-all-btn');
+    try {
+        claimAllBtn.disabled = true;
+        
+        const tx = relayerConfig
+            ? await relayIntent('claim', 'ClaimIntent', { holder: userAddress, rigIds: rigIds.map(String) })
+            : await contract.claimMany(rigIds);
+        showNotification("Transaction submitted. Waiting for confirmation...", "info");
+        
+        await trackTransaction(tx, `Claim rewards from ${rigIds.length} rigs`);
+        showNotification(`Successfully claimed ${ethers.utils.formatEther(totalClaimable)} ETH from ${rigIds.length} rigs!`, "success");
+        
+        await loadUserShares();
+    } catch (error) {
+        claimAllBtn.disabled = false;
+        showNotification("Error claiming rewards: " + friendlyError(error), "danger");
+        console.error("Error claiming all rewards:", error);
+    }
+}
+
+// ---------------------------
+// Signed intents (relayer)
+// ---------------------------
+
+// Read the relayer's /config; without a usable relayer, buys and claims are sent directly
+async function loadRelayerConfig() {
+    relayerConfig = null;
+    if (!relayerUrl) return;
+    
+    try {
+        const response = await fetch(`${relayerUrl}/config?buyer=${userAddress}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const config = await response.json();
+        
+        // A relayer for another chain or contract would submit intents that can never pass
+        const { domain } = config;
+        if (domain.chainId !== chainId || ethers.utils.getAddress(domain.verifyingContract) !== ethers.utils.getAddress(contractAddress)) {
+            throw new Error(`it relays for ${domain.verifyingContract} on chain ${domain.chainId}`);
+        }
+        relayerConfig = config;
+    } catch (error) {
+        console.warn(`Relayer ${relayerUrl} unavailable, sending transactions directly:`, error);
+    }
+}
+
+// Whether the relayer would pay for this purchase: only allow-listed buyers, up to its
+// per-purchase limit and what is left of the wallet's sponsor budget
+function relayerSponsors(sale, cost) {
+    return Boolean(relayerConfig && relayerConfig.sponsorPurchases && sale.proof &&
+        cost.lte(relayerConfig.maxSponsorWei) && cost.lte(relayerConfig.sponsorLeftWei || 0));
+}
+
+// Sign an intent with the wallet's next nonce and post it to the relayer. Resolves with
+// an object that can be awaited like a sent transaction: { hash, wait() }.
+async function relayIntent(path, type, fields, extra = {}) {
+    const nonce = await contract.nonces(userAddress);
+    const deadline = Math.floor(Date.now() / 1000) + intentLifetimeSeconds;
+    const intent = { ...fields, nonce: nonce.toString(), deadline: String(deadline) };
+    const signature = await signer._signTypedData(relayerConfig.domain, { [type]: intentTypes[type] }, intent);
+    
+    const response = await fetch(`${relayerUrl}/${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ intent, signature, ...extra })
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(`the relayer refused it: ${result.error}`);
+    
+    return {
+        hash: result.txHash,
+        wait: async () => {
+            const receipt = await provider.waitForTransaction(result.txHash);
+            if (receipt.status !== 1) throw new Error(`relayed transaction ${result.txHash} reverted`);
+            return receipt;
+        }
+    };
+}
+
+// ---------------------------
+// Portfolio history
+// ---------------------------
+
+// Load the History tab: replay the connected wallet's logs into positions and a timeline
+async function loadHistory() {
+    if (!contract || !userAddress) return;
+    
+    try {
+        historyContainer.innerHTML = '<p>Scanning contract events...</p>';
+        const latestBlock = await provider.getBlockNumber();
+        const events = await fetchHistoryEvents(latestBlock);
+        await loadBlockTimes(events);
+        
+        const history = replayHistory(events);
+        for (const position of history.positions) {
+            position.claimable = await contract.claimable(userAddress, position.rigId);
+        }
+        
+        portfolioHistory = history;
+        displayHistory();
+    } catch (error) {
+        historyContainer.innerHTML = '<p class="text-muted">Could not load history</p>';
+        showNotification("Error loading history: " + error.message, "danger");
+        console.error("Error loading history:", error);
+    }
+}
+
+// Every log that moves the wallet's shares or ETH, plus the supply changes and
+// deposits needed to estimate its share of each reward
+async function fetchHistoryEvents(latestBlock) {
+    const f = contract.filters;
+    const zero = ethers.constants.AddressZero;
+    const queries = [
+        [contract, f.SharesPurchased(null, userAddress)],
+        [contract, f.RewardsClaimed(null, userAddress)],
+        [contract, f.SharesRefunded(null, userAddress)],
+        [contract, f.SharesBoughtBack(null, userAddress)],
+        [contract, f.SharesRedeemed(null, userAddress)],
+        [contract, f.RewardsDeposited()],
+        [contract, f.TransferSingle(null, userAddress)],
+        [contract, f.TransferSingle(null, null, userAddress)],
+        [contract, f.TransferBatch(null, userAddress)],
+        [contract, f.TransferBatch(null, null, userAddress)],
+        [contract, f.TransferSingle(null, zero)],
+        [contract, f.TransferSingle(null, null, zero)]
+    ];
+    if (market) queries.push([market, market.filters.ListingFilled()]);
+    
+    // A mint to the wallet matches two filters; keep one copy of each log
+    const seen = new Set();
+    const events = [];
+    for (const [target, filter] of queries) {
+        for (const event of await queryFilterPaged(target, filter, deploymentBlock, latestBlock)) {
+            const key = `${event.transactionHash}:${event.logIndex}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                events.push(event);
+            }
+        }
+    }
+    
+    return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+// Fetch timestamps for the blocks in `events`, cached per block number
+async function loadBlockTimes(events) {
+    for (const event of events) {
+        if (!(event.blockNumber in blockTimeCache)) {
+            blockTimeCache[event.blockNumber] = (await provider.getBlock(event.blockNumber)).timestamp;
+        }
+    }
+}
+
+// Walk the logs in chain order, tracking circulating supply and the wallet's balance
+// per rig. Returns the wallet's transactions and a per-rig position summary.
+function replayHistory(events) {
+    const me = userAddress.toLowerCase();
+    const zero = ethers.constants.AddressZero;
+    const supply = {};
+    const balance = {};
+    const positions = {};
+    const transactions = [];
+    
+    // Market fills by transaction, to price shares that moved through RigShareMarket
+    const fills = {};
+    events.filter(e => e.event === 'ListingFilled').forEach(e => {
+        fills[`${e.transactionHash}:${e.args.rigId}`] = e.args;
+    });
+    
+    const position = id => positions[id] || (positions[id] = {
+        rigId: id,
+        shares: ethers.constants.Zero,
+        costBasis: ethers.constants.Zero,
+        proceeds: ethers.constants.Zero,
+        claimed: ethers.constants.Zero,
+        earned: ethers.constants.Zero,
+        points: []
+    });
+    
+    const record = (event, id, type, fields) => {
+        const tx = {
+            timestamp: blockTimeCache[event.blockNumber],
+            blockNumber: event.blockNumber,
+            txHash: event.transactionHash,
+            rigId: id,
+            type,
+            shares: ethers.constants.Zero,
+            ethIn: ethers.constants.Zero,
+            ethOut: ethers.constants.Zero,
+            accrued: ethers.constants.Zero,
+            counterparty: '',
+            ...fields
+        };
+        transactions.push(tx);
+        
+        const p = position(id);
+        p.points.push({ timestamp: tx.timestamp, earned: p.earned, claimed: p.claimed });
+        return tx;
+    };
+    
+    const moveShares = (event, operator, from, to, id, value) => {
+        id = id.toString();
+        const mine = [from.toLowerCase(), to.toLowerCase()];
+        if (from === zero) supply[id] = (supply[id] || ethers.constants.Zero).add(value);
+        if (to === zero) supply[id] = (supply[id] || ethers.constants.Zero).sub(value);
+        if (mine[0] === me) balance[id] = (balance[id] || ethers.constants.Zero).sub(value);
+        if (mine[1] === me) balance[id] = (balance[id] || ethers.constants.Zero).add(value);
+        
+        // Mints and burns are recorded by their purchase / refund / buyback events
+        if (from === zero || to === zero || !mine.includes(me) || mine[0] === mine[1]) return;
+        
+        const incoming = mine[1] === me;
+        const fill = market && operator.toLowerCase() === market.address.toLowerCase()
+            ? fills[`${event.transactionHash}:${id}`]
+            : null;
+        const p = position(id);
+        
+        if (fill) {
+            // Listings are priced per share, so a fill's ETH scales with the shares moved
+            const eth = fill.paidWei.mul(value).div(fill.amount);
+            if (incoming) p.costBasis = p.costBasis.add(eth);
+            else p.proceeds = p.proceeds.add(eth);
+            record(event, id, incoming ? 'Market buy' : 'Market sell', {
+                shares: value,
+                [incoming ? 'ethOut' : 'ethIn']: eth,
+                counterparty: incoming ? from : to
+            });
+        } else {
+            record(event, id, incoming ? 'Transfer in' : 'Transfer out', {
+                shares: value,
+                counterparty: incoming ? from : to
+            });
+        }
+    };
+    
+    for (const event of events) {
+        const args = event.args;
+        switch (event.event) {
+            case 'TransferSingle':
+                moveShares(event, args.operator, args.from, args.to, args.id, args.value);
+                break;
+            case 'TransferBatch':
+                args.ids.forEach((id, i) => moveShares(event, args.operator, args.from, args.to, id, args[4][i]));
+                break;
+            case 'SharesPurchased': {
+                const id = args.rigId.toString();
+                position(id).costBasis = position(id).costBasis.add(args.paidWei);
+                record(event, id, 'Buy', { shares: args.amount, ethOut: args.paidWei, counterparty: contract.address });
+                break;
+            }
+            case 'SharesRefunded': {
+                const id = args.rigId.toString();
+                position(id).proceeds = position(id).proceeds.add(args.refundWei);
+                record(event, id, 'Refund', { shares: args.amount, ethIn: args.refundWei, counterparty: contract.address });
+                break;
+            }
+            case 'SharesBoughtBack': {
+                const id = args.rigId.toString();
+                position(id).proceeds = position(id).proceeds.add(args.paidWei);
+                record(event, id, 'Buyback sale', { shares: args.amount, ethIn: args.paidWei, counterparty: contract.address });
+                break;
+            }
+            case 'SharesRedeemed': {
+                // Only the salvage: the rewards paid with it come with their own RewardsClaimed
+                const id = args.rigId.toString();
+                position(id).proceeds = position(id).proceeds.add(args.salvageWei);
+                record(event, id, 'Redeem', { shares: args.shares, ethIn: args.salvageWei, counterparty: contract.address });
+                break;
+            }
+            case 'RewardsClaimed': {
+                const id = args.rigId.toString();
+                position(id).claimed = position(id).claimed.add(args.amountWei);
+                record(event, id, 'Claim', { ethIn: args.amountWei, counterparty: contract.address });
+                break;
+            }
+            case 'RewardsDeposited': {
+                // The wallet's cut of the deposit net of fees is estimated from its balance
+                // at the deposit; the contract's accumulator rounding can differ by a few wei
+                const id = args.rigId.toString();
+                const held = balance[id] || ethers.constants.Zero;
+                if (held.isZero() || !supply[id] || supply[id].isZero()) break;
+                
+                const accrued = args.netWei.mul(held).div(supply[id]);
+                position(id).earned = position(id).earned.add(accrued);
+                record(event, id, 'Reward accrued', { shares: held, accrued });
+                break;
+            }
+        }
+    }
+    
+    Object.values(positions).forEach(p => {
+        p.shares = balance[p.rigId] || ethers.constants.Zero;
+        p.points.push({ timestamp: Math.floor(Date.now() / 1000), earned: p.earned, claimed: p.claimed });
+    });
+    
+    return {
+        transactions,
+        positions: Object.values(positions).sort((a, b) => Number(a.rigId) - Number(b.rigId))
+    };
+}
+
+// Rewards (claimed + claimable, already net of fees) as a percentage of ETH paid for the shares
+function formatYield(position) {
+    if (position.costBasis.isZero()) return '-';
+    const basisPoints = position.claimed.add(position.claimable).mul(10000).div(position.costBasis);
+    return `${(basisPoints.toNumber() / 100).toFixed(2)}%`;
+}
+
+// Net ETH back from the rig so far: rewards and sale proceeds minus what was paid
+function netReturn(position) {
+    return position.claimed.add(position.claimable).add(position.proceeds).sub(position.costBasis);
+}
+
+// Render the per-rig summary, chart and transaction timeline
+function displayHistory() {
+    const { positions, transactions } = portfolioHistory;
+    if (transactions.length === 0) {
+        historyContainer.innerHTML = '<p class="text-muted">No transactions for this wallet yet</p>';
+        exportHistoryBtn.disabled = true;
+        return;
+    }
+    
+    const eth = wei => ethers.utils.formatEther(wei);
+    const summaryRows = positions.map(p => `
+        <tr>
+            <td>${escapeHtml(rigLabel(p.rigId))}</td>
+            <td>${p.shares}</td>
+            <td>${eth(p.costBasis)} ETH</td>
+            <td>${eth(p.claimed)} ETH</td>
+            <td>${eth(p.claimable)} ETH</td>
+            <td>${eth(p.proceeds)} ETH</td>
+            <td>${formatYield(p)}</td>
+            <td class="${netReturn(p).lt(0) ? 'text-danger' : 'text-success'}">${eth(netReturn(p))} ETH</td>
+        </tr>
+    `).join('');
+    
+    const timelineRows = transactions.slice().reverse().map(tx => `
+        <tr>
+            <td>${new Date(tx.timestamp * 1000).toLocaleString()}</td>
+            <td>${escapeHtml(rigLabel(tx.rigId))}</td>
+            <td>${tx.type}</td>
+            <td>${tx.shares.isZero() ? '' : tx.shares}</td>
+            <td>${tx.ethIn.isZero() ? '' : '+' + eth(tx.ethIn)}${tx.ethOut.isZero() ? '' : '-' + eth(tx.ethOut)}${tx.accrued.isZero() ? '' : `<span class="text-muted">~${eth(tx.accrued)}</span>`}</td>
+        </tr>
+    `).join('');
+    
+    historyContainer.innerHTML = `
+        <div class="table-responsive">
+            <table class="table table-sm">
+                <thead>
+                    <tr>
+                        <th>Rig</th><th>Shares</th><th>Cost Basis</th><th>Claimed</th>
+                        <th>Claimable</th><th>Sold For</th><th title="Rewards after operator and hosting fees">Yield (net of fees)</th><th>Net</th>
+                    </tr>
+                </thead>
+                <tbody>${summaryRows}</tbody>
+            </table>
+        </div>
+        <div class="d-flex align-items-center gap-2 mb-2">
+            <label for="history-rig" class="form-label mb-0">Earnings for</label>
+            <select id="history-rig" class="form-select form-select-sm w-auto">
+                ${positions.map(p => `<option value="${p.rigId}">${escapeHtml(rigLabel(p.rigId))}</option>`).join('')}
+            </select>
+        </div>
+        <div id="history-chart" class="mb-4"></div>
+        <h6>Transactions</h6>
+        <div class="table-responsive" style="max-height: 320px; overflow-y: auto;">
+            <table class="table table-sm">
+                <thead><tr><th>Date</th><th>Rig</th><th>Type</th><th>Shares</th><th>ETH</th></tr></thead>
+                <tbody>${timelineRows}</tbody>
+            </table>
+        </div>
+    `;
+    
+    const rigSelect = document.getElementById('history-rig');
+    rigSelect.addEventListener('change', () => drawHistoryChart(rigSelect.value));
+    drawHistoryChart(rigSelect.value);
+    exportHistoryBtn.disabled = false;
+}
+
+// SVG step chart of cumulative earned (estimated) and claimed ETH for one rig
+function drawHistoryChart(id) {
+    const chart = document.getElementById('history-chart');
+    const points = portfolioHistory.positions.find(p => p.rigId === id).points;
+    const width = 600;
+    const height = 200;
+    const pad = 30;
+    
+    const toEth = wei => Number(ethers.utils.formatEther(wei));
+    const start = points[0].timestamp;
+    const span = Math.max(points[points.length - 1].timestamp - start, 1);
+    const maxEth = Math.max(...points.map(p => toEth(p.earned)), ...points.map(p => toEth(p.claimed)), 1e-18);
+    const x = t => pad + ((t - start) / span) * (width - 2 * pad);
+    const y = v => height - pad - (v / maxEth) * (height - 2 * pad);
+    
+    // Each value holds until the next event, so draw horizontal-then-vertical steps
+    const line = key => points.map((p, i) => {
+        const value = y(toEth(p[key]));
+        const prev = i > 0 ? `${x(p.timestamp).toFixed(1)},${y(toEth(points[i - 1][key])).toFixed(1)} ` : '';
+        return `${prev}${x(p.timestamp).toFixed(1)},${value.toFixed(1)}`;
+    }).join(' ');
+    
+    chart.innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" class="w-100" role="img" aria-label="Cumulative rewards for ${escapeHtml(rigLabel(id))}">
+            <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#adb5bd"/>
+            <line x1="${pad}" y1="${pad}" x2="${pad}" y2="${height - pad}" stroke="#adb5bd"/>
+            <text x="${pad}" y="${pad - 8}" font-size="11" fill="#6c757d">${maxEth.toPrecision(4)} ETH</text>
+            <text x="${pad}" y="${height - 10}" font-size="11" fill="#6c757d">${new Date(start * 1000).toLocaleDateString()}</text>
+            <text x="${width - pad}" y="${height - 10}" font-size="11" fill="#6c757d" text-anchor="end">${new Date((start + span) * 1000).toLocaleDateString()}</text>
+            <polyline points="${line('earned')}" fill="none" stroke="#6c5ce7" stroke-width="2"/>
+            <polyline points="${line('claimed')}" fill="none" stroke="#00b894" stroke-width="2"/>
+        </svg>
+        <div class="small">
+            <span style="color: #6c5ce7;">&#9632;</span> Earned (estimated from deposits)
+            <span class="ms-3" style="color: #00b894;">&#9632;</span> Claimed
+        </div>
+    `;
+}
+
+// Quote a CSV field when it contains a separator, quote or newline
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Download every transaction in the history as CSV (amounts in ETH, dates in UTC)
+function exportHistoryCsv() {
+    const header = ['Date (UTC)', 'Block', 'Transaction', 'Rig ID', 'Rig', 'Type', 'Shares', 'ETH In', 'ETH Out', 'Accrued ETH (est.)', 'Counterparty'];
+    const eth = wei => wei.isZero() ? '' : ethers.utils.formatEther(wei);
+    const rows = portfolioHistory.transactions.map(tx => [
+        new Date(tx.timestamp * 1000).toISOString(),
+        tx.blockNumber,
+        tx.txHash,
+        tx.rigId,
+        rigLabel(tx.rigId),
+        tx.type,
+        tx.shares.isZero() ? '' : tx.shares.toString(),
+        eth(tx.ethIn),
+        eth(tx.ethOut),
+        eth(tx.accrued),
+        tx.counterparty
+    ]);
+    
+    const csv = [header, ...rows].map(row => row.map(csvField).join(',')).join('\n');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    link.download = `rig-history-${userAddress.substring(0, 8)}-${chainId}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// ---------------------------
+// Admin console (role-gated)
+// ---------------------------
+
+// Which contract roles the connected wallet holds, by short name
+async function loadUserRoles() {
+    const roles = {};
+    await Promise.all(Object.entries(contractRoles).map(async ([key, role]) => {
+        roles[key] = await contract.hasRole(await contract[role.name](), userAddress);
+    }));
+    return roles;
+}
+
+// Show the admin panel, and the sections for the roles the connected wallet holds
+async function loadAdminPanel() {
+    try {
+        userRoles = await loadUserRoles();
+        const pending = await contract.pendingDefaultAdmin();
+        const isPendingAdmin = pending.newAdmin.toLowerCase() === userAddress.toLowerCase();
+        const held = Object.keys(contractRoles).filter(key => userRoles[key]);
+        if (held.length === 0 && !isPendingAdmin) {
+            adminPanel.classList.add('d-none');
+            return;
+        }
+        
+        adminPanel.classList.remove('d-none');
+        adminRolesText.textContent = held.map(key => contractRoles[key].label).join(', ') || 'none';
+        acceptAdminAlert.classList.toggle('d-none', !isPendingAdmin);
+        pendingAdminText.textContent = pending.newAdmin === ethers.constants.AddressZero
+            ? 'No handover pending'
+            : `Handover pending to ${pending.newAdmin}; it must accept from that wallet`;
+        
+        // Hide sections (and disable options) for roles the wallet lacks
+        adminPanel.querySelectorAll('[data-role]').forEach(el => {
+            const allowed = el.dataset.role.split(' ').some(key => userRoles[key]);
+            if (el.tagName === 'OPTION') {
+                el.disabled = !allowed;
+            } else {
+                el.classList.toggle('d-none', !allowed);
+            }
+        });
+        selectFirstEnabled(manageRigForm.operation);
+        
+        // The pause button for pausers while running, the unpause button for the admin while paused
+        pauseContractBtn.classList.toggle('d-none', !userRoles.pauser || contractPaused);
+        unpauseContractBtn.classList.toggle('d-none', !userRoles.admin || !contractPaused);
+        
+        await loadAdminBalances();
+    } catch (error) {
+        adminPanel.classList.add('d-none');
+        console.error("Error loading admin panel:", error);
+    }
+}
+
+// Move a select off a disabled option
+function selectFirstEnabled(select) {
+    if (!select.selectedOptions[0] || select.selectedOptions[0].disabled) {
+        const option = Array.from(select.options).find(o => !o.disabled);
+        if (option) select.value = option.value;
+    }
+}
+
+// Refresh the contract's sales and reward totals
+async function loadAdminBalances() {
+    const [sales, rewards, reconcile] = await Promise.all([
+        contract.totalSalesETH(),
+        contract.totalRewardETH(),
+        contract.reconcileETH()
+    ]);
+    adminSalesBalance.textContent = `${ethers.utils.formatEther(sales)} ETH`;
+    adminRewardBalance.textContent = `${ethers.utils.formatEther(rewards)} ETH`;
+    
+    // Contract balance = sales + unclaimed + queued + buyback + fees + salvage (+ surplus if ETH was force-sent)
+    const format = wei => `${ethers.utils.formatEther(wei)} ETH`;
+    adminReconcile.innerHTML = `
+        Contract balance ${format(reconcile.balance)} =
+        sales ${format(reconcile.sales)} +
+        unclaimed rewards ${format(reconcile.unclaimed)} +
+        queued rewards ${format(reconcile.queued)} +
+        buyback funds ${format(reconcile.buyback)} +
+        unwithdrawn fees ${format(reconcile.fees)} +
+        unredeemed salvage ${format(reconcile.salvage)}
+        ${reconcile.surplus.gt(0) ? `<span class="text-danger">+ unexplained ${format(reconcile.surplus)}</span>` : ''}
+    `;
+    rescueSurplusBtn.classList.toggle('d-none', !userRoles.treasurer || reconcile.surplus.eq(0));
+}
+
+// Parse a non-negative integer form field, returning null if invalid
+function parseUintField(value) {
+    const trimmed = value.trim();
+    if (!/^\d+$/.test(trimmed)) return null;
+    return ethers.BigNumber.from(trimmed);
+}
+
+// Parse an ETH amount form field into wei, returning null if invalid
+function parseEthField(value) {
+    return parseUnitsField(value, 18);
+}
+
+// Parse a token amount form field into base units, returning null if invalid
+function parseUnitsField(value, decimals) {
+    try {
+        const units = ethers.utils.parseUnits(value.trim(), decimals);
+        return units.isNegative() ? null : units;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Checks mirror registerRig's require()s so the rig manager sees the reason before signing
+async function validateRegisterRig(form) {
+    const id = parseUintField(form.rigId.value);
+    if (!id) return { error: "Rig ID must be a whole number" };
+    
+    const name = form.rigName.value.trim();
+    if (!name) return { error: "Rig name is required" };
+    
+    const shares = parseUintField(form.totalShares.value);
+    if (!shares || shares.isZero()) return { error: "Total shares must be greater than zero (totalShares=0)" };
+    
+    const price = parseEthField(form.pricePerShare.value);
+    if (!price || price.isZero()) return { error: "Price per share must be greater than zero (price=0)" };
+    
+    const maxPerWallet = form.maxPerWallet.value.trim() === '' ? ethers.constants.Zero : parseUintField(form.maxPerWallet.value);
+    if (!maxPerWallet) return { error: "Max per wallet must be a whole number (0 = no cap)" };
+    
+    const existing = await contract.rigs(id);
+    if (existing.totalShares.gt(0) || existing.active) return { error: `Rig #${id} is already registered (rig exists)` };
+    
+    return { id, name, shares, price, maxPerWallet };
+}
+
+// Checks mirror depositRewards's / depositTokenRewards's require()s
+async function validateDepositRewards(form) {
+    const id = parseUintField(form.rigId.value);
+    if (!id) return { error: "Rig ID must be a whole number" };
+    if (contractPaused) return { error: "Deposits are stopped while the contract is paused (EnforcedPause)" };
+    
+    // Blank token field = ETH deposit
+    const tokenAddress = form.token.value.trim();
+    let token = null;
+    if (tokenAddress) {
+        if (!ethers.utils.isAddress(tokenAddress)) return { error: "Reward token must be a valid address" };
+        if (!(await contract.rewardTokenAllowed(tokenAddress))) return { error: "Token is not allow-listed for rewards (token not allowed)" };
+        token = await getTokenInfo(tokenAddress);
+    }
+    
+    const amount = token ? parseUnitsField(form.amount.value, token.decimals) : parseEthField(form.amount.value);
+    if (!amount || amount.isZero()) return { error: "Reward amount must be greater than zero" };
+    
+    const rig = await contract.rigs(id);
+    if (rig.totalShares.eq(0)) return { error: `Rig #${id} is not registered (rig not found)` };
+    if (!rig.active) return { error: `Rig #${id} is not active (rig inactive)` };
+    
+    // ETH deposited before the first sale is queued for the first holders; tokens are not
+    const circulating = await contract['totalSupply(uint256)'](id);
+    if (circulating.eq(0) && token) return { error: `Rig #${id} has no shareholders to reward yet (no holders yet)` };
+    
+    // Fees only apply to ETH; show the split in the success message
+    const fees = await contract.rigFees(id);
+    const fee = token ? ethers.constants.Zero : amount.mul(fees.operatorBps + fees.hostingBps).div(10000);
+    
+    return { id, amount, token, fee, queued: circulating.eq(0) };
+}
+
+// Checks mirror withdrawSales's require()s
+async function validateWithdrawSales(form) {
+    const to = form.recipient.value.trim();
+    if (!ethers.utils.isAddress(to)) return { error: "Recipient must be a valid address" };
+    if (to === ethers.constants.AddressZero) return { error: "Recipient cannot be the zero address (zero addr)" };
+    
+    const amount = parseEthField(form.amount.value);
+    if (!amount || amount.isZero()) return { error: "Withdrawal amount must be greater than zero" };
+    
+    const sales = await contract.totalSalesETH();
+    if (amount.gt(sales)) return { error: `Only ${ethers.utils.formatEther(sales)} ETH of sales is available (exceeds sales)` };
+    
+    return { to, amount };
+}
+
+// Run an admin form: validate, send the transaction and refresh the views
+async function submitAdminForm(event, validate, send, successMessage) {
+    event.preventDefault();
+    const form = event.target;
+    const submitBtn = form.querySelector('button[type="submit"]');
+    
+    try {
+        submitBtn.disabled = true;
+        const params = await validate(form);
+        if (params.error) {
+            showNotification(params.error, "warning");
+            return;
+        }
+        
+        const tx = await send(params);
+        showNotification("Transaction submitted. Waiting for confirmation...", "info");
+        await trackTransaction(tx, submitBtn.textContent.trim());
+        showNotification(successMessage(params), "success");
+        
+        form.reset();
+        await loadRigs();
+        await loadUserShares();
+        await loadAdminPanel();
+    } catch (error) {
+        showNotification("Transaction failed: " + friendlyError(error), "danger");
+        console.error("Admin transaction failed:", error);
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+function registerRig(event) {
+    return submitAdminForm(
+        event,
+        validateRegisterRig,
+        p => contract.registerRig(p.id, p.name, p.shares, p.price, p.maxPerWallet),
+        p => `Registered rig #${p.id}: ${p.name}`
+    );
+}
+
+function depositRewards(event) {
+    return submitAdminForm(
+        event,
+        validateDepositRewards,
+        p => p.token ? sendTokenDeposit(p) : contract.depositRewards(p.id, { value: p.amount }),
+        p => p.token
+            ? `Deposited ${ethers.utils.formatUnits(p.amount, p.token.decimals)} ${p.token.symbol} of rewards to ${rigLabel(p.id)}`
+            : p.queued
+                ? `Queued ${ethers.utils.formatEther(p.amount.sub(p.fee))} ETH of rewards for the first holders of ${rigLabel(p.id)}${feeNote(p.fee)}`
+                : `Deposited ${ethers.utils.formatEther(p.amount.sub(p.fee))} ETH of rewards to ${rigLabel(p.id)}${feeNote(p.fee)}`
+    );
+}
+
+function feeNote(fee) {
+    return fee.gt(0) ? ` (after ${ethers.utils.formatEther(fee)} ETH of fees)` : '';
+}
+
+// Approve the contract for the deposit if needed, then deposit the tokens
+async function sendTokenDeposit(p) {
+    const token = new ethers.Contract(p.token.address, erc20ABI, signer);
+    const allowance = await token.allowance(userAddress, contractAddress);
+    if (allowance.lt(p.amount)) {
+        showNotification(`Approve ${p.token.symbol} spending in your wallet...`, "info");
+        const approveTx = await token.approve(contractAddress, p.amount);
+        await trackTransaction(approveTx, `Approve ${p.token.symbol} for the deposit`);
+    }
+    return contract.depositTokenRewards(p.id, p.token.address, p.amount);
+}
+
+function withdrawSales(event) {
+    return submitAdminForm(
+        event,
+        validateWithdrawSales,
+        p => contract.withdrawSales(p.to, p.amount),
+        p => `Withdrew ${ethers.utils.formatEther(p.amount)} ETH of sales to ${p.to}`
+    );
+}
+
+// Checks mirror setRigFees's require()s; fees are entered as percentages
+async function validateRigFees(form) {
+    const id = parseUintField(form.rigId.value);
+    if (!id) return { error: "Rig ID must be a whole number" };
+    
+    const operatorBps = form.operatorFee.value.trim() === '' ? ethers.constants.Zero : parseUnitsField(form.operatorFee.value, 2);
+    const hostingBps = form.hostingFee.value.trim() === '' ? ethers.constants.Zero : parseUnitsField(form.hostingFee.value, 2);
+    if (!operatorBps || !hostingBps) return { error: "Fees must be percentages with at most two decimals" };
+    
+    const maxBps = await contract.MAX_TOTAL_FEE_BPS();
+    if (operatorBps.add(hostingBps).gt(maxBps)) return { error: `Fees cannot exceed ${formatBps(maxBps.toNumber())} in total (fee too high)` };
+    
+    const recipient = form.hostingRecipient.value.trim() || ethers.constants.AddressZero;
+    if (!ethers.utils.isAddress(recipient)) return { error: "Hosting recipient must be a valid address" };
+    if (hostingBps.gt(0) && recipient === ethers.constants.AddressZero) return { error: "A hosting fee needs a recipient (zero addr)" };
+    
+    const rig = await contract.rigs(id);
+    if (rig.totalShares.eq(0)) return { error: `Rig #${id} is not registered (rig not found)` };
+    
+    return { id, operatorBps, hostingBps, recipient };
+}
+
+function setRigFees(event) {
+    return submitAdminForm(
+        event,
+        validateRigFees,
+        p => contract.setRigFees(p.id, p.operatorBps, p.hostingBps, p.recipient),
+        p => `Set fees of ${rigLabel(p.id)} to ${formatFees({ operatorBps: p.operatorBps.toNumber(), hostingBps: p.hostingBps.toNumber() })}`
+    );
+}
+
+// Show the connected wallet's accrued operator / hosting fees, if any
+async function loadFeeEarnings() {
+    try {
+        const balance = await contract.feeBalances(userAddress);
+        feeEarnings.classList.toggle('d-none', balance.eq(0));
+        feeEarningsBalance.textContent = `${ethers.utils.formatEther(balance)} ETH`;
+    } catch (error) {
+        feeEarnings.classList.add('d-none');
+        console.error("Error loading fee balance:", error);
+    }
+}
+
+// Withdraw the connected wallet's fees to itself
+async function withdrawFees() {
+    try {
+        withdrawFeesBtn.disabled = true;
+        const tx = await contract.withdrawFees(userAddress);
+        showNotification("Transaction submitted. Waiting for confirmation...", "info");
+        await trackTransaction(tx, "Withdraw fees");
+        showNotification("Fees withdrawn", "success");
+        await loadFeeEarnings();
+        if (!adminPanel.classList.contains('d-none')) await loadAdminBalances();
+    } catch (error) {
+        showNotification("Error withdrawing fees: " + friendlyError(error), "danger");
+        console.error("Error withdrawing fees:", error);
+    } finally {
+        withdrawFeesBtn.disabled = false;
+    }
+}
+
+// Checks mirror the lifecycle functions' require()s
+async function validateManageRig(form) {
+    const id = parseUintField(form.rigId.value);
+    if (!id) return { error: "Rig ID must be a whole number" };
+    
+    const action = form.operation.value;
+    const role = action === 'deactivate' || action === 'reactivate' ? 'pauser' : 'manager';
+    if (!userRoles[role]) return { error: `This needs the ${contractRoles[role].label} role (${contractRoles[role].name})` };
+    
+    const rig = await contract.rigs(id);
+    if (rig.totalShares.eq(0)) return { error: `Rig #${id} is not registered (rig not found)` };
+    
+    if (action === 'deactivate') {
+        if (!rig.active) return { error: `Rig #${id} is already paused (rig inactive)` };
+        return { id, action };
+    }
+    if (action === 'reactivate') {
+        if (rig.active) return { error: `Rig #${id} is already active (rig active)` };
+        return { id, action };
+    }
+    if (action === 'refundWindow') {
+        const hours = parseUintField(form.newValue.value);
+        if (!hours) return { error: "Refund window must be a whole number of hours (0 = no refunds)" };
+        return { id, action, value: hours.mul(3600) };
+    }
+    if (action === 'price') {
+        const price = parseEthField(form.newValue.value);
+        if (!price || price.isZero()) return { error: "New price must be greater than zero (price=0)" };
+        return { id, action, value: price };
+    }
+    
+    const shares = parseUintField(form.newValue.value);
+    if (!shares || shares.isZero()) return { error: "Total shares must be greater than zero (totalShares=0)" };
+    const minted = await contract['totalSupply(uint256)'](id);
+    if (shares.lt(minted)) return { error: `${minted} shares are already sold; total shares cannot go lower (below minted supply)` };
+    return { id, action, value: shares };
+}
+
+function sendManageRig(p) {
+    switch (p.action) {
+        case 'deactivate': return contract.deactivateRig(p.id);
+        case 'reactivate': return contract.reactivateRig(p.id);
+        case 'price': return contract.setRigPrice(p.id, p.value);
+        case 'refundWindow': return contract.setRefundWindow(p.id, p.value);
+        default: return contract.setRigTotalShares(p.id, p.value);
+    }
+}
+
+function manageRig(event) {
+    const messages = {
+        deactivate: p => `Paused ${rigLabel(p.id)}`,
+        reactivate: p => `Resumed ${rigLabel(p.id)}`,
+        price: p => `Set price of ${rigLabel(p.id)} to ${ethers.utils.formatEther(p.value)} ETH`,
+        shares: p => `Set total shares of ${rigLabel(p.id)} to ${p.value}`,
+        refundWindow: p => `Set refund window of ${rigLabel(p.id)} to ${p.value.div(3600)} hours`
+    };
+    return submitAdminForm(event, validateManageRig, sendManageRig, p => messages[p.action](p));
+}
+
+// Checks mirror openBuyback's / closeBuyback's require()s
+async function validateBuyback(form) {
+    const id = parseUintField(form.rigId.value);
+    if (!id) return { error: "Rig ID must be a whole number" };
+    
+    const rig = await contract.rigs(id);
+    if (rig.totalShares.eq(0)) return { error: `Rig #${id} is not registered (rig not found)` };
+    
+    if (form.operation.value === 'close') {
+        if ((await contract.buybackPrice(id)).eq(0)) return { error: `Rig #${id} has no open buyback (no buyback)` };
+        return { id, action: 'close' };
+    }
+    
+    const price = parseEthField(form.pricePerShare.value);
+    if (!price || price.isZero()) return { error: "Buyback price must be greater than zero (price=0)" };
+    
+    const funding = form.funding.value.trim() === '' ? ethers.constants.Zero : parseEthField(form.funding.value);
+    if (!funding) return { error: "Funding must be an ETH amount" };
+    
+    return { id, action: 'open', price, funding };
+}
+
+function manageBuyback(event) {
+    return submitAdminForm(
+        event,
+        validateBuyback,
+        p => p.action === 'close'
+            ? contract.closeBuyback(p.id, userAddress)
+            : contract.openBuyback(p.id, p.price, { value: p.funding }),
+        p => p.action === 'close'
+            ? `Closed the buyback for ${rigLabel(p.id)}; unspent funds returned`
+            : `Buyback for ${rigLabel(p.id)} open at ${ethers.utils.formatEther(p.price)} ETH per share`
+    );
+}
+
+// Checks mirror grantRole / revokeRole; the admin role itself only moves by handover
+async function validateRoles(form) {
+    const key = form.role.value;
+    const account = form.account.value.trim();
+    if (!ethers.utils.isAddress(account)) return { error: "Account must be a valid address" };
+    
+    const grant = form.operation.value === 'grant';
+    const role = await contract[contractRoles[key].name]();
+    const holds = await contract.hasRole(role, account);
+    if (grant && holds) return { error: `${account} already holds the ${contractRoles[key].label} role` };
+    if (!grant && !holds) return { error: `${account} does not hold the ${contractRoles[key].label} role` };
+    
+    return { key, role, account, grant };
+}
+
+function manageRoles(event) {
+    return submitAdminForm(
+        event,
+        validateRoles,
+        p => p.grant ? contract.grantRole(p.role, p.account) : contract.revokeRole(p.role, p.account),
+        p => `${p.grant ? 'Granted' : 'Revoked'} ${contractRoles[p.key].label} ${p.grant ? 'to' : 'from'} ${p.account}`
+    );
+}
+
+// Checks mirror beginDefaultAdminTransfer / cancelDefaultAdminTransfer
+async function validateAdminTransfer(form) {
+    if (form.operation.value === 'cancel') {
+        const pending = await contract.pendingDefaultAdmin();
+        if (pending.newAdmin === ethers.constants.AddressZero) return { error: "No admin handover is pending" };
+        return { cancel: true };
+    }
+    
+    const newAdmin = form.newAdmin.value.trim();
+    if (!ethers.utils.isAddress(newAdmin)) return { error: "New admin must be a valid address" };
+    if (newAdmin.toLowerCase() === userAddress.toLowerCase()) return { error: "This wallet is already the admin" };
+    return { newAdmin };
+}
+
+function manageAdminTransfer(event) {
+    return submitAdminForm(
+        event,
+        validateAdminTransfer,
+        p => p.cancel ? contract.cancelDefaultAdminTransfer() : contract.beginDefaultAdminTransfer(p.newAdmin),
+        p => p.cancel
+            ? "Cancelled the pending admin handover"
+            : `Admin handover to ${p.newAdmin} started; it must accept from that wallet`
+    );
+}
+
+// Second step of the handover, run by the pending admin
+async function acceptAdminRole() {
+    try {
+        acceptAdminBtn.disabled = true;
+        const tx = await contract.acceptDefaultAdminTransfer();
+        showNotification("Transaction submitted. Waiting for confirmation...", "info");
+        await trackTransaction(tx, "Accept the admin role");
+        showNotification("You are now the admin", "success");
+        await loadAdminPanel();
+    } catch (error) {
+        showNotification("Error accepting the admin role: " + friendlyError(error), "danger");
+        console.error("Error accepting the admin role:", error);
+    } finally {
+        acceptAdminBtn.disabled = false;
+    }
+}
+
+// Flip the circuit breaker (pause: pauser role, unpause: admin)
+async function setContractPaused(pause) {
+    const btn = pause ? pauseContractBtn : unpauseContractBtn;
+    if (pause && !confirm("Pause buying, transfers and deposits for every rig? Only the admin can unpause.")) return;
+    
+    try {
+        btn.disabled = true;
+        const tx = pause ? await contract.pause() : await contract.unpause();
+        showNotification("Transaction submitted. Waiting for confirmation...", "info");
+        await trackTransaction(tx, pause ? "Pause the contract" : "Unpause the contract");
+        showNotification(pause ? "Contract paused" : "Contract unpaused", "success");
+        await handlePauseChanged();
+    } catch (error) {
+        showNotification(`Error ${pause ? 'pausing' : 'unpausing'} the contract: ` + friendlyError(error), "danger");
+        console.error("Error changing pause state:", error);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+// Send reconcileETH's unexplained surplus to the connected treasurer
+async function rescueSurplus() {
+    try {
+        rescueSurplusBtn.disabled = true;
+        const tx = await contract.rescueSurplusETH(userAddress);
+        showNotification("Transaction submitted. Waiting for confirmation...", "info");
+        await trackTransaction(tx, "Rescue unexplained ETH");
+        showNotification("Unexplained ETH rescued to your wallet", "success");
+        await loadAdminBalances();
+    } catch (error) {
+        showNotification("Error rescuing ETH: " + friendlyError(error), "danger");
+        console.error("Error rescuing ETH:", error);
+    } finally {
+        rescueSurplusBtn.disabled = false;
+    }
+}
+
+// ---------------------------
+// Transactions panel
+// ---------------------------
+
+const transactionBadges = {
+    pending: 'bg-warning text-dark',
+    confirmed: 'bg-success',
+    failed: 'bg-danger',
+    replaced: 'bg-secondary'
+};
+
+// Follow a sent transaction in the Transactions panel; resolves with its receipt
+function trackTransaction(tx, label) {
+    return transactionTracker.track(tx, label);
+}
+
+// Message for a failed wallet request, call or transaction, decoding the core's custom errors
+function friendlyError(error) {
+    return describeError(error, contract ? contract.interface : undefined);
+}
+
+// Show the connected account's transactions on this chain, newest first
+function displayTransactions(entries) {
+    clearTransactionsBtn.disabled = !entries.some(entry => entry.status !== 'pending');
+    if (entries.length === 0) {
+        transactionsList.innerHTML = userAddress
+            ? '<p class="text-muted mb-0">No transactions sent from this browser yet</p>'
+            : '<p class="text-muted mb-0">Connect your wallet to view your transactions</p>';
+        return;
+    }
+    
+    const explorer = supportedChains[chainId] && supportedChains[chainId].blockExplorerUrls;
+    const items = entries.map(entry => {
+        const hash = `${entry.hash.substring(0, 10)}...`;
+        const link = explorer ? `<a href="${explorer[0]}/tx/${entry.hash}" target="_blank" rel="noopener">${hash}</a>` : hash;
+        const detail = entry.error ? `<div class="small text-muted">${escapeHtml(entry.error)}</div>` : '';
+        return `
+            <li class="list-group-item d-flex justify-content-between align-items-start">
+                <div>
+                    <div>${escapeHtml(entry.label)}</div>
+                    <div class="small text-muted">${new Date(entry.sentAt).toLocaleString()} &middot; ${link}</div>
+                    ${detail}
+                </div>
+                <span class="badge ${transactionBadges[entry.status]}">${entry.status}</span>
+            </li>
+        `;
+    });
+    transactionsList.innerHTML = `<ul class="list-group list-group-flush">${items.join('')}</ul>`;
+}
+
 // Show notification
 function showNotification(message, type) {
     const notification = document.getElementById('notification');
@@ -0,0 +1,32 @@
+// Rigs a wallet has a position in: shares, or ETH or ERC-20 rewards still to claim after it
+// sold, transferred, refunded or sold back every share. Loaded before app.js; also
+// require()-able so the tests can run it against a Hardhat node.
+
+/**
+ * The wallet's shares, claimable ETH rewards and claimable ERC-20 rewards of every rig in
+ * `rigIds` where any of them is above zero, in `rigIds` order
+ * @param {object} contract MiningRigOwnership
+ * @param {string} account
+ * @param {string[]} rigIds
+ * @returns {Promise<Array<{rigId: string, balance: object, claimable: object,
+ *     tokenRewards: Array<{token: string, amount: object}>}>>} amounts are BigNumbers;
+ *     tokenRewards has every reward token of the rig, claimable or not
+ */
+async function loadHoldings(contract, account, rigIds) {
+    const holdings = await Promise.all(rigIds.map(async rigId => {
+        const [balance, claimable, tokens] = await Promise.all([
+            contract.balanceOf(account, rigId),
+            contract.claimable(account, rigId),
+            contract.rigRewardTokens(rigId)
+        ]);
+        const tokenRewards = await Promise.all(tokens.map(async token => ({
+            token,
+            amount: await contract.claimableToken(account, rigId, token)
+        })));
+        return { rigId, balance, claimable, tokenRewards };
+    }));
+    return holdings.filter(holding => holding.balance.gt(0) || holding.claimable.gt(0) ||
+        holding.tokenRewards.some(reward => reward.amount.gt(0)));
+}
+
+if (typeof module !== 'undefined') module.exports = { loadHoldings };
@@ -0,0 +1,258 @@
+// Secondary market ("Market" tab): browse, create, cancel and fill share listings.
+// Loaded after app.js and shares its globals (provider, signer, contract, contractAbis, userAddress, rigs).
+
+// Set from the chain's deployment manifest; null hides the market
+let marketAddress = null;
+
+let market;
+let listings = [];
+
+// Market elements
+const marketContainer = document.getElementById('market-container');
+const createListingForm = document.getElementById('create-listing-form');
+
+createListingForm.addEventListener('submit', createListing);
+
+// Wire up the market once the wallet is connected, and again for each account or chain
+async function initMarket() {
+    closeMarket();
+    marketAddress = deploymentManifest && deploymentManifest.RigShareMarket
+        ? deploymentManifest.RigShareMarket.address
+        : null;
+    if (!marketAddress) {
+        marketContainer.innerHTML = '<p class="text-muted">Secondary market is not configured</p>';
+        createListingForm.classList.add('d-none');
+        return;
+    }
+    
+    market = new ethers.Contract(marketAddress, contractAbis.RigShareMarket, signer);
+    createListingForm.classList.remove('d-none');
+    
+    await loadListings();
+    
+    // Any listing change refreshes the order book; fills also move balances
+    market.on('ListingCreated', loadListings);
+    market.on('ListingCancelled', loadListings);
+    market.on('ListingFilled', async () => {
+        await loadListings();
+        await loadUserShares();
+    });
+}
+
+// Stop following the market until the next initMarket
+function closeMarket() {
+    if (market) market.removeAllListeners();
+    market = null;
+    listings = [];
+    marketContainer.innerHTML = '<p class="text-muted">Connect your wallet to view the market</p>';
+}
+
+// Rebuild the open listings (amount > 0) from the market's events since the deployment
+// block, so filled and cancelled listings cost no reads
+async function loadListings() {
+    try {
+        const latestBlock = await provider.getBlockNumber();
+        const f = market.filters;
+        const [created, filled, cancelled] = await Promise.all([
+            queryFilterPaged(market, f.ListingCreated(), deploymentBlock, latestBlock),
+            queryFilterPaged(market, f.ListingFilled(), deploymentBlock, latestBlock),
+            queryFilterPaged(market, f.ListingCancelled(), deploymentBlock, latestBlock)
+        ]);
+        
+        const open = new Map();
+        created.forEach(event => open.set(event.args.listingId.toNumber(), {
+            id: event.args.listingId.toNumber(),
+            seller: event.args.seller,
+            rigId: event.args.rigId.toString(),
+            amount: event.args.amount,
+            pricePerShareWei: event.args.pricePerShareWei
+        }));
+        filled.forEach(event => {
+            const listing = open.get(event.args.listingId.toNumber());
+            if (listing) listing.amount = listing.amount.sub(event.args.amount);
+        });
+        cancelled.forEach(event => open.delete(event.args.listingId.toNumber()));
+        
+        listings = [...open.values()]
+            .filter(listing => listing.amount.gt(0))
+            .sort((a, b) => a.id - b.id);
+        displayListings();
+    } catch (error) {
+        showNotification("Error loading market: " + error.message, "danger");
+        console.error("Error loading market:", error);
+    }
+}
+
+// Display open listings in the Market tab
+function displayListings() {
+    marketContainer.innerHTML = '';
+    
+    if (listings.length === 0) {
+        marketContainer.innerHTML = '<p class="text-muted">No open listings</p>';
+        return;
+    }
+    
+    const table = document.createElement('table');
+    table.className = 'table';
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>Rig</th>
+                <th>Seller</th>
+                <th>Available</th>
+                <th>Price / Share</th>
+                <th>Actions</th>
+            </tr>
+        </thead>
+        <tbody id="market-table-body"></tbody>
+    `;
+    marketContainer.appendChild(table);
+    const tableBody = document.getElementById('market-table-body');
+    
+    listings.forEach(listing => {
+        const isMine = listing.seller.toLowerCase() === userAddress.toLowerCase();
+        const seller = isMine ? 'You' : `${listing.seller.substring(0, 6)}...${listing.seller.substring(listing.seller.length - 4)}`;
+        const action = isMine
+            ? `<button class="btn btn-outline-danger btn-sm cancel-listing-btn" data-listing-id="${listing.id}">Cancel</button>`
+            : `<div class="input-group input-group-sm">
+                   <input type="number" class="form-control fill-amount" id="fill-amount-${listing.id}" min="1" max="${listing.amount}" value="${listing.amount}">
+                   <button class="btn btn-primary fill-listing-btn" data-listing-id="${listing.id}" ${contractPaused ? 'disabled' : ''}>Buy</button>
+               </div>`;
+        
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(rigLabel(listing.rigId))}</td>
+            <td>${seller}</td>
+            <td>${listing.amount}</td>
+            <td>${ethers.utils.formatEther(listing.pricePerShareWei)} ETH</td>
+            <td>${action}</td>
+        `;
+        tableBody.appendChild(row);
+    });
+    
+    document.querySelectorAll('.cancel-listing-btn').forEach(btn => {
+        btn.addEventListener('click', cancelListing);
+    });
+    document.querySelectorAll('.fill-listing-btn').forEach(btn => {
+        btn.addEventListener('click', fillListing);
+    });
+}
+
+// Checks mirror createListing's require()s
+async function validateCreateListing(form) {
+    const id = parseUintField(form.rigId.value);
+    if (!id) return { error: "Rig ID must be a whole number" };
+    
+    const amount = parseUintField(form.amount.value);
+    if (!amount || amount.isZero()) return { error: "Amount must be greater than zero (amount=0)" };
+    
+    const price = parseEthField(form.pricePerShare.value);
+    if (!price || price.isZero()) return { error: "Price per share must be greater than zero (price=0)" };
+    
+    const rig = await contract.rigs(id);
+    if (rig.totalShares.eq(0)) return { error: `Rig #${id} is not registered (rig not found)` };
+    
+    const balance = await contract.balanceOf(userAddress, id);
+    if (balance.lt(amount)) return { error: `You only hold ${balance} shares of ${rigLabel(id)} (insufficient shares)` };
+    
+    return { id, amount, price };
+}
+
+// List shares for sale, approving the market first if needed
+async function createListing(event) {
+    event.preventDefault();
+    const form = event.target;
+    const submitBtn = form.querySelector('button[type="submit"]');
+    
+    try {
+        submitBtn.disabled = true;
+        const params = await validateCreateListing(form);
+        if (params.error) {
+            showNotification(params.error, "warning");
+            return;
+        }
+        
+        if (!(await contract.isApprovedForAll(userAddress, marketAddress))) {
+            showNotification("Approve the market to transfer your shares when they sell...", "info");
+            const approveTx = await contract.setApprovalForAll(marketAddress, true);
+            await trackTransaction(approveTx, "Approve the market");
+        }
+        
+        const tx = await market.createListing(params.id, params.amount, params.price);
+        showNotification("Transaction submitted. Waiting for confirmation...", "info");
+        await trackTransaction(tx, `List ${params.amount} shares of ${rigLabel(params.id)}`);
+        showNotification(`Listed ${params.amount} shares of ${rigLabel(params.id)}`, "success");
+        
+        form.reset();
+        await loadListings();
+    } catch (error) {
+        showNotification("Error creating listing: " + friendlyError(error), "danger");
+        console.error("Error creating listing:", error);
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+// Cancel one of the user's listings
+async function cancelListing(event) {
+    const btn = event.target;
+    const listingId = btn.getAttribute('data-listing-id');
+    
+    try {
+        btn.disabled = true;
+        const tx = await market.cancelListing(listingId);
+        showNotification("Transaction submitted. Waiting for confirmation...", "info");
+        await trackTransaction(tx, `Cancel listing #${listingId}`);
+        showNotification(`Cancelled listing #${listingId}`, "success");
+        await loadListings();
+    } catch (error) {
+        btn.disabled = false;
+        showNotification("Error cancelling listing: " + friendlyError(error), "danger");
+        console.error("Error cancelling listing:", error);
+    }
+}
+
+// Buy some or all shares from a listing
+async function fillListing(event) {
+    const btn = event.target;
+    const listingId = parseInt(btn.getAttribute('data-listing-id'));
+    const listing = listings.find(l => l.id === listingId);
+    const amount = parseInt(document.getElementById(`fill-amount-${listingId}`).value);
+    
+    if (!amount || amount <= 0) {
+        showNotification("Please enter a valid amount", "warning");
+        return;
+    }
+    if (listing.amount.lt(amount)) {
+        showNotification(`Only ${listing.amount} shares are left in this listing (exceeds listing)`, "warning");
+        return;
+    }
+    
+    try {
+        btn.disabled = true;
+        
+        // Same per-wallet cap as primary sales
+        const rig = await contract.rigs(listing.rigId);
+        if (rig.maxPerWallet.gt(0)) {
+            const balance = await contract.balanceOf(userAddress, listing.rigId);
+            if (balance.add(amount).gt(rig.maxPerWallet)) {
+                showNotification(`This would take you over the ${rig.maxPerWallet} share cap for ${rigLabel(listing.rigId)} (wallet cap exceeded)`, "warning");
+                btn.disabled = false;
+                return;
+            }
+        }
+        
+        const cost = listing.pricePerShareWei.mul(amount);
+        const tx = await market.fillListing(listingId, amount, { value: cost });
+        showNotification("Transaction submitted. Waiting for confirmation...", "info");
+        await trackTransaction(tx, `Buy ${amount} shares of ${rigLabel(listing.rigId)} from listing #${listingId}`);
+        showNotification(`Bought ${amount} shares of ${rigLabel(listing.rigId)} for ${ethers.utils.formatEther(cost)} ETH`, "success");
+        
+        await loadListings();
+        await loadUserShares();
+    } catch (error) {
+        btn.disabled = false;
+        showNotification("Error buying from listing: " + friendlyError(error), "danger");
+        console.error("Error filling listing:", error);
+    }
+}
@@ -0,0 +1,62 @@
+// How many shares of a rig a wallet can still buy: what is left of the rig's supply, of
+// its per-wallet cap and of an open presale round. Loaded before app.js; also require()-able
+// so the tests can run it against a Hardhat node.
+
+// The ethers bundle loaded by the page, or the package under Node
+const { BigNumber } = typeof module !== 'undefined' ? require('ethers') : ethers;
+
+/**
+ * The rig's minted supply and the wallet's balance of it
+ * @param {object} contract MiningRigOwnership
+ * @param {string|null} account null when browsing read-only
+ * @param {string} rigId
+ * @returns {Promise<{minted: object, held: object|null}>} BigNumbers; held is null without an account
+ */
+async function loadSupply(contract, account, rigId) {
+    const [minted, held] = await Promise.all([
+        contract['totalSupply(uint256)'](rigId),
+        account ? contract.balanceOf(account, rigId) : null
+    ]);
+    return { minted, held };
+}
+
+// Shares of `rig` not yet sold (refunds and redemptions put shares back)
+function remainingShares(rig) {
+    return BigNumber.from(rig.totalShares).sub(rig.minted);
+}
+
+// Shares the connected wallet can still add under the rig's cap; null without a cap or wallet
+function walletCapLeft(rig) {
+    if (rig.maxPerWallet === '0' || !rig.held) return null;
+    const left = BigNumber.from(rig.maxPerWallet).sub(rig.held);
+    return left.lt(0) ? BigNumber.from(0) : left;
+}
+
+/**
+ * The tightest of the limits on buying `rig` now: shares left, the rig's per-wallet cap
+ * and, in a presale round, the round's shares and per-wallet cap
+ * @param {object} rig totalShares and maxPerWallet as strings, minted and held as from loadSupply
+ * @param {object} sale phase, and for a presale the round and the wallet's roundBought
+ * @returns {{left: object, by: string, reached: string}} left is a BigNumber, 0 or less
+ *     when `reached` says why nothing more can be bought
+ */
+function buyLimit(rig, sale) {
+    const limits = [{ left: remainingShares(rig), by: 'the shares left', reached: 'This rig is sold out.' }];
+    const capLeft = walletCapLeft(rig);
+    if (capLeft) {
+        limits.push({ left: capLeft, by: 'the per-wallet cap', reached: 'Your wallet already holds the most shares of this rig it can.' });
+    }
+    if (sale.phase === 'Presale') {
+        limits.push({ left: sale.round.cap.sub(sale.round.sold), by: "this round's shares", reached: 'This presale round is sold out.' });
+        if (sale.round.maxPerWallet.gt(0)) {
+            limits.push({
+                left: sale.round.maxPerWallet.sub(sale.roundBought),
+                by: "this round's per-wallet cap",
+                reached: 'Your wallet has bought the most this round allows.'
+            });
+        }
+    }
+    return limits.reduce((tightest, limit) => (limit.left.lt(tightest.left) ? limit : tightest));
+}
+
+if (typeof module !== 'undefined') module.exports = { loadSupply, remainingShares, walletCapLeft, buyLimit };
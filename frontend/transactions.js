@@ -0,0 +1,285 @@
+// Transaction layer: follows every transaction the page sends until it is confirmed,
+// fails or is replaced in the wallet, and keeps that list per account and chain so it
+// survives reloads. Also turns revert reasons into messages a user can act on, and dry-runs
+// calls so a revert shows up before the wallet asks for a signature. Loaded before app.js;
+// also require()-able so the tests can run it against a Hardhat node.
+
+// What the contracts' require() reasons mean for the user
+const revertMessages = {
+    'amount=0': 'Enter an amount greater than zero',
+    'buyback underfunded': 'The buyback does not have enough ETH left for that many shares',
+    'exceeds listing': 'The listing does not have that many shares left',
+    'exceeds max cost': 'The price went up after you signed; sign the purchase again',
+    'exceeds refundable': 'You cannot refund more shares than you bought in the refund window',
+    'exceeds round cap': 'Not enough shares are left in this presale round',
+    'exceeds sales': 'That is more than the sales balance',
+    'exceeds total shares': 'Not enough shares of this rig are left for sale',
+    'insufficient shares': 'You do not hold that many shares',
+    'intent expired': 'Your signature expired before it was submitted; sign again',
+    'invalid signature': 'The signature does not match this wallet',
+    'listing inactive': 'This listing was filled or cancelled',
+    'market not approved': 'Approve the market to move your shares first',
+    'no buyback': 'This rig has no open buyback',
+    'no fees': 'You have no fees to withdraw',
+    'no shares': 'You hold no shares of this rig',
+    'no surplus': 'The contract holds no unexplained ETH',
+    'not allowlisted': "Your wallet is not on this sale's allowlist",
+    'not seller': 'Only the seller can cancel this listing',
+    'nothing to claim': 'You have no rewards to claim from this rig yet',
+    'own listing': 'You cannot buy from your own listing',
+    'refund window closed': 'The refund window for these shares has closed',
+    'rig decommissioned': 'This rig has been decommissioned; redeem your shares instead',
+    'rig inactive': 'This rig has been paused',
+    'rig not found': 'This rig is not registered',
+    'round wallet cap exceeded': "That would take your wallet over this presale round's per-wallet cap",
+    'sale not open': 'The sale is closed until the next round opens',
+    'transfer restricted': 'Shares of this rig can only move between approved addresses',
+    'underfunded': 'The contract does not hold enough ETH for this',
+    'wallet cap exceeded': "That would take your wallet over this rig's per-wallet cap",
+    'wrong ETH sent': 'The ETH sent does not match the price; the price may have changed, so reopen the purchase',
+    'zero addr': 'The address cannot be the zero address',
+    // Custom errors of the OpenZeppelin base contracts
+    AccessControlUnauthorizedAccount: 'Your wallet does not have the role this needs',
+    ERC1155InsufficientBalance: 'You do not hold that many shares',
+    ERC1155MissingApprovalForAll: 'The holder has not approved this transfer',
+    EnforcedPause: 'The contract is paused',
+    InvalidAccountNonce: 'This signature was already used; sign again'
+};
+
+// ABI selector of Error(string), the encoding of require() reasons
+const errorStringSelector = '0x08c379a0';
+
+// How many transactions the panel keeps per account and chain
+const transactionLimit = 25;
+
+/**
+ * Revert reason of a failed call or transaction: the require() string or the custom
+ * error's name. ethers and the wallets wrap it in nested errors and messages.
+ * @param {Error} error
+ * @param {object} [iface] contract interface that decodes custom errors
+ * @returns {string|null}
+ */
+function revertReason(error, iface) {
+    const errors = nestedErrors(error);
+
+    for (const e of errors) {
+        if (typeof e.data !== 'string' || !e.data.startsWith('0x') || e.data.length < 10) continue;
+        if (e.data.startsWith(errorStringSelector)) return decodeErrorString(e.data);
+        if (iface) {
+            try {
+                return iface.parseError(e.data).name;
+            } catch (parseError) {
+                // Not one of this contract's errors
+            }
+        }
+    }
+
+    // Already decoded by ethers (callStatic), or only left in a message
+    for (const e of errors) {
+        if (e.errorName && e.errorName !== 'Error') return e.errorName;
+    }
+    for (const e of errors) {
+        const match = /reason string ['"](.*?)['"]|execution reverted: ([^"\n]+)|custom error '(\w+)/.exec(e.message || '');
+        if (match) return match[1] || match[2] || match[3];
+    }
+    return null;
+}
+
+/**
+ * One sentence for the user about why a wallet request, call or transaction failed
+ * @param {Error} error
+ * @param {object} [iface] contract interface that decodes custom errors
+ * @returns {string}
+ */
+function describeError(error, iface) {
+    const errors = nestedErrors(error);
+    if (errors.some(e => e.code === 4001 || e.code === 'ACTION_REJECTED')) return 'You rejected the request in your wallet';
+    if (errors.some(e => e.code === 'INSUFFICIENT_FUNDS')) return 'Your wallet does not have enough ETH for this and its gas';
+    if (error.code === 'TRANSACTION_REPLACED') {
+        if (error.cancelled) return 'The transaction was cancelled or replaced in your wallet';
+        return error.receipt.status === 0
+            ? 'The transaction was sped up in your wallet, but the replacement reverted'
+            : 'The transaction was sped up in your wallet';
+    }
+
+    const reason = revertReason(error, iface);
+    if (reason) return revertMessages[reason] ? `${revertMessages[reason]} (${reason})` : `The contract rejected it (${reason})`;
+    if (error.receipt && error.receipt.status === 0) return 'The transaction reverted';
+    return error.message;
+}
+
+/**
+ * Dry-run a contract call with callStatic, then estimate its gas, so a revert shows up
+ * before the wallet opens. Throws the call's error.
+ * @returns {Promise<{gasLimit: object, gasCostWei: object}>} BigNumbers
+ */
+async function preflightCall(contract, method, args, overrides = {}) {
+    await contract.callStatic[method](...args, overrides);
+    const gasLimit = await contract.estimateGas[method](...args, overrides);
+    const gasPrice = await contract.provider.getGasPrice();
+    return { gasLimit, gasCostWei: gasLimit.mul(gasPrice) };
+}
+
+// Storage key of one account's transactions on one chain
+function transactionStorageKey(chainId, account) {
+    return `transactions:${chainId}:${account.toLowerCase()}`;
+}
+
+/**
+ * @param {object} [options]
+ * @param {Storage} [options.storage=localStorage] keeps the transactions between visits
+ * @param {number} [options.pollMs=4000] how often pending transactions of an earlier visit are checked
+ */
+function createTransactionTracker({ storage = window.localStorage, pollMs = 4000 } = {}) {
+    const listeners = { change: [] };
+    let key = null;
+    let entries = [];
+    // Bumped by open() and close(), so checks for an earlier account stop
+    let session = 0;
+
+    function load(from) {
+        try {
+            return JSON.parse(storage.getItem(from)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Apply `change` to the list stored under `owner`, which can be an account the page
+    // has since switched away from
+    function write(owner, change) {
+        const next = change(owner === key ? entries : load(owner)).slice(0, transactionLimit);
+        storage.setItem(owner, JSON.stringify(next));
+        if (owner === key) {
+            entries = next;
+            listeners.change.forEach(listener => listener(entries));
+        }
+    }
+
+    function settle(hash, changes) {
+        return list => list.map(entry => (entry.hash === hash ? { ...entry, ...changes, settledAt: Date.now() } : entry));
+    }
+
+    // A transaction sent before this visit: wait for its receipt, or for its nonce to be
+    // used by another transaction (replaced in the wallet)
+    async function resume(owner, current, provider, entry) {
+        while (current === session) {
+            try {
+                let receipt = await provider.getTransactionReceipt(entry.hash);
+                if (!receipt && entry.from && entry.nonce !== null && (await provider.getTransactionCount(entry.from)) > entry.nonce) {
+                    // It can still have been mined between the two reads
+                    receipt = await provider.getTransactionReceipt(entry.hash);
+                    if (!receipt) {
+                        write(owner, settle(entry.hash, { status: 'replaced', error: 'Another transaction from your wallet took its place' }));
+                        return;
+                    }
+                }
+                if (receipt) {
+                    write(owner, settle(entry.hash, receiptStatus(receipt)));
+                    return;
+                }
+            } catch (error) {
+                console.error(`Error checking transaction ${entry.hash}:`, error);
+            }
+            await new Promise(resolve => setTimeout(resolve, pollMs));
+        }
+    }
+
+    return {
+        get entries() { return entries; },
+
+        // Show `account`'s transactions on `chainId` and keep checking the pending ones
+        open(chainId, account, provider) {
+            const current = ++session;
+            key = transactionStorageKey(chainId, account);
+            entries = load(key);
+            listeners.change.forEach(listener => listener(entries));
+            entries
+                .filter(entry => entry.status === 'pending')
+                .forEach(entry => resume(key, current, provider, entry));
+            return entries;
+        },
+
+        close() {
+            session++;
+            key = null;
+            entries = [];
+            listeners.change.forEach(listener => listener(entries));
+        },
+
+        /**
+         * Record a sent transaction and wait for it. Resolves with the receipt, including
+         * when the wallet sped it up; rejects when it reverts or is cancelled.
+         * @param {object} tx ethers TransactionResponse, or anything with hash and wait()
+         * @param {string} label what the transaction does, for the panel
+         */
+        async track(tx, label) {
+            const owner = key;
+            if (!owner) return tx.wait();
+
+            const sent = { label, from: tx.from || null, nonce: tx.nonce ?? null, sentAt: Date.now() };
+            write(owner, list => [{ hash: tx.hash, status: 'pending', ...sent }, ...list]);
+            try {
+                const receipt = await tx.wait();
+                write(owner, settle(tx.hash, receiptStatus(receipt)));
+                return receipt;
+            } catch (error) {
+                if (error.code !== 'TRANSACTION_REPLACED') {
+                    write(owner, settle(tx.hash, { status: 'failed', error: describeError(error) }));
+                    throw error;
+                }
+
+                // Sped up in the wallet: same call at a higher gas price, so its receipt is ours
+                const replaced = settle(tx.hash, { status: 'replaced', replacedBy: error.replacement.hash, error: describeError(error) });
+                if (error.cancelled) {
+                    write(owner, replaced);
+                    throw error;
+                }
+                const replacement = { hash: error.replacement.hash, ...sent, ...receiptStatus(error.receipt), settledAt: Date.now() };
+                write(owner, list => [replacement, ...replaced(list)]);
+                if (error.receipt.status === 0) throw error;
+                return error.receipt;
+            }
+        },
+
+        // Drop every settled transaction
+        clear() {
+            if (key) write(key, list => list.filter(entry => entry.status === 'pending'));
+        },
+
+        on(name, listener) {
+            if (!listeners[name]) throw new Error(`Unknown transaction event ${name}`);
+            listeners[name].push(listener);
+        }
+    };
+}
+
+function receiptStatus(receipt) {
+    return receipt.status === 0
+        ? { status: 'failed', block: receipt.blockNumber, error: 'The transaction reverted' }
+        : { status: 'confirmed', block: receipt.blockNumber };
+}
+
+// The error and every error it wraps (ethers' `error`, wallets' `data` and `originalError`)
+function nestedErrors(error) {
+    const found = [];
+    const queue = [error];
+    while (queue.length > 0 && found.length < 10) {
+        const next = queue.shift();
+        if (!next || typeof next !== 'object' || found.includes(next)) continue;
+        found.push(next);
+        queue.push(next.error, next.data, next.originalError);
+    }
+    return found;
+}
+
+// Reason string of ABI-encoded Error(string) revert data
+function decodeErrorString(data) {
+    const length = parseInt(data.slice(74, 138), 16);
+    const bytes = data.slice(138, 138 + length * 2).match(/../g) || [];
+    return new TextDecoder().decode(new Uint8Array(bytes.map(byte => parseInt(byte, 16))));
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { createTransactionTracker, describeError, preflightCall, revertMessages, revertReason, transactionStorageKey };
+}
@@ -0,0 +1,152 @@
+// Wallet layer: finds every injected wallet through EIP-6963, connects the one the user
+// picks over its EIP-1193 provider, remembers the choice and forwards account and chain
+// changes. Loaded before app.js; also require()-able so the tests can drive it with a
+// mock provider.
+
+// Storage key of the remembered wallet's rdns
+const walletStorageKey = 'wallet:rdns';
+
+// Stand-in for a pre-EIP-6963 wallet that only sets window.ethereum
+const legacyWalletInfo = { uuid: 'injected', name: 'Browser wallet', icon: '', rdns: 'injected' };
+
+/**
+ * @param {object} [options]
+ * @param {EventTarget} [options.target=window] where wallets announce themselves
+ * @param {Storage} [options.storage=localStorage] keeps the chosen wallet between visits
+ * @param {object} [options.legacyProvider=window.ethereum] offered when no wallet announces it
+ * @param {number} [options.discoveryMs=300] how long discover() waits for announcements
+ */
+function createWalletManager({
+    target = window,
+    storage = window.localStorage,
+    legacyProvider = target.ethereum,
+    discoveryMs = 300
+} = {}) {
+    const announced = new Map();
+    const listeners = { accountsChanged: [], chainChanged: [], disconnect: [] };
+    let wallet = null;
+    let accounts = [];
+    let chainId = null;
+
+    // Wallets can announce themselves at any time, not only in answer to a request
+    target.addEventListener('eip6963:announceProvider', event => {
+        const { info, provider } = event.detail || {};
+        if (info && info.uuid && provider) announced.set(info.uuid, Object.freeze({ info, provider }));
+    });
+
+    function emit(name, value) {
+        listeners[name].forEach(listener => listener(value));
+    }
+
+    // Provider events, bound to the connected wallet only
+    const providerHandlers = {
+        accountsChanged(next) {
+            accounts = next;
+            if (accounts.length === 0) {
+                unbind();
+                emit('disconnect');
+            } else {
+                emit('accountsChanged', accounts);
+            }
+        },
+        chainChanged(next) {
+            chainId = parseChainId(next);
+            emit('chainChanged', chainId);
+        },
+        disconnect() {
+            accounts = [];
+            unbind();
+            emit('disconnect');
+        }
+    };
+
+    function bind(next) {
+        unbind();
+        wallet = next;
+        Object.entries(providerHandlers).forEach(([name, handler]) => wallet.provider.on(name, handler));
+    }
+
+    function unbind() {
+        if (!wallet) return;
+        Object.entries(providerHandlers).forEach(([name, handler]) => wallet.provider.removeListener(name, handler));
+        wallet = null;
+    }
+
+    // Announced wallets, plus the legacy provider unless one of them is it
+    function list() {
+        const wallets = [...announced.values()];
+        if (legacyProvider && !wallets.some(w => w.provider === legacyProvider)) {
+            wallets.push({ info: legacyWalletInfo, provider: legacyProvider });
+        }
+        return wallets;
+    }
+
+    function find(rdns) {
+        const wallets = list();
+        return rdns ? wallets.find(w => w.info.rdns === rdns) : wallets[0];
+    }
+
+    // Bind `next` with the accounts it gave us and read its chain
+    async function use(next, nextAccounts) {
+        const nextChainId = parseChainId(await next.provider.request({ method: 'eth_chainId' }));
+        bind(next);
+        accounts = nextAccounts;
+        chainId = nextChainId;
+        return { wallet, accounts, chainId };
+    }
+
+    return {
+        get wallets() { return list(); },
+        get wallet() { return wallet; },
+        get provider() { return wallet ? wallet.provider : null; },
+        get accounts() { return accounts; },
+        get chainId() { return chainId; },
+
+        // Ask every wallet to announce itself and collect the answers for discoveryMs
+        async discover() {
+            target.dispatchEvent(new Event('eip6963:requestProvider'));
+            await new Promise(resolve => setTimeout(resolve, discoveryMs));
+            return list();
+        },
+
+        // Prompt the wallet with this rdns (default: the first found) and remember it
+        async connect(rdns) {
+            const next = find(rdns);
+            if (!next) throw new Error(rdns ? `Wallet ${rdns} not found` : 'No wallet found');
+
+            const session = await use(next, await next.provider.request({ method: 'eth_requestAccounts' }));
+            storage.setItem(walletStorageKey, next.info.rdns);
+            return session;
+        },
+
+        // Reconnect the remembered wallet without a prompt; null unless it's still authorized
+        async restore() {
+            const remembered = storage.getItem(walletStorageKey);
+            const next = remembered && find(remembered);
+            if (!next) return null;
+
+            const authorized = await next.provider.request({ method: 'eth_accounts' });
+            return authorized.length > 0 ? use(next, authorized) : null;
+        },
+
+        // Stop following the wallet and forget the choice
+        disconnect() {
+            unbind();
+            accounts = [];
+            chainId = null;
+            storage.removeItem(walletStorageKey);
+        },
+
+        on(name, listener) {
+            if (!listeners[name]) throw new Error(`Unknown wallet event ${name}`);
+            listeners[name].push(listener);
+        }
+    };
+}
+
+// EIP-1193 chain IDs are hex strings; some wallets send numbers
+function parseChainId(value) {
+    return typeof value === 'string' ? parseInt(value, 16) : Number(value);
+}
+
+if (typeof module !== 'undefined') module.exports = { createWalletManager, walletStorageKey };
@@ -1,16 +1,30 @@
 require('@nomiclabs/hardhat-ethers');
 require('dotenv').config();
 require("@nomicfoundation/hardhat-chai-matchers");
+require("./tasks/rig");
+require("./tasks/fleet");
+require("./tasks/upgrade");
+require("./tasks/sale");
+require("./tasks/frontend");
+require("./tasks/captable");
 // Removed hardhat-toolbox as it requires additional dependencies
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.20",
+    version: "0.8.22",
     settings: {
       optimizer: {
         enabled: true,
         runs: 200
+      },
+      // The IR pipeline keeps MiningRigOwnership under the 24 KB contract size limit
+      viaIR: true,
+      // Storage layouts for the upgrade-safety check (scripts/upgrades.js)
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"]
+        }
       }
     }
   },
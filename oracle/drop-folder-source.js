@@ -0,0 +1,87 @@
+// Default report source for the reward oracle: a folder of JSON / CSV revenue reports
+//
+// JSON files hold a list of reports (or { "reports": [...] }):
+//   [{ "rigId": 1, "period": "2026-10-17", "amount": "0.25" }]
+// CSV files have a header row with the same columns:
+//   rigId,period,amount
+//   1,2026-10-17,0.25
+//
+// `amount` is in ETH; use `amountWei` instead for exact wei values. An optional `key`
+// overrides the idempotency key (default: rig + period). Files are read in name order
+// and left in place; the oracle's state file remembers what was already deposited.
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith("#"));
+  if (lines.length === 0) return [];
+
+  const header = lines[0].split(",").map(column => column.trim());
+  return lines.slice(1).map(line => {
+    const values = line.split(",").map(value => value.trim());
+    return Object.fromEntries(header.map((column, i) => [column, values[i]]));
+  });
+}
+
+// Validate one raw row; returns a report or throws with the problem
+function toReport(row) {
+  const rigId = String(row.rigId ?? "").trim();
+  if (!/^\d+$/.test(rigId)) throw new Error(`rigId must be a whole number, got "${row.rigId}"`);
+
+  const period = String(row.period ?? "").trim();
+  if (!period) throw new Error("missing period");
+
+  let amountWei;
+  try {
+    amountWei = row.amountWei !== undefined && row.amountWei !== ""
+      ? ethers.BigNumber.from(String(row.amountWei).trim())
+      : ethers.utils.parseEther(String(row.amount ?? "").trim());
+  } catch (error) {
+    throw new Error(`amount must be an ETH amount, got "${row.amount ?? row.amountWei}"`);
+  }
+  if (amountWei.lte(0)) throw new Error("amount must be greater than zero");
+
+  return { rigId, period, amountWei, ...(row.key ? { key: String(row.key).trim() } : {}) };
+}
+
+function createDropFolderSource(dir, { log = console.log } = {}) {
+  return {
+    name: `drop folder ${dir}`,
+
+    // Every valid report in the folder; invalid files and rows are logged and skipped
+    async fetchReports() {
+      if (!fs.existsSync(dir)) return [];
+
+      const files = fs.readdirSync(dir).filter(file => /\.(json|csv)$/i.test(file)).sort();
+      const reports = [];
+      for (const file of files) {
+        let rows;
+        try {
+          const text = fs.readFileSync(path.join(dir, file), "utf8");
+          if (/\.csv$/i.test(file)) {
+            rows = parseCsv(text);
+          } else {
+            const data = JSON.parse(text);
+            rows = Array.isArray(data) ? data : data.reports;
+            if (!Array.isArray(rows)) throw new Error('expected a list of reports or { "reports": [...] }');
+          }
+        } catch (error) {
+          log(`Skipping ${file}: ${error.message}`);
+          continue;
+        }
+
+        rows.forEach((row, i) => {
+          try {
+            reports.push({ ...toReport(row), source: `${file}#${i + 1}` });
+          } catch (error) {
+            log(`Skipping ${file} report ${i + 1}: ${error.message}`);
+          }
+        });
+      }
+      return reports;
+    }
+  };
+}
+
+module.exports = { createDropFolderSource };
@@ -0,0 +1,85 @@
+// Reward oracle service: deposits per-rig mining revenue from a drop folder of reports
+//
+// Usage:
+//   node oracle/index.js [--once]
+//
+// Environment variables (read from .env too):
+//   ORACLE_RPC_URL          JSON-RPC endpoint (default: ARBITRUM_SEPOLIA_RPC_URL)
+//   PRIVATE_KEY             key of the account that deposits rewards (needs REWARD_DEPOSITOR_ROLE)
+//   CONTRACT_ADDRESS        MiningRigOwnership address; otherwise read from
+//                           deployments/<ORACLE_NETWORK>.json
+//   ORACLE_NETWORK          deployment file to use (default: arbitrumSepolia)
+//   ORACLE_REPORTS_DIR      drop folder with JSON / CSV reports (default: oracle/reports)
+//   ORACLE_STATE_FILE       state file (default: oracle/state.json)
+//   ORACLE_INTERVAL_SECONDS polling interval (default: 300)
+//   ORACLE_MAX_ATTEMPTS     sends per report before it is marked failed (default: 3)
+//   ORACLE_QUEUE_WITHOUT_HOLDERS=true  deposit for rigs with no holders (queued by the
+//                           contract) instead of skipping the period
+//
+// Requires compiled artifacts (npx hardhat compile) for the contract ABI.
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { createRewardOracle } = require("./reward-oracle");
+const { createDropFolderSource } = require("./drop-folder-source");
+
+const root = path.join(__dirname, "..");
+
+function contractAddress() {
+  if (process.env.CONTRACT_ADDRESS) return process.env.CONTRACT_ADDRESS;
+
+  const network = process.env.ORACLE_NETWORK || "arbitrumSepolia";
+  const file = path.join(process.env.DEPLOYMENTS_DIR || path.join(root, "deployments"), `${network}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Set CONTRACT_ADDRESS or deploy to ${network} first (no ${file})`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8")).MiningRigOwnership.address;
+}
+
+async function main() {
+  const rpcUrl = process.env.ORACLE_RPC_URL || process.env.ARBITRUM_SEPOLIA_RPC_URL;
+  if (!rpcUrl) throw new Error("Set ORACLE_RPC_URL to the JSON-RPC endpoint");
+  if (!process.env.PRIVATE_KEY) throw new Error("Set PRIVATE_KEY to the depositing account's key");
+
+  const log = message => console.log(`[${new Date().toISOString()}] ${message}`);
+  const { abi } = require(path.join(root, "artifacts/contracts/MiningRigOwnership.sol/MiningRigOwnership.json"));
+  const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+  const signer = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+  const contract = new ethers.Contract(contractAddress(), abi, signer);
+  if (!(await contract.hasRole(await contract.REWARD_DEPOSITOR_ROLE(), signer.address))) {
+    throw new Error(`${signer.address} does not hold REWARD_DEPOSITOR_ROLE; the admin can grant it with ` +
+      `npx hardhat rig:grant-role --role depositor --account ${signer.address}`);
+  }
+
+  const reportsDir = process.env.ORACLE_REPORTS_DIR || path.join(__dirname, "reports");
+  const oracle = createRewardOracle({
+    contract,
+    source: createDropFolderSource(reportsDir, { log }),
+    stateFile: process.env.ORACLE_STATE_FILE || path.join(__dirname, "state.json"),
+    maxAttempts: parseInt(process.env.ORACLE_MAX_ATTEMPTS || "3", 10),
+    queueWithoutHolders: process.env.ORACLE_QUEUE_WITHOUT_HOLDERS === "true",
+    log
+  });
+
+  log(`Reward oracle for ${contract.address} as ${signer.address}, reading ${reportsDir}`);
+  if (process.argv.includes("--once")) {
+    const summary = await oracle.runOnce();
+    process.exitCode = summary.failed > 0 ? 1 : 0;
+    return;
+  }
+
+  oracle.start(parseInt(process.env.ORACLE_INTERVAL_SECONDS || "300", 10) * 1000);
+  const shutdown = async () => {
+    log("Stopping after the current run...");
+    await oracle.stop();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,231 @@
+// Reward oracle: turns per-rig revenue reports into depositRewards transactions
+//
+// Every report has an idempotency key (default: chain + contract + rig + period). The
+// state file records each key's outcome, so a period is deposited at most once even
+// across restarts:
+//   deposited  - mined; never sent again
+//   skipped    - the rig had no holders yet; logged and never sent
+//   submitted  - sent but not confirmed yet; the next run checks the receipt before
+//                anything is resent
+//   failed     - every attempt failed; tried again on the next run
+// Reports for paused rigs (or all reports while the whole contract is paused) are left
+// unrecorded and picked up once deposits are possible again.
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+function loadState(file) {
+  if (!fs.existsSync(file)) return { deposits: {} };
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Write through a temp file so a crash never leaves half a state file
+function saveState(file, state) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function revertReason(error) {
+  return error.reason || (error.error && error.error.message) || error.message;
+}
+
+/**
+ * @param {object} options
+ * @param {ethers.Contract} options.contract MiningRigOwnership connected to the depositing signer
+ * @param {{ name: string, fetchReports: () => Promise<object[]> }} options.source report source
+ * @param {string} options.stateFile path of the JSON state file
+ * @param {number} [options.maxAttempts=3] sends per report before it is marked failed
+ * @param {number} [options.retryDelayMs=5000] first retry delay; doubles on every retry
+ * @param {boolean} [options.queueWithoutHolders=false] deposit for rigs with no holders
+ *        (the contract queues it for the first buyers) instead of skipping the period
+ * @param {number} [options.confirmations=1] confirmations to wait for
+ * @param {function} [options.log=console.log]
+ */
+function createRewardOracle({
+  contract,
+  source,
+  stateFile,
+  maxAttempts = 3,
+  retryDelayMs = 5000,
+  queueWithoutHolders = false,
+  confirmations = 1,
+  log = console.log
+}) {
+  const provider = contract.provider;
+  let timer = null;
+  let running = null;
+
+  async function reportKey(report) {
+    if (report.key) return report.key;
+    const { chainId } = await provider.getNetwork();
+    return `${chainId}:${contract.address.toLowerCase()}:rig-${report.rigId}:${report.period}`;
+  }
+
+  function record(state, key, report, fields) {
+    state.deposits[key] = {
+      ...state.deposits[key],
+      rigId: report.rigId,
+      period: report.period,
+      amountWei: report.amountWei.toString(),
+      source: report.source,
+      updatedAt: new Date().toISOString(),
+      ...fields
+    };
+    saveState(stateFile, state);
+  }
+
+  // Settle a report left "submitted" by an earlier run; true if it needs no resend
+  async function resolveSubmitted(state, key, report) {
+    const { txHash } = state.deposits[key];
+    let receipt = await provider.getTransactionReceipt(txHash);
+    if (!receipt && await provider.getTransaction(txHash)) {
+      log(`${key}: waiting for earlier transaction ${txHash}`);
+      receipt = await provider.waitForTransaction(txHash, confirmations);
+    }
+
+    if (receipt && receipt.status === 1) {
+      record(state, key, report, { status: "deposited", blockNumber: receipt.blockNumber });
+      log(`${key}: earlier transaction ${txHash} was mined`);
+      return true;
+    }
+    log(`${key}: earlier transaction ${txHash} ${receipt ? "reverted" : "was dropped"}; sending again`);
+    return false;
+  }
+
+  // Send the deposit with retries. Returns the final status.
+  async function deposit(state, key, report) {
+    let lastError;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let tx = null;
+      try {
+        tx = await contract.depositRewards(report.rigId, { value: report.amountWei });
+        record(state, key, report, { status: "submitted", txHash: tx.hash, attempts: attempt });
+
+        const receipt = await tx.wait(confirmations);
+        record(state, key, report, { status: "deposited", blockNumber: receipt.blockNumber, attempts: attempt, error: undefined });
+        log(`${key}: deposited ${ethers.utils.formatEther(report.amountWei)} ETH to rig #${report.rigId} in ${tx.hash}`);
+        return "deposited";
+      } catch (error) {
+        lastError = error;
+
+        // A transaction that was sent may still land; never resend while it could
+        if (tx) {
+          const receipt = await provider.getTransactionReceipt(tx.hash).catch(() => null);
+          if (receipt && receipt.status === 1) {
+            record(state, key, report, { status: "deposited", blockNumber: receipt.blockNumber, attempts: attempt });
+            return "deposited";
+          }
+          if (!receipt) {
+            log(`${key}: ${tx.hash} not confirmed (${revertReason(error)}); will check it on the next run`);
+            return "submitted";
+          }
+        }
+
+        log(`${key}: attempt ${attempt}/${maxAttempts} failed: ${revertReason(error)}`);
+        if (attempt < maxAttempts) await sleep(retryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+
+    record(state, key, report, { status: "failed", attempts: maxAttempts, error: revertReason(lastError) });
+    return "failed";
+  }
+
+  async function processReport(state, report, summary) {
+    const key = await reportKey(report);
+    const entry = state.deposits[key];
+
+    if (entry && entry.amountWei !== report.amountWei.toString() && entry.status !== "failed") {
+      log(`${key}: ${report.source} reports ${ethers.utils.formatEther(report.amountWei)} ETH but ` +
+        `${ethers.utils.formatEther(entry.amountWei)} ETH was already ${entry.status}; ignoring it`);
+      summary.conflicts++;
+      return;
+    }
+    if (entry && (entry.status === "deposited" || entry.status === "skipped")) {
+      summary.alreadyDone++;
+      return;
+    }
+    if (entry && entry.status === "submitted" && await resolveSubmitted(state, key, report)) {
+      summary.deposited++;
+      return;
+    }
+
+    const rig = await contract.rigs(report.rigId);
+    if (rig.totalShares.isZero()) {
+      record(state, key, report, { status: "failed", error: "rig not registered" });
+      log(`${key}: rig #${report.rigId} is not registered`);
+      summary.failed++;
+      return;
+    }
+    if (!rig.active && (await contract.decommissions(report.rigId)).decommissionedAt.gt(0)) {
+      // A decommissioned rig never comes back and depositRewards would revert forever
+      record(state, key, report, { status: "skipped", reason: "rig decommissioned" });
+      log(`${key}: skipped, rig #${report.rigId} is decommissioned and takes no more rewards`);
+      summary.skipped++;
+      return;
+    }
+    if (!rig.active) {
+      log(`${key}: rig #${report.rigId} is paused; deferring until it is resumed`);
+      summary.deferred++;
+      return;
+    }
+    if (!queueWithoutHolders && (await contract["totalSupply(uint256)"](report.rigId)).isZero()) {
+      record(state, key, report, { status: "skipped", reason: "no holders yet" });
+      log(`${key}: skipped, rig #${report.rigId} has no holders yet`);
+      summary.skipped++;
+      return;
+    }
+
+    summary[await deposit(state, key, report)]++;
+  }
+
+  // Process every report from the source once; resolves with counts per outcome
+  async function runOnce() {
+    const state = loadState(stateFile);
+    const summary = { deposited: 0, skipped: 0, deferred: 0, failed: 0, submitted: 0, alreadyDone: 0, conflicts: 0 };
+
+    const reports = await source.fetchReports();
+    if (await contract.paused()) {
+      log(`Contract is paused; deferring ${reports.length} reports until it is unpaused`);
+      summary.deferred = reports.length;
+    } else {
+      for (const report of reports) {
+        await processReport(state, report, summary);
+      }
+    }
+
+    log(`Processed ${reports.length} reports from ${source.name}: ` +
+      Object.entries(summary).map(([outcome, count]) => `${count} ${outcome}`).join(", "));
+    return summary;
+  }
+
+  // Poll the source every intervalMs; a run never overlaps the previous one
+  function start(intervalMs) {
+    const tick = async () => {
+      try {
+        running = runOnce();
+        await running;
+      } catch (error) {
+        log(`Run failed: ${error.message}`);
+      } finally {
+        running = null;
+        if (timer !== null) timer = setTimeout(tick, intervalMs);
+      }
+    };
+    timer = setTimeout(tick, 0);
+  }
+
+  // Stop polling; resolves once an in-flight run has finished
+  async function stop() {
+    clearTimeout(timer);
+    timer = null;
+    if (running) await running.catch(() => {});
+  }
+
+  return { runOnce, start, stop };
+}
+
+module.exports = { createRewardOracle };
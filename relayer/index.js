@@ -0,0 +1,90 @@
+// Relayer service: submits signed purchase and claim intents for the frontend
+//
+// Usage:
+//   node relayer/index.js
+//
+// Environment variables (read from .env too):
+//   RELAYER_RPC_URL         JSON-RPC endpoint (default: ARBITRUM_SEPOLIA_RPC_URL)
+//   PRIVATE_KEY             key of the account that submits intents and pays gas (and,
+//                           when sponsoring, the price of purchases)
+//   CONTRACT_ADDRESS        MiningRigOwnership address; otherwise read from
+//                           deployments/<RELAYER_NETWORK>.json
+//   RELAYER_NETWORK         deployment file to use (default: arbitrumSepolia)
+//   RELAYER_PORT            HTTP port (default: 8787)
+//   RELAYER_CORS_ORIGIN     origin the frontend is served from (default: *)
+//   RELAYER_SPONSOR_PURCHASES=true  pay for purchase intents of allow-listed buyers
+//   RELAYER_MAX_SPONSOR_ETH most the relayer pays for one purchase (default: 0.05)
+//   RELAYER_BUYER_BUDGET_ETH  most it pays for one buyer's purchases in total (default: 0.2)
+//   RELAYER_TOTAL_BUDGET_ETH  most it pays for all purchases in total (default: 1)
+//   RELAYER_STATE_FILE      what was sponsored so far (default: relayer/state.json); delete
+//                           it, or raise the budgets, to sponsor more
+//
+// Set relayerUrl in the frontend's deployments/<chainId>.json (or app.js) to this service's URL.
+// Requires compiled artifacts (npx hardhat compile) for the contract ABI.
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { createRelayer } = require("./relayer");
+const { createRelayerServer } = require("./server");
+
+const root = path.join(__dirname, "..");
+
+function contractAddress() {
+  if (process.env.CONTRACT_ADDRESS) return process.env.CONTRACT_ADDRESS;
+
+  const network = process.env.RELAYER_NETWORK || "arbitrumSepolia";
+  const file = path.join(process.env.DEPLOYMENTS_DIR || path.join(root, "deployments"), `${network}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Set CONTRACT_ADDRESS or deploy to ${network} first (no ${file})`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8")).MiningRigOwnership.address;
+}
+
+async function main() {
+  const rpcUrl = process.env.RELAYER_RPC_URL || process.env.ARBITRUM_SEPOLIA_RPC_URL;
+  if (!rpcUrl) throw new Error("Set RELAYER_RPC_URL to the JSON-RPC endpoint");
+  if (!process.env.PRIVATE_KEY) throw new Error("Set PRIVATE_KEY to the relaying account's key");
+
+  const log = message => console.log(`[${new Date().toISOString()}] ${message}`);
+  const { abi } = require(path.join(root, "artifacts/contracts/MiningRigOwnership.sol/MiningRigOwnership.json"));
+  const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+  const signer = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+  const contract = new ethers.Contract(contractAddress(), abi, signer);
+
+  const sponsorPurchases = process.env.RELAYER_SPONSOR_PURCHASES === "true";
+  const maxSponsorWei = ethers.utils.parseEther(process.env.RELAYER_MAX_SPONSOR_ETH || "0.05");
+  const buyerBudgetWei = ethers.utils.parseEther(process.env.RELAYER_BUYER_BUDGET_ETH || "0.2");
+  const totalBudgetWei = ethers.utils.parseEther(process.env.RELAYER_TOTAL_BUDGET_ETH || "1");
+  const relayer = createRelayer({
+    contract,
+    sponsorPurchases,
+    maxSponsorWei,
+    buyerBudgetWei,
+    totalBudgetWei,
+    stateFile: process.env.RELAYER_STATE_FILE || path.join(__dirname, "state.json"),
+    log
+  });
+  const server = createRelayerServer(relayer, { corsOrigin: process.env.RELAYER_CORS_ORIGIN || "*", log });
+
+  const port = parseInt(process.env.RELAYER_PORT || "8787", 10);
+  server.listen(port, () => {
+    log(`Relayer for ${contract.address} as ${signer.address} on http://localhost:${port}`);
+    log(sponsorPurchases
+      ? `Sponsoring purchases of allow-listed buyers up to ${ethers.utils.formatEther(maxSponsorWei)} ETH each, ` +
+        `${ethers.utils.formatEther(buyerBudgetWei)} ETH per buyer and ${ethers.utils.formatEther(totalBudgetWei)} ETH in total`
+      : "Relaying claims only; set RELAYER_SPONSOR_PURCHASES=true to sponsor purchases");
+  });
+
+  const shutdown = () => {
+    log("Stopping...");
+    server.close(() => process.exit(0));
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,100 @@
+// EIP-712 purchase and claim intents of MiningRigOwnership (see MiningRigIntents.sol)
+//
+// The frontend signs the same types (frontend/app.js, intentTypes); keep them in sync.
+const { ethers } = require("ethers");
+
+const INTENT_TYPES = {
+  PurchaseIntent: [
+    { name: "buyer", type: "address" },
+    { name: "rigId", type: "uint256" },
+    { name: "amount", type: "uint256" },
+    { name: "maxCost", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ],
+  ClaimIntent: [
+    { name: "holder", type: "address" },
+    { name: "rigIds", type: "uint256[]" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+// The contract's domain: the proxy's address on `chainId`
+function intentDomain(chainId, verifyingContract) {
+  return { name: "MiningRigOwnership", version: "1", chainId, verifyingContract };
+}
+
+// An error in what the client sent; the relayer's HTTP API answers these with 400
+function invalidIntent(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function parseAddress(value, where) {
+  if (typeof value !== "string" || !ethers.utils.isAddress(value)) {
+    throw invalidIntent(`${where} must be an address`);
+  }
+  return ethers.utils.getAddress(value);
+}
+
+function parseUint(value, where) {
+  if (!/^\d+$/.test(String(value ?? "").trim())) {
+    throw invalidIntent(`${where} must be a whole number`);
+  }
+  return ethers.BigNumber.from(String(value).trim());
+}
+
+function parseBytes(value, where, length) {
+  if (!ethers.utils.isHexString(value, length)) {
+    throw invalidIntent(`${where} must be ${length ? `${length}-byte ` : ""}hex`);
+  }
+  return value;
+}
+
+/**
+ * Validate the JSON body of a purchase request.
+ * @returns {{ intent, signature: string, proof: string[] }} intent fields as BigNumbers
+ */
+function parsePurchaseRequest(body) {
+  const intent = (body && body.intent) || {};
+  const proof = (body && body.proof) || [];
+  if (!Array.isArray(proof)) throw invalidIntent("proof must be a list of 32-byte hashes");
+
+  return {
+    intent: {
+      buyer: parseAddress(intent.buyer, "intent.buyer"),
+      rigId: parseUint(intent.rigId, "intent.rigId"),
+      amount: parseUint(intent.amount, "intent.amount"),
+      maxCost: parseUint(intent.maxCost, "intent.maxCost"),
+      nonce: parseUint(intent.nonce, "intent.nonce"),
+      deadline: parseUint(intent.deadline, "intent.deadline")
+    },
+    signature: parseBytes(body.signature, "signature"),
+    proof: proof.map((hash, i) => parseBytes(hash, `proof[${i}]`, 32))
+  };
+}
+
+/**
+ * Validate the JSON body of a claim request.
+ * @returns {{ intent, signature: string }} intent fields as BigNumbers
+ */
+function parseClaimRequest(body) {
+  const intent = (body && body.intent) || {};
+  if (!Array.isArray(intent.rigIds) || intent.rigIds.length === 0) {
+    throw invalidIntent("intent.rigIds must be a non-empty list of rig IDs");
+  }
+
+  return {
+    intent: {
+      holder: parseAddress(intent.holder, "intent.holder"),
+      rigIds: intent.rigIds.map((id, i) => parseUint(id, `intent.rigIds[${i}]`)),
+      nonce: parseUint(intent.nonce, "intent.nonce"),
+      deadline: parseUint(intent.deadline, "intent.deadline")
+    },
+    signature: parseBytes(body.signature, "signature")
+  };
+}
+
+module.exports = { INTENT_TYPES, intentDomain, invalidIntent, parsePurchaseRequest, parseClaimRequest };
@@ -0,0 +1,238 @@
+// Relayer: submits signed purchase and claim intents (MiningRigIntents) for users
+//
+// Claims: the relayer pays the gas of claimFor; the rewards go to the holder.
+// Purchases: the relayer is the sponsor and pays the price (msg.value) of buySharesFor,
+// so it only takes them when sponsoring is enabled, only for buyers on the allowlist
+// that applies to the sale (the contract checks their proof), only up to maxSponsorWei
+// per purchase and only within its sponsor budgets: buyerBudgetWei per buyer and
+// totalBudgetWei overall. What it has sponsored is kept in stateFile, so a restart
+// doesn't refill the budgets.
+//
+// Every intent is checked before anything is sent (deadline, signature, the signer's
+// current nonce, policy) and then simulated with callStatic, so a bad intent costs the
+// relayer no gas. Transactions are sent one at a time so the relayer's own nonces never
+// collide.
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { INTENT_TYPES, intentDomain, invalidIntent, parsePurchaseRequest, parseClaimRequest } = require("./intents");
+
+// Matches MiningRigStorage.SalePhase
+const SALE_PHASES = ["Closed", "Presale", "Public"];
+
+function revertReason(error) {
+  return error.reason || (error.error && error.error.message) || error.message;
+}
+
+// ETH sponsored so far, overall and per buyer (lowercase address), as decimal wei strings
+function loadSponsored(file) {
+  if (!file || !fs.existsSync(file)) return { totalWei: "0", buyers: {} };
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Write through a temp file so a crash never leaves half a state file
+function saveSponsored(file, sponsored) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(sponsored, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+// A request the relayer's policy turns down; answered with 403
+function refused(message) {
+  const error = new Error(message);
+  error.status = 403;
+  return error;
+}
+
+/**
+ * @param {object} options
+ * @param {ethers.Contract} options.contract MiningRigOwnership connected to the relayer's signer
+ * @param {boolean} [options.sponsorPurchases=false] pay for purchase intents of allow-listed buyers
+ * @param {ethers.BigNumberish} [options.maxSponsorWei=0] most the relayer pays for one purchase
+ * @param {ethers.BigNumberish} [options.buyerBudgetWei] most it pays for one buyer's purchases
+ *        in total (required when sponsoring)
+ * @param {ethers.BigNumberish} [options.totalBudgetWei] most it pays for all purchases in
+ *        total (required when sponsoring)
+ * @param {string} [options.stateFile] JSON file keeping what was sponsored across restarts
+ *        (default: kept in memory only)
+ * @param {function} [options.log=console.log]
+ */
+function createRelayer({
+  contract,
+  sponsorPurchases = false,
+  maxSponsorWei = 0,
+  buyerBudgetWei,
+  totalBudgetWei,
+  stateFile,
+  log = console.log
+}) {
+  if (sponsorPurchases && (buyerBudgetWei === undefined || totalBudgetWei === undefined)) {
+    throw new Error("Set buyerBudgetWei and totalBudgetWei to sponsor purchases");
+  }
+  const provider = contract.provider;
+  const maxSponsor = ethers.BigNumber.from(maxSponsorWei);
+  const buyerBudget = ethers.BigNumber.from(buyerBudgetWei || 0);
+  const totalBudget = ethers.BigNumber.from(totalBudgetWei || 0);
+  const sponsored = loadSponsored(stateFile);
+  let sending = Promise.resolve();
+  let domain = null;
+
+  async function getDomain() {
+    if (!domain) domain = intentDomain((await provider.getNetwork()).chainId, contract.address);
+    return domain;
+  }
+
+  // Run `task` after every earlier send has finished
+  function serialize(task) {
+    const result = sending.then(task);
+    sending = result.catch(() => {});
+    return result;
+  }
+
+  // Deadline, signature and nonce of an intent signed by `account`
+  async function checkIntent(type, intent, account, signature) {
+    const { timestamp } = await provider.getBlock("latest");
+    if (intent.deadline.lte(timestamp)) throw invalidIntent("intent expired");
+
+    let signer;
+    try {
+      signer = ethers.utils.verifyTypedData(await getDomain(), { [type]: INTENT_TYPES[type] }, intent, signature);
+    } catch (error) {
+      signer = null;
+    }
+    // Contract wallets sign with ERC-1271; the simulation checks those
+    if (signer !== account && (await provider.getCode(account)) === "0x") {
+      throw invalidIntent("invalid signature");
+    }
+
+    const nonce = await contract.nonces(account);
+    if (!intent.nonce.eq(nonce)) throw invalidIntent(`stale nonce: ${account} is at nonce ${nonce}`);
+  }
+
+  // Price per share and allowlist root that apply to `rigId`'s sale right now
+  async function currentSale(rigId) {
+    const [rig, [phaseValue, index], rounds, rigRoot] = await Promise.all([
+      contract.rigs(rigId),
+      contract.salePhase(rigId),
+      contract.saleRounds(rigId),
+      contract.allowlistRoot(rigId)
+    ]);
+    if (rig.totalShares.isZero()) throw invalidIntent(`rig #${rigId} not found`);
+
+    const phase = SALE_PHASES[phaseValue];
+    if (phase === "Closed") throw invalidIntent(`rig #${rigId}'s sale is not open`);
+    if (phase === "Public") return { price: rig.pricePerShareWei, root: rigRoot };
+
+    const round = rounds[index.toNumber()];
+    const root = round.allowlistRoot === ethers.constants.HashZero ? rigRoot : round.allowlistRoot;
+    return { price: round.pricePerShareWei, root };
+  }
+
+  // What the relayer will still sponsor for `buyer`, and overall
+  function sponsorLeft(buyer) {
+    const spentByBuyer = ethers.BigNumber.from(sponsored.buyers[buyer.toLowerCase()] || 0);
+    const totalLeft = totalBudget.sub(sponsored.totalWei);
+    const buyerLeft = buyerBudget.sub(spentByBuyer);
+    const zero = ethers.constants.Zero;
+    return { buyerLeft: buyerLeft.lt(zero) ? zero : buyerLeft, totalLeft: totalLeft.lt(zero) ? zero : totalLeft };
+  }
+
+  function recordSponsored(buyer, cost) {
+    const key = buyer.toLowerCase();
+    sponsored.buyers[key] = cost.add(sponsored.buyers[key] || 0).toString();
+    sponsored.totalWei = cost.add(sponsored.totalWei).toString();
+    if (stateFile) saveSponsored(stateFile, sponsored);
+  }
+
+  // Simulate, then send; a revert in the simulation is the client's problem (400)
+  async function send(method, args, overrides = {}) {
+    try {
+      await contract.callStatic[method](...args, overrides);
+    } catch (error) {
+      throw invalidIntent(`${method} would revert: ${revertReason(error)}`);
+    }
+    return contract[method](...args, overrides);
+  }
+
+  /**
+   * Sponsor a signed purchase: pay its price and mint the shares to the buyer.
+   * @param {object} body { intent, signature, proof } as posted by the frontend
+   * @returns {Promise<{ txHash: string, costWei: string }>}
+   */
+  async function submitPurchase(body) {
+    const { intent, signature, proof } = parsePurchaseRequest(body);
+    if (!sponsorPurchases) throw refused("this relayer does not sponsor purchases");
+
+    await checkIntent("PurchaseIntent", intent, intent.buyer, signature);
+    const sale = await currentSale(intent.rigId);
+    if (sale.root === ethers.constants.HashZero) {
+      throw refused("purchases are only sponsored for allow-listed buyers, and no allowlist applies to this sale");
+    }
+
+    const cost = sale.price.mul(intent.amount);
+    if (cost.gt(intent.maxCost)) {
+      throw invalidIntent(`the price is now ${ethers.utils.formatEther(cost)} ETH, above the intent's maxCost`);
+    }
+    if (cost.gt(maxSponsor)) {
+      throw refused(`${ethers.utils.formatEther(cost)} ETH is over the sponsor limit of ${ethers.utils.formatEther(maxSponsor)} ETH`);
+    }
+
+    // Budgets are checked and charged inside the serialized send, so concurrent requests
+    // can't both spend the same remainder
+    const tx = await serialize(async () => {
+      const { buyerLeft, totalLeft } = sponsorLeft(intent.buyer);
+      if (cost.gt(buyerLeft)) {
+        throw refused(`${ethers.utils.formatEther(cost)} ETH is over ${intent.buyer}'s remaining sponsor budget ` +
+          `of ${ethers.utils.formatEther(buyerLeft)} ETH`);
+      }
+      if (cost.gt(totalLeft)) {
+        throw refused(`${ethers.utils.formatEther(cost)} ETH is over the relayer's remaining sponsor budget ` +
+          `of ${ethers.utils.formatEther(totalLeft)} ETH`);
+      }
+      const sent = await send("buySharesFor", [intent, signature, proof], { value: cost });
+      recordSponsored(intent.buyer, cost);
+      return sent;
+    });
+    log(`Sponsored ${intent.amount} shares of rig #${intent.rigId} for ${intent.buyer} ` +
+      `(${ethers.utils.formatEther(cost)} ETH) in ${tx.hash}`);
+    return { txHash: tx.hash, costWei: cost.toString() };
+  }
+
+  /**
+   * Submit a signed claim: the holder's rewards are paid to the holder.
+   * @param {object} body { intent, signature } as posted by the frontend
+   * @returns {Promise<{ txHash: string }>}
+   */
+  async function submitClaim(body) {
+    const { intent, signature } = parseClaimRequest(body);
+    await checkIntent("ClaimIntent", intent, intent.holder, signature);
+
+    const tx = await serialize(() => send("claimFor", [intent, signature]));
+    log(`Claimed rigs ${intent.rigIds.map(id => `#${id}`).join(", ")} for ${intent.holder} in ${tx.hash}`);
+    return { txHash: tx.hash };
+  }
+
+  /**
+   * What the frontend needs to sign intents for this relayer
+   * @param {string} [buyer] adds sponsorLeftWei: what it would still sponsor for this buyer
+   */
+  async function config(buyer) {
+    const result = {
+      domain: await getDomain(),
+      relayer: await contract.signer.getAddress(),
+      sponsorPurchases,
+      maxSponsorWei: maxSponsor.toString()
+    };
+    if (buyer) {
+      if (!ethers.utils.isAddress(buyer)) throw invalidIntent("buyer must be an address");
+      const { buyerLeft, totalLeft } = sponsorLeft(buyer);
+      result.sponsorLeftWei = (buyerLeft.lt(totalLeft) ? buyerLeft : totalLeft).toString();
+    }
+    return result;
+  }
+
+  return { config, submitPurchase, submitClaim };
+}
+
+module.exports = { createRelayer };
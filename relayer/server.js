@@ -0,0 +1,76 @@
+// HTTP API of the relayer, for the frontend
+//
+//   GET  /config    { domain, relayer, sponsorPurchases, maxSponsorWei }
+//   GET  /config?buyer=0x...  also sponsorLeftWei: what the relayer still sponsors for them
+//   POST /purchase  { intent, signature, proof }  ->  { txHash, costWei }
+//   POST /claim     { intent, signature }         ->  { txHash }
+//
+// Intent fields are JSON numbers or decimal strings. Errors come back as { error } with
+// 400 (bad or unusable intent), 403 (refused by the relayer's policy) or 500.
+const http = require("http");
+
+// Largest request body accepted; a claim of a few hundred rigs fits easily
+const MAX_BODY_BYTES = 64 * 1024;
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("request body too large"), { status: 413 }));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body || "{}"));
+      } catch (error) {
+        reject(Object.assign(new Error("request body must be JSON"), { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * @param {object} relayer from createRelayer
+ * @param {object} [options]
+ * @param {string} [options.corsOrigin="*"] Access-Control-Allow-Origin for the frontend
+ * @param {function} [options.log=console.log]
+ * @returns {http.Server} not listening yet
+ */
+function createRelayerServer(relayer, { corsOrigin = "*", log = console.log } = {}) {
+  const routes = {
+    "GET /config": req => relayer.config(new URL(req.url, "http://localhost").searchParams.get("buyer") || undefined),
+    "POST /purchase": async req => relayer.submitPurchase(await readJson(req)),
+    "POST /claim": async req => relayer.submitClaim(await readJson(req))
+  };
+
+  return http.createServer(async (req, res) => {
+    const reply = (status, body) => {
+      res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": corsOrigin,
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type"
+      });
+      res.end(body === undefined ? "" : JSON.stringify(body));
+    };
+
+    if (req.method === "OPTIONS") return reply(204);
+    const route = routes[`${req.method} ${req.url.split("?")[0]}`];
+    if (!route) return reply(404, { error: "not found" });
+
+    try {
+      reply(200, await route(req));
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) log(`${req.method} ${req.url} failed: ${error.message}`);
+      reply(status, { error: error.message });
+    }
+  });
+}
+
+module.exports = { createRelayerServer };
@@ -0,0 +1,123 @@
+// Builds a Merkle allowlist (e.g. KYC-approved buyers) from a CSV of addresses
+//
+// Usage:
+//   node scripts/build-allowlist.js kyc.csv [outDir]
+//
+// The CSV needs one address per line, in the first column or in a column headed
+// "address"; other columns, blank lines and lines starting with # are ignored.
+// Writes <outDir>/<root>.json (default outDir: frontend/allowlists) with every address's
+// proof. The buy modal fetches allowlists/<root>.json for whichever root applies on-chain,
+// so deploy the file with the frontend, then set the root with rig:allowlist (whole rig)
+// or in a round of rig:rounds.
+//
+// Leaves are keccak256(keccak256(abi.encode(address))) and pairs are hashed sorted, as
+// OpenZeppelin's MerkleProof expects (see MiningRigSale).
+const fs = require("fs");
+const path = require("path");
+const { utils } = require("ethers");
+
+// Checksummed addresses from CSV text; throws on an invalid address with its line number
+function parseAllowlistCsv(text, file = "CSV") {
+  const rows = text.split(/\r?\n/)
+    .map((line, i) => ({ cells: line.split(",").map(cell => cell.trim()), line: i + 1 }))
+    .filter(row => row.cells[0] !== "" && !row.cells[0].startsWith("#"));
+
+  let column = 0;
+  if (rows.length > 0 && !utils.isAddress(rows[0].cells[0])) {
+    column = rows[0].cells.findIndex(cell => cell.toLowerCase() === "address");
+    if (column === -1) throw new Error(`${file}: no address in the first column and no "address" header`);
+    rows.shift();
+  }
+
+  const seen = new Set();
+  const addresses = [];
+  for (const { cells, line } of rows) {
+    const value = cells[column] || "";
+    if (!utils.isAddress(value)) {
+      throw new Error(`${file}:${line}: "${value}" is not an address`);
+    }
+    const address = utils.getAddress(value);
+    if (!seen.has(address)) {
+      seen.add(address);
+      addresses.push(address);
+    }
+  }
+  return addresses;
+}
+
+function allowlistLeaf(address) {
+  return utils.keccak256(utils.keccak256(utils.defaultAbiCoder.encode(["address"], [address])));
+}
+
+function hashPair(a, b) {
+  return utils.keccak256(utils.concat(a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a]));
+}
+
+/**
+ * Merkle root and per-address proofs for `addresses`.
+ * @returns {{ root, count, proofs: Object<string, string[]> }} proofs keyed by checksummed address
+ */
+function buildAllowlist(addresses) {
+  if (addresses.length === 0) throw new Error("The allowlist is empty");
+
+  const leaves = addresses.map(address => ({ address: utils.getAddress(address), hash: allowlistLeaf(address) }));
+  leaves.sort((a, b) => (a.hash < b.hash ? -1 : 1));
+
+  // levels[0] = leaves, last level = [root]; an odd node out is carried up unchanged
+  const levels = [leaves.map(leaf => leaf.hash)];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+
+  const proofs = {};
+  leaves.forEach((leaf, index) => {
+    const proof = [];
+    for (let depth = 0, i = index; depth < levels.length - 1; depth++, i = Math.floor(i / 2)) {
+      const sibling = i % 2 === 0 ? i + 1 : i - 1;
+      if (sibling < levels[depth].length) proof.push(levels[depth][sibling]);
+    }
+    proofs[leaf.address] = proof;
+  });
+
+  return { root: levels[levels.length - 1][0], count: leaves.length, proofs };
+}
+
+// Write <outDir>/<root>.json and return its path
+function writeAllowlist(allowlist, outDir) {
+  const file = path.join(outDir, `${allowlist.root}.json`);
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(allowlist, null, 2) + "\n");
+  return file;
+}
+
+function main() {
+  const [csvFile, outDir = path.join(__dirname, "..", "frontend", "allowlists")] = process.argv.slice(2);
+  if (!csvFile) {
+    throw new Error("Usage: node scripts/build-allowlist.js <addresses.csv> [outDir]");
+  }
+
+  const addresses = parseAllowlistCsv(fs.readFileSync(csvFile, "utf8"), csvFile);
+  const allowlist = buildAllowlist(addresses);
+  const file = writeAllowlist(allowlist, outDir);
+
+  console.log(`${allowlist.count} addresses, root ${allowlist.root}`);
+  console.log(`Proofs written to ${file}`);
+  console.log(`\nApply it to a whole rig with:`);
+  console.log(`npx hardhat rig:allowlist --id <rigId> --root ${allowlist.root}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { parseAllowlistCsv, allowlistLeaf, buildAllowlist, writeAllowlist };
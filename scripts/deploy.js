@@ -1,5 +1,7 @@
 // Deployment script for MiningRigOwnership contract
 const hre = require("hardhat");
+const { saveDeployment, writeManifest } = require("./deployments");
+const { MODULES, deployMiningRigOwnership, moduleAddresses } = require("./upgrades");
 
 async function main() {
   // Get the network name
@@ -14,62 +16,69 @@ async function main() {
   const balance = await deployer.getBalance();
   console.log(`Account balance: ${hre.ethers.utils.formatEther(balance)} ETH`);
 
-  // Get the contract factory
-  const MiningRigOwnership = await hre.ethers.getContractFactory("MiningRigOwnership");
-  
   console.log("Starting deployment...");
   
-  // Deploy the contract
-  const miningRigOwnership = await MiningRigOwnership.deploy();
-
-  // Wait for deployment to complete
-  await miningRigOwnership.deployed();
+  // Deploy the implementation (with its delegatecall modules) behind a proxy initialized
+  // with the deployer as admin
+  const deployed = await deployMiningRigOwnership(hre);
+  const { contract: miningRigOwnership, proxy, implementation } = deployed;
+  const modules = moduleAddresses(deployed);
   
   const deployedAddress = miningRigOwnership.address;
-  console.log(`MiningRigOwnership deployed to: ${deployedAddress}`);
+  console.log(`MiningRigOwnership proxy deployed to: ${deployedAddress}`);
+  console.log(`Implementation: ${implementation.address}`);
+  for (const [key, address] of Object.entries(modules)) {
+    console.log(`${MODULES[key]}: ${address}`);
+  }
   
   // Log transaction hash for reference
-  console.log(`Deployment transaction: ${miningRigOwnership.deployTransaction.hash}`);
+  console.log(`Deployment transaction: ${proxy.deployTransaction.hash}`);
   
-  // Display verification command
-  console.log(`\nTo verify on Arbiscan:\nnpx hardhat verify --network ${hre.network.name} ${deployedAddress}`);
+  // Deploy the secondary market for this share contract
+  const RigShareMarket = await hre.ethers.getContractFactory("RigShareMarket");
+  const market = await RigShareMarket.deploy(deployedAddress);
+  await market.deployed();
+  console.log(`RigShareMarket deployed to: ${market.address}`);
   
-  // Optional: Register initial mining rigs
-  // Uncomment and modify the following code to register rigs during deployment
-  /*
-  console.log("\nRegistering initial mining rigs...");
+  // Display verification commands
+  console.log(`\nTo verify on Arbiscan (then mark ${deployedAddress} as a proxy there):`);
+  for (const address of Object.values(modules)) {
+    console.log(`npx hardhat verify --network ${hre.network.name} ${address}`);
+  }
+  console.log(
+    `npx hardhat verify --network ${hre.network.name} ${implementation.address} ` +
+    Object.values(modules).join(" ")
+  );
+  console.log(`npx hardhat verify --network ${hre.network.name} ${market.address} ${deployedAddress}`);
   
-  // Example rig parameters
-  const rigParams = [
-    {
-      rigId: 1,
-      name: "Bitcoin Mining Rig",
-      totalShares: 100,
-      pricePerShareWei: hre.ethers.utils.parseEther("0.01"),
-      maxPerWallet: 10
+  // Record the deployment so the rig:* tasks can find the contracts
+  const receipt = await proxy.deployTransaction.wait();
+  const deployment = {
+    network: hre.network.name,
+    chainId: network.chainId,
+    deployer: deployer.address,
+    deployedAt: new Date().toISOString(),
+    MiningRigOwnership: {
+      address: deployedAddress,
+      implementation: implementation.address,
+      ...modules,
+      transactionHash: proxy.deployTransaction.hash,
+      blockNumber: receipt.blockNumber
     },
-    {
-      rigId: 2,
-      name: "Ethereum Mining Rig",
-      totalShares: 50,
-      pricePerShareWei: hre.ethers.utils.parseEther("0.02"),
-      maxPerWallet: 5
+    RigShareMarket: {
+      address: market.address,
+      transactionHash: market.deployTransaction.hash
     }
-  ];
-  
-  for (const rig of rigParams) {
-    console.log(`Registering rig ${rig.rigId}: ${rig.name}`);
-    const tx = await miningRigOwnership.registerRig(
-      rig.rigId,
-      rig.name,
-      rig.totalShares,
-      rig.pricePerShareWei,
-      rig.maxPerWallet
-    );
-    await tx.wait();
-    console.log(`Rig ${rig.rigId} registered successfully`);
+  };
+  console.log(`\nDeployment saved to ${saveDeployment(hre, deployment)}`);
+  // The in-process network disappears when this script exits; don't point the frontend at it
+  if (hre.network.name !== "hardhat") {
+    console.log(`Frontend manifest written to ${writeManifest(hre, deployment)}`);
   }
-  */
+  console.log(`Register rigs from rigs.json with: npx hardhat rig:sync --network ${hre.network.name}`);
+  console.log(`${deployer.address} holds every role; hand them out with rig:grant-role / rig:revoke-role ` +
+    `(e.g. --role depositor for the oracle's key) and move the admin role with rig:transfer-admin`);
+  console.log(`Upgrade later with: npx hardhat rig:upgrade --network ${hre.network.name}`);
 }
 
 // Execute the deployment
@@ -0,0 +1,80 @@
+// Per-network deployment records (deployments/<network>.json)
+//
+// scripts/deploy.js writes one after deploying; the rig:* tasks read it to find the
+// contracts. Set DEPLOYMENTS_DIR to keep the files somewhere else.
+//
+// The frontend loads a trimmed copy per chain, frontend/deployments/<chainId>.json, and
+// the contract ABIs from frontend/abi/, exported from the Hardhat artifacts on compile.
+const fs = require("fs");
+const path = require("path");
+
+function deploymentsDir(hre) {
+  return process.env.DEPLOYMENTS_DIR || path.join(hre.config.paths.root, "deployments");
+}
+
+function deploymentPath(hre, networkName = hre.network.name) {
+  return path.join(deploymentsDir(hre), `${networkName}.json`);
+}
+
+// Save the deployment record for the current network and return its path
+function saveDeployment(hre, deployment) {
+  const file = deploymentPath(hre);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(deployment, null, 2) + "\n");
+  return file;
+}
+
+// Load the deployment record for the current network; throws if there is none
+function loadDeployment(hre) {
+  const file = deploymentPath(hre);
+  if (!fs.existsSync(file)) {
+    throw new Error(
+      `No deployment for network "${hre.network.name}" at ${file}. ` +
+      `Run scripts/deploy.js on this network first or pass --address.`
+    );
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Contracts the frontend talks to; their ABIs go to frontend/abi/<name>.json
+const FRONTEND_CONTRACTS = ["MiningRigOwnership", "RigShareMarket"];
+
+function frontendDir(hre) {
+  return path.join(hre.config.paths.root, "frontend");
+}
+
+function defaultManifestPath(hre, chainId) {
+  return path.join(frontendDir(hre), "deployments", `${chainId}.json`);
+}
+
+// Write the manifest the frontend loads: addresses, deployment block, tx hash, network
+// and, with RELAYER_URL set, the relayer's URL
+function writeManifest(hre, deployment, file = defaultManifestPath(hre, deployment.chainId)) {
+  const manifest = {
+    network: deployment.network,
+    chainId: deployment.chainId,
+    MiningRigOwnership: {
+      address: deployment.MiningRigOwnership.address,
+      blockNumber: deployment.MiningRigOwnership.blockNumber,
+      transactionHash: deployment.MiningRigOwnership.transactionHash
+    },
+    ...(deployment.RigShareMarket ? { RigShareMarket: { address: deployment.RigShareMarket.address } } : {}),
+    // URL of relayer/ (npm run relayer); the frontend then signs intents instead
+    ...(process.env.RELAYER_URL ? { relayerUrl: process.env.RELAYER_URL } : {})
+  };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  return file;
+}
+
+// Write the ABIs of FRONTEND_CONTRACTS from the compiled artifacts; returns the files
+function writeFrontendAbis(hre, dir = path.join(frontendDir(hre), "abi")) {
+  fs.mkdirSync(dir, { recursive: true });
+  return FRONTEND_CONTRACTS.map(name => {
+    const file = path.join(dir, `${name}.json`);
+    fs.writeFileSync(file, JSON.stringify(hre.artifacts.readArtifactSync(name).abi, null, 2) + "\n");
+    return file;
+  });
+}
+
+module.exports = { deploymentPath, saveDeployment, loadDeployment, writeManifest, writeFrontendAbis };
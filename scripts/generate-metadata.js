@@ -0,0 +1,93 @@
+// Generates ERC-1155 metadata JSON for every registered rig
+//
+// Usage:
+//   CONTRACT_ADDRESS=0x... npx hardhat run scripts/generate-metadata.js --network arbitrumSepolia
+//
+// Optional environment variables:
+//   RIG_DETAILS   off-chain rig details keyed by rig ID (default: rig-details.json)
+//   METADATA_OUT  output directory (default: metadata)
+//   FROM_BLOCK    block to start scanning RigRegistered events from (default: 0)
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+
+// Build ERC-1155 metadata for one rig from on-chain state and off-chain details
+function buildMetadata(rigId, rig, details = {}) {
+  const properties = {
+    rigId: rigId.toString(),
+    hashRate: details.hashRate || null,
+    location: details.location || null,
+    coinMined: details.coin || null,
+    totalShares: rig.totalShares.toString(),
+    pricePerShareWei: rig.pricePerShareWei.toString(),
+    maxPerWallet: rig.maxPerWallet.toString()
+  };
+
+  const attributes = [
+    { trait_type: "Hash Rate", value: properties.hashRate },
+    { trait_type: "Location", value: properties.location },
+    { trait_type: "Coin Mined", value: properties.coinMined },
+    { trait_type: "Total Shares", value: rig.totalShares.toNumber(), display_type: "number" }
+  ].filter(attribute => attribute.value !== null);
+
+  return {
+    name: rig.name,
+    description: details.description || `Fractional ownership share of ${rig.name}`,
+    ...(details.image ? { image: details.image } : {}),
+    // Shares are whole units
+    decimals: 0,
+    properties,
+    attributes
+  };
+}
+
+async function main() {
+  const contractAddress = process.env.CONTRACT_ADDRESS;
+  if (!contractAddress) {
+    throw new Error("Set CONTRACT_ADDRESS to the deployed MiningRigOwnership address");
+  }
+
+  const detailsPath = process.env.RIG_DETAILS || "rig-details.json";
+  const outDir = process.env.METADATA_OUT || "metadata";
+  const fromBlock = parseInt(process.env.FROM_BLOCK || "0", 10);
+
+  let details = {};
+  if (fs.existsSync(detailsPath)) {
+    details = JSON.parse(fs.readFileSync(detailsPath, "utf8"));
+    console.log(`Loaded rig details from ${detailsPath}`);
+  } else {
+    console.log(`No rig details file at ${detailsPath}; hash rate, location and coin will be omitted`);
+  }
+
+  const miningRigOwnership = await hre.ethers.getContractAt("MiningRigOwnership", contractAddress);
+
+  // Registered rigs come from RigRegistered events; current params from rigs(id)
+  const events = await miningRigOwnership.queryFilter(
+    miningRigOwnership.filters.RigRegistered(),
+    fromBlock
+  );
+  console.log(`Found ${events.length} registered rigs`);
+
+  fs.mkdirSync(outDir, { recursive: true });
+
+  for (const event of events) {
+    const rigId = event.args.rigId;
+    const rig = await miningRigOwnership.rigs(rigId);
+    const metadata = buildMetadata(rigId, rig, details[rigId.toString()]);
+
+    const file = path.join(outDir, `${rigId.toString()}.json`);
+    fs.writeFileSync(file, JSON.stringify(metadata, null, 2) + "\n");
+    console.log(`Rig ${rigId}: wrote ${file}`);
+  }
+
+  console.log(`\nUpload ${outDir}/ and point each rig at its file, e.g.:`);
+  console.log(`miningRigOwnership.setRigURI(1, "ipfs://<CID>/1.json")`);
+}
+
+// Execute the generator
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
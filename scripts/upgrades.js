@@ -0,0 +1,213 @@
+// Proxy deployment, upgrades and the storage-layout compatibility check
+//
+// MiningRigOwnership runs behind a MiningRigProxy (ERC-1967, UUPS). Every implementation
+// is deployed together with the modules it delegates to (see MODULES).
+//
+// Upgrades are only safe if the new implementation keeps every storage variable of the
+// old one at the same slot, offset and type. The reference layout is committed in
+// storage-layouts/MiningRigOwnership.json; new variables may only be appended after it.
+// rig:storage-layout checks (and with --write, extends) it, rig:upgrade refuses to
+// upgrade while the check fails, and the tests run it on every build.
+const fs = require("fs");
+const path = require("path");
+
+// keccak256("eip1967.proxy.implementation") - 1
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+// Contracts that share MiningRigOwnership's storage (delegatecall targets), by the
+// name of the immutable that holds each one's address; the constructor takes them in
+// this order
+const MODULES = {
+  adminLogic: "MiningRigAdmin",                // admin functions
+  saleLogic: "MiningRigSale",                  // buying, refunds, sell-backs
+  intentLogic: "MiningRigIntents",             // signed purchase and claim intents
+  decommissionLogic: "MiningRigDecommission"   // decommissioning, redeeming, sweeping
+};
+
+function layoutPath(hre, contractName = "MiningRigOwnership") {
+  return path.join(hre.config.paths.root, "storage-layouts", `${contractName}.json`);
+}
+
+/**
+ * Deploy the modules, a MiningRigOwnership implementation and a proxy initialized
+ * with `admin` (default: the first signer) holding every role.
+ * @returns {{ contract, proxy, implementation, adminLogic, saleLogic, intentLogic }}
+ *          `contract` is MiningRigOwnership at the proxy address; `proxy` carries the
+ *          deployTransaction; the modules are keyed as in MODULES
+ */
+async function deployMiningRigOwnership(hre, { admin, migrating = false, contractName = "MiningRigOwnership" } = {}) {
+  const { ethers } = hre;
+  admin = admin || (await ethers.getSigners())[0].address;
+
+  const { implementation, ...modules } = await deployImplementation(hre, contractName);
+  const initData = implementation.interface.encodeFunctionData("initialize", [admin, migrating]);
+  const proxy = await (await ethers.getContractFactory("MiningRigProxy")).deploy(implementation.address, initData);
+  await proxy.deployed();
+
+  const contract = await ethers.getContractAt(contractName, proxy.address);
+  return { contract, proxy, implementation, ...modules };
+}
+
+async function deployImplementation(hre, contractName = "MiningRigOwnership") {
+  const { ethers } = hre;
+  const modules = {};
+  for (const [key, moduleName] of Object.entries(MODULES)) {
+    modules[key] = await (await ethers.getContractFactory(moduleName)).deploy();
+    await modules[key].deployed();
+  }
+  const implementation = await (await ethers.getContractFactory(contractName))
+    .deploy(...Object.values(modules).map(module => module.address));
+  await implementation.deployed();
+  return { implementation, ...modules };
+}
+
+// Current implementation behind a proxy, read from the ERC-1967 slot
+async function getImplementationAddress(hre, proxyAddress) {
+  const word = await hre.ethers.provider.getStorageAt(proxyAddress, IMPLEMENTATION_SLOT);
+  return hre.ethers.utils.getAddress(hre.ethers.utils.hexDataSlice(word, 12));
+}
+
+/**
+ * Check the storage layout, deploy a new implementation (and its modules) and point
+ * the proxy at it. The signer must hold DEFAULT_ADMIN_ROLE.
+ * @returns {{ contract, implementation, receipt }} plus the modules, keyed as in MODULES
+ */
+async function upgradeMiningRigOwnership(hre, proxyAddress, { contractName = "MiningRigOwnership" } = {}) {
+  const problems = await checkStorageLayout(hre, contractName);
+  if (problems.length > 0) {
+    throw new Error(`Storage layout of ${contractName} is not upgrade-safe:\n  ${problems.join("\n  ")}`);
+  }
+
+  const { implementation, ...modules } = await deployImplementation(hre, contractName);
+  const proxy = await hre.ethers.getContractAt("MiningRigOwnership", proxyAddress);
+  const tx = await proxy.upgradeToAndCall(implementation.address, "0x");
+  const receipt = await tx.wait();
+
+  const contract = await hre.ethers.getContractAt(contractName, proxyAddress);
+  return { contract, implementation, ...modules, receipt };
+}
+
+// ---------------------------
+// Storage layout
+// ---------------------------
+
+// Compiler storage layout of a contract (needs storageLayout in outputSelection)
+async function compiledLayout(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${contractName}`);
+  const { storageLayout } = buildInfo.output.contracts[artifact.sourceName][contractName];
+  return normalizeLayout(storageLayout);
+}
+
+// Layout without AST ids and declaring-contract names, so unrelated edits don't show up
+function normalizeLayout({ storage, types }) {
+  const describe = typeId => {
+    const type = types[typeId];
+    const normalized = { label: type.label.replace(/struct \w+\./g, "struct "), bytes: Number(type.numberOfBytes) };
+    if (type.members) normalized.members = type.members.map(describeVariable);
+    if (type.key) {
+      normalized.key = describe(type.key);
+      normalized.value = describe(type.value);
+    }
+    if (type.base) normalized.base = describe(type.base);
+    return normalized;
+  };
+  const describeVariable = ({ label, slot, offset, type }) => ({ label, slot: Number(slot), offset, type: describe(type) });
+  return storage.map(describeVariable);
+}
+
+// Problems with `current` as an upgrade of `reference`; empty when compatible.
+// Structs stored as mapping values (or array elements) may gain members at the end.
+function compareLayouts(reference, current, where = "") {
+  const problems = [];
+
+  reference.forEach((expected, i) => {
+    const actual = current[i];
+    const name = `${where}${expected.label}`;
+    if (!actual) {
+      problems.push(`${name} was removed (slot ${expected.slot})`);
+    } else if (actual.label !== expected.label) {
+      problems.push(`${name} (slot ${expected.slot}) was replaced by ${actual.label}`);
+    } else if (actual.slot !== expected.slot || actual.offset !== expected.offset) {
+      problems.push(`${name} moved from slot ${expected.slot}+${expected.offset} to ${actual.slot}+${actual.offset}`);
+    } else {
+      problems.push(...compareTypes(expected.type, actual.type, name, false));
+    }
+  });
+
+  // Anything new must start after the last reference variable
+  const last = reference[reference.length - 1];
+  const end = last ? last.slot * 32 + last.offset + last.type.bytes : 0;
+  for (const added of current.slice(reference.length)) {
+    if (added.slot * 32 + added.offset < end) {
+      problems.push(`${where}${added.label} (slot ${added.slot}) overlaps existing variables; append it at the end`);
+    }
+  }
+  return problems;
+}
+
+function compareTypes(expected, actual, name, canGrow) {
+  if (expected.members && actual.members) {
+    if (!canGrow && actual.members.length !== expected.members.length) {
+      return [`${name} changed type from ${expected.label} to ${actual.label} with different members`];
+    }
+    return compareLayouts(expected.members, actual.members, `${name}.`);
+  }
+  if (expected.label !== actual.label || expected.bytes !== actual.bytes) {
+    return [`${name} changed type from ${expected.label} to ${actual.label}`];
+  }
+  if (expected.value) return compareTypes(expected.value, actual.value, `${name}[]`, true);
+  if (expected.base) return compareTypes(expected.base, actual.base, `${name}[]`, true);
+  return [];
+}
+
+/**
+ * Compare the compiled layout of `contractName` with the committed reference, and the
+ * modules' layouts with it (they must be identical). Returns a list of problems.
+ */
+async function checkStorageLayout(hre, contractName = "MiningRigOwnership") {
+  const current = await compiledLayout(hre, contractName);
+  const problems = [];
+
+  const file = layoutPath(hre);
+  if (fs.existsSync(file)) {
+    problems.push(...compareLayouts(JSON.parse(fs.readFileSync(file, "utf8")).storage, current));
+  } else {
+    problems.push(`No reference layout at ${file}; create it with rig:storage-layout --write`);
+  }
+
+  for (const module of Object.values(MODULES)) {
+    const moduleLayout = await compiledLayout(hre, module);
+    if (JSON.stringify(moduleLayout) !== JSON.stringify(current)) {
+      problems.push(`${module} does not share ${contractName}'s storage layout; both must inherit MiningRigStorage only`);
+    }
+  }
+  return problems;
+}
+
+// Save the compiled layout as the new reference; returns the file written
+async function writeStorageLayout(hre) {
+  const file = layoutPath(hre);
+  const storage = await compiledLayout(hre, "MiningRigOwnership");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ contract: "MiningRigOwnership", storage }, null, 2) + "\n");
+  return file;
+}
+
+// Module addresses keyed as in MODULES, for deployment records
+function moduleAddresses(deployed) {
+  return Object.fromEntries(Object.keys(MODULES).map(key => [key, deployed[key].address]));
+}
+
+module.exports = {
+  IMPLEMENTATION_SLOT,
+  MODULES,
+  moduleAddresses,
+  deployMiningRigOwnership,
+  upgradeMiningRigOwnership,
+  getImplementationAddress,
+  compiledLayout,
+  compareLayouts,
+  checkStorageLayout,
+  writeStorageLayout
+};
@@ -0,0 +1,161 @@
+// Holder snapshot / cap table at a block, for investor reporting and audits
+//
+// Usage:
+//   npx hardhat rig:cap-table --network arbitrumSepolia [--block 12345678] [--id 1] [--out cap-tables]
+//
+// The contract can't enumerate holders, so the task replays every TransferSingle and
+// TransferBatch from the deployment block up to --block (default: latest) into each rig's
+// balances, then reads every holder's pending (settled) and claimable ETH rewards at that
+// block. Before writing anything it checks each rebuilt balance against balanceOf and each
+// rig's summed balances against totalSupply at the block, and fails on any difference.
+// Writes cap-table-<chainId>-<block>.csv and .json to --out. Past blocks need an archive node.
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { getRigContract, parseId, printTable, queryFilterPaged } = require("./rig");
+
+// Replay transfer events (in any order) into shares per holder and minted supply, per rig ID
+function replayTransfers(hre, events) {
+  const { AddressZero, Zero } = hre.ethers.constants;
+  const rigs = new Map();
+
+  const move = (from, to, id, value) => {
+    const key = id.toString();
+    if (!rigs.has(key)) rigs.set(key, { balances: new Map(), supply: Zero });
+    const rig = rigs.get(key);
+    if (from === AddressZero) rig.supply = rig.supply.add(value);
+    else rig.balances.set(from, (rig.balances.get(from) || Zero).sub(value));
+    if (to === AddressZero) rig.supply = rig.supply.sub(value);
+    else rig.balances.set(to, (rig.balances.get(to) || Zero).add(value));
+  };
+
+  const ordered = [...events].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  for (const event of ordered) {
+    const { from, to } = event.args;
+    if (event.event === "TransferSingle") move(from, to, event.args.id, event.args.value);
+    // args.values is Array.prototype.values, so the batch's amounts are read by position
+    else event.args.ids.forEach((id, i) => move(from, to, id, event.args[4][i]));
+  }
+  return rigs;
+}
+
+// Share of the minted supply as a percentage with two decimals, e.g. "75.00%"
+function ownership(balance, supply) {
+  if (supply.isZero()) return "0.00%";
+  return `${(balance.mul(10000).div(supply).toNumber() / 100).toFixed(2)}%`;
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per holder and rig; rewards in ETH
+function capTableCsv(hre, capTable) {
+  const { formatEther } = hre.ethers.utils;
+  const header = ["Rig ID", "Rig", "Holder", "Shares", "Ownership", "Pending ETH", "Claimable ETH"];
+  const rows = capTable.rigs.flatMap(rig => rig.holders.map(h => [
+    rig.id,
+    rig.name,
+    h.holder,
+    h.shares,
+    h.ownership,
+    formatEther(h.pendingWei),
+    formatEther(h.claimableWei)
+  ]));
+  return [header, ...rows].map(row => row.map(csvField).join(",")).join("\n") + "\n";
+}
+
+task("rig:cap-table", "Write every rig's holders at a block as a CSV and JSON cap table")
+  .addOptionalParam("block", "Block number (default: latest)")
+  .addOptionalParam("id", "Only this rig")
+  .addOptionalParam("out", "Output directory", "cap-tables")
+  .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+  .setAction(async (args, hre) => {
+    const { contract, fromBlock } = await getRigContract(hre, args.address);
+    const latest = await hre.ethers.provider.getBlockNumber();
+    const blockNumber = args.block === undefined ? latest : parseId(hre, args.block, "--block").toNumber();
+    if (blockNumber > latest) throw new Error(`--block ${blockNumber} is past the latest block (${latest})`);
+    if (blockNumber < fromBlock) throw new Error(`--block ${blockNumber} is before the deployment (block ${fromBlock})`);
+    const at = { blockTag: blockNumber };
+
+    let rigIds = (await queryFilterPaged(hre, contract, contract.filters.RigRegistered(), fromBlock, blockNumber))
+      .map(event => event.args.rigId.toString());
+    if (args.id !== undefined) {
+      const id = parseId(hre, args.id).toString();
+      if (!rigIds.includes(id)) throw new Error(`Rig #${id} was not registered at block ${blockNumber}`);
+      rigIds = [id];
+    }
+
+    const replayed = replayTransfers(hre, [
+      ...await queryFilterPaged(hre, contract, contract.filters.TransferSingle(), fromBlock, blockNumber),
+      ...await queryFilterPaged(hre, contract, contract.filters.TransferBatch(), fromBlock, blockNumber)
+    ]);
+
+    // Rebuild each rig's table, collecting every difference from the contract's own view
+    const mismatches = [];
+    const rigs = [];
+    let checked = 0;
+    for (const id of rigIds) {
+      const { balances, supply } = replayed.get(id) || { balances: new Map(), supply: hre.ethers.constants.Zero };
+      const [rig, totalSupply] = await Promise.all([contract.rigs(id, at), contract["totalSupply(uint256)"](id, at)]);
+      if (!supply.eq(totalSupply)) {
+        mismatches.push(`rig #${id}: replayed supply ${supply}, totalSupply ${totalSupply}`);
+      }
+
+      const holders = [];
+      checked += balances.size;
+      for (const [holder, shares] of balances) {
+        const [balance, pending, claimable] = await Promise.all([
+          contract.balanceOf(holder, id, at),
+          contract.pending(holder, id, at),
+          contract.claimable(holder, id, at)
+        ]);
+        if (!shares.eq(balance)) {
+          mismatches.push(`rig #${id}, ${holder}: replayed ${shares} shares, balanceOf ${balance}`);
+        }
+        // Former holders stay in the table while they have rewards to claim
+        if (shares.isZero() && claimable.isZero()) continue;
+        holders.push({
+          holder,
+          shares: shares.toString(),
+          ownership: ownership(shares, supply),
+          pendingWei: pending.toString(),
+          claimableWei: claimable.toString()
+        });
+      }
+      holders.sort((a, b) => {
+        const diff = hre.ethers.BigNumber.from(b.shares).sub(a.shares);
+        return diff.isZero() ? a.holder.localeCompare(b.holder) : diff.gt(0) ? 1 : -1;
+      });
+
+      rigs.push({ id, name: rig.name, totalShares: rig.totalShares.toString(), supply: supply.toString(), holders });
+    }
+    if (mismatches.length > 0) {
+      throw new Error(`The replayed cap table does not match the contract at block ${blockNumber}:\n  ${mismatches.join("\n  ")}`);
+    }
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const capTable = {
+      contract: contract.address,
+      chainId,
+      blockNumber,
+      blockTimestamp: (await hre.ethers.provider.getBlock(blockNumber)).timestamp,
+      takenAt: new Date().toISOString(),
+      rigs
+    };
+
+    printTable(
+      rigs.map(rig => ({ id: rig.id, name: rig.name, holders: String(rig.holders.length), sold: `${rig.supply} / ${rig.totalShares}` })),
+      [["id", "Rig"], ["name", "Name"], ["holders", "Holders"], ["sold", "Sold / Total"]],
+      `No rigs registered at block ${blockNumber}`
+    );
+    console.log(`Verified ${checked} balances and ${rigs.length} supplies against balanceOf and totalSupply at block ${blockNumber}`);
+
+    fs.mkdirSync(args.out, { recursive: true });
+    const base = path.join(args.out, `cap-table-${chainId}-${blockNumber}`);
+    fs.writeFileSync(`${base}.json`, JSON.stringify(capTable, null, 2) + "\n");
+    fs.writeFileSync(`${base}.csv`, capTableCsv(hre, capTable));
+    console.log(`Cap table written to ${base}.csv and ${base}.json`);
+    return { capTable, csv: `${base}.csv`, json: `${base}.json` };
+  });
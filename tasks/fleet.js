@@ -0,0 +1,198 @@
+// rig:sync - make the chain match a declarative fleet file (rigs.json / rigs.yaml)
+//
+// Usage:
+//   npx hardhat rig:sync --network arbitrumSepolia [--file rigs.yaml] [--dry-run]
+//
+// Each entry has id, name, shares, price (ETH) and optionally maxPerWallet (default 0)
+// and active (default true); see rigs.example.json. Missing rigs are registered, price,
+// share cap and active state are updated, and differences that can't be changed after
+// registerRig (name, wallet cap, a cap below the minted shares, rigs not in the file)
+// are reported as drift. Running it again once in sync sends nothing.
+//
+// Afterwards the frontend manifest (frontend/deployments/<chainId>.json, or --manifest) is rewritten
+// from the saved deployment.
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { task } = require("hardhat/config");
+const { writeManifest } = require("../scripts/deployments");
+const { getRigContract, printTable, requireRole, sendWithEstimate, registeredRigIds } = require("./rig");
+
+const DEFAULT_FILES = ["rigs.json", "rigs.yaml", "rigs.yml"];
+
+function wholeNumber(value, where, key) {
+  if (!/^\d+$/.test(String(value).trim())) {
+    throw new Error(`${where}: "${key}" must be a whole number, got "${value}"`);
+  }
+  return String(value).trim();
+}
+
+// Read and validate the fleet file; returns one normalized entry per rig
+function loadFleetConfig(hre, file) {
+  const text = fs.readFileSync(file, "utf8");
+  const data = /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+  const entries = Array.isArray(data) ? data : data && data.rigs;
+  if (!Array.isArray(entries)) {
+    throw new Error(`${file} must contain a "rigs" list`);
+  }
+
+  const seen = new Set();
+  return entries.map((entry, i) => {
+    const where = `${file} rigs[${i}]`;
+    for (const key of ["id", "name", "shares", "price"]) {
+      if (entry[key] === undefined || entry[key] === null || entry[key] === "") {
+        throw new Error(`${where}: missing "${key}"`);
+      }
+    }
+
+    const id = wholeNumber(entry.id, where, "id");
+    if (seen.has(id)) throw new Error(`${where}: duplicate rig id ${id}`);
+    seen.add(id);
+
+    const shares = wholeNumber(entry.shares, where, "shares");
+    if (shares === "0") throw new Error(`${where}: "shares" must be greater than zero`);
+
+    let price;
+    try {
+      price = hre.ethers.utils.parseEther(String(entry.price).trim());
+    } catch (error) {
+      throw new Error(`${where}: "price" must be an ETH amount like "0.01" (quote very small values), got "${entry.price}"`);
+    }
+    if (price.isZero()) throw new Error(`${where}: "price" must be greater than zero`);
+    if (entry.active !== undefined && typeof entry.active !== "boolean") {
+      throw new Error(`${where}: "active" must be true or false`);
+    }
+
+    return {
+      id: hre.ethers.BigNumber.from(id),
+      name: String(entry.name),
+      shares: hre.ethers.BigNumber.from(shares),
+      price,
+      maxPerWallet: hre.ethers.BigNumber.from(wholeNumber(entry.maxPerWallet ?? 0, where, "maxPerWallet")),
+      active: entry.active ?? true
+    };
+  });
+}
+
+// Compare the fleet file with on-chain rigs(id); returns the transactions to send and
+// the drift that no transaction can fix
+async function planSync(hre, contract, fleet, fromBlock) {
+  const { formatEther } = hre.ethers.utils;
+  const actions = [];
+  const drift = [];
+
+  for (const rig of fleet) {
+    const id = rig.id.toString();
+    const onChain = await contract.rigs(rig.id);
+
+    if (onChain.totalShares.isZero()) {
+      actions.push({
+        id, kind: "register", description: `register (${rig.shares} shares at ${formatEther(rig.price)} ETH)`,
+        method: "registerRig", args: [rig.id, rig.name, rig.shares, rig.price, rig.maxPerWallet]
+      });
+      if (!rig.active) {
+        actions.push({ id, kind: "deactivate", description: "pause", method: "deactivateRig", args: [rig.id] });
+      }
+      continue;
+    }
+
+    if (onChain.name !== rig.name) {
+      drift.push({ id, field: "name", config: rig.name, onChain: onChain.name });
+    }
+    if (!onChain.maxPerWallet.eq(rig.maxPerWallet)) {
+      drift.push({ id, field: "maxPerWallet", config: rig.maxPerWallet.toString(), onChain: onChain.maxPerWallet.toString() });
+    }
+    if (!onChain.pricePerShareWei.eq(rig.price)) {
+      actions.push({
+        id, kind: "price", description: `price ${formatEther(onChain.pricePerShareWei)} -> ${formatEther(rig.price)} ETH`,
+        method: "setRigPrice", args: [rig.id, rig.price]
+      });
+    }
+    if (!onChain.totalShares.eq(rig.shares)) {
+      const minted = await contract["totalSupply(uint256)"](rig.id);
+      if (rig.shares.lt(minted)) {
+        drift.push({ id, field: "shares", config: rig.shares.toString(), onChain: `${onChain.totalShares} (${minted} already minted)` });
+      } else {
+        actions.push({
+          id, kind: "shares", description: `shares ${onChain.totalShares} -> ${rig.shares}`,
+          method: "setRigTotalShares", args: [rig.id, rig.shares]
+        });
+      }
+    }
+    if (onChain.active !== rig.active) {
+      actions.push(rig.active
+        ? { id, kind: "reactivate", description: "resume", method: "reactivateRig", args: [rig.id] }
+        : { id, kind: "deactivate", description: "pause", method: "deactivateRig", args: [rig.id] });
+    }
+  }
+
+  // Rigs registered on-chain that the file doesn't describe
+  const inFile = new Set(fleet.map(rig => rig.id.toString()));
+  for (const rigId of await registeredRigIds(hre, contract, fromBlock)) {
+    if (!inFile.has(rigId.toString())) {
+      drift.push({ id: rigId.toString(), field: "rig", config: "(missing)", onChain: (await contract.rigs(rigId)).name });
+    }
+  }
+
+  return { actions, drift };
+}
+
+task("rig:sync", "Register and update rigs to match a rigs.json / rigs.yaml fleet file")
+  .addOptionalParam("file", `Fleet file (default: first of ${DEFAULT_FILES.join(", ")})`)
+  .addOptionalParam("manifest", "Frontend manifest to write (default: frontend/deployments/<chainId>.json)")
+  .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+  .addFlag("dryRun", "Only show the plan and gas estimates; don't send")
+  .setAction(async (args, hre) => {
+    const file = args.file || DEFAULT_FILES
+      .map(name => path.join(hre.config.paths.root, name))
+      .find(candidate => fs.existsSync(candidate));
+    if (!file || !fs.existsSync(file)) {
+      throw new Error(`Fleet file ${file || DEFAULT_FILES.join(" / ")} not found; start from rigs.example.json`);
+    }
+
+    const { contract, fromBlock, deployment } = await getRigContract(hre, args.address);
+    const fleet = loadFleetConfig(hre, file);
+    const { actions, drift } = await planSync(hre, contract, fleet, fromBlock);
+
+    console.log(`${fleet.length} rigs in ${file}`);
+    printTable(actions, [["id", "Rig"], ["description", "Change"]], "Nothing to change: chain matches the fleet file");
+    if (drift.length > 0) {
+      console.log("\nDrift that can't be changed after registerRig:");
+      printTable(drift, [["id", "Rig"], ["field", "Field"], ["config", "File"], ["onChain", "On-chain"]]);
+    }
+
+    // Pausing and resuming need the pauser role; everything else the rig manager
+    const roles = new Set(actions.map(action =>
+      action.kind === "deactivate" || action.kind === "reactivate" ? "PAUSER_ROLE" : "RIG_MANAGER_ROLE"));
+    for (const roleName of roles) {
+      await requireRole(hre, contract, roleName);
+    }
+
+    const registering = new Set();
+    for (const action of actions) {
+      // A dry run can't estimate follow-ups on a rig that isn't registered yet
+      if (args.dryRun && registering.has(action.id)) {
+        console.log(`Rig #${action.id}: ${action.description}: estimated once the rig is registered`);
+        continue;
+      }
+      if (action.kind === "register") registering.add(action.id);
+
+      await sendWithEstimate(hre, contract, action.method, action.args, {
+        dryRun: args.dryRun,
+        label: `Rig #${action.id}: ${action.description}`
+      });
+    }
+
+    // The in-process network vanishes on exit, so only write its manifest when asked to
+    let manifest = null;
+    if (!args.dryRun && deployment && (args.manifest || hre.network.name !== "hardhat")) {
+      manifest = writeManifest(hre, deployment, args.manifest);
+      console.log(`Frontend manifest written to ${manifest}`);
+    }
+
+    return {
+      actions: actions.map(({ id, kind, description }) => ({ id, kind, description })),
+      drift,
+      manifest
+    };
+  });
@@ -0,0 +1,29 @@
+// Frontend files generated from the build: contract ABIs and per-chain manifests
+//
+// Usage:
+//   npx hardhat compile                                  # also writes frontend/abi/*.json
+//   npx hardhat rig:frontend --network arbitrumSepolia [--manifest file.json]
+//
+// Every compile exports the ABIs the frontend uses from the artifacts, so they can't drift
+// from the contracts. rig:frontend writes them together with frontend/deployments/<chainId>.json
+// from the network's saved deployment (scripts/deploy.js and rig:sync write that manifest too).
+const { task } = require("hardhat/config");
+const { TASK_COMPILE } = require("hardhat/builtin-tasks/task-names");
+const { loadDeployment, writeFrontendAbis, writeManifest } = require("../scripts/deployments");
+
+task(TASK_COMPILE).setAction(async (args, hre, runSuper) => {
+  const result = await runSuper(args);
+  writeFrontendAbis(hre);
+  return result;
+});
+
+task("rig:frontend", "Write the frontend's ABIs and this network's deployment manifest")
+  .addOptionalParam("manifest", "Manifest path (default: frontend/deployments/<chainId>.json)")
+  .setAction(async (args, hre) => {
+    await hre.run(TASK_COMPILE, { quiet: true });
+    const deployment = loadDeployment(hre);
+
+    const manifest = writeManifest(hre, deployment, args.manifest);
+    console.log(`Frontend manifest for chain ${deployment.chainId} written to ${manifest}`);
+    return { manifest, abis: writeFrontendAbis(hre) };
+  });
@@ -0,0 +1,695 @@
+// Admin CLI for the rig lifecycle, as Hardhat tasks
+//
+// Usage (see `npx hardhat help <task>` for every option):
+//   npx hardhat rig:register --network arbitrumSepolia --id 1 --name "Antminer S19" --shares 100 --price 0.01
+//   npx hardhat rig:list --network arbitrumSepolia
+//   npx hardhat rig:deposit --network arbitrumSepolia --id 1 --amount 0.5 [--token 0x...]
+//   npx hardhat rig:withdraw-sales --network arbitrumSepolia --amount all [--to 0x...]
+//   npx hardhat rig:fees --network arbitrumSepolia --id 1 --operator 5 [--hosting 2 --hosting-recipient 0x...]
+//   npx hardhat rig:withdraw-fees --network arbitrumSepolia [--to 0x...]
+//   npx hardhat rig:holders --network arbitrumSepolia --id 1
+//   npx hardhat rig:pause --network arbitrumSepolia [--unpause]
+//   npx hardhat rig:rescue --network arbitrumSepolia [--to 0x...]
+//   npx hardhat rig:roles --network arbitrumSepolia [--account 0x...]
+//   npx hardhat rig:grant-role --network arbitrumSepolia --role depositor --account 0x...
+//   npx hardhat rig:revoke-role --network arbitrumSepolia --role depositor --account 0x...
+//   npx hardhat rig:transfer-admin --network arbitrumSepolia --to 0x... [--cancel]
+//   npx hardhat rig:accept-admin --network arbitrumSepolia
+//   npx hardhat rig:claimable --network arbitrumSepolia [--account 0x...] [--id 1]
+//   npx hardhat rig:decommission --network arbitrumSepolia --id 1 --final-reward 0.2 --salvage 1.5 [--redeem-days 60]
+//   npx hardhat rig:sweep --network arbitrumSepolia --id 1 [--to 0x...]
+//
+// The contract address comes from deployments/<network>.json (written by scripts/deploy.js)
+// unless --address is given. Transactions print a gas estimate first; --dry-run stops there.
+// Tasks check that the signer holds the contract role they need before estimating.
+const { task } = require("hardhat/config");
+const { loadDeployment } = require("../scripts/deployments");
+
+// Max block range per eth_getLogs request (public RPCs reject larger ranges)
+const LOG_PAGE_SIZE = 10000;
+
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)"
+];
+
+// Contract roles by the short names --role accepts
+const ROLES = {
+  manager: "RIG_MANAGER_ROLE",
+  depositor: "REWARD_DEPOSITOR_ROLE",
+  treasurer: "TREASURER_ROLE",
+  pauser: "PAUSER_ROLE",
+  admin: "DEFAULT_ADMIN_ROLE"
+};
+
+// MiningRigOwnership from --address or the saved deployment, plus the block to scan logs
+// from and the deployment record (null with --address)
+async function getRigContract(hre, address) {
+  let fromBlock = 0;
+  let deployment = null;
+  if (!address) {
+    deployment = loadDeployment(hre);
+    address = deployment.MiningRigOwnership.address;
+    fromBlock = deployment.MiningRigOwnership.blockNumber || 0;
+  }
+  const contract = await hre.ethers.getContractAt("MiningRigOwnership", address);
+  return { contract, fromBlock, deployment };
+}
+
+function parseEth(hre, value, label) {
+  try {
+    return hre.ethers.utils.parseEther(String(value).trim());
+  } catch (error) {
+    throw new Error(`${label} must be an ETH amount like 0.5, got "${value}"`);
+  }
+}
+
+// Percentage with up to two decimals (e.g. 2.5) as basis points
+function parsePercent(hre, value, label) {
+  try {
+    const bps = hre.ethers.utils.parseUnits(String(value).trim(), 2);
+    if (bps.isNegative()) throw new Error("negative");
+    return bps;
+  } catch (error) {
+    throw new Error(`${label} must be a percentage like 2.5, got "${value}"`);
+  }
+}
+
+function formatPercent(bps) {
+  return `${Number(bps) / 100}%`;
+}
+
+function parseId(hre, value, label = "--id") {
+  if (!/^\d+$/.test(String(value).trim())) {
+    throw new Error(`${label} must be a whole number, got "${value}"`);
+  }
+  return hre.ethers.BigNumber.from(String(value).trim());
+}
+
+// Throw with a hint if the signer lacks `roleName` (e.g. "TREASURER_ROLE")
+async function requireRole(hre, contract, roleName) {
+  const [signer] = await hre.ethers.getSigners();
+  if (!(await contract.hasRole(await contract[roleName](), signer.address))) {
+    const short = Object.keys(ROLES).find(key => ROLES[key] === roleName);
+    throw new Error(`${signer.address} does not hold ${roleName}; ` +
+      `the admin can grant it with rig:grant-role --role ${short} --account ${signer.address}`);
+  }
+}
+
+function parseRole(value) {
+  const roleName = ROLES[String(value).trim().toLowerCase()];
+  if (!roleName) {
+    throw new Error(`--role must be one of ${Object.keys(ROLES).join(", ")}, got "${value}"`);
+  }
+  return roleName;
+}
+
+// Render rows as an aligned text table; columns are [key, heading] pairs
+function formatTable(rows, columns) {
+  const cells = rows.map(row => columns.map(([key]) => String(row[key])));
+  const widths = columns.map(([, heading], i) => Math.max(heading.length, ...cells.map(c => c[i].length)));
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join("  ").trimEnd();
+
+  return [
+    line(columns.map(([, heading]) => heading)),
+    line(widths.map(width => "-".repeat(width))),
+    ...cells.map(line)
+  ].join("\n");
+}
+
+function printTable(rows, columns, emptyMessage) {
+  console.log(rows.length === 0 ? emptyMessage : formatTable(rows, columns));
+}
+
+// Revert reason from an ethers/Hardhat error, falling back to its message
+function revertReason(error) {
+  return error.reason || (error.error && error.error.message) || error.message;
+}
+
+// Estimate gas and cost for contract[method](...args), then send unless dryRun
+async function sendWithEstimate(hre, contract, method, args, { dryRun, label = method } = {}) {
+  const { formatEther, formatUnits } = hre.ethers.utils;
+
+  let gas;
+  try {
+    gas = await contract.estimateGas[method](...args);
+  } catch (error) {
+    throw new Error(`${label} would revert: ${revertReason(error)}`);
+  }
+  const gasPrice = await hre.ethers.provider.getGasPrice();
+  console.log(`${label}: estimated gas ${gas} (~${formatEther(gas.mul(gasPrice))} ETH at ${formatUnits(gasPrice, "gwei")} gwei)`);
+
+  if (dryRun) {
+    console.log("Dry run: transaction not sent");
+    return { gas, gasPrice, receipt: null };
+  }
+
+  const tx = await contract[method](...args);
+  console.log(`Sent ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`Confirmed in block ${receipt.blockNumber} (gas used ${receipt.gasUsed})`);
+  return { gas, gasPrice, receipt };
+}
+
+// Run queryFilter in pages of LOG_PAGE_SIZE blocks, up to toBlock (default: latest)
+async function queryFilterPaged(hre, contract, filter, fromBlock, toBlock) {
+  const latestBlock = toBlock ?? await hre.ethers.provider.getBlockNumber();
+  const events = [];
+  for (let start = fromBlock; start <= latestBlock; start += LOG_PAGE_SIZE) {
+    const end = Math.min(start + LOG_PAGE_SIZE - 1, latestBlock);
+    events.push(...await contract.queryFilter(filter, start, end));
+  }
+  return events;
+}
+
+// Registered rig IDs, from RigRegistered events
+async function registeredRigIds(hre, contract, fromBlock) {
+  const events = await queryFilterPaged(hre, contract, contract.filters.RigRegistered(), fromBlock);
+  return events.map(event => event.args.rigId);
+}
+
+// Every address that ever received shares of rig `id` (current balances come from balanceOf)
+async function shareRecipients(hre, contract, id, fromBlock) {
+  const recipients = new Set();
+  for (const event of await queryFilterPaged(hre, contract, contract.filters.TransferSingle(), fromBlock)) {
+    if (event.args.id.eq(id)) recipients.add(event.args.to);
+  }
+  for (const event of await queryFilterPaged(hre, contract, contract.filters.TransferBatch(), fromBlock)) {
+    if (event.args.ids.some(tokenId => tokenId.eq(id))) recipients.add(event.args.to);
+  }
+  recipients.delete(hre.ethers.constants.AddressZero);
+  return [...recipients];
+}
+
+task("rig:register", "Register a mining rig")
+  .addParam("id", "Rig ID")
+  .addParam("name", "Rig name")
+  .addParam("shares", "Total shares")
+  .addParam("price", "Price per share in ETH")
+  .addOptionalParam("maxPerWallet", "Max shares per wallet (0 = no cap)", "0")
+  .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+  .addFlag("dryRun", "Only estimate gas; don't send")
+  .setAction(async (args, hre) => {
+    const { contract } = await getRigContract(hre, args.address);
+    const id = parseId(hre, args.id);
+    const shares = parseId(hre, args.shares, "--shares");
+    const price = parseEth(hre, args.price, "--price");
+    const maxPerWallet = parseId(hre, args.maxPerWallet, "--max-per-wallet");
+    await requireRole(hre, contract, "RIG_MANAGER_ROLE");
+
+    if ((await contract.rigs(id)).totalShares.gt(0)) {
+      throw new Error(`Rig #${id} is already registered`);
+    }
+
+    printTable([{
+      id: id.toString(),
+      name: args.name,
+      shares: shares.toString(),
+      price: hre.ethers.utils.formatEther(price),
+      cap: maxPerWallet.isZero() ? "none" : maxPerWallet.toString()
+    }], [["id", "ID"], ["name", "Name"], ["shares", "Shares"], ["price", "Price (ETH)"], ["cap", "Max/Wallet"]]);
+
+    return sendWithEstimate(hre, contract, "registerRig", [id, args.name, shares, price, maxPerWallet], {
+      dryRun: args.dryRun,
+      label: `Register rig #${id}`
+    });
+  });
+
+task("rig:list", "List registered rigs")
+  .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+  .setAction(async (args, hre) => {
+    const { contract, fromBlock } = await getRigContract(hre, args.address);
+    const { formatEther } = hre.ethers.utils;
+    const rows = [];
+
+    for (const id of await registeredRigIds(hre, contract, fromBlock)) {
+      const rig = await contract.rigs(id);
+      const fees = await contract.rigFees(id);
+      const decommissioned = (await contract.decommissions(id)).decommissionedAt.gt(0);
+      rows.push({
+        id: id.toString(),
+        name: rig.name,
+        sold: `${await contract["totalSupply(uint256)"](id)}/${rig.totalShares}`,
+        price: formatEther(rig.pricePerShareWei),
+        cap: rig.maxPerWallet.isZero() ? "none" : rig.maxPerWallet.toString(),
+        queued: formatEther(await contract.queuedRewards(id)),
+        fees: fees.operatorBps + fees.hostingBps === 0
+          ? "none"
+          : `${formatPercent(fees.operatorBps)} + ${formatPercent(fees.hostingBps)}`,
+        status: decommissioned ? "decommissioned" : rig.active ? "active" : "paused"
+      });
+    }
+
+    printTable(rows, [
+      ["id", "ID"], ["name", "Name"], ["sold", "Sold"], ["price", "Price (ETH)"],
+      ["cap", "Max/Wallet"], ["queued", "Queued (ETH)"], ["fees", "Fees (op + host)"], ["status", "Status"]
+    ], "No rigs registered");
+    return rows;
+  });
+
+task("rig:deposit", "Deposit ETH (or allow-listed ERC-20) rewards to a rig")
+  .addParam("id", "Rig ID")
+  .addParam("amount", "Amount in ETH, or in tokens (e.g. 1.5) with --token")
+  .addOptionalParam("token", "ERC-20 reward token address (default: ETH)")
+  .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+  .addFlag("dryRun", "Only estimate gas; don't send")
+  .setAction(async (args, hre) => {
+    const { contract } = await getRigContract(hre, args.address);
+    const id = parseId(hre, args.id);
+    await requireRole(hre, contract, "REWARD_DEPOSITOR_ROLE");
+
+    if (!args.token) {
+      const amount = parseEth(hre, args.amount, "--amount");
+      const { formatEther } = hre.ethers.utils;
+
+      // Mirror the contract's split: each fee rounds down on its own
+      const fees = await contract.rigFees(id);
+      const operatorFee = amount.mul(fees.operatorBps).div(10000);
+      const hostingFee = amount.mul(fees.hostingBps).div(10000);
+      const net = amount.sub(operatorFee).sub(hostingFee);
+      if (!net.eq(amount)) {
+        console.log(`Gross ${formatEther(amount)} ETH - operator fee ${formatEther(operatorFee)} ETH ` +
+          `- hosting fee ${formatEther(hostingFee)} ETH = ${formatEther(net)} ETH to holders`);
+      }
+      if ((await contract["totalSupply(uint256)"](id)).isZero()) {
+        console.log(`Rig #${id} has no holders yet; the deposit will be queued for its first buyers`);
+      }
+      return sendWithEstimate(hre, contract, "depositRewards", [id, { value: amount }], {
+        dryRun: args.dryRun,
+        label: `Deposit ${args.amount} ETH to rig #${id}`
+      });
+    }
+
+    const token = await hre.ethers.getContractAt(ERC20_ABI, args.token);
+    const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+    let amount;
+    try {
+      amount = hre.ethers.utils.parseUnits(String(args.amount).trim(), decimals);
+    } catch (error) {
+      throw new Error(`--amount must be a ${symbol} amount with at most ${decimals} decimals, got "${args.amount}"`);
+    }
+
+    // The deposit pulls tokens with transferFrom, so approve first when needed
+    const [signer] = await hre.ethers.getSigners();
+    if ((await token.allowance(signer.address, contract.address)).lt(amount)) {
+      await sendWithEstimate(hre, token, "approve", [contract.address, amount], {
+        dryRun: args.dryRun,
+        label: `Approve ${args.amount} ${symbol}`
+      });
+      if (args.dryRun) {
+        console.log("The deposit itself can only be estimated once the approval is mined");
+        return { gas: null, gasPrice: null, receipt: null };
+      }
+    }
+
+    return sendWithEstimate(hre, contract, "depositTokenRewards", [id, token.address, amount], {
+      dryRun: args.dryRun,
+      label: `Deposit ${args.amount} ${symbol} to rig #${id}`
+    });
+  });
+
+task("rig:withdraw-sales", "Withdraw share sale proceeds")
+  .addParam("amount", 'Amount in ETH, or "all"')
+  .addOptionalParam("to", "Recipient (default: the signer)")
+  .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+  .addFlag("dryRun", "Only estimate gas; don't send")
+  .setAction(async (args, hre) => {
+    const { contract } = await getRigContract(hre, args.address);
+    const { formatEther } = hre.ethers.utils;
+    const to = args.to || (await hre.ethers.getSigners())[0].address;
+    if (!hre.ethers.utils.isAddress(to)) {
+      throw new Error(`--to must be an address, got "${to}"`);
+    }
+    await requireRole(hre, contract, "TREASURER_ROLE");
+
+    const sales = await contract.totalSalesETH();
+    const amount = args.amount === "all" ? sales : parseEth(hre, args.amount, "--amount");
+    if (amount.isZero()) throw new Error("Nothing to withdraw");
+    if (amount.gt(sales)) {
+      throw new Error(`Only ${formatEther(sales)} ETH of sales can be withdrawn`);
+    }
+
+    return sendWithEstimate(hre, contract, "withdrawSales", [to, amount], {
+      dryRun: args.dryRun,
+      label: `Withdraw ${formatEther(amount)} ETH to ${to}`
+    });
+  });
+
+task("rig:fees", "Set a rig's operator and hosting fees on ETH reward deposits")
+  .addParam("id", "Rig ID")
+  .addOptionalParam("operator", "Operator fee in percent (e.g. 5)", "0")
+  .addOptionalParam("hosting", "Hosting fee in percent (e.g. 2.5)", "0")
+  .addOptionalParam("hostingRecipient", "Address the hosting fee accrues to")
+  .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+  .addFlag("dryRun", "Only estimate gas; don't send")
+  .setAction(async (args, hre) => {
+    const { contract } = await getRigContract(hre, args.address);
+    const id = parseId(hre, args.id);
+    const operatorBps = parsePercent(hre, args.operator, "--operator");
+    const hostingBps = parsePercent(hre, args.hosting, "--hosting");
+    const recipient = args.hostingRecipient || hre.ethers.constants.AddressZero;
+    if (!hre.ethers.utils.isAddress(recipient)) {
+      throw new Error(`--hosting-recipient must be an address, got "${recipient}"`);
+    }
+    if (hostingBps.gt(0) && recipient === hre.ethers.constants.AddressZero) {
+      throw new Error("--hosting-recipient is required with a hosting fee");
+    }
+    await requireRole(hre, contract, "RIG_MANAGER_ROLE");
+
+    const maxBps = await contract.MAX_TOTAL_FEE_BPS();
+    if (operatorBps.add(hostingBps).gt(maxBps)) {
+      throw new Error(`Fees cannot exceed ${formatPercent(maxBps)} in total`);
+    }
+
+    return sendWithEstimate(hre, contract, "setRigFees", [id, operatorBps, hostingBps, recipient], {
+      dryRun: args.dryRun,
+      label: `Set rig #${id} fees to ${formatPercent(operatorBps)} operator + ${formatPercent(hostingBps)} hosting`
+    });
+  });
+
+task("rig:withdraw-fees", "Withdraw the signer's accrued operator / hosting fees")
+  .addOptionalParam("to", "Recipient (default: the signer)")
+  .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+  .addFlag("dryRun", "Only estimate gas; don't send")
+  .setAction(async (args, hre) => {
+    const { contract } = await getRigContract(hre, args.address);
+    const [signer] = await hre.ethers.getSigners();
+    const to = args.to || signer.address;
+    if (!hre.ethers.utils.isAddress(to)) {
+      throw new Error(`--to must be an address, got "${to}"`);
+    }
+
+    const balance = await contract.feeBalances(signer.address);
+    if (balance.isZero()) throw new Error(`${signer.address} has no fees to withdraw`);
+
+    return sendWithEstimate(hre, contract, "withdrawFees", [to], {
+      dryRun: args.dryRun,
+      label: `Withdraw ${hre.ethers.utils.formatEther(balance)} ETH of fees to ${to}`
+    });
+  });
+
+task("rig:pause", "Pause (or with --unpause, resume) buying, transfers and deposits for every rig")
+  .addFlag("unpause", "Resume instead (admin only)")
+  .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+  .addFlag("dryRun", "Only estimate gas; don't send")
+  .setAction(async (args, hre) => {
+    const { contract } = await getRigContract(hre, args.address);
+    const paused = await contract.paused();
+    if (paused !== args.unpause) {
+      throw new Error(`The contract is already ${paused ? "paused" : "running"}`);
+    }
+    await requireRole(hre, contract, args.unpause ? "DEFAULT_ADMIN_ROLE" : "PAUSER_ROLE");
+
+    const result = await sendWithEstimate(hre, contract, args.unpause ? "unpause" : "pause", [], {
+      dryRun: args.dryRun,
+      label: args.unpause ? "Unpause the contract" : "Pause the contract"
+    });
+    if (!args.dryRun && !args.unpause) {
+      console.log("Claims and withdrawals stay open; the admin resumes with rig:pause --unpause");
+    }
+    return result;
+  });
+
+task("rig:rescue", "Send ETH the accounting doesn't explain (reconcileETH surplus) to --to")
+  .addOptionalParam("to", "Recipient (default: the signer)")
+  .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+  .addFlag("dryRun", "Only estimate gas; don't send")
+  .setAction(async (args, hre) => {
+    const { contract } = await getRigContract(hre, args.address);
+    const to = args.to || (await hre.ethers.getSigners())[0].address;
+    if (!hre.ethers.utils.isAddress(to)) {
+      throw new Error(`--to must be an address, got "${to}"`);
+    }
+    await requireRole(hre, contract, "TREASURER_ROLE");
+
+    const { surplus } = await contract.reconcileETH();
+    if (surplus.isZero()) throw new Error("The contract balance is fully accounted for; nothing to rescue");
+
+    return sendWithEstimate(hre, contract, "rescueSurplusETH", [to], {
+      dryRun: args.dryRun,
+      label: `Rescue ${hre.ethers.utils.formatEther(surplus)} ETH to ${to}`
+    });
+  });
+
+task("rig:roles", "Show which contract roles an account holds")
+  .addOptionalParam("account", "Account to check (default: the signer)")
+  .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+  .setAction(async (args, hre) => {
+    const { contract } = await getRigContract(hre, args.address);
+    const account = args.account || (await hre.ethers.getSigners())[0].address;
+    if (!hre.ethers.utils.isAddress(account)) {
+      throw new Error(`--account must be an address, got "${account}"`);
+    }
+
+    const rows = [];
+    for (const [short, roleName] of Object.entries(ROLES)) {
+      rows.push({
+        role: short,
+        name: roleName,
+        held: (await contract.hasRole(await contract[roleName](), account)) ? "yes" : "no"
+      });
+    }
+
+    const pending = await contract.pendingDefaultAdmin();
+    console.log(`Account ${account}`);
+    printTable(rows, [["role", "Role"], ["name", "Contract role"], ["held", "Held"]]);
+    console.log(`Admin: ${await contract.defaultAdmin()}`);
+    if (pending.newAdmin !== hre.ethers.constants.AddressZero) {
+      console.log(`Pending admin: ${pending.newAdmin} (rig:accept-admin)`);
+    }
+    return rows;
+  });
+
+for (const [name, method, verb] of [["rig:grant-role", "grantRole", "Grant"], ["rig:revoke-role", "revokeRole", "Revoke"]]) {
+  task(name, `${verb} a contract role (admin only)`)
+    .addParam("role", `Role: ${Object.keys(ROLES).filter(key => key !== "admin").join(", ")}`)
+    .addParam("account", "Account")
+    .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+    .addFlag("dryRun", "Only estimate gas; don't send")
+    .setAction(async (args, hre) => {
+      const { contract } = await getRigContract(hre, args.address);
+      const roleName = parseRole(args.role);
+      if (roleName === "DEFAULT_ADMIN_ROLE") {
+        throw new Error("The admin role moves with rig:transfer-admin and rig:accept-admin");
+      }
+      if (!hre.ethers.utils.isAddress(args.account)) {
+        throw new Error(`--account must be an address, got "${args.account}"`);
+      }
+      await requireRole(hre, contract, "DEFAULT_ADMIN_ROLE");
+
+      return sendWithEstimate(hre, contract, method, [await contract[roleName](), args.account], {
+        dryRun: args.dryRun,
+        label: `${verb} ${roleName} ${verb === "Grant" ? "to" : "from"} ${args.account}`
+      });
+    });
+}
+
+task("rig:transfer-admin", "Start handing the admin role to another account (it must run rig:accept-admin)")
+  .addOptionalParam("to", "New admin")
+  .addFlag("cancel", "Cancel the pending handover instead")
+  .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+  .addFlag("dryRun", "Only estimate gas; don't send")
+  .setAction(async (args, hre) => {
+    const { contract } = await getRigContract(hre, args.address);
+    await requireRole(hre, contract, "DEFAULT_ADMIN_ROLE");
+
+    if (args.cancel) {
+      return sendWithEstimate(hre, contract, "cancelDefaultAdminTransfer", [], {
+        dryRun: args.dryRun,
+        label: "Cancel the pending admin handover"
+      });
+    }
+    if (!args.to || !hre.ethers.utils.isAddress(args.to)) {
+      throw new Error(`--to must be an address, got "${args.to}"`);
+    }
+
+    const result = await sendWithEstimate(hre, contract, "beginDefaultAdminTransfer", [args.to], {
+      dryRun: args.dryRun,
+      label: `Hand the admin role to ${args.to}`
+    });
+    if (!args.dryRun) {
+      console.log(`${args.to} becomes admin once it runs rig:accept-admin; until then nothing changes`);
+    }
+    return result;
+  });
+
+task("rig:accept-admin", "Accept a pending admin handover as the signer")
+  .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+  .addFlag("dryRun", "Only estimate gas; don't send")
+  .setAction(async (args, hre) => {
+    const { contract } = await getRigContract(hre, args.address);
+    const [signer] = await hre.ethers.getSigners();
+    const pending = await contract.pendingDefaultAdmin();
+    if (pending.newAdmin.toLowerCase() !== signer.address.toLowerCase()) {
+      throw new Error(`No admin handover is pending for ${signer.address}`);
+    }
+
+    return sendWithEstimate(hre, contract, "acceptDefaultAdminTransfer", [], {
+      dryRun: args.dryRun,
+      label: `Accept the admin role as ${signer.address}`
+    });
+  });
+
+task("rig:holders", "List the holders of a rig's shares")
+  .addParam("id", "Rig ID")
+  .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+  .setAction(async (args, hre) => {
+    const { contract, fromBlock } = await getRigContract(hre, args.address);
+    const id = parseId(hre, args.id);
+    if ((await contract.rigs(id)).totalShares.isZero()) {
+      throw new Error(`Rig #${id} is not registered`);
+    }
+
+    const candidates = await shareRecipients(hre, contract, id, fromBlock);
+    const supply = await contract["totalSupply(uint256)"](id);
+    const holders = [];
+    for (const holder of candidates) {
+      const shares = await contract.balanceOf(holder, id);
+      if (shares.gt(0)) {
+        holders.push({ holder, shares, claimable: await contract.claimable(holder, id) });
+      }
+    }
+    holders.sort((a, b) => (b.shares.gt(a.shares) ? 1 : b.shares.lt(a.shares) ? -1 : 0));
+
+    const rows = holders.map(h => ({
+      holder: h.holder,
+      shares: h.shares.toString(),
+      percent: `${(h.shares.mul(10000).div(supply).toNumber() / 100).toFixed(2)}%`,
+      claimable: hre.ethers.utils.formatEther(h.claimable)
+    }));
+    printTable(rows, [["holder", "Holder"], ["shares", "Shares"], ["percent", "Supply"], ["claimable", "Claimable (ETH)"]],
+      `Rig #${id} has no holders`);
+    return rows;
+  });
+
+task("rig:claimable", "Show an account's claimable rewards per rig")
+  .addOptionalParam("account", "Account to check (default: the signer)")
+  .addOptionalParam("id", "Only this rig")
+  .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+  .setAction(async (args, hre) => {
+    const { contract, fromBlock } = await getRigContract(hre, args.address);
+    const account = args.account || (await hre.ethers.getSigners())[0].address;
+    if (!hre.ethers.utils.isAddress(account)) {
+      throw new Error(`--account must be an address, got "${account}"`);
+    }
+
+    const ids = args.id !== undefined ? [parseId(hre, args.id)] : await registeredRigIds(hre, contract, fromBlock);
+    const rows = [];
+    for (const id of ids) {
+      const shares = await contract.balanceOf(account, id);
+      const eth = await contract.claimable(account, id);
+
+      const tokenRewards = [];
+      for (const tokenAddress of await contract.rigRewardTokens(id)) {
+        const amount = await contract.claimableToken(account, id, tokenAddress);
+        if (amount.gt(0)) {
+          const token = await hre.ethers.getContractAt(ERC20_ABI, tokenAddress);
+          tokenRewards.push(`${hre.ethers.utils.formatUnits(amount, await token.decimals())} ${await token.symbol()}`);
+        }
+      }
+
+      // Without --id, skip rigs the account has nothing in
+      if (args.id === undefined && shares.isZero() && eth.isZero() && tokenRewards.length === 0) continue;
+      rows.push({
+        id: id.toString(),
+        shares: shares.toString(),
+        claimable: hre.ethers.utils.formatEther(eth),
+        tokens: tokenRewards.join(", ") || "-"
+      });
+    }
+
+    console.log(`Account ${account}`);
+    printTable(rows, [["id", "Rig"], ["shares", "Shares"], ["claimable", "Claimable (ETH)"], ["tokens", "Token rewards"]],
+      "Nothing claimable");
+    return rows;
+  });
+
+task("rig:decommission", "Retire a rig for good with a final reward deposit and its salvage value")
+  .addParam("id", "Rig ID")
+  .addOptionalParam("finalReward", "Last reward deposit in ETH (rig fees apply)", "0")
+  .addOptionalParam("salvage", "Salvage value in ETH, split evenly over the minted shares", "0")
+  .addOptionalParam("redeemDays", "Days holders get to redeem before the rest can be swept", "30")
+  .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+  .addFlag("dryRun", "Only estimate gas; don't send")
+  .setAction(async (args, hre) => {
+    const { contract } = await getRigContract(hre, args.address);
+    const id = parseId(hre, args.id);
+    const finalReward = parseEth(hre, args.finalReward, "--final-reward");
+    const salvage = parseEth(hre, args.salvage, "--salvage");
+    const redeemDays = parseId(hre, args.redeemDays, "--redeem-days");
+    const { formatEther } = hre.ethers.utils;
+
+    const rig = await contract.rigs(id);
+    if (rig.totalShares.isZero()) throw new Error(`Rig #${id} is not registered`);
+    if ((await contract.decommissions(id)).decommissionedAt.gt(0)) {
+      throw new Error(`Rig #${id} is already decommissioned`);
+    }
+    const redeemPeriod = redeemDays.mul(86400);
+    const minPeriod = await contract.MIN_REDEEM_PERIOD();
+    if (redeemPeriod.lt(minPeriod)) {
+      throw new Error(`--redeem-days must be at least ${minPeriod.div(86400)}, got ${redeemDays}`);
+    }
+    await requireRole(hre, contract, "DEFAULT_ADMIN_ROLE");
+
+    const supply = await contract["totalSupply(uint256)"](id);
+    if (salvage.gt(0)) {
+      if (supply.isZero()) throw new Error(`Rig #${id} has no holders to pay a salvage value to`);
+      console.log(`Salvage: ${formatEther(salvage.div(supply))} ETH for each of ${supply} shares`);
+    }
+    console.log(`Holders get ${redeemDays} days to redeem; after that, rig:sweep collects what is left`);
+
+    return sendWithEstimate(hre, contract, "decommissionRig", [id, finalReward, redeemPeriod, { value: finalReward.add(salvage) }], {
+      dryRun: args.dryRun,
+      label: `Decommission rig #${id} (${formatEther(finalReward)} ETH final reward, ${formatEther(salvage)} ETH salvage)`
+    });
+  });
+
+task("rig:sweep", "After a decommissioned rig's redeem deadline, sweep what holders never redeemed")
+  .addParam("id", "Rig ID")
+  .addOptionalParam("to", "Recipient (default: the signer)")
+  .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+  .addFlag("dryRun", "Only estimate gas; don't send")
+  .setAction(async (args, hre) => {
+    const { contract, fromBlock } = await getRigContract(hre, args.address);
+    const id = parseId(hre, args.id);
+    const to = args.to || (await hre.ethers.getSigners())[0].address;
+    if (!hre.ethers.utils.isAddress(to)) {
+      throw new Error(`--to must be an address, got "${to}"`);
+    }
+
+    const decommission = await contract.decommissions(id);
+    if (decommission.decommissionedAt.isZero()) throw new Error(`Rig #${id} is not decommissioned`);
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    if (decommission.redeemDeadline.gte(timestamp)) {
+      throw new Error(`Holders can redeem rig #${id} until ` +
+        `${new Date(decommission.redeemDeadline.toNumber() * 1000).toISOString()}; sweep after that`);
+    }
+    await requireRole(hre, contract, "TREASURER_ROLE");
+
+    // Everyone still holding shares or unclaimed rewards of the rig
+    const holders = [];
+    for (const account of await shareRecipients(hre, contract, id, fromBlock)) {
+      const [shares, rewards] = await Promise.all([contract.balanceOf(account, id), contract.claimable(account, id)]);
+      if (shares.gt(0) || rewards.gt(0)) holders.push(account);
+    }
+    console.log(`${holders.length} holders never redeemed rig #${id}`);
+
+    return sendWithEstimate(hre, contract, "sweepDecommissioned", [id, holders, to], {
+      dryRun: args.dryRun,
+      label: `Sweep rig #${id} to ${to}`
+    });
+  });
+
+module.exports = {
+  getRigContract,
+  parseEth,
+  parseId,
+  printTable,
+  requireRole,
+  sendWithEstimate,
+  queryFilterPaged,
+  registeredRigIds,
+  shareRecipients
+};
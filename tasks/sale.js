@@ -0,0 +1,176 @@
+// Share sale configuration: presale rounds, allowlists and transfer restrictions
+//
+// Usage:
+//   npx hardhat rig:rounds --network arbitrumSepolia --id 1 [--file rounds.json | --clear]
+//   npx hardhat rig:allowlist --network arbitrumSepolia --id 1 --root 0x... [--clear]
+//   npx hardhat rig:transfers --network arbitrumSepolia --id 1 [--restrict | --unrestrict]
+//   npx hardhat rig:approve-transfers --network arbitrumSepolia --csv kyc.csv [--revoke]
+//
+// rounds.json is a list of rounds in time order; start and end are ISO dates or unix
+// seconds, price is in ETH, and allowlistRoot is optional (default: the rig's allowlist):
+//   [{ "start": "2026-11-01T00:00:00Z", "end": "2026-11-08T00:00:00Z", "price": "0.008",
+//      "cap": 40, "maxPerWallet": 5, "allowlistRoot": "0x..." }]
+// Allowlist roots come from scripts/build-allowlist.js. Without --file or --clear,
+// rig:rounds prints the rig's rounds and current sale phase.
+const fs = require("fs");
+const { task } = require("hardhat/config");
+const { parseAllowlistCsv } = require("../scripts/build-allowlist");
+const { getRigContract, parseEth, parseId, printTable, requireRole, sendWithEstimate } = require("./rig");
+
+// Matches MiningRigStorage.SalePhase
+const SALE_PHASES = ["Closed", "Presale", "Public"];
+
+const ZERO_ROOT = "0x" + "0".repeat(64);
+
+function parseTime(value, where) {
+  const text = String(value).trim();
+  const seconds = /^\d+$/.test(text) ? Number(text) : Date.parse(text) / 1000;
+  if (!Number.isFinite(seconds)) {
+    throw new Error(`${where} must be an ISO date or unix seconds, got "${value}"`);
+  }
+  return Math.floor(seconds);
+}
+
+function parseRoot(hre, value, where) {
+  if (!hre.ethers.utils.isHexString(value, 32)) {
+    throw new Error(`${where} must be a 32-byte hex Merkle root, got "${value}"`);
+  }
+  return value;
+}
+
+// Read and validate rounds.json into SaleRound structs
+function loadRounds(hre, file) {
+  const entries = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(entries)) throw new Error(`${file} must contain a list of rounds`);
+
+  return entries.map((entry, i) => {
+    const where = `${file} round ${i + 1}`;
+    for (const key of ["cap", "maxPerWallet"]) {
+      if (entry[key] !== undefined && !/^\d+$/.test(String(entry[key]).trim())) {
+        throw new Error(`${where}: "${key}" must be a whole number, got "${entry[key]}"`);
+      }
+    }
+    return {
+      start: parseTime(entry.start, `${where}: "start"`),
+      end: parseTime(entry.end, `${where}: "end"`),
+      pricePerShareWei: parseEth(hre, entry.price, `${where}: "price"`),
+      cap: String(entry.cap ?? 0).trim(),
+      maxPerWallet: String(entry.maxPerWallet ?? 0).trim(),
+      allowlistRoot: entry.allowlistRoot ? parseRoot(hre, entry.allowlistRoot, `${where}: "allowlistRoot"`) : ZERO_ROOT,
+      sold: 0
+    };
+  });
+}
+
+function formatTime(seconds) {
+  return new Date(Number(seconds) * 1000).toISOString().replace(".000Z", "Z");
+}
+
+task("rig:rounds", "Show or replace a rig's presale rounds")
+  .addParam("id", "Rig ID")
+  .addOptionalParam("file", "rounds.json to set (replaces every round; only before the first opens)")
+  .addFlag("clear", "Remove the presale so the public sale opens right away")
+  .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+  .addFlag("dryRun", "Only estimate gas; don't send")
+  .setAction(async (args, hre) => {
+    const { contract } = await getRigContract(hre, args.address);
+    const id = parseId(hre, args.id);
+    const { formatEther } = hre.ethers.utils;
+
+    if (args.file || args.clear) {
+      const rounds = args.clear ? [] : loadRounds(hre, args.file);
+      await requireRole(hre, contract, "RIG_MANAGER_ROLE");
+      return sendWithEstimate(hre, contract, "setSaleRounds", [id, rounds], {
+        dryRun: args.dryRun,
+        label: args.clear ? `Remove rig #${id}'s presale` : `Set ${rounds.length} presale rounds on rig #${id}`
+      });
+    }
+
+    const [rounds, [phase, current]] = await Promise.all([contract.saleRounds(id), contract.salePhase(id)]);
+    const rows = rounds.map((round, i) => ({
+      round: i + 1,
+      start: formatTime(round.start),
+      end: formatTime(round.end),
+      price: `${formatEther(round.pricePerShareWei)} ETH`,
+      sold: `${round.sold}/${round.cap}`,
+      walletCap: round.maxPerWallet.isZero() ? "-" : round.maxPerWallet.toString(),
+      allowlist: round.allowlistRoot === ZERO_ROOT ? "rig" : round.allowlistRoot
+    }));
+    printTable(rows, [
+      ["round", "Round"],
+      ["start", "Start"],
+      ["end", "End"],
+      ["price", "Price"],
+      ["sold", "Sold"],
+      ["walletCap", "Wallet cap"],
+      ["allowlist", "Allowlist"]
+    ], `Rig #${id} has no presale rounds`);
+
+    const name = SALE_PHASES[phase];
+    if (name === "Presale") console.log(`\nRound ${current.toNumber() + 1} is open`);
+    else if (name === "Closed") console.log(`\nSale closed until round ${current.toNumber() + 1} opens`);
+    else console.log("\nPublic sale");
+    return { phase: name, round: current.toNumber(), rounds: rows };
+  });
+
+task("rig:allowlist", "Set the Merkle root of the addresses allowed to buy a rig's shares")
+  .addParam("id", "Rig ID")
+  .addOptionalParam("root", "Merkle root from scripts/build-allowlist.js")
+  .addFlag("clear", "Remove the allowlist so anyone can buy")
+  .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+  .addFlag("dryRun", "Only estimate gas; don't send")
+  .setAction(async (args, hre) => {
+    const { contract } = await getRigContract(hre, args.address);
+    const id = parseId(hre, args.id);
+    if (!args.root === !args.clear) throw new Error("Pass either --root or --clear");
+    const root = args.clear ? ZERO_ROOT : parseRoot(hre, args.root, "--root");
+    await requireRole(hre, contract, "RIG_MANAGER_ROLE");
+
+    return sendWithEstimate(hre, contract, "setAllowlistRoot", [id, root], {
+      dryRun: args.dryRun,
+      label: args.clear ? `Open rig #${id} to every buyer` : `Set rig #${id}'s allowlist to ${root}`
+    });
+  });
+
+task("rig:transfers", "Restrict a rig's shares to transfer-approved addresses, or lift that")
+  .addParam("id", "Rig ID")
+  .addFlag("restrict", "Only let approved addresses send and receive the shares")
+  .addFlag("unrestrict", "Let anyone send and receive the shares again")
+  .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+  .addFlag("dryRun", "Only estimate gas; don't send")
+  .setAction(async (args, hre) => {
+    const { contract } = await getRigContract(hre, args.address);
+    const id = parseId(hre, args.id);
+    if (args.restrict === args.unrestrict) throw new Error("Pass either --restrict or --unrestrict");
+    await requireRole(hre, contract, "RIG_MANAGER_ROLE");
+
+    return sendWithEstimate(hre, contract, "setTransferRestricted", [id, args.restrict], {
+      dryRun: args.dryRun,
+      label: args.restrict ? `Restrict rig #${id} transfers` : `Lift rig #${id}'s transfer restriction`
+    });
+  });
+
+task("rig:approve-transfers", "Approve (or with --revoke, unapprove) addresses for restricted transfers")
+  .addOptionalParam("accounts", "Comma-separated addresses")
+  .addOptionalParam("csv", "CSV of addresses, as for scripts/build-allowlist.js")
+  .addFlag("revoke", "Revoke the approval instead")
+  .addOptionalParam("address", "MiningRigOwnership address (default: saved deployment)")
+  .addFlag("dryRun", "Only estimate gas; don't send")
+  .setAction(async (args, hre) => {
+    const { contract } = await getRigContract(hre, args.address);
+    if (!args.accounts === !args.csv) throw new Error("Pass either --accounts or --csv");
+    const accounts = args.csv
+      ? parseAllowlistCsv(fs.readFileSync(args.csv, "utf8"), args.csv)
+      : args.accounts.split(",").map(account => {
+        if (!hre.ethers.utils.isAddress(account.trim())) {
+          throw new Error(`--accounts must be comma-separated addresses, got "${account}"`);
+        }
+        return hre.ethers.utils.getAddress(account.trim());
+      });
+    await requireRole(hre, contract, "RIG_MANAGER_ROLE");
+
+    return sendWithEstimate(hre, contract, "setTransferApproved", [accounts, !args.revoke], {
+      dryRun: args.dryRun,
+      label: `${args.revoke ? "Revoke" : "Approve"} transfers for ${accounts.length} addresses`
+    });
+  });
@@ -0,0 +1,304 @@
+// Upgrades and migration of MiningRigOwnership, as Hardhat tasks
+//
+// Usage:
+//   npx hardhat rig:storage-layout [--write]
+//   npx hardhat rig:upgrade --network arbitrumSepolia [--dry-run]
+//   npx hardhat rig:migrate --network arbitrumSepolia [--from 0x...] [--snapshot file.json] [--dry-run]
+//
+// rig:storage-layout compares the compiled storage layout with the committed reference
+// (storage-layouts/MiningRigOwnership.json); --write saves the new layout as the reference
+// once it is compatible (new variables appended only). rig:upgrade runs the same check,
+// then deploys a new implementation and points the proxy at it.
+//
+// rig:migrate moves a deployment from before upgrades (not behind a proxy) to a new proxy:
+// it snapshots every rig (config, fees, URI, refund window, reward accumulator) and every
+// holder's balance, pending rewards and userRewardPerSharePaid from the old contract, then
+// replays them into a new deployment and checks balances and claimable rewards match.
+// Pause the old contract first (rig:pause --address <old>) so nothing moves meanwhile.
+// The signer funds the ETH rewards carried over; sales, fees, buyback funds and ERC-20
+// rewards stay withdrawable / claimable on the old contract.
+const fs = require("fs");
+const { task } = require("hardhat/config");
+const { saveDeployment, writeManifest } = require("../scripts/deployments");
+const {
+  MODULES,
+  moduleAddresses,
+  deployMiningRigOwnership,
+  upgradeMiningRigOwnership,
+  getImplementationAddress,
+  checkStorageLayout,
+  writeStorageLayout
+} = require("../scripts/upgrades");
+const { getRigContract, printTable, requireRole, queryFilterPaged, registeredRigIds } = require("./rig");
+
+// Holders per importHolders transaction
+const DEFAULT_BATCH_SIZE = 100;
+
+// Every address that ever received the rig's shares up to `toBlock`
+async function holderCandidates(hre, contract, rigId, fromBlock, toBlock) {
+  const candidates = new Set();
+  for (const event of await queryFilterPaged(hre, contract, contract.filters.TransferSingle(), fromBlock, toBlock)) {
+    if (event.args.id.eq(rigId)) candidates.add(event.args.to);
+  }
+  for (const event of await queryFilterPaged(hre, contract, contract.filters.TransferBatch(), fromBlock, toBlock)) {
+    if (event.args.ids.some(id => id.eq(rigId))) candidates.add(event.args.to);
+  }
+  candidates.delete(hre.ethers.constants.AddressZero);
+  return [...candidates];
+}
+
+// Everything rig:migrate carries over, read at one block; amounts are decimal strings
+async function takeSnapshot(hre, old, fromBlock) {
+  const blockNumber = await hre.ethers.provider.getBlockNumber();
+  const at = { blockTag: blockNumber };
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  const rigs = [];
+  for (const id of await registeredRigIds(hre, old, fromBlock)) {
+    const rig = await old.rigs(id, at);
+    const fees = await old.rigFees(id, at);
+
+    const holders = [];
+    for (const holder of await holderCandidates(hre, old, id, fromBlock, blockNumber)) {
+      const balance = await old.balanceOf(holder, id, at);
+      const pending = await old.pending(holder, id, at);
+      if (balance.isZero() && pending.isZero()) continue;
+      holders.push({
+        holder,
+        balance: balance.toString(),
+        pendingWei: pending.toString(),
+        rewardPerSharePaid: (await old.userRewardPerSharePaid(holder, id, at)).toString(),
+        claimable: (await old.claimable(holder, id, at)).toString()
+      });
+    }
+
+    rigs.push({
+      id: id.toString(),
+      name: rig.name,
+      totalShares: rig.totalShares.toString(),
+      pricePerShareWei: rig.pricePerShareWei.toString(),
+      maxPerWallet: rig.maxPerWallet.toString(),
+      active: rig.active,
+      rewardPerShare: rig.rewardPerShare.toString(),
+      rewardRemainder: (await old.rewardRemainder(id, at)).toString(),
+      queuedRewards: (await old.queuedRewards(id, at)).toString(),
+      refundWindow: (await old.refundWindow(id, at)).toString(),
+      uri: await old.uri(id, at),
+      fees: { operatorBps: fees.operatorBps, hostingBps: fees.hostingBps, hostingRecipient: fees.hostingRecipient },
+      holders
+    });
+  }
+
+  return {
+    source: old.address,
+    chainId,
+    blockNumber,
+    takenAt: new Date().toISOString(),
+    operatorFeeRecipient: await old.operatorFeeRecipient(at),
+    rigs
+  };
+}
+
+// ETH a rig's carried-over rewards need: what its holders can claim plus queued rewards
+function rigFunding(hre, rig) {
+  const { BigNumber } = hre.ethers;
+  return rig.holders.reduce((sum, h) => sum.add(h.claimable), BigNumber.from(rig.queuedRewards));
+}
+
+// Replay a snapshot into `contract` (deployed with migrating = true), then close the migration
+async function applySnapshot(hre, contract, snapshot, { batchSize }) {
+  const [signer] = await hre.ethers.getSigners();
+  const send = async (label, txPromise) => {
+    const receipt = await (await txPromise).wait();
+    console.log(`${label} (gas used ${receipt.gasUsed})`);
+  };
+
+  for (const rig of snapshot.rigs) {
+    const id = rig.id;
+    await send(`Rig #${id}: registered`,
+      contract.registerRig(id, rig.name, rig.totalShares, rig.pricePerShareWei, rig.maxPerWallet));
+    if (rig.fees.operatorBps + rig.fees.hostingBps > 0) {
+      await send(`Rig #${id}: fees set`,
+        contract.setRigFees(id, rig.fees.operatorBps, rig.fees.hostingBps, rig.fees.hostingRecipient));
+    }
+    if (rig.uri) await send(`Rig #${id}: metadata URI set`, contract.setRigURI(id, rig.uri));
+    if (rig.refundWindow !== "0") await send(`Rig #${id}: refund window set`, contract.setRefundWindow(id, rig.refundWindow));
+
+    const funding = rigFunding(hre, rig);
+    await send(`Rig #${id}: reward accumulator imported, ${hre.ethers.utils.formatEther(funding)} ETH funded`,
+      contract.importRigRewards(id, rig.rewardPerShare, rig.rewardRemainder, rig.queuedRewards, { value: funding }));
+
+    for (let start = 0; start < rig.holders.length; start += batchSize) {
+      const batch = rig.holders.slice(start, start + batchSize);
+      await send(`Rig #${id}: holders ${start + 1}-${start + batch.length} of ${rig.holders.length} imported`,
+        contract.importHolders(id, batch.map(({ holder, balance, pendingWei, rewardPerSharePaid }) =>
+          ({ holder, balance, pendingWei, rewardPerSharePaid }))));
+    }
+    if (!rig.active) await send(`Rig #${id}: paused`, contract.deactivateRig(id));
+  }
+
+  if (snapshot.operatorFeeRecipient.toLowerCase() !== signer.address.toLowerCase()) {
+    await send(`Operator fee recipient set to ${snapshot.operatorFeeRecipient}`,
+      contract.setOperatorFeeRecipient(snapshot.operatorFeeRecipient));
+  }
+  await send("Migration finished; imports are closed", contract.finishMigration());
+}
+
+// Holders whose balance or claimable rewards differ between the snapshot and `contract`
+async function verifyMigration(contract, snapshot) {
+  const mismatches = [];
+  for (const rig of snapshot.rigs) {
+    for (const h of rig.holders) {
+      const balance = await contract.balanceOf(h.holder, rig.id);
+      const claimable = await contract.claimable(h.holder, rig.id);
+      if (!balance.eq(h.balance) || !claimable.eq(h.claimable)) {
+        mismatches.push(`rig #${rig.id} ${h.holder}: balance ${balance} (was ${h.balance}), ` +
+          `claimable ${claimable} (was ${h.claimable})`);
+      }
+    }
+  }
+  return mismatches;
+}
+
+task("rig:storage-layout", "Check MiningRigOwnership's storage layout against the committed reference")
+  .addFlag("write", "Save the compiled layout as the new reference (only if it is compatible)")
+  .setAction(async (args, hre) => {
+    await hre.run("compile", { quiet: true });
+    const problems = (await checkStorageLayout(hre))
+      .filter(problem => !(args.write && problem.startsWith("No reference layout")));
+
+    if (problems.length > 0) {
+      throw new Error(`Storage layout is not upgrade-safe:\n  ${problems.join("\n  ")}`);
+    }
+    if (args.write) {
+      console.log(`Reference layout written to ${await writeStorageLayout(hre)}`);
+    } else {
+      console.log("Storage layout is compatible with the reference");
+    }
+    return problems;
+  });
+
+task("rig:upgrade", "Upgrade the MiningRigOwnership proxy to the compiled implementation")
+  .addOptionalParam("address", "MiningRigOwnership proxy address (default: saved deployment)")
+  .addFlag("dryRun", "Only run the checks; don't deploy or upgrade")
+  .setAction(async (args, hre) => {
+    await hre.run("compile", { quiet: true });
+    const { contract, deployment } = await getRigContract(hre, args.address);
+    const previous = await getImplementationAddress(hre, contract.address);
+    if (previous === hre.ethers.constants.AddressZero) {
+      throw new Error(`${contract.address} is not a proxy; move it to one with rig:migrate`);
+    }
+    await requireRole(hre, contract, "DEFAULT_ADMIN_ROLE");
+
+    const problems = await checkStorageLayout(hre);
+    if (problems.length > 0) {
+      throw new Error(`Storage layout is not upgrade-safe:\n  ${problems.join("\n  ")}`);
+    }
+    console.log(`Proxy ${contract.address}, current implementation ${previous}; storage layout is compatible`);
+    if (args.dryRun) {
+      console.log("Dry run: nothing deployed");
+      return { previous };
+    }
+
+    const upgraded = await upgradeMiningRigOwnership(hre, contract.address);
+    const modules = moduleAddresses(upgraded);
+    console.log(`Upgraded to ${upgraded.implementation.address} in ${upgraded.receipt.transactionHash}`);
+    console.log(`Modules: ${Object.entries(modules).map(([key, address]) => `${MODULES[key]} ${address}`).join(", ")}`);
+
+    if (deployment) {
+      Object.assign(deployment.MiningRigOwnership, {
+        implementation: upgraded.implementation.address,
+        ...modules,
+        upgradedAt: new Date().toISOString()
+      });
+      console.log(`Deployment updated in ${saveDeployment(hre, deployment)}`);
+    }
+    return { previous, implementation: upgraded.implementation.address, ...modules };
+  });
+
+task("rig:migrate", "Move holders and rewards from a non-upgradeable deployment to a new proxy")
+  .addOptionalParam("from", "Old MiningRigOwnership address (default: saved deployment)")
+  .addOptionalParam("fromBlock", "Block to scan the old contract's events from (default: its deployment block)")
+  .addOptionalParam("snapshot", "Also write the snapshot to this JSON file")
+  .addOptionalParam("batchSize", "Holders per import transaction", String(DEFAULT_BATCH_SIZE))
+  .addFlag("dryRun", "Only take and print the snapshot; don't deploy")
+  .setAction(async (args, hre) => {
+    await hre.run("compile", { quiet: true });
+    const { contract: old, fromBlock: deployedBlock } = await getRigContract(hre, args.from);
+    const fromBlock = args.fromBlock !== undefined ? parseInt(args.fromBlock, 10) : deployedBlock;
+    const batchSize = parseInt(args.batchSize, 10);
+    if (!(batchSize > 0)) throw new Error(`--batch-size must be a positive number, got "${args.batchSize}"`);
+
+    if (!(await old.paused())) {
+      throw new Error(`Pause ${old.address} first (rig:pause --address ${old.address}) so balances can't move ` +
+        "while they are copied");
+    }
+
+    const snapshot = await takeSnapshot(hre, old, fromBlock);
+    if (args.snapshot) {
+      fs.writeFileSync(args.snapshot, JSON.stringify(snapshot, null, 2) + "\n");
+      console.log(`Snapshot written to ${args.snapshot}`);
+    }
+
+    const { formatEther } = hre.ethers.utils;
+    const rows = snapshot.rigs.map(rig => ({
+      id: rig.id,
+      name: rig.name,
+      holders: rig.holders.length,
+      shares: rig.holders.reduce((sum, h) => sum.add(h.balance), hre.ethers.constants.Zero).toString(),
+      rewards: formatEther(rigFunding(hre, rig))
+    }));
+    console.log(`Snapshot of ${old.address} at block ${snapshot.blockNumber}`);
+    printTable(rows, [["id", "Rig"], ["name", "Name"], ["holders", "Holders"], ["shares", "Shares"],
+      ["rewards", "Rewards carried (ETH)"]], "No rigs registered");
+    if (args.dryRun) {
+      console.log("Dry run: nothing deployed");
+      return { snapshot };
+    }
+
+    const deployed = await deployMiningRigOwnership(hre, { migrating: true });
+    const { contract, proxy, implementation } = deployed;
+    console.log(`MiningRigOwnership proxy deployed to ${contract.address}`);
+    await applySnapshot(hre, contract, snapshot, { batchSize });
+
+    const mismatches = await verifyMigration(contract, snapshot);
+    if (mismatches.length > 0) {
+      throw new Error(`Migrated state differs from the snapshot:\n  ${mismatches.join("\n  ")}`);
+    }
+    console.log("Every holder's balance and claimable rewards match the snapshot");
+
+    // The old market is bound to the old contract
+    const market = await (await hre.ethers.getContractFactory("RigShareMarket")).deploy(contract.address);
+    await market.deployed();
+    console.log(`RigShareMarket deployed to ${market.address}`);
+
+    const [signer] = await hre.ethers.getSigners();
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const receipt = await proxy.deployTransaction.wait();
+    const deployment = {
+      network: hre.network.name,
+      chainId,
+      deployer: signer.address,
+      deployedAt: new Date().toISOString(),
+      MiningRigOwnership: {
+        address: contract.address,
+        implementation: implementation.address,
+        ...moduleAddresses(deployed),
+        transactionHash: proxy.deployTransaction.hash,
+        blockNumber: receipt.blockNumber
+      },
+      RigShareMarket: {
+        address: market.address,
+        transactionHash: market.deployTransaction.hash
+      },
+      migratedFrom: { address: old.address, blockNumber: snapshot.blockNumber }
+    };
+    console.log(`Deployment saved to ${saveDeployment(hre, deployment)}`);
+    if (hre.network.name !== "hardhat") {
+      console.log(`Frontend manifest written to ${writeManifest(hre, deployment)}`);
+    }
+    console.log(`${signer.address} holds every role on the new contract; grant the others again with rig:grant-role`);
+    return { snapshot, address: contract.address, market: market.address };
+  });
+
+module.exports = { takeSnapshot, verifyMigration };
@@ -0,0 +1,328 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+require("@nomicfoundation/hardhat-chai-matchers");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { saveDeployment } = require("../scripts/deployments");
+const { deployMiningRigOwnership } = require("../scripts/upgrades");
+
+describe("Rig decommissioning", function() {
+  let miningRigOwnership;
+  let owner;
+  let user1;
+  let user2;
+  let treasurer;
+  let tmpDir;
+
+  const pricePerShareWei = ethers.utils.parseEther("0.01");
+  const finalRewardWei = ethers.utils.parseEther("0.3");
+  const salvageWei = ethers.utils.parseEther("1.2");
+  const DAY = 86400;
+  const REDEEM_PERIOD = 30 * DAY;
+
+  async function now() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function travelTo(timestamp) {
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  async function decommission(overrides = {}) {
+    const { finalReward = finalRewardWei, salvage = salvageWei, period = REDEEM_PERIOD } = overrides;
+    return miningRigOwnership.decommissionRig(1, finalReward, period, { value: finalReward.add(salvage) });
+  }
+
+  async function pastDeadline() {
+    const { redeemDeadline } = await miningRigOwnership.decommissions(1);
+    await travelTo(redeemDeadline.toNumber() + 1);
+  }
+
+  // Run a task and return its result plus everything it printed
+  async function run(taskName, args = {}) {
+    const lines = [];
+    const log = console.log;
+    console.log = (...parts) => lines.push(parts.join(" "));
+    try {
+      const result = await hre.run(taskName, args);
+      return { result, output: lines.join("\n") };
+    } finally {
+      console.log = log;
+    }
+  }
+
+  before(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rig-decommission-"));
+    process.env.DEPLOYMENTS_DIR = tmpDir;
+  });
+
+  after(function () {
+    delete process.env.DEPLOYMENTS_DIR;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    [owner, user1, user2, treasurer] = await ethers.getSigners();
+
+    let proxy;
+    ({ contract: miningRigOwnership, proxy } = await deployMiningRigOwnership(hre));
+    await miningRigOwnership.grantRole(await miningRigOwnership.TREASURER_ROLE(), treasurer.address);
+    await miningRigOwnership.registerRig(1, "Antminer S19", 100, pricePerShareWei, 0);
+
+    // 10 shares minted: user1 holds 4, user2 holds 6
+    await miningRigOwnership.connect(user1).buyShares(1, 4, { value: pricePerShareWei.mul(4) });
+    await miningRigOwnership.connect(user2).buyShares(1, 6, { value: pricePerShareWei.mul(6) });
+
+    const receipt = await proxy.deployTransaction.wait();
+    saveDeployment(hre, {
+      network: hre.network.name,
+      chainId: 31337,
+      MiningRigOwnership: {
+        address: miningRigOwnership.address,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber
+      }
+    });
+  });
+
+  describe("Decommissioning", function () {
+    it("Should stop sales and record the salvage per share and redeem deadline", async function () {
+      const tx = await decommission();
+      const deadline = (await now()) + REDEEM_PERIOD;
+      await expect(tx).to.emit(miningRigOwnership, "RigDecommissioned")
+        .withArgs(1, finalRewardWei, salvageWei, deadline);
+
+      const d = await miningRigOwnership.decommissions(1);
+      expect(d.redeemDeadline).to.equal(deadline);
+      expect(d.salvagePerShare).to.equal(salvageWei.div(10));
+      expect(d.salvageRemaining).to.equal(salvageWei);
+      expect(await miningRigOwnership.totalSalvageETH()).to.equal(salvageWei);
+      expect((await miningRigOwnership.rigs(1)).active).to.equal(false);
+
+      await expect(miningRigOwnership.connect(user1).buyShares(1, 1, { value: pricePerShareWei }))
+        .to.be.revertedWith("rig inactive");
+      await expect(miningRigOwnership.reactivateRig(1)).to.be.revertedWith("rig decommissioned");
+      await expect(decommission()).to.be.revertedWith("rig decommissioned");
+    });
+
+    it("Should distribute the final reward like a deposit and keep the books balanced", async function () {
+      await decommission();
+
+      expect(await miningRigOwnership.claimable(user1.address, 1)).to.equal(finalRewardWei.mul(4).div(10));
+      expect(await miningRigOwnership.claimable(user2.address, 1)).to.equal(finalRewardWei.mul(6).div(10));
+
+      const r = await miningRigOwnership.reconcileETH();
+      expect(r.salvage).to.equal(salvageWei);
+      expect(r.surplus).to.equal(0);
+    });
+
+    it("Should only let the admin decommission, with a long enough redeem period", async function () {
+      await expect(miningRigOwnership.connect(user1).decommissionRig(1, 0, REDEEM_PERIOD))
+        .to.be.revertedWithCustomError(miningRigOwnership, "AccessControlUnauthorizedAccount");
+      await expect(decommission({ period: REDEEM_PERIOD - 1 })).to.be.revertedWith("redeem period too short");
+      await expect(miningRigOwnership.decommissionRig(1, finalRewardWei, REDEEM_PERIOD, { value: finalRewardWei.sub(1) }))
+        .to.be.revertedWith("final reward exceeds ETH sent");
+      await expect(miningRigOwnership.decommissionRig(2, 0, REDEEM_PERIOD)).to.be.revertedWith("rig not found");
+    });
+
+    it("Should refuse ETH for a rig without holders", async function () {
+      await miningRigOwnership.registerRig(2, "Whatsminer M30", 100, pricePerShareWei, 0);
+
+      await expect(miningRigOwnership.decommissionRig(2, 0, REDEEM_PERIOD, { value: salvageWei }))
+        .to.be.revertedWith("no holders");
+      await expect(miningRigOwnership.decommissionRig(2, 0, REDEEM_PERIOD))
+        .to.emit(miningRigOwnership, "RigDecommissioned");
+    });
+
+    it("Should be blocked while paused", async function () {
+      await miningRigOwnership.pause();
+
+      await expect(decommission()).to.be.revertedWithCustomError(miningRigOwnership, "EnforcedPause");
+    });
+  });
+
+  describe("Redeeming", function () {
+    beforeEach(async function () {
+      await decommission();
+    });
+
+    it("Should burn the holder's shares for salvage plus rewards in one call", async function () {
+      const salvage = salvageWei.mul(4).div(10);
+      const rewards = finalRewardWei.mul(4).div(10);
+
+      const tx = miningRigOwnership.connect(user1).redeemShares(1);
+      await expect(tx).to.changeEtherBalances([user1, miningRigOwnership], [salvage.add(rewards), salvage.add(rewards).mul(-1)]);
+      await expect(tx).to.emit(miningRigOwnership, "SharesRedeemed").withArgs(1, user1.address, 4, salvage, rewards)
+        .and.to.emit(miningRigOwnership, "RewardsClaimed").withArgs(1, user1.address, rewards);
+
+      expect(await miningRigOwnership.balanceOf(user1.address, 1)).to.equal(0);
+      expect(await miningRigOwnership["totalSupply(uint256)"](1)).to.equal(6);
+      expect(await miningRigOwnership.claimable(user1.address, 1)).to.equal(0);
+      expect((await miningRigOwnership.reconcileETH()).surplus).to.equal(0);
+    });
+
+    it("Should include rewards deposited before the decommission", async function () {
+      const earlier = ethers.utils.parseEther("0.1");
+      await miningRigOwnership.registerRig(2, "Whatsminer M30", 100, pricePerShareWei, 0);
+      await miningRigOwnership.connect(user1).buyShares(2, 5, { value: pricePerShareWei.mul(5) });
+      await miningRigOwnership.depositRewards(2, { value: earlier });
+      await miningRigOwnership.decommissionRig(2, 0, REDEEM_PERIOD, { value: salvageWei });
+
+      await expect(miningRigOwnership.connect(user1).redeemShares(2))
+        .to.changeEtherBalance(user1, salvageWei.add(earlier));
+    });
+
+    it("Should reject holders without shares and rigs still running", async function () {
+      await miningRigOwnership.connect(user1).redeemShares(1);
+
+      await expect(miningRigOwnership.connect(user1).redeemShares(1)).to.be.revertedWith("no shares");
+      await miningRigOwnership.registerRig(2, "Whatsminer M30", 100, pricePerShareWei, 0);
+      await expect(miningRigOwnership.connect(user1).redeemShares(2)).to.be.revertedWith("rig not decommissioned");
+    });
+
+    it("Should still allow redeeming after the deadline until swept", async function () {
+      await pastDeadline();
+
+      await expect(miningRigOwnership.connect(user2).redeemShares(1))
+        .to.changeEtherBalance(user2, salvageWei.add(finalRewardWei).mul(6).div(10));
+    });
+
+    it("Should let holders redeem while the contract is paused", async function () {
+      await miningRigOwnership.pause();
+
+      await expect(miningRigOwnership.connect(user1).redeemShares(1))
+        .to.changeEtherBalance(user1, salvageWei.add(finalRewardWei).mul(4).div(10));
+      expect(await miningRigOwnership.balanceOf(user1.address, 1)).to.equal(0);
+
+      // Only burns are exempt: refunds, sell-backs and transfers stay stopped
+      await expect(miningRigOwnership.connect(user2).safeTransferFrom(user2.address, user1.address, 1, 1, "0x"))
+        .to.be.revertedWithCustomError(miningRigOwnership, "EnforcedPause");
+      await expect(miningRigOwnership.connect(user2).sellBackShares(1, 1))
+        .to.be.revertedWithCustomError(miningRigOwnership, "EnforcedPause");
+    });
+
+    it("Should leave the salvage of refunded shares to the sweep", async function () {
+      await miningRigOwnership.registerRig(2, "Whatsminer M30", 100, pricePerShareWei, 0);
+      await miningRigOwnership.setRefundWindow(2, DAY);
+      await miningRigOwnership.connect(user1).buyShares(2, 4, { value: pricePerShareWei.mul(4) });
+      await miningRigOwnership.decommissionRig(2, 0, REDEEM_PERIOD, { value: salvageWei });
+      await miningRigOwnership.connect(user1).refundShares(2, 4);
+
+      const { salvageRemaining } = await miningRigOwnership.decommissions(2);
+      expect(salvageRemaining).to.equal(salvageWei);
+      expect((await miningRigOwnership.reconcileETH()).surplus).to.equal(0);
+    });
+  });
+
+  describe("Sweeping", function () {
+    beforeEach(async function () {
+      await decommission();
+    });
+
+    it("Should refuse to sweep before the deadline or without the treasurer role", async function () {
+      await expect(miningRigOwnership.connect(treasurer).sweepDecommissioned(1, [], treasurer.address))
+        .to.be.revertedWith("redeem period open");
+
+      await pastDeadline();
+      await expect(miningRigOwnership.connect(user1).sweepDecommissioned(1, [], user1.address))
+        .to.be.revertedWithCustomError(miningRigOwnership, "AccessControlUnauthorizedAccount");
+      await expect(miningRigOwnership.connect(treasurer).sweepDecommissioned(1, [], ethers.constants.AddressZero))
+        .to.be.revertedWith("zero addr");
+      await expect(miningRigOwnership.connect(treasurer).sweepDecommissioned(2, [], treasurer.address))
+        .to.be.revertedWith("rig not decommissioned");
+    });
+
+    it("Should sweep the listed holders' salvage and rewards to the recipient", async function () {
+      await miningRigOwnership.connect(user1).redeemShares(1);
+      await pastDeadline();
+      const unredeemed = salvageWei.add(finalRewardWei).mul(6).div(10);
+
+      const tx = miningRigOwnership.connect(treasurer).sweepDecommissioned(1, [user1.address, user2.address], owner.address);
+      await expect(tx).to.changeEtherBalance(owner, unredeemed);
+      await expect(tx).to.emit(miningRigOwnership, "DecommissionSwept").withArgs(1, owner.address, unredeemed)
+        .and.not.to.emit(miningRigOwnership, "SharesRedeemed");
+
+      expect(await miningRigOwnership.balanceOf(user2.address, 1)).to.equal(0);
+      expect(await miningRigOwnership["totalSupply(uint256)"](1)).to.equal(0);
+      expect(await miningRigOwnership.totalSalvageETH()).to.equal(0);
+
+      const r = await miningRigOwnership.reconcileETH();
+      expect(r.unclaimed).to.equal(0);
+      expect(r.surplus).to.equal(0);
+
+      await expect(miningRigOwnership.connect(treasurer).sweepDecommissioned(1, [user2.address], owner.address))
+        .to.be.revertedWith("nothing to sweep");
+    });
+
+    it("Should sweep the rig's undistributed reward remainder", async function () {
+      // 3e18 shares: a 2 wei deposit is too small to raise rewardPerShare and is carried
+      const shares = ethers.utils.parseEther("3");
+      await miningRigOwnership.registerRig(2, "Whatsminer M30", shares, 1, 0);
+      await miningRigOwnership.connect(user1).buyShares(2, shares, { value: shares });
+      await miningRigOwnership.depositRewards(2, { value: 2 });
+      await miningRigOwnership.decommissionRig(2, 0, REDEEM_PERIOD);
+      const { redeemDeadline } = await miningRigOwnership.decommissions(2);
+      await travelTo(redeemDeadline.toNumber() + 1);
+      const before = (await miningRigOwnership.reconcileETH()).unclaimed;
+
+      await expect(miningRigOwnership.connect(treasurer).sweepDecommissioned(2, [user1.address], owner.address))
+        .to.changeEtherBalance(owner, 2);
+
+      expect(await miningRigOwnership.rewardRemainder(2)).to.equal(0);
+      const r = await miningRigOwnership.reconcileETH();
+      expect(r.unclaimed).to.equal(before.sub(2));
+      expect(r.surplus).to.equal(0);
+    });
+
+    it("Should keep the salvage of holders left off the list", async function () {
+      await pastDeadline();
+
+      await miningRigOwnership.connect(treasurer).sweepDecommissioned(1, [user1.address], owner.address);
+      expect((await miningRigOwnership.decommissions(1)).salvageRemaining).to.equal(salvageWei.mul(6).div(10));
+
+      await expect(miningRigOwnership.connect(user2).redeemShares(1))
+        .to.changeEtherBalance(user2, salvageWei.add(finalRewardWei).mul(6).div(10));
+      expect((await miningRigOwnership.reconcileETH()).surplus).to.equal(0);
+    });
+  });
+
+  describe("Tasks", function () {
+    it("Should decommission a rig with rig:decommission", async function () {
+      const { output } = await run("rig:decommission", { id: "1", finalReward: "0.3", salvage: "1.2", redeemDays: "45" });
+
+      expect(output).to.include("Salvage: 0.12 ETH for each of 10 shares");
+      const d = await miningRigOwnership.decommissions(1);
+      expect(d.redeemDeadline.sub(d.decommissionedAt)).to.equal(45 * DAY);
+      expect(await miningRigOwnership.totalSalvageETH()).to.equal(salvageWei);
+      expect(await miningRigOwnership.claimable(user1.address, 1)).to.equal(finalRewardWei.mul(4).div(10));
+    });
+
+    it("Should reject a short redeem period and rigs already decommissioned", async function () {
+      await expect(run("rig:decommission", { id: "1", redeemDays: "7" }))
+        .to.be.rejectedWith(/--redeem-days must be at least 30, got 7/);
+
+      await decommission();
+      await expect(run("rig:decommission", { id: "1" })).to.be.rejectedWith(/Rig #1 is already decommissioned/);
+    });
+
+    it("Should sweep every holder that never redeemed with rig:sweep", async function () {
+      await decommission();
+      await miningRigOwnership.connect(user1).redeemShares(1);
+
+      await expect(run("rig:sweep", { id: "1" })).to.be.rejectedWith(/Holders can redeem rig #1 until/);
+
+      await pastDeadline();
+      const unredeemed = salvageWei.add(finalRewardWei).mul(6).div(10);
+      const balanceBefore = await ethers.provider.getBalance(treasurer.address);
+      await miningRigOwnership.grantRole(await miningRigOwnership.TREASURER_ROLE(), owner.address);
+
+      const { output } = await run("rig:sweep", { id: "1", to: treasurer.address });
+      expect(output).to.include("1 holders never redeemed rig #1");
+      expect(await ethers.provider.getBalance(treasurer.address)).to.equal(balanceBefore.add(unredeemed));
+      expect(await miningRigOwnership.balanceOf(user2.address, 1)).to.equal(0);
+    });
+  });
+});
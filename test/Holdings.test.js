@@ -0,0 +1,69 @@
+const { expect } = require("chai");
+require("@nomicfoundation/hardhat-chai-matchers");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployMiningRigOwnership } = require("../scripts/upgrades");
+const { loadHoldings } = require("../frontend/holdings");
+
+describe("Frontend holdings", function() {
+  let contract;
+  let owner;
+  let alice;
+  let bob;
+  const price = ethers.utils.parseEther("0.01");
+
+  beforeEach(async function () {
+    [owner, alice, bob] = await ethers.getSigners();
+    ({ contract } = await deployMiningRigOwnership(hre));
+    for (const id of [1, 2, 3]) {
+      await contract.registerRig(id, `Rig ${id}`, 100, price, 0);
+    }
+    await contract.connect(alice).buyShares(1, 2, { value: price.mul(2) });
+    await contract.connect(alice).buyShares(2, 4, { value: price.mul(4) });
+    await contract.depositRewards(1, { value: ethers.utils.parseEther("1") });
+    await contract.depositRewards(2, { value: ethers.utils.parseEther("1") });
+  });
+
+  it("Should list the rigs the wallet holds shares of", async function () {
+    const holdings = await loadHoldings(contract, alice.address, ["1", "2", "3"]);
+
+    expect(holdings.map(holding => [holding.rigId, holding.balance.toNumber()])).to.deep.equal([["1", 2], ["2", 4]]);
+    expect(await loadHoldings(contract, bob.address, ["1", "2", "3"])).to.deep.equal([]);
+  });
+
+  it("Should keep a rig with no shares left but rewards to claim, so Claim all claims it", async function () {
+    await contract.connect(alice).safeTransferFrom(alice.address, bob.address, 2, 4, "0x");
+
+    const holdings = await loadHoldings(contract, alice.address, ["1", "2", "3"]);
+    const sold = holdings.find(holding => holding.rigId === "2");
+    expect(sold.balance).to.equal(0);
+    expect(sold.claimable).to.equal(ethers.utils.parseEther("1"));
+
+    // What the "Claim all" button sends
+    const rigIds = holdings.filter(holding => holding.claimable.gt(0)).map(holding => holding.rigId);
+    expect(rigIds).to.deep.equal(["1", "2"]);
+    await expect(contract.connect(alice).claimMany(rigIds)).to.changeEtherBalance(alice, ethers.utils.parseEther("2"));
+    expect(await loadHoldings(contract, alice.address, ["1", "2", "3"])).to.have.length(1);
+  });
+
+  it("Should keep a rig with no shares left but ERC-20 rewards to claim", async function () {
+    const wbtc = await (await ethers.getContractFactory("MockERC20")).deploy("Wrapped BTC", "WBTC", 8);
+    await wbtc.mint(owner.address, 1e8);
+    await wbtc.approve(contract.address, 1e8);
+    await contract.setRewardToken(wbtc.address, true);
+    await contract.connect(alice).buyShares(3, 2, { value: price.mul(2) });
+    await contract.depositTokenRewards(3, wbtc.address, 1e8);
+    await contract.connect(alice).safeTransferFrom(alice.address, bob.address, 3, 2, "0x");
+
+    const holdings = await loadHoldings(contract, alice.address, ["1", "2", "3"]);
+    const sold = holdings.find(holding => holding.rigId === "3");
+    expect(sold.balance).to.equal(0);
+    expect(sold.claimable).to.equal(0);
+    expect(sold.tokenRewards).to.have.length(1);
+    expect(sold.tokenRewards[0].token).to.equal(wbtc.address);
+    expect(sold.tokenRewards[0].amount).to.equal(1e8);
+
+    await contract.connect(alice).claimTokenRewards(3, wbtc.address);
+    expect((await loadHoldings(contract, alice.address, ["1", "2", "3"])).map(holding => holding.rigId)).to.deep.equal(["1", "2"]);
+  });
+});
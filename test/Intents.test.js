@@ -0,0 +1,415 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+require("@nomicfoundation/hardhat-chai-matchers");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployMiningRigOwnership } = require("../scripts/upgrades");
+const { buildAllowlist } = require("../scripts/build-allowlist");
+const { INTENT_TYPES, intentDomain } = require("../relayer/intents");
+const { createRelayer } = require("../relayer/relayer");
+const { createRelayerServer } = require("../relayer/server");
+
+describe("Signed intents", function() {
+  let miningRigOwnership;
+  let owner;
+  let buyer;
+  let holder;
+  let sponsor;
+  let outsider;
+  let domain;
+  let allowlist;
+
+  const pricePerShareWei = ethers.utils.parseEther("0.01");
+  const rewardWei = ethers.utils.parseEther("0.5");
+
+  async function now() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function signIntent(signer, type, intent) {
+    return signer._signTypedData(domain, { [type]: INTENT_TYPES[type] }, intent);
+  }
+
+  async function purchaseIntent(account, overrides = {}) {
+    return {
+      buyer: account.address,
+      rigId: 1,
+      amount: 2,
+      maxCost: pricePerShareWei.mul(2),
+      nonce: await miningRigOwnership.nonces(account.address),
+      deadline: (await now()) + 600,
+      ...overrides
+    };
+  }
+
+  async function claimIntent(account, overrides = {}) {
+    return {
+      holder: account.address,
+      rigIds: [1],
+      nonce: await miningRigOwnership.nonces(account.address),
+      deadline: (await now()) + 600,
+      ...overrides
+    };
+  }
+
+  beforeEach(async function () {
+    [owner, buyer, holder, sponsor, outsider] = await ethers.getSigners();
+
+    ({ contract: miningRigOwnership } = await deployMiningRigOwnership(hre));
+    await miningRigOwnership.registerRig(1, "Antminer S19", 100, pricePerShareWei, 0);
+    domain = intentDomain((await ethers.provider.getNetwork()).chainId, miningRigOwnership.address);
+    allowlist = buildAllowlist([buyer.address, holder.address]);
+
+    // The holder owns every minted share, so they get every reward
+    await miningRigOwnership.connect(holder).buyShares(1, 10, { value: pricePerShareWei.mul(10) });
+    await miningRigOwnership.depositRewards(1, { value: rewardWei });
+  });
+
+  describe("Contract", function () {
+    it("Should use the EIP-712 domain of this proxy and chain", async function () {
+      expect(await miningRigOwnership.DOMAIN_SEPARATOR())
+        .to.equal(ethers.utils._TypedDataEncoder.hashDomain(domain));
+    });
+
+    it("Should pay a signed claim to the holder, with the relayer paying only gas", async function () {
+      const intent = await claimIntent(holder);
+      const signature = await signIntent(holder, "ClaimIntent", intent);
+
+      await expect(miningRigOwnership.connect(sponsor).claimFor(intent, signature))
+        .to.changeEtherBalances([holder, miningRigOwnership], [rewardWei, rewardWei.mul(-1)]);
+      expect(await miningRigOwnership.claimable(holder.address, 1)).to.equal(0);
+      expect(await miningRigOwnership.nonces(holder.address)).to.equal(1);
+    });
+
+    it("Should emit IntentExecuted with the signer, nonce and relayer", async function () {
+      const intent = await claimIntent(holder);
+      const signature = await signIntent(holder, "ClaimIntent", intent);
+
+      await expect(miningRigOwnership.connect(sponsor).claimFor(intent, signature))
+        .to.emit(miningRigOwnership, "IntentExecuted")
+        .withArgs(holder.address, 0, sponsor.address);
+    });
+
+    it("Should not accept an intent twice or out of nonce order", async function () {
+      const intent = await claimIntent(holder);
+      const signature = await signIntent(holder, "ClaimIntent", intent);
+      await miningRigOwnership.connect(sponsor).claimFor(intent, signature);
+      await miningRigOwnership.depositRewards(1, { value: rewardWei });
+
+      await expect(miningRigOwnership.connect(sponsor).claimFor(intent, signature))
+        .to.be.revertedWithCustomError(miningRigOwnership, "InvalidAccountNonce")
+        .withArgs(holder.address, 1);
+
+      const skipped = await claimIntent(holder, { nonce: 5 });
+      await expect(miningRigOwnership.connect(sponsor).claimFor(skipped, await signIntent(holder, "ClaimIntent", skipped)))
+        .to.be.revertedWithCustomError(miningRigOwnership, "InvalidAccountNonce");
+    });
+
+    it("Should reject expired intents", async function () {
+      const intent = await claimIntent(holder, { deadline: (await now()) - 1 });
+      const signature = await signIntent(holder, "ClaimIntent", intent);
+
+      await expect(miningRigOwnership.connect(sponsor).claimFor(intent, signature))
+        .to.be.revertedWith("intent expired");
+    });
+
+    it("Should reject signatures of someone else or of a different intent", async function () {
+      const intent = await claimIntent(holder);
+      await expect(miningRigOwnership.connect(sponsor).claimFor(intent, await signIntent(outsider, "ClaimIntent", intent)))
+        .to.be.revertedWith("invalid signature");
+
+      // Signed for rig 1, submitted for rig 2
+      const signature = await signIntent(holder, "ClaimIntent", intent);
+      await expect(miningRigOwnership.connect(sponsor).claimFor({ ...intent, rigIds: [2] }, signature))
+        .to.be.revertedWith("invalid signature");
+    });
+
+    it("Should let a sponsor pay for a signed purchase, minting to the buyer", async function () {
+      const intent = await purchaseIntent(buyer);
+      const signature = await signIntent(buyer, "PurchaseIntent", intent);
+      const cost = pricePerShareWei.mul(2);
+
+      await expect(miningRigOwnership.connect(sponsor).buySharesFor(intent, signature, [], { value: cost }))
+        .to.changeEtherBalances([sponsor, buyer], [cost.mul(-1), 0])
+        .and.to.emit(miningRigOwnership, "SharesPurchased").withArgs(1, buyer.address, 2, cost);
+      expect(await miningRigOwnership.balanceOf(buyer.address, 1)).to.equal(2);
+      expect(await miningRigOwnership.balanceOf(sponsor.address, 1)).to.equal(0);
+    });
+
+    it("Should open no refund window for sponsored purchases", async function () {
+      await miningRigOwnership.setRefundWindow(1, 3600);
+      const intent = await purchaseIntent(buyer);
+      const signature = await signIntent(buyer, "PurchaseIntent", intent);
+      await miningRigOwnership.connect(sponsor).buySharesFor(intent, signature, [], { value: pricePerShareWei.mul(2) });
+
+      expect((await miningRigOwnership.refundablePurchases(buyer.address, 1)).amount).to.equal(0);
+      await expect(miningRigOwnership.connect(buyer).refundShares(1, 1)).to.be.revertedWith("refund window closed");
+    });
+
+    it("Should never take more than the buyer's maxCost", async function () {
+      const intent = await purchaseIntent(buyer, { maxCost: pricePerShareWei });
+      const signature = await signIntent(buyer, "PurchaseIntent", intent);
+
+      await expect(miningRigOwnership.connect(sponsor).buySharesFor(intent, signature, [], { value: pricePerShareWei.mul(2) }))
+        .to.be.revertedWith("exceeds max cost");
+    });
+
+    it("Should check the allowlist and wallet caps against the buyer, not the sponsor", async function () {
+      await miningRigOwnership.setAllowlistRoot(1, allowlist.root);
+
+      const listed = await purchaseIntent(buyer);
+      await miningRigOwnership.connect(sponsor).buySharesFor(
+        listed, await signIntent(buyer, "PurchaseIntent", listed), allowlist.proofs[buyer.address],
+        { value: pricePerShareWei.mul(2) }
+      );
+      expect(await miningRigOwnership.balanceOf(buyer.address, 1)).to.equal(2);
+
+      const unlisted = await purchaseIntent(outsider);
+      await expect(miningRigOwnership.connect(sponsor).buySharesFor(
+        unlisted, await signIntent(outsider, "PurchaseIntent", unlisted), allowlist.proofs[buyer.address],
+        { value: pricePerShareWei.mul(2) }
+      )).to.be.revertedWith("not allowlisted");
+
+      // Rig 2 allows 3 shares per wallet; the buyer already has 2 of them
+      await miningRigOwnership.registerRig(2, "Whatsminer M30S", 100, pricePerShareWei, 3);
+      await miningRigOwnership.connect(buyer).buyShares(2, 2, { value: pricePerShareWei.mul(2) });
+      const overCap = await purchaseIntent(buyer, { rigId: 2 });
+      await expect(miningRigOwnership.connect(sponsor).buySharesFor(
+        overCap, await signIntent(buyer, "PurchaseIntent", overCap), [], { value: pricePerShareWei.mul(2) }
+      )).to.be.revertedWith("wallet cap exceeded");
+    });
+
+    it("Should accept ERC-1271 signatures of contract wallets", async function () {
+      const Wallet = await ethers.getContractFactory("MockERC1271Wallet");
+      const wallet = await Wallet.deploy(buyer.address);
+      await wallet.deployed();
+
+      const intent = { ...(await purchaseIntent(buyer)), buyer: wallet.address, nonce: 0 };
+      const signature = await signIntent(buyer, "PurchaseIntent", intent);
+      await miningRigOwnership.connect(sponsor).buySharesFor(intent, signature, [], { value: pricePerShareWei.mul(2) });
+      expect(await miningRigOwnership.balanceOf(wallet.address, 1)).to.equal(2);
+
+      const forged = { ...intent, nonce: 1 };
+      await expect(miningRigOwnership.connect(sponsor).buySharesFor(
+        forged, await signIntent(outsider, "PurchaseIntent", forged), [], { value: pricePerShareWei.mul(2) }
+      )).to.be.revertedWith("invalid signature");
+    });
+
+    it("Should keep signed claims open while the contract is paused", async function () {
+      await miningRigOwnership.pause();
+
+      const purchase = await purchaseIntent(buyer);
+      await expect(miningRigOwnership.connect(sponsor).buySharesFor(
+        purchase, await signIntent(buyer, "PurchaseIntent", purchase), [], { value: pricePerShareWei.mul(2) }
+      )).to.be.revertedWithCustomError(miningRigOwnership, "EnforcedPause");
+
+      const claim = await claimIntent(holder);
+      await expect(miningRigOwnership.connect(sponsor).claimFor(claim, await signIntent(holder, "ClaimIntent", claim)))
+        .to.changeEtherBalance(holder, rewardWei);
+    });
+  });
+
+  describe("Relayer", function () {
+    let server;
+    let baseUrl;
+    let logs;
+
+    async function startRelayer(options = {}) {
+      logs = [];
+      const relayer = createRelayer({
+        contract: miningRigOwnership.connect(sponsor),
+        log: message => logs.push(message),
+        ...options
+      });
+      server = createRelayerServer(relayer, { log: message => logs.push(message) });
+      await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    }
+
+    async function post(path, body) {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: typeof body === "string" ? body : JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    }
+
+    // JSON body as the frontend posts it: numbers as decimal strings
+    function json(intent) {
+      return Object.fromEntries(Object.entries(intent).map(([key, value]) =>
+        [key, Array.isArray(value) ? value.map(String) : typeof value === "string" ? value : value.toString()]));
+    }
+
+    async function signedPurchase(account, overrides = {}) {
+      const intent = await purchaseIntent(account, overrides);
+      return {
+        intent: json(intent),
+        signature: await signIntent(account, "PurchaseIntent", intent),
+        proof: allowlist.proofs[account.address] || []
+      };
+    }
+
+    async function signedClaim(account, overrides = {}) {
+      const intent = await claimIntent(account, overrides);
+      return { intent: json(intent), signature: await signIntent(account, "ClaimIntent", intent) };
+    }
+
+    afterEach(async function () {
+      if (server) await new Promise(resolve => server.close(resolve));
+      server = null;
+    });
+
+    it("Should serve the domain and sponsor policy on GET /config", async function () {
+      await startRelayer({ sponsorPurchases: true, maxSponsorWei: pricePerShareWei.mul(5), buyerBudgetWei: pricePerShareWei.mul(10), totalBudgetWei: pricePerShareWei.mul(20) });
+
+      const response = await fetch(`${baseUrl}/config`);
+      expect(response.headers.get("access-control-allow-origin")).to.equal("*");
+      expect(await response.json()).to.deep.equal({
+        domain,
+        relayer: sponsor.address,
+        sponsorPurchases: true,
+        maxSponsorWei: pricePerShareWei.mul(5).toString()
+      });
+
+      const forBuyer = await (await fetch(`${baseUrl}/config?buyer=${buyer.address}`)).json();
+      expect(forBuyer.sponsorLeftWei).to.equal(pricePerShareWei.mul(10).toString());
+      expect((await fetch(`${baseUrl}/config?buyer=nobody`)).status).to.equal(400);
+    });
+
+    it("Should submit a signed claim and return its transaction", async function () {
+      await startRelayer();
+      const before = await holder.getBalance();
+
+      const { status, body } = await post("/claim", await signedClaim(holder));
+      expect(status).to.equal(200);
+      const receipt = await ethers.provider.getTransactionReceipt(body.txHash);
+      expect(receipt.status).to.equal(1);
+      expect(receipt.from).to.equal(sponsor.address);
+      expect((await holder.getBalance()).sub(before)).to.equal(rewardWei);
+    });
+
+    it("Should turn down stale, expired and badly signed intents without sending", async function () {
+      await startRelayer();
+      const sent = await sponsor.getTransactionCount();
+
+      const stale = await post("/claim", await signedClaim(holder, { nonce: 3 }));
+      expect(stale.status).to.equal(400);
+      expect(stale.body.error).to.equal(`stale nonce: ${holder.address} is at nonce 0`);
+
+      const expired = await post("/claim", await signedClaim(holder, { deadline: (await now()) - 1 }));
+      expect(expired.body.error).to.equal("intent expired");
+
+      const forged = await signedClaim(holder);
+      forged.signature = (await signedClaim(outsider)).signature;
+      expect((await post("/claim", forged)).body.error).to.equal("invalid signature");
+
+      // Nothing to claim: caught by the simulation
+      const empty = await post("/claim", await signedClaim(outsider));
+      expect(empty.status).to.equal(400);
+      expect(empty.body.error).to.match(/^claimFor would revert: .*nothing to claim/);
+
+      expect(await sponsor.getTransactionCount()).to.equal(sent);
+    });
+
+    it("Should reject malformed requests", async function () {
+      await startRelayer();
+
+      expect(await post("/claim", "{not json")).to.deep.equal({ status: 400, body: { error: "request body must be JSON" } });
+      const bad = await signedClaim(holder);
+      bad.intent.holder = "0x1234";
+      expect((await post("/claim", bad)).body.error).to.equal("intent.holder must be an address");
+      expect((await post("/nowhere", {})).status).to.equal(404);
+    });
+
+    it("Should only sponsor purchases when enabled", async function () {
+      await startRelayer();
+      await miningRigOwnership.setAllowlistRoot(1, allowlist.root);
+
+      const { status, body } = await post("/purchase", await signedPurchase(buyer));
+      expect(status).to.equal(403);
+      expect(body.error).to.equal("this relayer does not sponsor purchases");
+    });
+
+    it("Should sponsor purchases of allow-listed buyers", async function () {
+      await startRelayer({ sponsorPurchases: true, maxSponsorWei: pricePerShareWei.mul(5), buyerBudgetWei: pricePerShareWei.mul(10), totalBudgetWei: pricePerShareWei.mul(20) });
+      await miningRigOwnership.setAllowlistRoot(1, allowlist.root);
+      const before = await sponsor.getBalance();
+
+      const { status, body } = await post("/purchase", await signedPurchase(buyer));
+      expect(status).to.equal(200);
+      expect(body.costWei).to.equal(pricePerShareWei.mul(2).toString());
+      const receipt = await ethers.provider.getTransactionReceipt(body.txHash);
+      const gas = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+      expect(await miningRigOwnership.balanceOf(buyer.address, 1)).to.equal(2);
+      expect(before.sub(await sponsor.getBalance())).to.equal(pricePerShareWei.mul(2).add(gas));
+      expect(logs.some(line => line.startsWith(`Sponsored 2 shares of rig #1 for ${buyer.address}`))).to.equal(true);
+    });
+
+    it("Should not sponsor buyers off the allowlist, open sales or purchases over the limit", async function () {
+      await startRelayer({ sponsorPurchases: true, maxSponsorWei: pricePerShareWei.mul(5), buyerBudgetWei: pricePerShareWei.mul(10), totalBudgetWei: pricePerShareWei.mul(20) });
+
+      const open = await post("/purchase", await signedPurchase(buyer));
+      expect(open.status).to.equal(403);
+      expect(open.body.error).to.match(/only sponsored for allow-listed buyers/);
+
+      await miningRigOwnership.setAllowlistRoot(1, allowlist.root);
+      const unlisted = await signedPurchase(outsider);
+      unlisted.proof = allowlist.proofs[buyer.address];
+      const refused = await post("/purchase", unlisted);
+      expect(refused.status).to.equal(400);
+      expect(refused.body.error).to.match(/^buySharesFor would revert: .*not allowlisted/);
+
+      const large = await post("/purchase", await signedPurchase(buyer, { amount: 6, maxCost: pricePerShareWei.mul(6) }));
+      expect(large.status).to.equal(403);
+      expect(large.body.error).to.equal("0.06 ETH is over the sponsor limit of 0.05 ETH");
+
+      const cheap = await post("/purchase", await signedPurchase(buyer, { maxCost: pricePerShareWei }));
+      expect(cheap.status).to.equal(400);
+      expect(cheap.body.error).to.equal("the price is now 0.02 ETH, above the intent's maxCost");
+
+      expect(await miningRigOwnership.balanceOf(buyer.address, 1)).to.equal(0);
+    });
+
+    it("Should refuse to sponsor without budgets", function () {
+      expect(() => createRelayer({ contract: miningRigOwnership.connect(sponsor), sponsorPurchases: true, maxSponsorWei: 1 }))
+        .to.throw("Set buyerBudgetWei and totalBudgetWei to sponsor purchases");
+    });
+
+    it("Should stop sponsoring a buyer, and everyone, once their budget is spent", async function () {
+      const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-"));
+      const stateFile = path.join(stateDir, "state.json");
+      const budgets = {
+        sponsorPurchases: true,
+        maxSponsorWei: pricePerShareWei.mul(5),
+        buyerBudgetWei: pricePerShareWei.mul(5),
+        totalBudgetWei: pricePerShareWei.mul(7),
+        stateFile
+      };
+      await startRelayer(budgets);
+      await miningRigOwnership.setAllowlistRoot(1, allowlist.root);
+
+      // 2 + 2 shares fit the buyer's budget of 5; 2 more don't, whatever the nonce
+      expect((await post("/purchase", await signedPurchase(buyer))).status).to.equal(200);
+      expect((await post("/purchase", await signedPurchase(buyer))).status).to.equal(200);
+      const overBuyer = await post("/purchase", await signedPurchase(buyer));
+      expect(overBuyer.status).to.equal(403);
+      expect(overBuyer.body.error).to.equal(`0.02 ETH is over ${buyer.address}'s remaining sponsor budget of 0.01 ETH`);
+      expect((await (await fetch(`${baseUrl}/config?buyer=${buyer.address}`)).json()).sponsorLeftWei)
+        .to.equal(pricePerShareWei.toString());
+
+      // A restart keeps what was spent: 3 of the total 7 are left, so another buyer's 4 are refused
+      await new Promise(resolve => server.close(resolve));
+      await startRelayer(budgets);
+      const overTotal = await post("/purchase", await signedPurchase(outsider, { amount: 4, maxCost: pricePerShareWei.mul(4) }));
+      expect(overTotal.status).to.equal(403);
+      expect(overTotal.body.error).to.equal("0.04 ETH is over the relayer's remaining sponsor budget of 0.03 ETH");
+
+      expect(await miningRigOwnership.balanceOf(buyer.address, 1)).to.equal(4);
+      expect(JSON.parse(fs.readFileSync(stateFile, "utf8")).totalWei).to.equal(pricePerShareWei.mul(4).toString());
+      fs.rmSync(stateDir, { recursive: true, force: true });
+    });
+  });
+});
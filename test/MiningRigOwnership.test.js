@@ -1,10 +1,11 @@
 const { expect } = require("chai");
 require("@nomicfoundation/hardhat-chai-matchers");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployMiningRigOwnership } = require("../scripts/upgrades");
 
 describe("MiningRigOwnership", function() {
   // Test variables
-  let MiningRigOwnership;
   let miningRigOwnership;
   let owner;
   let user1;
@@ -29,9 +30,7 @@ describe("MiningRigOwnership", function() {
     // Deploy a fresh contract for each test
     [owner, user1, user2, user3] = await ethers.getSigners();
 
-    MiningRigOwnership = await ethers.getContractFactory("MiningRigOwnership");
-    miningRigOwnership = await MiningRigOwnership.deploy();
-    await miningRigOwnership.deployed();
+    ({ contract: miningRigOwnership } = await deployMiningRigOwnership(hre));
 
     // Register a test rig
     await miningRigOwnership.registerRig(
@@ -196,11 +195,166 @@ describe("MiningRigOwnership", function() {
         maxPerWallet
       );
       
-      // Deactivate the rig (would need a function to do this in the contract)
-      // For testing purposes, we could add this function or use a different approach
-      // This test assumes such functionality exists
+      // Deactivate the rig
+      await miningRigOwnership.deactivateRig(rigId2);
       
-      // For now, we'll skip the actual test execution
+      try {
+        await miningRigOwnership.connect(user1).buyShares(rigId2, 1, { value: pricePerShareWei });
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("rig inactive");
+      }
+    });
+  });
+
+  describe("Rig Lifecycle", function() {
+    // Test deactivation
+    it("Should allow owner to deactivate and reactivate a rig", async function() {
+      let tx = await miningRigOwnership.deactivateRig(rigId);
+      let event = await getEvent(tx, "RigDeactivated");
+      expect(event.args.rigId.toString()).to.equal(rigId.toString());
+      expect((await miningRigOwnership.rigs(rigId)).active).to.equal(false);
+      
+      tx = await miningRigOwnership.reactivateRig(rigId);
+      event = await getEvent(tx, "RigReactivated");
+      expect(event.args.rigId.toString()).to.equal(rigId.toString());
+      expect((await miningRigOwnership.rigs(rigId)).active).to.equal(true);
+      
+      // Buying works again once reactivated
+      await miningRigOwnership.connect(user1).buyShares(rigId, 1, { value: pricePerShareWei });
+      expect((await miningRigOwnership.balanceOf(user1.address, rigId)).toNumber()).to.equal(1);
+    });
+
+    // Test deposits on inactive rig
+    it("Should block reward deposits while a rig is inactive", async function() {
+      await miningRigOwnership.connect(user1).buyShares(rigId, 1, { value: pricePerShareWei });
+      await miningRigOwnership.deactivateRig(rigId);
+      
+      try {
+        await miningRigOwnership.depositRewards(rigId, { value: ethers.utils.parseEther("1") });
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("rig inactive");
+      }
+    });
+
+    // Test claims on inactive rig
+    it("Should still allow claiming rewards from an inactive rig", async function() {
+      await miningRigOwnership.connect(user1).buyShares(rigId, 2, { value: pricePerShareWei.mul(2) });
+      await miningRigOwnership.depositRewards(rigId, { value: ethers.utils.parseEther("1") });
+      await miningRigOwnership.deactivateRig(rigId);
+      
+      await miningRigOwnership.connect(user1).claimRewards(rigId);
+      expect((await miningRigOwnership.claimable(user1.address, rigId)).toString()).to.equal("0");
+    });
+
+    // Test status toggle validation
+    it("Should reject redundant status changes", async function() {
+      try {
+        await miningRigOwnership.reactivateRig(rigId);
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("rig active");
+      }
+      
+      await miningRigOwnership.deactivateRig(rigId);
+      try {
+        await miningRigOwnership.deactivateRig(rigId);
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("rig inactive");
+      }
+    });
+
+    // Test lifecycle on unknown rig
+    it("Should reject lifecycle changes for unregistered rigs", async function() {
+      try {
+        await miningRigOwnership.deactivateRig(rigId2);
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("rig not found");
+      }
+    });
+
+    // Test repricing
+    it("Should allow owner to reprice unsold shares", async function() {
+      const newPrice = ethers.utils.parseEther("0.02");
+      const tx = await miningRigOwnership.setRigPrice(rigId, newPrice);
+      
+      const event = await getEvent(tx, "RigPriceUpdated");
+      expect(event.args.oldPriceWei.toString()).to.equal(pricePerShareWei.toString());
+      expect(event.args.newPriceWei.toString()).to.equal(newPrice.toString());
+      
+      // Old price is now rejected, new price accepted
+      try {
+        await miningRigOwnership.connect(user1).buyShares(rigId, 1, { value: pricePerShareWei });
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("wrong ETH sent");
+      }
+      await miningRigOwnership.connect(user1).buyShares(rigId, 1, { value: newPrice });
+      expect(await miningRigOwnership.totalSalesETH()).to.equal(newPrice);
+    });
+
+    // Test repricing validation
+    it("Should prevent setting a zero price", async function() {
+      try {
+        await miningRigOwnership.setRigPrice(rigId, 0);
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("price=0");
+      }
+    });
+
+    // Test raising the share cap
+    it("Should allow owner to raise total shares", async function() {
+      const tx = await miningRigOwnership.setRigTotalShares(rigId, totalShares + 50);
+      
+      const event = await getEvent(tx, "RigTotalSharesUpdated");
+      expect(event.args.oldTotalShares.toNumber()).to.equal(totalShares);
+      expect(event.args.newTotalShares.toNumber()).to.equal(totalShares + 50);
+      expect((await miningRigOwnership.rigs(rigId)).totalShares.toNumber()).to.equal(totalShares + 50);
+    });
+
+    // Test lowering the share cap down to minted supply
+    it("Should allow lowering total shares only down to minted supply", async function() {
+      await miningRigOwnership.connect(user1).buyShares(rigId, 5, { value: pricePerShareWei.mul(5) });
+      
+      try {
+        await miningRigOwnership.setRigTotalShares(rigId, 4);
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("below minted supply");
+      }
+      
+      await miningRigOwnership.setRigTotalShares(rigId, 5);
+      
+      // Rig is now sold out
+      try {
+        await miningRigOwnership.connect(user2).buyShares(rigId, 1, { value: pricePerShareWei });
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("exceeds total shares");
+      }
+    });
+
+    // Test lifecycle access control
+    it("Should restrict lifecycle functions to their roles", async function() {
+      const calls = [
+        () => miningRigOwnership.connect(user1).deactivateRig(rigId),
+        () => miningRigOwnership.connect(user1).reactivateRig(rigId),
+        () => miningRigOwnership.connect(user1).setRigPrice(rigId, 1),
+        () => miningRigOwnership.connect(user1).setRigTotalShares(rigId, 200)
+      ];
+      
+      for (const call of calls) {
+        try {
+          await call();
+          expect.fail("Transaction should have reverted");
+        } catch (error) {
+          expect(error.message).to.include("AccessControlUnauthorizedAccount");
+        }
+      }
     });
   });
 
@@ -233,7 +387,9 @@ describe("MiningRigOwnership", function() {
       const event = await getEvent(tx, "RewardsDeposited");
       expect(event).to.not.be.undefined;
       expect(event.args.rigId.toString()).to.equal(rigId.toString());
-      expect(event.args.amountWei.toString()).to.equal(rewardAmount.toString());
+      expect(event.args.grossWei.toString()).to.equal(rewardAmount.toString());
+      expect(event.args.feeWei.toString()).to.equal("0");
+      expect(event.args.netWei.toString()).to.equal(rewardAmount.toString());
       
       // Check total rewards tracking
       expect(await miningRigOwnership.totalRewardETH()).to.equal(rewardAmount);
@@ -312,6 +468,739 @@ describe("MiningRigOwnership", function() {
     });
   });
 
+  describe("Batch Claims", function() {
+    beforeEach(async function() {
+      // Second rig so user1 holds shares in two rigs
+      await miningRigOwnership.registerRig(
+        rigId2,
+        "Second Mining Rig",
+        totalShares,
+        pricePerShareWei,
+        maxPerWallet
+      );
+      
+      await miningRigOwnership.connect(user1).buyShares(rigId, 5, { value: pricePerShareWei.mul(5) });
+      await miningRigOwnership.connect(user1).buyShares(rigId2, 2, { value: pricePerShareWei.mul(2) });
+      await miningRigOwnership.connect(user2).buyShares(rigId2, 2, { value: pricePerShareWei.mul(2) });
+      
+      await miningRigOwnership.depositRewards(rigId, { value: ethers.utils.parseEther("1") });
+      await miningRigOwnership.depositRewards(rigId2, { value: ethers.utils.parseEther("2") });
+    });
+
+    // Test batch claim payout
+    it("Should claim several rigs in one transfer", async function() {
+      const claimable1 = await miningRigOwnership.claimable(user1.address, rigId);
+      const claimable2 = await miningRigOwnership.claimable(user1.address, rigId2);
+      const balanceBefore = await ethers.provider.getBalance(user1.address);
+      
+      const tx = await miningRigOwnership.connect(user1).claimMany([rigId, rigId2]);
+      const receipt = await tx.wait();
+      const gasUsed = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+      
+      const balanceAfter = await ethers.provider.getBalance(user1.address);
+      const balanceDiff = balanceAfter.add(gasUsed).sub(balanceBefore);
+      expect(balanceDiff.toString()).to.equal(claimable1.add(claimable2).toString());
+      
+      expect((await miningRigOwnership.claimable(user1.address, rigId)).toString()).to.equal("0");
+      expect((await miningRigOwnership.claimable(user1.address, rigId2)).toString()).to.equal("0");
+      
+      // Other holders are unaffected
+      expect((await miningRigOwnership.claimable(user2.address, rigId2)).gt(0)).to.be.true;
+    });
+
+    // Test one event per rig
+    it("Should emit one RewardsClaimed event per rig", async function() {
+      const tx = await miningRigOwnership.connect(user1).claimMany([rigId, rigId2]);
+      const receipt = await tx.wait();
+      
+      const events = receipt.events.filter(e => e.event === "RewardsClaimed");
+      expect(events.length).to.equal(2);
+      expect(events[0].args.rigId.toNumber()).to.equal(rigId);
+      expect(events[1].args.rigId.toNumber()).to.equal(rigId2);
+      events.forEach(e => expect(e.args.user).to.equal(user1.address));
+    });
+
+    // Test skipping rigs with nothing pending
+    it("Should skip rigs with nothing to claim", async function() {
+      const tx = await miningRigOwnership.connect(user2).claimMany([rigId, rigId2]);
+      const receipt = await tx.wait();
+      
+      const events = receipt.events.filter(e => e.event === "RewardsClaimed");
+      expect(events.length).to.equal(1);
+      expect(events[0].args.rigId.toNumber()).to.equal(rigId2);
+    });
+
+    // Test claiming nothing
+    it("Should revert when no listed rig has rewards", async function() {
+      try {
+        await miningRigOwnership.connect(user3).claimMany([rigId, rigId2]);
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("nothing to claim");
+      }
+    });
+
+    // Test duplicate IDs don't double pay
+    it("Should not pay twice for a repeated rig ID", async function() {
+      const claimable1 = await miningRigOwnership.claimable(user1.address, rigId);
+      const balanceBefore = await ethers.provider.getBalance(user1.address);
+      
+      const tx = await miningRigOwnership.connect(user1).claimMany([rigId, rigId]);
+      const receipt = await tx.wait();
+      const gasUsed = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+      
+      const balanceAfter = await ethers.provider.getBalance(user1.address);
+      expect(balanceAfter.add(gasUsed).sub(balanceBefore).toString()).to.equal(claimable1.toString());
+    });
+  });
+
+  describe("ERC-20 Rewards", function() {
+    let wbtc;
+    let usdc;
+    
+    beforeEach(async function() {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      wbtc = await MockERC20.deploy("Wrapped BTC", "WBTC", 8);
+      await wbtc.deployed();
+      usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await usdc.deployed();
+      
+      await wbtc.mint(owner.address, 1000e8);
+      await usdc.mint(owner.address, 1000000e6);
+      await wbtc.approve(miningRigOwnership.address, ethers.constants.MaxUint256);
+      await usdc.approve(miningRigOwnership.address, ethers.constants.MaxUint256);
+      await miningRigOwnership.setRewardToken(wbtc.address, true);
+      await miningRigOwnership.setRewardToken(usdc.address, true);
+      
+      // User1 holds 5 shares, User2 holds 10
+      await miningRigOwnership.connect(user1).buyShares(rigId, 5, { value: pricePerShareWei.mul(5) });
+      await miningRigOwnership.connect(user2).buyShares(rigId, 10, { value: pricePerShareWei.mul(10) });
+    });
+
+    // Test token deposit
+    it("Should allow owner to deposit allow-listed token rewards", async function() {
+      const tx = await miningRigOwnership.depositTokenRewards(rigId, wbtc.address, 3e8);
+      
+      const event = await getEvent(tx, "TokenRewardsDeposited");
+      expect(event.args.token).to.equal(wbtc.address);
+      expect(event.args.amount.toNumber()).to.equal(3e8);
+      
+      expect((await wbtc.balanceOf(miningRigOwnership.address)).toNumber()).to.equal(3e8);
+      expect((await miningRigOwnership.totalTokenRewards(wbtc.address)).toNumber()).to.equal(3e8);
+      expect(await miningRigOwnership.rigRewardTokens(rigId)).to.deep.equal([wbtc.address]);
+    });
+
+    // Test allow-list
+    it("Should reject tokens that are not allow-listed", async function() {
+      await miningRigOwnership.setRewardToken(usdc.address, false);
+      
+      try {
+        await miningRigOwnership.depositTokenRewards(rigId, usdc.address, 1000e6);
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("token not allowed");
+      }
+    });
+
+    // Test token deposit with no holders
+    it("Should reject token deposits to a rig with no holders", async function() {
+      await miningRigOwnership.registerRig(rigId2, "Empty Rig", totalShares, pricePerShareWei, maxPerWallet);
+      
+      try {
+        await miningRigOwnership.depositTokenRewards(rigId2, wbtc.address, 1e8);
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("no holders yet");
+      }
+    });
+
+    // Test per-token proportional accrual
+    it("Should track each token separately and proportionally", async function() {
+      await miningRigOwnership.depositTokenRewards(rigId, wbtc.address, 3e8);
+      await miningRigOwnership.depositTokenRewards(rigId, usdc.address, 1500e6);
+      await miningRigOwnership.depositRewards(rigId, { value: ethers.utils.parseEther("1.5") });
+      
+      expect((await miningRigOwnership.claimableToken(user1.address, rigId, wbtc.address)).toNumber()).to.equal(1e8);
+      expect((await miningRigOwnership.claimableToken(user2.address, rigId, wbtc.address)).toNumber()).to.equal(2e8);
+      expect((await miningRigOwnership.claimableToken(user1.address, rigId, usdc.address)).toNumber()).to.equal(500e6);
+      expect((await miningRigOwnership.claimableToken(user2.address, rigId, usdc.address)).toNumber()).to.equal(1000e6);
+      
+      // ETH accounting is untouched
+      expect((await miningRigOwnership.claimable(user1.address, rigId)).toString())
+        .to.equal(ethers.utils.parseEther("0.5").toString());
+    });
+
+    // Test claiming token rewards
+    it("Should allow users to claim token rewards", async function() {
+      await miningRigOwnership.depositTokenRewards(rigId, wbtc.address, 3e8);
+      
+      const tx = await miningRigOwnership.connect(user1).claimTokenRewards(rigId, wbtc.address);
+      const event = await getEvent(tx, "TokenRewardsClaimed");
+      expect(event.args.user).to.equal(user1.address);
+      expect(event.args.amount.toNumber()).to.equal(1e8);
+      
+      expect((await wbtc.balanceOf(user1.address)).toNumber()).to.equal(1e8);
+      expect((await miningRigOwnership.claimableToken(user1.address, rigId, wbtc.address)).toNumber()).to.equal(0);
+      
+      try {
+        await miningRigOwnership.connect(user1).claimTokenRewards(rigId, wbtc.address);
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("nothing to claim");
+      }
+    });
+
+    // Test settlement on transfer, per token
+    it("Should settle token rewards on transfer", async function() {
+      await miningRigOwnership.depositTokenRewards(rigId, usdc.address, 1500e6);
+      
+      // User1 moves all 5 shares to user3 after the first deposit
+      await miningRigOwnership.connect(user1).safeTransferFrom(user1.address, user3.address, rigId, 5, "0x");
+      await miningRigOwnership.depositTokenRewards(rigId, usdc.address, 1500e6);
+      
+      // User1 keeps what accrued before the transfer; user3 only gets the second deposit
+      expect((await miningRigOwnership.claimableToken(user1.address, rigId, usdc.address)).toNumber()).to.equal(500e6);
+      expect((await miningRigOwnership.claimableToken(user3.address, rigId, usdc.address)).toNumber()).to.equal(500e6);
+      expect((await miningRigOwnership.claimableToken(user2.address, rigId, usdc.address)).toNumber()).to.equal(2000e6);
+    });
+
+    // Test late buyers
+    it("Should not give token rewards to buyers after the deposit", async function() {
+      await miningRigOwnership.depositTokenRewards(rigId, wbtc.address, 3e8);
+      await miningRigOwnership.connect(user3).buyShares(rigId, 5, { value: pricePerShareWei.mul(5) });
+      
+      expect((await miningRigOwnership.claimableToken(user3.address, rigId, wbtc.address)).toNumber()).to.equal(0);
+    });
+
+    // Test reward-token cap per rig
+    it("Should cap the number of reward tokens per rig", async function() {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const max = (await miningRigOwnership.MAX_REWARD_TOKENS_PER_RIG()).toNumber();
+      
+      for (let i = 0; i <= max; i++) {
+        const token = await MockERC20.deploy(`Token ${i}`, `T${i}`, 18);
+        await token.deployed();
+        await token.mint(owner.address, 100);
+        await token.approve(miningRigOwnership.address, 100);
+        await miningRigOwnership.setRewardToken(token.address, true);
+        
+        if (i < max) {
+          await miningRigOwnership.depositTokenRewards(rigId, token.address, 100);
+        } else {
+          try {
+            await miningRigOwnership.depositTokenRewards(rigId, token.address, 100);
+            expect.fail("Transaction should have reverted");
+          } catch (error) {
+            expect(error.message).to.include("too many reward tokens");
+          }
+        }
+      }
+    });
+
+    // Test token admin access control
+    it("Should restrict token reward admin to the rig manager", async function() {
+      try {
+        await miningRigOwnership.connect(user1).setRewardToken(wbtc.address, true);
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("AccessControlUnauthorizedAccount");
+      }
+    });
+  });
+
+  describe("Queued Rewards & Dust", function() {
+    // Test queuing before first sale
+    it("Should queue rewards deposited before any shares are sold", async function() {
+      const rewardAmount = ethers.utils.parseEther("1");
+      const tx = await miningRigOwnership.depositRewards(rigId, { value: rewardAmount });
+      
+      const event = await getEvent(tx, "RewardsQueued");
+      expect(event.args.amountWei.toString()).to.equal(rewardAmount.toString());
+      expect((await miningRigOwnership.queuedRewards(rigId)).toString()).to.equal(rewardAmount.toString());
+      expect((await miningRigOwnership.totalQueuedETH()).toString()).to.equal(rewardAmount.toString());
+      expect((await miningRigOwnership.totalRewardETH()).toString()).to.equal(rewardAmount.toString());
+    });
+
+    // Test release to first holders
+    it("Should release queued rewards to the first holders", async function() {
+      const rewardAmount = ethers.utils.parseEther("1");
+      await miningRigOwnership.depositRewards(rigId, { value: rewardAmount });
+      
+      const tx = await miningRigOwnership.connect(user1).buyShares(rigId, 4, { value: pricePerShareWei.mul(4) });
+      const event = await getEvent(tx, "RewardsDeposited");
+      expect(event.args.netWei.toString()).to.equal(rewardAmount.toString());
+      
+      expect((await miningRigOwnership.claimable(user1.address, rigId)).toString()).to.equal(rewardAmount.toString());
+      expect((await miningRigOwnership.queuedRewards(rigId)).toString()).to.equal("0");
+      expect((await miningRigOwnership.totalQueuedETH()).toString()).to.equal("0");
+      
+      // Later buyers don't share in the released rewards
+      await miningRigOwnership.connect(user2).buyShares(rigId, 4, { value: pricePerShareWei.mul(4) });
+      expect((await miningRigOwnership.claimable(user2.address, rigId)).toString()).to.equal("0");
+    });
+
+    // Test remainder carry-forward
+    it("Should carry the division remainder into the next deposit", async function() {
+      // 3 shares and 10 wei: 10 * 1e18 / 3 leaves a remainder
+      await miningRigOwnership.connect(user1).buyShares(rigId, 1, { value: pricePerShareWei });
+      await miningRigOwnership.connect(user2).buyShares(rigId, 2, { value: pricePerShareWei.mul(2) });
+      
+      await miningRigOwnership.depositRewards(rigId, { value: 10 });
+      expect((await miningRigOwnership.rewardRemainder(rigId)).gt(0)).to.be.true;
+      
+      await miningRigOwnership.depositRewards(rigId, { value: 2 });
+      // 12 wei over 3 shares divides evenly once the remainder is rolled in
+      expect((await miningRigOwnership.rewardRemainder(rigId)).toString()).to.equal("0");
+      expect((await miningRigOwnership.claimable(user1.address, rigId)).toNumber()).to.equal(4);
+      expect((await miningRigOwnership.claimable(user2.address, rigId)).toNumber()).to.equal(8);
+    });
+
+    // Test reconciliation view
+    it("Should reconcile the contract balance", async function() {
+      await miningRigOwnership.registerRig(rigId2, "Queued Rig", totalShares, pricePerShareWei, maxPerWallet);
+      await miningRigOwnership.connect(user1).buyShares(rigId, 5, { value: pricePerShareWei.mul(5) });
+      await miningRigOwnership.depositRewards(rigId, { value: ethers.utils.parseEther("1") });
+      await miningRigOwnership.depositRewards(rigId2, { value: ethers.utils.parseEther("0.5") });
+      await miningRigOwnership.connect(user1).claimRewards(rigId);
+      
+      const r = await miningRigOwnership.reconcileETH();
+      expect(r.balance.toString()).to.equal(r.sales.add(r.unclaimed).add(r.queued).add(r.buyback).add(r.fees).toString());
+      expect(r.sales.toString()).to.equal(pricePerShareWei.mul(5).toString());
+      expect(r.queued.toString()).to.equal(ethers.utils.parseEther("0.5").toString());
+      expect(r.surplus.toString()).to.equal("0");
+    });
+  });
+
+  describe("Reward Accounting Invariants", function() {
+    // Small seeded PRNG (mulberry32) so failures are reproducible
+    function prng(seed) {
+      return function() {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
+    }
+
+    // Contract ETH must always equal sales + outstanding rewards, and never promise
+    // more than was deposited
+    async function checkInvariants(holders, rigIds) {
+      const r = await miningRigOwnership.reconcileETH();
+      expect(r.surplus.toString()).to.equal("0");
+      expect(r.balance.toString()).to.equal(r.sales.add(r.unclaimed).add(r.queued).add(r.buyback).add(r.fees).toString());
+      
+      let promised = ethers.constants.Zero;
+      for (const holder of holders) {
+        for (const id of rigIds) {
+          promised = promised.add(await miningRigOwnership.claimable(holder.address, id));
+        }
+      }
+      expect(promised.lte(r.unclaimed)).to.be.true;
+    }
+
+    // Send a random action, swallowing only the reverts it is expected to hit; returns
+    // whether it went through
+    async function attempt(promise, ...expectedReasons) {
+      try {
+        await (await promise).wait();
+        return true;
+      } catch (error) {
+        if (!expectedReasons.some(reason => error.message.includes(`'${reason}'`))) throw error;
+        return false;
+      }
+    }
+
+    [1, 42, 1337].forEach(seed => {
+      it(`Should not leak or strand ETH over random buy/transfer/deposit/claim sequences (seed ${seed})`, async function() {
+        const random = prng(seed);
+        const pick = list => list[Math.floor(random() * list.length)];
+        const holders = [user1, user2, user3];
+        const rigIds = [rigId, rigId2];
+        
+        // Second rig with an odd share count, no cap and fees to exercise rounding
+        await miningRigOwnership.registerRig(rigId2, "Odd Rig", 97, 7, 0);
+        await miningRigOwnership.setRigFees(rigId2, 333, 77, owner.address);
+        const price = { [rigId]: pricePerShareWei, [rigId2]: ethers.BigNumber.from(7) };
+        const succeeded = { buy: 0, transfer: 0, claim: 0 };
+        
+        for (let step = 0; step < 40; step++) {
+          const action = random();
+          const id = pick(rigIds);
+          const holder = pick(holders);
+          
+          if (action < 0.35) {
+            const amount = 1 + Math.floor(random() * 3);
+            const buy = miningRigOwnership.connect(holder).buyShares(id, amount, { value: price[id].mul(amount) });
+            if (await attempt(buy, "wallet cap exceeded", "exceeds total shares")) succeeded.buy++;
+          } else if (action < 0.55) {
+            const balance = (await miningRigOwnership.balanceOf(holder.address, id)).toNumber();
+            if (balance > 0) {
+              const to = pick(holders.filter(h => h !== holder));
+              const amount = 1 + Math.floor(random() * balance);
+              const transfer = miningRigOwnership.connect(holder).safeTransferFrom(holder.address, to.address, id, amount, "0x");
+              if (await attempt(transfer, "wallet cap exceeded")) succeeded.transfer++;
+            }
+          } else if (action < 0.85) {
+            // Odd wei amounts so divisions rarely come out even
+            const amount = ethers.BigNumber.from(1 + Math.floor(random() * 1e9)).mul(1000003);
+            await miningRigOwnership.depositRewards(id, { value: amount });
+          } else {
+            if (await attempt(miningRigOwnership.connect(holder).claimRewards(id), "nothing to claim")) succeeded.claim++;
+          }
+          
+          await checkInvariants(holders, rigIds);
+        }
+        
+        // Everyone claims everything; only rounding dust may remain
+        for (const holder of holders) {
+          await attempt(miningRigOwnership.connect(holder).claimMany(rigIds), "nothing to claim");
+        }
+        await checkInvariants(holders, rigIds);
+        
+        // The invariants mean nothing over an idle contract: every kind of action must have run
+        expect(succeeded.buy).to.be.at.least(10);
+        expect(succeeded.transfer).to.be.at.least(1);
+        expect(succeeded.claim).to.be.at.least(1);
+        
+        const r = await miningRigOwnership.reconcileETH();
+        expect(r.unclaimed.lte(100)).to.be.true; // at most ~1 wei per settlement
+      });
+    });
+  });
+
+  describe("Metadata URI", function() {
+    const metadataURI = "ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi/1.json";
+
+    // Test default URI
+    it("Should return an empty URI until one is set", async function() {
+      expect(await miningRigOwnership.uri(rigId)).to.equal("");
+    });
+
+    // Test setting a per-rig URI
+    it("Should allow owner to set a per-rig URI", async function() {
+      const tx = await miningRigOwnership.setRigURI(rigId, metadataURI);
+      
+      const event = await getEvent(tx, "URI");
+      expect(event.args.value).to.equal(metadataURI);
+      expect(event.args.id.toNumber()).to.equal(rigId);
+      expect(await miningRigOwnership.uri(rigId)).to.equal(metadataURI);
+      
+      // Other rigs are unaffected
+      expect(await miningRigOwnership.uri(rigId2)).to.equal("");
+    });
+
+    // Test URI validation
+    it("Should reject URIs for unregistered rigs", async function() {
+      try {
+        await miningRigOwnership.setRigURI(rigId2, metadataURI);
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("rig not found");
+      }
+    });
+
+    // Test URI access control
+    it("Should restrict setting URIs to the rig manager", async function() {
+      try {
+        await miningRigOwnership.connect(user1).setRigURI(rigId, metadataURI);
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("AccessControlUnauthorizedAccount");
+      }
+    });
+  });
+
+  describe("Refunds & Buyback", function() {
+    const refundWindow = 7 * 24 * 60 * 60; // 7 days
+
+    // Helper: move the chain clock forward
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    beforeEach(async function() {
+      await miningRigOwnership.setRefundWindow(rigId, refundWindow);
+    });
+
+    // Test refund within window
+    it("Should refund shares at the purchase price within the window", async function() {
+      await miningRigOwnership.connect(user1).buyShares(rigId, 5, { value: pricePerShareWei.mul(5) });
+      const balanceBefore = await ethers.provider.getBalance(user1.address);
+      
+      const tx = await miningRigOwnership.connect(user1).refundShares(rigId, 2);
+      const receipt = await tx.wait();
+      const gasUsed = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+      
+      const event = receipt.events.find(e => e.event === "SharesRefunded");
+      expect(event.args.refundWei.toString()).to.equal(pricePerShareWei.mul(2).toString());
+      
+      const balanceAfter = await ethers.provider.getBalance(user1.address);
+      expect(balanceAfter.add(gasUsed).sub(balanceBefore).toString()).to.equal(pricePerShareWei.mul(2).toString());
+      
+      // Shares are burned and sales reduced
+      expect((await miningRigOwnership.balanceOf(user1.address, rigId)).toNumber()).to.equal(3);
+      expect((await miningRigOwnership["totalSupply(uint256)"](rigId)).toNumber()).to.equal(3);
+      expect((await miningRigOwnership.totalSalesETH()).toString()).to.equal(pricePerShareWei.mul(3).toString());
+    });
+
+    // Test refund at original price after repricing
+    it("Should refund the price actually paid, not the current price", async function() {
+      await miningRigOwnership.connect(user1).buyShares(rigId, 2, { value: pricePerShareWei.mul(2) });
+      await miningRigOwnership.setRigPrice(rigId, pricePerShareWei.mul(3));
+      
+      const tx = await miningRigOwnership.connect(user1).refundShares(rigId, 2);
+      const event = await getEvent(tx, "SharesRefunded");
+      expect(event.args.refundWei.toString()).to.equal(pricePerShareWei.mul(2).toString());
+    });
+
+    // Test window expiry
+    it("Should reject refunds after the window closes", async function() {
+      await miningRigOwnership.connect(user1).buyShares(rigId, 2, { value: pricePerShareWei.mul(2) });
+      await increaseTime(refundWindow + 1);
+      
+      try {
+        await miningRigOwnership.connect(user1).refundShares(rigId, 1);
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("refund window closed");
+      }
+    });
+
+    // Test no extension by later buys
+    it("Should not extend the window of earlier shares with a later purchase", async function() {
+      await miningRigOwnership.connect(user1).buyShares(rigId, 2, { value: pricePerShareWei.mul(2) });
+      const first = await miningRigOwnership.refundablePurchases(user1.address, rigId);
+      
+      await increaseTime(refundWindow / 2);
+      await miningRigOwnership.connect(user1).buyShares(rigId, 1, { value: pricePerShareWei });
+      
+      const second = await miningRigOwnership.refundablePurchases(user1.address, rigId);
+      expect(second.deadline.toString()).to.equal(first.deadline.toString());
+      expect(second.amount.toNumber()).to.equal(3);
+    });
+
+    // Test transferred shares aren't refundable
+    it("Should stop refunds for shares moved out of the wallet", async function() {
+      await miningRigOwnership.connect(user1).buyShares(rigId, 4, { value: pricePerShareWei.mul(4) });
+      await miningRigOwnership.connect(user1).safeTransferFrom(user1.address, user2.address, rigId, 3, "0x");
+      
+      const purchase = await miningRigOwnership.refundablePurchases(user1.address, rigId);
+      expect(purchase.amount.toNumber()).to.equal(1);
+      expect(purchase.paidWei.toString()).to.equal(pricePerShareWei.toString());
+      
+      // Receiving shares back doesn't make them refundable again
+      await miningRigOwnership.connect(user2).safeTransferFrom(user2.address, user1.address, rigId, 3, "0x");
+      try {
+        await miningRigOwnership.connect(user1).refundShares(rigId, 2);
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("exceeds refundable");
+      }
+      
+      // Recipient has no refund rights
+      try {
+        await miningRigOwnership.connect(user2).refundShares(rigId, 1);
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("refund window closed");
+      }
+    });
+
+    // Test refund after owner withdrew sales
+    it("Should fail refunds the remaining sales balance can't cover", async function() {
+      await miningRigOwnership.connect(user1).buyShares(rigId, 2, { value: pricePerShareWei.mul(2) });
+      await miningRigOwnership.withdrawSales(owner.address, pricePerShareWei.mul(2));
+      
+      try {
+        await miningRigOwnership.connect(user1).refundShares(rigId, 1);
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("exceeds sales");
+      }
+    });
+
+    // Test rewards are settled before burn
+    it("Should keep rewards earned before a refund", async function() {
+      await miningRigOwnership.connect(user1).buyShares(rigId, 2, { value: pricePerShareWei.mul(2) });
+      await miningRigOwnership.connect(user2).buyShares(rigId, 2, { value: pricePerShareWei.mul(2) });
+      await miningRigOwnership.depositRewards(rigId, { value: ethers.utils.parseEther("1") });
+      
+      await miningRigOwnership.connect(user1).refundShares(rigId, 2);
+      expect((await miningRigOwnership.claimable(user1.address, rigId)).toString())
+        .to.equal(ethers.utils.parseEther("0.5").toString());
+      
+      // Later rewards go only to remaining holders
+      await miningRigOwnership.depositRewards(rigId, { value: ethers.utils.parseEther("1") });
+      expect((await miningRigOwnership.claimable(user1.address, rigId)).toString())
+        .to.equal(ethers.utils.parseEther("0.5").toString());
+      expect((await miningRigOwnership.claimable(user2.address, rigId)).toString())
+        .to.equal(ethers.utils.parseEther("1.5").toString());
+    });
+
+    // Test owner-funded buyback
+    it("Should let holders sell back shares at the buyback price", async function() {
+      await miningRigOwnership.connect(user1).buyShares(rigId, 5, { value: pricePerShareWei.mul(5) });
+      await increaseTime(refundWindow + 1);
+      
+      const buybackPrice = ethers.utils.parseEther("0.008");
+      await miningRigOwnership.openBuyback(rigId, buybackPrice, { value: buybackPrice.mul(3) });
+      
+      const tx = await miningRigOwnership.connect(user1).sellBackShares(rigId, 3);
+      const event = await getEvent(tx, "SharesBoughtBack");
+      expect(event.args.paidWei.toString()).to.equal(buybackPrice.mul(3).toString());
+      
+      expect((await miningRigOwnership.balanceOf(user1.address, rigId)).toNumber()).to.equal(2);
+      expect((await miningRigOwnership.buybackFunds(rigId)).toString()).to.equal("0");
+      
+      // Sales are untouched by buybacks
+      expect((await miningRigOwnership.totalSalesETH()).toString()).to.equal(pricePerShareWei.mul(5).toString());
+      
+      try {
+        await miningRigOwnership.connect(user1).sellBackShares(rigId, 1);
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("buyback underfunded");
+      }
+    });
+
+    // Test closing buyback
+    it("Should return unspent buyback funds when closed", async function() {
+      const buybackPrice = ethers.utils.parseEther("0.008");
+      await miningRigOwnership.openBuyback(rigId, buybackPrice, { value: buybackPrice.mul(3) });
+      
+      const tx = await miningRigOwnership.closeBuyback(rigId, user3.address);
+      const event = await getEvent(tx, "BuybackClosed");
+      expect(event.args.returnedWei.toString()).to.equal(buybackPrice.mul(3).toString());
+      expect((await miningRigOwnership.totalBuybackETH()).toString()).to.equal("0");
+      
+      try {
+        await miningRigOwnership.connect(user1).sellBackShares(rigId, 1);
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("no buyback");
+      }
+    });
+
+    // Test reconciliation with buyback funds
+    it("Should include buyback funds in reconciliation", async function() {
+      await miningRigOwnership.openBuyback(rigId, pricePerShareWei, { value: pricePerShareWei.mul(4) });
+      
+      const r = await miningRigOwnership.reconcileETH();
+      expect(r.buyback.toString()).to.equal(pricePerShareWei.mul(4).toString());
+      expect(r.surplus.toString()).to.equal("0");
+    });
+  });
+
+  describe("Fees", function() {
+    const operatorBps = 500; // 5%
+    const hostingBps = 200;  // 2%
+    
+    // Test fee configuration
+    it("Should let the owner set rig fees within bounds", async function() {
+      await expect(miningRigOwnership.setRigFees(rigId, operatorBps, hostingBps, user3.address))
+        .to.emit(miningRigOwnership, "RigFeesUpdated")
+        .withArgs(rigId, operatorBps, hostingBps, user3.address);
+      
+      const fees = await miningRigOwnership.rigFees(rigId);
+      expect(fees.operatorBps).to.equal(operatorBps);
+      expect(fees.hostingBps).to.equal(hostingBps);
+      expect(fees.hostingRecipient).to.equal(user3.address);
+      
+      await expect(miningRigOwnership.connect(user1).setRigFees(rigId, 1, 0, ethers.constants.AddressZero))
+        .to.be.revertedWithCustomError(miningRigOwnership, "AccessControlUnauthorizedAccount");
+      await expect(miningRigOwnership.setRigFees(rigId, 4000, 1001, user3.address)).to.be.revertedWith("fee too high");
+      await expect(miningRigOwnership.setRigFees(rigId, 0, 100, ethers.constants.AddressZero)).to.be.revertedWith("zero addr");
+      await expect(miningRigOwnership.setRigFees(99, 100, 0, ethers.constants.AddressZero)).to.be.revertedWith("rig not found");
+    });
+    
+    // Test the split on deposit
+    it("Should take fees off a deposit before holders are credited", async function() {
+      await miningRigOwnership.setRigFees(rigId, operatorBps, hostingBps, user3.address);
+      await miningRigOwnership.connect(user1).buyShares(rigId, 4, { value: pricePerShareWei.mul(4) });
+      const gross = ethers.utils.parseEther("1");
+      
+      const tx = await miningRigOwnership.depositRewards(rigId, { value: gross });
+      const event = await getEvent(tx, "RewardsDeposited");
+      expect(event.args.grossWei).to.equal(gross);
+      expect(event.args.feeWei).to.equal(ethers.utils.parseEther("0.07"));
+      expect(event.args.netWei).to.equal(ethers.utils.parseEther("0.93"));
+      
+      expect(await miningRigOwnership.feeBalances(owner.address)).to.equal(ethers.utils.parseEther("0.05"));
+      expect(await miningRigOwnership.feeBalances(user3.address)).to.equal(ethers.utils.parseEther("0.02"));
+      expect(await miningRigOwnership.totalFeeETH()).to.equal(ethers.utils.parseEther("0.07"));
+      expect(await miningRigOwnership.totalRewardETH()).to.equal(ethers.utils.parseEther("0.93"));
+      expect(await miningRigOwnership.claimable(user1.address, rigId)).to.equal(ethers.utils.parseEther("0.93"));
+      
+      // Sales are tracked separately from fees
+      expect(await miningRigOwnership.totalSalesETH()).to.equal(pricePerShareWei.mul(4));
+    });
+    
+    // Test queued deposits
+    it("Should take fees when a deposit is queued, not again on release", async function() {
+      await miningRigOwnership.setRigFees(rigId, operatorBps, 0, ethers.constants.AddressZero);
+      await miningRigOwnership.depositRewards(rigId, { value: ethers.utils.parseEther("1") });
+      expect(await miningRigOwnership.queuedRewards(rigId)).to.equal(ethers.utils.parseEther("0.95"));
+      
+      const tx = await miningRigOwnership.connect(user1).buyShares(rigId, 2, { value: pricePerShareWei.mul(2) });
+      const event = await getEvent(tx, "RewardsDeposited");
+      expect(event.args.feeWei).to.equal(0);
+      expect(event.args.netWei).to.equal(ethers.utils.parseEther("0.95"));
+      expect(await miningRigOwnership.claimable(user1.address, rigId)).to.equal(ethers.utils.parseEther("0.95"));
+      expect(await miningRigOwnership.feeBalances(owner.address)).to.equal(ethers.utils.parseEther("0.05"));
+    });
+    
+    // Test withdrawals
+    it("Should let each recipient withdraw its own fees", async function() {
+      await miningRigOwnership.setRigFees(rigId, operatorBps, hostingBps, user3.address);
+      await miningRigOwnership.connect(user1).buyShares(rigId, 4, { value: pricePerShareWei.mul(4) });
+      await miningRigOwnership.depositRewards(rigId, { value: ethers.utils.parseEther("1") });
+      
+      await expect(miningRigOwnership.connect(user3).withdrawFees(user2.address))
+        .to.emit(miningRigOwnership, "FeesWithdrawn")
+        .withArgs(user3.address, user2.address, ethers.utils.parseEther("0.02"))
+        .and.to.changeEtherBalance(user2, ethers.utils.parseEther("0.02"));
+      await expect(miningRigOwnership.connect(user3).withdrawFees(user3.address)).to.be.revertedWith("no fees");
+      await expect(miningRigOwnership.connect(user2).withdrawFees(user2.address)).to.be.revertedWith("no fees");
+      
+      // Fees are not sales, and sales can't be withdrawn out of fees
+      await expect(miningRigOwnership.withdrawSales(owner.address, pricePerShareWei.mul(4).add(1))).to.be.revertedWith("exceeds sales");
+      await miningRigOwnership.withdrawFees(owner.address);
+      expect(await miningRigOwnership.totalFeeETH()).to.equal(0);
+      
+      const r = await miningRigOwnership.reconcileETH();
+      expect(r.fees).to.equal(0);
+      expect(r.surplus).to.equal(0);
+    });
+    
+    // Test operator recipient changes
+    it("Should accrue operator fees to the current operator fee recipient", async function() {
+      await miningRigOwnership.setRigFees(rigId, operatorBps, 0, ethers.constants.AddressZero);
+      await miningRigOwnership.connect(user1).buyShares(rigId, 4, { value: pricePerShareWei.mul(4) });
+      
+      await expect(miningRigOwnership.setOperatorFeeRecipient(user2.address))
+        .to.emit(miningRigOwnership, "OperatorFeeRecipientUpdated")
+        .withArgs(user2.address);
+      await miningRigOwnership.depositRewards(rigId, { value: ethers.utils.parseEther("1") });
+      
+      expect(await miningRigOwnership.feeBalances(user2.address)).to.equal(ethers.utils.parseEther("0.05"));
+      expect(await miningRigOwnership.feeBalances(owner.address)).to.equal(0);
+      await expect(miningRigOwnership.setOperatorFeeRecipient(ethers.constants.AddressZero)).to.be.revertedWith("zero addr");
+    });
+    
+    // Test reconciliation with fees
+    it("Should include unwithdrawn fees in reconciliation", async function() {
+      await miningRigOwnership.setRigFees(rigId, operatorBps, hostingBps, user3.address);
+      await miningRigOwnership.connect(user1).buyShares(rigId, 3, { value: pricePerShareWei.mul(3) });
+      await miningRigOwnership.depositRewards(rigId, { value: 1000003 });
+      
+      const r = await miningRigOwnership.reconcileETH();
+      expect(r.fees).to.equal(70000); // 50000 + 20000, rounded down per fee
+      expect(r.balance).to.equal(r.sales.add(r.unclaimed).add(r.queued).add(r.buyback).add(r.fees));
+      expect(r.surplus).to.equal(0);
+    });
+  });
+
   describe("Admin Functions", function() {
     beforeEach(async function() {
       // Setup: User buys shares to generate sales
@@ -361,4 +1250,237 @@ describe("MiningRigOwnership", function() {
       }
     });
   });
+
+  describe("Emergency Pause", function() {
+    beforeEach(async function() {
+      await miningRigOwnership.setRefundWindow(rigId, 3600);
+      await miningRigOwnership.connect(user1).buyShares(rigId, 4, { value: pricePerShareWei.mul(4) });
+      await miningRigOwnership.depositRewards(rigId, { value: ethers.utils.parseEther("1") });
+      await miningRigOwnership.openBuyback(rigId, pricePerShareWei, { value: pricePerShareWei.mul(2) });
+    });
+    
+    // Test who can pause
+    it("Should let only the pauser pause and only the admin unpause", async function() {
+      const pauserRole = await miningRigOwnership.PAUSER_ROLE();
+      await miningRigOwnership.grantRole(pauserRole, user3.address);
+      
+      await expect(miningRigOwnership.connect(user1).pause())
+        .to.be.revertedWithCustomError(miningRigOwnership, "AccessControlUnauthorizedAccount");
+      await expect(miningRigOwnership.connect(user3).pause())
+        .to.emit(miningRigOwnership, "Paused").withArgs(user3.address);
+      expect(await miningRigOwnership.paused()).to.be.true;
+      
+      // A pauser key alone can't lift the pause
+      await expect(miningRigOwnership.connect(user3).unpause())
+        .to.be.revertedWithCustomError(miningRigOwnership, "AccessControlUnauthorizedAccount");
+      await expect(miningRigOwnership.unpause()).to.emit(miningRigOwnership, "Unpaused");
+      expect(await miningRigOwnership.paused()).to.be.false;
+    });
+    
+    // Test what stops
+    it("Should block mints, transfers, burns and deposits while paused", async function() {
+      await miningRigOwnership.pause();
+      
+      const blocked = [
+        () => miningRigOwnership.connect(user2).buyShares(rigId, 1, { value: pricePerShareWei }),
+        () => miningRigOwnership.connect(user1).safeTransferFrom(user1.address, user2.address, rigId, 1, "0x"),
+        () => miningRigOwnership.connect(user1).safeBatchTransferFrom(user1.address, user2.address, [rigId], [1], "0x"),
+        () => miningRigOwnership.connect(user1).refundShares(rigId, 1),
+        () => miningRigOwnership.connect(user1).sellBackShares(rigId, 1),
+        () => miningRigOwnership.depositRewards(rigId, { value: 1000 }),
+        () => miningRigOwnership.depositTokenRewards(rigId, user3.address, 1)
+      ];
+      for (const call of blocked) {
+        await expect(call()).to.be.revertedWithCustomError(miningRigOwnership, "EnforcedPause");
+      }
+    });
+    
+    // Test what stays open
+    it("Should keep claims and withdrawals open while paused", async function() {
+      await miningRigOwnership.setRigFees(rigId, 500, 0, ethers.constants.AddressZero);
+      await miningRigOwnership.depositRewards(rigId, { value: ethers.utils.parseEther("1") });
+      await miningRigOwnership.pause();
+      
+      await expect(miningRigOwnership.connect(user1).claimRewards(rigId))
+        .to.changeEtherBalance(user1, ethers.utils.parseEther("1.95"));
+      await expect(miningRigOwnership.withdrawFees(owner.address)).not.to.be.reverted;
+      await expect(miningRigOwnership.withdrawSales(owner.address, pricePerShareWei)).not.to.be.reverted;
+      await expect(miningRigOwnership.closeBuyback(rigId, owner.address)).not.to.be.reverted;
+      
+      // Admin configuration still works, so a fix can be prepared before unpausing
+      await expect(miningRigOwnership.setRigPrice(rigId, pricePerShareWei.mul(2))).not.to.be.reverted;
+      await expect(miningRigOwnership.deactivateRig(rigId)).not.to.be.reverted;
+    });
+    
+    // Test claimMany while paused
+    it("Should let holders claim several rigs at once while paused", async function() {
+      await miningRigOwnership.registerRig(rigId2, "Second Rig", totalShares, pricePerShareWei, 0);
+      await miningRigOwnership.connect(user1).buyShares(rigId2, 1, { value: pricePerShareWei });
+      await miningRigOwnership.depositRewards(rigId2, { value: ethers.utils.parseEther("0.5") });
+      await miningRigOwnership.pause();
+      
+      await expect(miningRigOwnership.connect(user1).claimMany([rigId, rigId2]))
+        .to.changeEtherBalance(user1, ethers.utils.parseEther("1.5"));
+    });
+    
+    // Test resuming
+    it("Should resume transfers and deposits after unpausing", async function() {
+      await miningRigOwnership.pause();
+      await miningRigOwnership.unpause();
+      
+      await miningRigOwnership.connect(user1).safeTransferFrom(user1.address, user2.address, rigId, 1, "0x");
+      await miningRigOwnership.depositRewards(rigId, { value: ethers.utils.parseEther("1") });
+      expect(await miningRigOwnership.balanceOf(user2.address, rigId)).to.equal(1);
+      expect(await miningRigOwnership.claimable(user2.address, rigId)).to.equal(ethers.utils.parseEther("0.25"));
+    });
+    
+    // Test surplus rescue
+    it("Should rescue only ETH the accounting doesn't explain", async function() {
+      await expect(miningRigOwnership.rescueSurplusETH(owner.address)).to.be.revertedWith("no surplus");
+      
+      // Simulate force-sent ETH (selfdestruct / coinbase) by topping up the balance directly
+      const extra = ethers.utils.parseEther("0.3");
+      const balance = await ethers.provider.getBalance(miningRigOwnership.address);
+      await ethers.provider.send("hardhat_setBalance", [
+        miningRigOwnership.address,
+        ethers.utils.hexStripZeros(balance.add(extra).toHexString())
+      ]);
+      const before = await miningRigOwnership.reconcileETH();
+      expect(before.surplus).to.equal(extra);
+      
+      await expect(miningRigOwnership.connect(user3).rescueSurplusETH(user3.address))
+        .to.be.revertedWithCustomError(miningRigOwnership, "AccessControlUnauthorizedAccount");
+      await miningRigOwnership.pause();
+      await expect(miningRigOwnership.rescueSurplusETH(user3.address))
+        .to.emit(miningRigOwnership, "SurplusRescued").withArgs(user3.address, extra)
+        .and.to.changeEtherBalance(user3, extra);
+      
+      const after = await miningRigOwnership.reconcileETH();
+      expect(after.surplus).to.equal(0);
+      expect(after.sales).to.equal(before.sales);
+      expect(after.unclaimed).to.equal(before.unclaimed);
+      expect(after.buyback).to.equal(before.buyback);
+    });
+  });
+
+  describe("Access Control", function() {
+    let roles;
+    
+    // One representative call per role; each runs as `signer`
+    const roleCalls = {
+      RIG_MANAGER_ROLE: signer => miningRigOwnership.connect(signer).registerRig(9, "New Rig", 10, pricePerShareWei, 0),
+      REWARD_DEPOSITOR_ROLE: signer => miningRigOwnership.connect(signer).depositRewards(rigId, { value: 1000 }),
+      TREASURER_ROLE: signer => miningRigOwnership.connect(signer).withdrawSales(signer.address, 0),
+      PAUSER_ROLE: signer => miningRigOwnership.connect(signer).deactivateRig(rigId)
+    };
+    
+    beforeEach(async function() {
+      roles = {};
+      for (const name of Object.keys(roleCalls)) {
+        roles[name] = await miningRigOwnership[name]();
+      }
+      await miningRigOwnership.connect(user1).buyShares(rigId, 2, { value: pricePerShareWei.mul(2) });
+    });
+    
+    // Test initial grants
+    it("Should grant every role and the admin role to the deployer", async function() {
+      for (const role of Object.values(roles)) {
+        expect(await miningRigOwnership.hasRole(role, owner.address)).to.be.true;
+      }
+      expect(await miningRigOwnership.hasRole(ethers.constants.HashZero, owner.address)).to.be.true;
+      expect(await miningRigOwnership.defaultAdmin()).to.equal(owner.address);
+    });
+    
+    // Test each role boundary
+    it("Should let each role call only its own functions", async function() {
+      for (const [name, role] of Object.entries(roles)) {
+        const snapshot = await ethers.provider.send("evm_snapshot", []);
+        await miningRigOwnership.grantRole(role, user2.address);
+        
+        for (const [otherName, call] of Object.entries(roleCalls)) {
+          if (otherName === name) {
+            await expect(call(user2), `${name} calling its own function`).not.to.be.reverted;
+          } else {
+            await expect(call(user2), `${name} calling a ${otherName} function`)
+              .to.be.revertedWithCustomError(miningRigOwnership, "AccessControlUnauthorizedAccount")
+              .withArgs(user2.address, roles[otherName]);
+          }
+        }
+        await ethers.provider.send("evm_revert", [snapshot]);
+      }
+    });
+    
+    // Test the remaining gated functions
+    it("Should gate configuration, treasury and pause functions by role", async function() {
+      const checks = [
+        [roles.RIG_MANAGER_ROLE, () => miningRigOwnership.connect(user2).setRigPrice(rigId, 1)],
+        [roles.RIG_MANAGER_ROLE, () => miningRigOwnership.connect(user2).setRigFees(rigId, 100, 0, ethers.constants.AddressZero)],
+        [roles.RIG_MANAGER_ROLE, () => miningRigOwnership.connect(user2).setRefundWindow(rigId, 3600)],
+        [roles.RIG_MANAGER_ROLE, () => miningRigOwnership.connect(user2).setRewardToken(user3.address, true)],
+        [roles.REWARD_DEPOSITOR_ROLE, () => miningRigOwnership.connect(user2).depositTokenRewards(rigId, user3.address, 1)],
+        [roles.TREASURER_ROLE, () => miningRigOwnership.connect(user2).openBuyback(rigId, 1)],
+        [roles.TREASURER_ROLE, () => miningRigOwnership.connect(user2).closeBuyback(rigId, user2.address)],
+        [roles.TREASURER_ROLE, () => miningRigOwnership.connect(user2).setOperatorFeeRecipient(user2.address)],
+        [roles.PAUSER_ROLE, () => miningRigOwnership.connect(user2).reactivateRig(rigId)]
+      ];
+      for (const [role, call] of checks) {
+        await expect(call())
+          .to.be.revertedWithCustomError(miningRigOwnership, "AccessControlUnauthorizedAccount")
+          .withArgs(user2.address, role);
+      }
+    });
+    
+    // Test a dedicated depositor key
+    it("Should stop a revoked depositor from depositing", async function() {
+      await miningRigOwnership.grantRole(roles.REWARD_DEPOSITOR_ROLE, user3.address);
+      await miningRigOwnership.connect(user3).depositRewards(rigId, { value: ethers.utils.parseEther("1") });
+      expect(await miningRigOwnership.claimable(user1.address, rigId)).to.equal(ethers.utils.parseEther("1"));
+      
+      await miningRigOwnership.revokeRole(roles.REWARD_DEPOSITOR_ROLE, user3.address);
+      await expect(miningRigOwnership.connect(user3).depositRewards(rigId, { value: 1 }))
+        .to.be.revertedWithCustomError(miningRigOwnership, "AccessControlUnauthorizedAccount");
+    });
+    
+    // Test role administration
+    it("Should only let the admin grant roles", async function() {
+      await expect(miningRigOwnership.connect(user1).grantRole(roles.TREASURER_ROLE, user1.address))
+        .to.be.revertedWithCustomError(miningRigOwnership, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, ethers.constants.HashZero);
+      
+      // The admin role itself only moves through the two-step handover
+      await expect(miningRigOwnership.grantRole(ethers.constants.HashZero, user1.address))
+        .to.be.revertedWithCustomError(miningRigOwnership, "AccessControlEnforcedDefaultAdminRules");
+    });
+    
+    // Test the two-step admin handover
+    it("Should hand over the admin role only once the new admin accepts", async function() {
+      await miningRigOwnership.beginDefaultAdminTransfer(user1.address);
+      expect((await miningRigOwnership.pendingDefaultAdmin()).newAdmin).to.equal(user1.address);
+      
+      // Nothing changes until the pending admin accepts
+      expect(await miningRigOwnership.defaultAdmin()).to.equal(owner.address);
+      await expect(miningRigOwnership.connect(user2).acceptDefaultAdminTransfer())
+        .to.be.revertedWithCustomError(miningRigOwnership, "AccessControlInvalidDefaultAdmin");
+      
+      await miningRigOwnership.connect(user1).acceptDefaultAdminTransfer();
+      expect(await miningRigOwnership.defaultAdmin()).to.equal(user1.address);
+      expect(await miningRigOwnership.owner()).to.equal(user1.address);
+      expect(await miningRigOwnership.hasRole(ethers.constants.HashZero, owner.address)).to.be.false;
+      
+      // Operational roles stay where they were until the new admin moves them
+      expect(await miningRigOwnership.hasRole(roles.TREASURER_ROLE, owner.address)).to.be.true;
+      await miningRigOwnership.connect(user1).revokeRole(roles.TREASURER_ROLE, owner.address);
+      expect(await miningRigOwnership.hasRole(roles.TREASURER_ROLE, owner.address)).to.be.false;
+    });
+    
+    // Test cancelling a handover
+    it("Should let the admin cancel a pending handover", async function() {
+      await miningRigOwnership.beginDefaultAdminTransfer(user1.address);
+      await miningRigOwnership.cancelDefaultAdminTransfer();
+      
+      await expect(miningRigOwnership.connect(user1).acceptDefaultAdminTransfer())
+        .to.be.revertedWithCustomError(miningRigOwnership, "AccessControlInvalidDefaultAdmin");
+      expect(await miningRigOwnership.defaultAdmin()).to.equal(owner.address);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,274 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+require("@nomicfoundation/hardhat-chai-matchers");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createRewardOracle } = require("../oracle/reward-oracle");
+const { createDropFolderSource } = require("../oracle/drop-folder-source");
+const { deployMiningRigOwnership } = require("../scripts/upgrades");
+
+describe("Reward oracle", function() {
+  let miningRigOwnership;
+  let owner;
+  let user1;
+  let workDir;
+  let reportsDir;
+  let stateFile;
+  let logs;
+
+  const pricePerShareWei = ethers.utils.parseEther("0.01");
+
+  function writeReport(name, contents) {
+    fs.writeFileSync(path.join(reportsDir, name), typeof contents === "string" ? contents : JSON.stringify(contents));
+  }
+
+  function readState() {
+    return JSON.parse(fs.readFileSync(stateFile, "utf8")).deposits;
+  }
+
+  function stateKey(rigId, period) {
+    return `31337:${miningRigOwnership.address.toLowerCase()}:rig-${rigId}:${period}`;
+  }
+
+  function oracle(options = {}) {
+    const log = message => logs.push(message);
+    return createRewardOracle({
+      contract: miningRigOwnership,
+      source: createDropFolderSource(reportsDir, { log }),
+      stateFile,
+      retryDelayMs: 1,
+      log,
+      ...options
+    });
+  }
+
+  // The contract with depositRewards failing for the first `failures` calls
+  function flakyContract(failures) {
+    const flaky = Object.create(miningRigOwnership);
+    let calls = 0;
+    // ethers defines contract methods read-only, so plain assignment would be ignored
+    Object.defineProperty(flaky, "depositRewards", {
+      value: (...args) => {
+        calls++;
+        if (calls <= failures) return Promise.reject(new Error("network error"));
+        return miningRigOwnership.depositRewards(...args);
+      }
+    });
+    return flaky;
+  }
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    ({ contract: miningRigOwnership } = await deployMiningRigOwnership(hre));
+
+    await miningRigOwnership.registerRig(1, "Rig One", 100, pricePerShareWei, 0);
+    await miningRigOwnership.registerRig(2, "Rig Two", 100, pricePerShareWei, 0);
+    await miningRigOwnership.connect(user1).buyShares(1, 10, { value: pricePerShareWei.mul(10) });
+
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "reward-oracle-"));
+    reportsDir = path.join(workDir, "reports");
+    fs.mkdirSync(reportsDir);
+    stateFile = path.join(workDir, "state.json");
+    logs = [];
+  });
+
+  afterEach(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe("Deposits", function () {
+    it("Should deposit reports from JSON and CSV files", async function () {
+      writeReport("2026-10-16.json", [{ rigId: 1, period: "2026-10-16", amount: "0.5" }]);
+      writeReport("2026-10-17.csv", "rigId,period,amount\n1,2026-10-17,0.25\n");
+
+      const summary = await oracle().runOnce();
+
+      expect(summary.deposited).to.equal(2);
+      expect(await miningRigOwnership.claimable(user1.address, 1)).to.equal(ethers.utils.parseEther("0.75"));
+
+      const entry = readState()[stateKey(1, "2026-10-17")];
+      expect(entry.status).to.equal("deposited");
+      expect(entry.amountWei).to.equal(ethers.utils.parseEther("0.25").toString());
+      expect(entry.txHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(entry.source).to.equal("2026-10-17.csv#1");
+    });
+
+    it("Should never deposit the same period twice, across runs and restarts", async function () {
+      writeReport("a.json", [{ rigId: 1, period: "2026-10-16", amount: "0.5" }]);
+      writeReport("b.csv", "rigId,period,amount\n1,2026-10-16,0.5\n");
+
+      const first = await oracle().runOnce();
+      const second = await oracle().runOnce();
+
+      expect(first.deposited).to.equal(1);
+      expect(first.alreadyDone).to.equal(1);
+      expect(second.deposited).to.equal(0);
+      expect(second.alreadyDone).to.equal(2);
+      expect(await miningRigOwnership.claimable(user1.address, 1)).to.equal(ethers.utils.parseEther("0.5"));
+    });
+
+    it("Should honour an explicit idempotency key", async function () {
+      writeReport("a.json", [
+        { rigId: 1, period: "2026-10", amount: "0.1", key: "payout-1" },
+        { rigId: 1, period: "2026-10-bis", amount: "0.1", key: "payout-1" }
+      ]);
+
+      const summary = await oracle().runOnce();
+
+      expect(summary.deposited).to.equal(1);
+      expect(readState()["payout-1"].status).to.equal("deposited");
+    });
+
+    it("Should ignore a report whose amount changed after it was deposited", async function () {
+      writeReport("a.json", [{ rigId: 1, period: "2026-10-16", amount: "0.5" }]);
+      await oracle().runOnce();
+
+      writeReport("a.json", [{ rigId: 1, period: "2026-10-16", amount: "0.7" }]);
+      const summary = await oracle().runOnce();
+
+      expect(summary.conflicts).to.equal(1);
+      expect(await miningRigOwnership.claimable(user1.address, 1)).to.equal(ethers.utils.parseEther("0.5"));
+      expect(logs.join("\n")).to.include("was already deposited; ignoring it");
+    });
+  });
+
+  describe("Skips", function () {
+    it("Should skip and log periods for rigs with no holders yet", async function () {
+      writeReport("a.json", [{ rigId: 2, period: "2026-10-16", amount: "0.5" }]);
+
+      const summary = await oracle().runOnce();
+      await miningRigOwnership.connect(user1).buyShares(2, 1, { value: pricePerShareWei });
+      const later = await oracle().runOnce();
+
+      expect(summary.skipped).to.equal(1);
+      expect(later.alreadyDone).to.equal(1);
+      expect(readState()[stateKey(2, "2026-10-16")]).to.include({ status: "skipped", reason: "no holders yet" });
+      expect(logs.join("\n")).to.include("has no holders yet");
+      expect(await miningRigOwnership.queuedRewards(2)).to.equal(0);
+    });
+
+    it("Should deposit into the queue with queueWithoutHolders", async function () {
+      writeReport("a.json", [{ rigId: 2, period: "2026-10-16", amount: "0.5" }]);
+
+      const summary = await oracle({ queueWithoutHolders: true }).runOnce();
+
+      expect(summary.deposited).to.equal(1);
+      expect(await miningRigOwnership.queuedRewards(2)).to.equal(ethers.utils.parseEther("0.5"));
+    });
+
+    it("Should defer paused rigs until they are resumed", async function () {
+      writeReport("a.json", [{ rigId: 1, period: "2026-10-16", amount: "0.5" }]);
+      await miningRigOwnership.deactivateRig(1);
+
+      const paused = await oracle().runOnce();
+      await miningRigOwnership.reactivateRig(1);
+      const resumed = await oracle().runOnce();
+
+      expect(paused.deferred).to.equal(1);
+      expect(resumed.deposited).to.equal(1);
+    });
+
+    it("Should skip reports for decommissioned rigs instead of deferring them", async function () {
+      writeReport("a.json", [{ rigId: 1, period: "2026-10-16", amount: "0.5" }]);
+      await miningRigOwnership.decommissionRig(1, 0, 30 * 24 * 60 * 60);
+
+      const summary = await oracle().runOnce();
+      const later = await oracle().runOnce();
+
+      expect(summary.skipped).to.equal(1);
+      expect(summary.deferred).to.equal(0);
+      expect(later.alreadyDone).to.equal(1);
+      expect(readState()[stateKey(1, "2026-10-16")]).to.include({ status: "skipped", reason: "rig decommissioned" });
+      expect(logs.join("\n")).to.include("rig #1 is decommissioned");
+    });
+
+    it("Should defer everything while the contract is paused", async function () {
+      writeReport("a.json", [{ rigId: 1, period: "2026-10-16", amount: "0.5" }]);
+      await miningRigOwnership.pause();
+
+      const paused = await oracle().runOnce();
+      await miningRigOwnership.unpause();
+      const resumed = await oracle().runOnce();
+
+      expect(paused.deferred).to.equal(1);
+      expect(logs.join("\n")).to.include("Contract is paused");
+      expect(resumed.deposited).to.equal(1);
+    });
+
+    it("Should log and skip invalid reports", async function () {
+      writeReport("bad.json", "{ not json");
+      writeReport("rows.csv", "rigId,period,amount\nx,2026-10-16,0.5\n1,,0.5\n1,2026-10-16,-1\n1,2026-10-17,0.5\n");
+
+      const summary = await oracle().runOnce();
+
+      expect(summary.deposited).to.equal(1);
+      const output = logs.join("\n");
+      expect(output).to.include("Skipping bad.json");
+      expect(output).to.include("Skipping rows.csv report 1: rigId must be a whole number");
+      expect(output).to.include("Skipping rows.csv report 2: missing period");
+      expect(output).to.include("Skipping rows.csv report 3: amount must be greater than zero");
+    });
+  });
+
+  describe("Retries", function () {
+    it("Should retry failed sends", async function () {
+      writeReport("a.json", [{ rigId: 1, period: "2026-10-16", amount: "0.5" }]);
+
+      const summary = await oracle({ contract: flakyContract(2), maxAttempts: 3 }).runOnce();
+
+      expect(summary.deposited).to.equal(1);
+      expect(readState()[stateKey(1, "2026-10-16")].attempts).to.equal(3);
+      expect(logs.join("\n")).to.include("attempt 2/3 failed: network error");
+    });
+
+    it("Should mark a report failed after the last attempt and retry it next run", async function () {
+      writeReport("a.json", [{ rigId: 1, period: "2026-10-16", amount: "0.5" }]);
+
+      const failed = await oracle({ contract: flakyContract(5), maxAttempts: 2 }).runOnce();
+      expect(failed.failed).to.equal(1);
+      expect(readState()[stateKey(1, "2026-10-16")]).to.include({ status: "failed", error: "network error" });
+
+      const retried = await oracle().runOnce();
+      expect(retried.deposited).to.equal(1);
+      expect(await miningRigOwnership.claimable(user1.address, 1)).to.equal(ethers.utils.parseEther("0.5"));
+    });
+
+    it("Should not resend a submitted transaction that was mined", async function () {
+      writeReport("a.json", [{ rigId: 1, period: "2026-10-16", amount: "0.5" }]);
+      const amountWei = ethers.utils.parseEther("0.5");
+
+      // Simulate a crash after sending but before the receipt was recorded
+      const tx = await miningRigOwnership.depositRewards(1, { value: amountWei });
+      await tx.wait();
+      fs.writeFileSync(stateFile, JSON.stringify({
+        deposits: {
+          [stateKey(1, "2026-10-16")]: { rigId: "1", period: "2026-10-16", amountWei: amountWei.toString(), status: "submitted", txHash: tx.hash }
+        }
+      }));
+
+      const summary = await oracle().runOnce();
+
+      expect(summary.deposited).to.equal(1);
+      expect(readState()[stateKey(1, "2026-10-16")].status).to.equal("deposited");
+      expect(await miningRigOwnership.claimable(user1.address, 1)).to.equal(amountWei);
+    });
+  });
+
+  describe("Polling", function () {
+    it("Should pick up new reports while running and stop cleanly", async function () {
+      const service = oracle();
+      service.start(20);
+      writeReport("a.json", [{ rigId: 1, period: "2026-10-16", amount: "0.5" }]);
+
+      for (let i = 0; i < 100 && !fs.existsSync(stateFile); i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      await service.stop();
+
+      expect(readState()[stateKey(1, "2026-10-16")].status).to.equal("deposited");
+    });
+  });
+});
@@ -0,0 +1,237 @@
+const { expect } = require("chai");
+require("@nomicfoundation/hardhat-chai-matchers");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployMiningRigOwnership } = require("../scripts/upgrades");
+
+describe("RigShareMarket", function() {
+  // Test variables
+  let miningRigOwnership;
+  let market;
+  let owner;
+  let seller;
+  let buyer;
+  let buyer2;
+
+  // Constants for testing
+  const rigId = 1;
+  const totalShares = 100;
+  const pricePerShareWei = ethers.utils.parseEther("0.01");
+  const maxPerWallet = 10;
+  const askPerShareWei = ethers.utils.parseEther("0.015");
+
+  // Helper function to get event from transaction receipt
+  async function getEvent(tx, eventName) {
+    const receipt = await tx.wait();
+    const event = receipt.events.find(e => e.event === eventName);
+    return event;
+  }
+
+  // Helper: list shares as `from` and return the new listing ID
+  async function list(from, amount, price = askPerShareWei) {
+    const tx = await market.connect(from).createListing(rigId, amount, price);
+    const event = await getEvent(tx, "ListingCreated");
+    return event.args.listingId;
+  }
+
+  beforeEach(async function () {
+    [owner, seller, buyer, buyer2] = await ethers.getSigners();
+
+    ({ contract: miningRigOwnership } = await deployMiningRigOwnership(hre));
+
+    const RigShareMarket = await ethers.getContractFactory("RigShareMarket");
+    market = await RigShareMarket.deploy(miningRigOwnership.address);
+    await market.deployed();
+
+    await miningRigOwnership.registerRig(rigId, "Test Mining Rig", totalShares, pricePerShareWei, maxPerWallet);
+
+    // Seller holds 8 shares and approves the market
+    await miningRigOwnership.connect(seller).buyShares(rigId, 8, { value: pricePerShareWei.mul(8) });
+    await miningRigOwnership.connect(seller).setApprovalForAll(market.address, true);
+  });
+
+  describe("Listings", function() {
+    // Test listing creation
+    it("Should let a holder list shares", async function() {
+      const tx = await market.connect(seller).createListing(rigId, 5, askPerShareWei);
+      const event = await getEvent(tx, "ListingCreated");
+      expect(event.args.listingId.toNumber()).to.equal(1);
+      expect(event.args.seller).to.equal(seller.address);
+
+      const listing = await market.listings(1);
+      expect(listing.amount.toNumber()).to.equal(5);
+      expect(listing.pricePerShareWei.toString()).to.equal(askPerShareWei.toString());
+
+      // Shares stay with the seller until filled
+      expect((await miningRigOwnership.balanceOf(seller.address, rigId)).toNumber()).to.equal(8);
+    });
+
+    // Test listing validation
+    it("Should reject listings the seller can't cover", async function() {
+      try {
+        await market.connect(seller).createListing(rigId, 9, askPerShareWei);
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("insufficient shares");
+      }
+    });
+
+    // Test approval requirement
+    it("Should require market approval", async function() {
+      await miningRigOwnership.connect(buyer).buyShares(rigId, 1, { value: pricePerShareWei });
+      try {
+        await market.connect(buyer).createListing(rigId, 1, askPerShareWei);
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("market not approved");
+      }
+    });
+
+    // Test cancellation
+    it("Should let only the seller cancel a listing", async function() {
+      const listingId = await list(seller, 5);
+
+      try {
+        await market.connect(buyer).cancelListing(listingId);
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("not seller");
+      }
+
+      const tx = await market.connect(seller).cancelListing(listingId);
+      expect(await getEvent(tx, "ListingCancelled")).to.not.be.undefined;
+
+      try {
+        await market.connect(buyer).fillListing(listingId, 1, { value: askPerShareWei });
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("listing inactive");
+      }
+    });
+  });
+
+  describe("Fills", function() {
+    // Test partial and full fills
+    it("Should fill listings partially and then in full", async function() {
+      const listingId = await list(seller, 5);
+      const sellerBalanceBefore = await ethers.provider.getBalance(seller.address);
+
+      await market.connect(buyer).fillListing(listingId, 2, { value: askPerShareWei.mul(2) });
+      expect((await market.listings(listingId)).amount.toNumber()).to.equal(3);
+
+      const tx = await market.connect(buyer2).fillListing(listingId, 3, { value: askPerShareWei.mul(3) });
+      const event = await getEvent(tx, "ListingFilled");
+      expect(event.args.buyer).to.equal(buyer2.address);
+      expect(event.args.paidWei.toString()).to.equal(askPerShareWei.mul(3).toString());
+      expect((await market.listings(listingId)).amount.toNumber()).to.equal(0);
+
+      expect((await miningRigOwnership.balanceOf(seller.address, rigId)).toNumber()).to.equal(3);
+      expect((await miningRigOwnership.balanceOf(buyer.address, rigId)).toNumber()).to.equal(2);
+      expect((await miningRigOwnership.balanceOf(buyer2.address, rigId)).toNumber()).to.equal(3);
+
+      // Seller is paid the full asking price
+      const sellerBalanceAfter = await ethers.provider.getBalance(seller.address);
+      expect(sellerBalanceAfter.sub(sellerBalanceBefore).toString()).to.equal(askPerShareWei.mul(5).toString());
+    });
+
+    // Test overfill
+    it("Should reject fills larger than the listing", async function() {
+      const listingId = await list(seller, 2);
+      try {
+        await market.connect(buyer).fillListing(listingId, 3, { value: askPerShareWei.mul(3) });
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("exceeds listing");
+      }
+    });
+
+    // Test payment amount
+    it("Should require the exact ETH amount", async function() {
+      const listingId = await list(seller, 2);
+      try {
+        await market.connect(buyer).fillListing(listingId, 2, { value: askPerShareWei });
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("wrong ETH sent");
+      }
+    });
+
+    // Test wallet cap
+    it("Should honour the rig's per-wallet cap", async function() {
+      await miningRigOwnership.connect(buyer).buyShares(rigId, 9, { value: pricePerShareWei.mul(9) });
+      const listingId = await list(seller, 2);
+
+      try {
+        await market.connect(buyer).fillListing(listingId, 2, { value: askPerShareWei.mul(2) });
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("wallet cap exceeded");
+      }
+
+      // Up to the cap is fine
+      await market.connect(buyer).fillListing(listingId, 1, { value: askPerShareWei });
+      expect((await miningRigOwnership.balanceOf(buyer.address, rigId)).toNumber()).to.equal(maxPerWallet);
+    });
+
+    // Test stale listing after seller moved shares away
+    it("Should revert fills when the seller no longer holds the shares", async function() {
+      const listingId = await list(seller, 5);
+      await miningRigOwnership.connect(seller).safeTransferFrom(seller.address, buyer2.address, rigId, 8, "0x");
+
+      try {
+        await market.connect(buyer).fillListing(listingId, 1, { value: askPerShareWei });
+        expect.fail("Transaction should have reverted");
+      } catch (error) {
+        expect(error.message).to.include("ERC1155InsufficientBalance");
+      }
+    });
+  });
+
+  describe("Reward Fairness", function() {
+    // Test rewards settle at the trade
+    it("Should split rewards at the moment of the trade", async function() {
+      const listingId = await list(seller, 4);
+
+      // First deposit: seller holds all 8 shares
+      await miningRigOwnership.depositRewards(rigId, { value: ethers.utils.parseEther("0.8") });
+
+      await market.connect(buyer).fillListing(listingId, 4, { value: askPerShareWei.mul(4) });
+
+      // Second deposit: seller and buyer hold 4 each
+      await miningRigOwnership.depositRewards(rigId, { value: ethers.utils.parseEther("0.8") });
+
+      expect((await miningRigOwnership.claimable(seller.address, rigId)).toString())
+        .to.equal(ethers.utils.parseEther("1.2").toString());
+      expect((await miningRigOwnership.claimable(buyer.address, rigId)).toString())
+        .to.equal(ethers.utils.parseEther("0.4").toString());
+    });
+
+    // Test seller keeps earning while listed
+    it("Should keep paying the seller while shares are listed", async function() {
+      await list(seller, 8);
+      await miningRigOwnership.depositRewards(rigId, { value: ethers.utils.parseEther("1") });
+
+      expect((await miningRigOwnership.claimable(seller.address, rigId)).toString())
+        .to.equal(ethers.utils.parseEther("1").toString());
+      expect((await miningRigOwnership.claimable(market.address, rigId)).toString()).to.equal("0");
+    });
+
+    // Test several trades keep totals intact
+    it("Should not create or lose rewards across repeated trades", async function() {
+      const listingId = await list(seller, 6);
+      const deposit = ethers.utils.parseEther("0.3");
+
+      for (const taker of [buyer, buyer2, buyer]) {
+        await miningRigOwnership.depositRewards(rigId, { value: deposit });
+        await market.connect(taker).fillListing(listingId, 2, { value: askPerShareWei.mul(2) });
+      }
+      await miningRigOwnership.depositRewards(rigId, { value: deposit });
+
+      let total = ethers.constants.Zero;
+      for (const holder of [seller, buyer, buyer2]) {
+        total = total.add(await miningRigOwnership.claimable(holder.address, rigId));
+      }
+      expect(total.toString()).to.equal(deposit.mul(4).toString());
+    });
+  });
+});
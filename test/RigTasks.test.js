@@ -0,0 +1,596 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+require("@nomicfoundation/hardhat-chai-matchers");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { saveDeployment, writeFrontendAbis } = require("../scripts/deployments");
+const { deployMiningRigOwnership } = require("../scripts/upgrades");
+
+describe("rig:* tasks", function() {
+  let miningRigOwnership;
+  let owner;
+  let user1;
+  let user2;
+  let deploymentsDir;
+
+  const price = "0.01";
+  const pricePerShareWei = ethers.utils.parseEther(price);
+
+  // Run a task and return its result plus everything it printed
+  async function run(taskName, args = {}) {
+    const lines = [];
+    const log = console.log;
+    console.log = (...parts) => lines.push(parts.join(" "));
+    try {
+      const result = await hre.run(taskName, args);
+      return { result, output: lines.join("\n") };
+    } finally {
+      console.log = log;
+    }
+  }
+
+  before(function () {
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "rig-deployments-"));
+    process.env.DEPLOYMENTS_DIR = deploymentsDir;
+  });
+
+  after(function () {
+    delete process.env.DEPLOYMENTS_DIR;
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    let proxy;
+    ({ contract: miningRigOwnership, proxy } = await deployMiningRigOwnership(hre));
+
+    const receipt = await proxy.deployTransaction.wait();
+    saveDeployment(hre, {
+      network: hre.network.name,
+      chainId: 31337,
+      MiningRigOwnership: {
+        address: miningRigOwnership.address,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber
+      }
+    });
+  });
+
+  describe("Deployment file", function () {
+    it("Should fail with a hint when the network has no deployment", async function () {
+      fs.unlinkSync(path.join(deploymentsDir, `${hre.network.name}.json`));
+
+      await expect(run("rig:list")).to.be.rejectedWith(/No deployment for network "hardhat"/);
+    });
+
+    it("Should use --address instead of the deployment file", async function () {
+      fs.unlinkSync(path.join(deploymentsDir, `${hre.network.name}.json`));
+      await miningRigOwnership.registerRig(1, "Rig", 10, pricePerShareWei, 0);
+
+      const { result } = await run("rig:list", { address: miningRigOwnership.address });
+      expect(result.map(row => row.id)).to.deep.equal(["1"]);
+    });
+  });
+
+  describe("rig:register", function () {
+    it("Should register a rig with the price parsed from ETH", async function () {
+      const { output } = await run("rig:register", { id: "1", name: "Antminer S19", shares: "100", price, maxPerWallet: "10" });
+
+      const rig = await miningRigOwnership.rigs(1);
+      expect(rig.name).to.equal("Antminer S19");
+      expect(rig.totalShares).to.equal(100);
+      expect(rig.pricePerShareWei).to.equal(pricePerShareWei);
+      expect(rig.maxPerWallet).to.equal(10);
+      expect(output).to.match(/estimated gas \d+/);
+      expect(output).to.include("Confirmed in block");
+    });
+
+    it("Should only estimate on --dry-run", async function () {
+      const { result, output } = await run("rig:register", { id: "1", name: "Rig", shares: "100", price, dryRun: true });
+
+      expect(result.gas).to.be.gt(0);
+      expect(result.receipt).to.equal(null);
+      expect(output).to.include("Dry run: transaction not sent");
+      expect((await miningRigOwnership.rigs(1)).totalShares).to.equal(0);
+    });
+
+    it("Should reject bad input and already registered rigs", async function () {
+      await expect(run("rig:register", { id: "1", name: "Rig", shares: "100", price: "abc" }))
+        .to.be.rejectedWith("--price must be an ETH amount");
+      await expect(run("rig:register", { id: "x", name: "Rig", shares: "100", price }))
+        .to.be.rejectedWith("--id must be a whole number");
+
+      await miningRigOwnership.registerRig(1, "Rig", 10, pricePerShareWei, 0);
+      await expect(run("rig:register", { id: "1", name: "Rig", shares: "100", price }))
+        .to.be.rejectedWith("Rig #1 is already registered");
+    });
+
+    it("Should surface the revert reason from the estimate", async function () {
+      await expect(run("rig:register", { id: "1", name: "Rig", shares: "0", price }))
+        .to.be.rejectedWith(/would revert: .*totalShares=0/);
+    });
+  });
+
+  describe("rig:list", function () {
+    it("Should print a table of registered rigs", async function () {
+      await miningRigOwnership.registerRig(1, "Rig One", 100, pricePerShareWei, 10);
+      await miningRigOwnership.registerRig(2, "Rig Two", 50, pricePerShareWei, 0);
+      await miningRigOwnership.connect(user1).buyShares(1, 5, { value: pricePerShareWei.mul(5) });
+      await miningRigOwnership.deactivateRig(2);
+
+      const { result, output } = await run("rig:list");
+
+      expect(result).to.deep.equal([
+        { id: "1", name: "Rig One", sold: "5/100", price: "0.01", cap: "10", queued: "0.0", fees: "none", status: "active" },
+        { id: "2", name: "Rig Two", sold: "0/50", price: "0.01", cap: "none", queued: "0.0", fees: "none", status: "paused" }
+      ]);
+      expect(output.split("\n")[0]).to.match(/^ID\s+Name\s+Sold\s+Price \(ETH\)/);
+    });
+
+    it("Should say when there are no rigs", async function () {
+      const { result, output } = await run("rig:list");
+      expect(result).to.deep.equal([]);
+      expect(output).to.equal("No rigs registered");
+    });
+  });
+
+  describe("rig:deposit", function () {
+    beforeEach(async function () {
+      await miningRigOwnership.registerRig(1, "Rig", 100, pricePerShareWei, 0);
+    });
+
+    it("Should deposit ETH rewards", async function () {
+      await miningRigOwnership.connect(user1).buyShares(1, 10, { value: pricePerShareWei.mul(10) });
+
+      await run("rig:deposit", { id: "1", amount: "0.5" });
+
+      expect(await miningRigOwnership.claimable(user1.address, 1)).to.equal(ethers.utils.parseEther("0.5"));
+    });
+
+    it("Should warn that deposits to a rig without holders are queued", async function () {
+      const { output } = await run("rig:deposit", { id: "1", amount: "0.5" });
+
+      expect(output).to.include("has no holders yet");
+      expect(await miningRigOwnership.queuedRewards(1)).to.equal(ethers.utils.parseEther("0.5"));
+    });
+
+    it("Should approve and deposit ERC-20 rewards in token units", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Wrapped BTC", "WBTC", 8);
+      await token.mint(owner.address, 10n ** 9n);
+      await miningRigOwnership.setRewardToken(token.address, true);
+      await miningRigOwnership.connect(user1).buyShares(1, 10, { value: pricePerShareWei.mul(10) });
+
+      const { output } = await run("rig:deposit", { id: "1", amount: "1.5", token: token.address });
+
+      expect(output).to.include("Approve 1.5 WBTC");
+      expect(await miningRigOwnership.claimableToken(user1.address, 1, token.address)).to.equal(150000000);
+    });
+
+    it("Should not send on --dry-run", async function () {
+      await miningRigOwnership.connect(user1).buyShares(1, 10, { value: pricePerShareWei.mul(10) });
+
+      await run("rig:deposit", { id: "1", amount: "0.5", dryRun: true });
+
+      expect(await miningRigOwnership.claimable(user1.address, 1)).to.equal(0);
+    });
+  });
+
+  describe("rig:withdraw-sales", function () {
+    beforeEach(async function () {
+      await miningRigOwnership.registerRig(1, "Rig", 100, pricePerShareWei, 0);
+      await miningRigOwnership.connect(user1).buyShares(1, 10, { value: pricePerShareWei.mul(10) });
+    });
+
+    it("Should withdraw part of the sales to --to", async function () {
+      const before = await user2.getBalance();
+
+      await run("rig:withdraw-sales", { amount: "0.04", to: user2.address });
+
+      expect((await user2.getBalance()).sub(before)).to.equal(ethers.utils.parseEther("0.04"));
+      expect(await miningRigOwnership.totalSalesETH()).to.equal(ethers.utils.parseEther("0.06"));
+    });
+
+    it("Should withdraw everything with --amount all", async function () {
+      await run("rig:withdraw-sales", { amount: "all", to: user2.address });
+      expect(await miningRigOwnership.totalSalesETH()).to.equal(0);
+    });
+
+    it("Should refuse more than the sales balance", async function () {
+      await expect(run("rig:withdraw-sales", { amount: "1" }))
+        .to.be.rejectedWith("Only 0.1 ETH of sales can be withdrawn");
+    });
+  });
+
+  describe("rig:fees / rig:withdraw-fees", function () {
+    beforeEach(async function () {
+      await miningRigOwnership.registerRig(1, "Rig", 100, pricePerShareWei, 0);
+      await miningRigOwnership.connect(user1).buyShares(1, 10, { value: pricePerShareWei.mul(10) });
+    });
+
+    it("Should set fees from percentages and preview the split on deposit", async function () {
+      await run("rig:fees", { id: "1", operator: "5", hosting: "2.5", hostingRecipient: user2.address });
+
+      const fees = await miningRigOwnership.rigFees(1);
+      expect(fees.operatorBps).to.equal(500);
+      expect(fees.hostingBps).to.equal(250);
+
+      const { output } = await run("rig:deposit", { id: "1", amount: "1" });
+      expect(output).to.include("Gross 1.0 ETH - operator fee 0.05 ETH - hosting fee 0.025 ETH = 0.925 ETH to holders");
+      expect(await miningRigOwnership.claimable(user1.address, 1)).to.equal(ethers.utils.parseEther("0.925"));
+
+      const { result } = await run("rig:list");
+      expect(result[0].fees).to.equal("5% + 2.5%");
+    });
+
+    it("Should reject fees over the cap or without a hosting recipient", async function () {
+      await expect(run("rig:fees", { id: "1", operator: "40", hosting: "10.01", hostingRecipient: user2.address }))
+        .to.be.rejectedWith("Fees cannot exceed 50% in total");
+      await expect(run("rig:fees", { id: "1", hosting: "1" }))
+        .to.be.rejectedWith("--hosting-recipient is required with a hosting fee");
+      await expect(run("rig:fees", { id: "1", operator: "-1" }))
+        .to.be.rejectedWith("--operator must be a percentage");
+    });
+
+    it("Should withdraw the signer's fees", async function () {
+      await miningRigOwnership.setRigFees(1, 1000, 0, ethers.constants.AddressZero);
+      await miningRigOwnership.depositRewards(1, { value: ethers.utils.parseEther("1") });
+      const before = await user2.getBalance();
+
+      await run("rig:withdraw-fees", { to: user2.address });
+
+      expect((await user2.getBalance()).sub(before)).to.equal(ethers.utils.parseEther("0.1"));
+      await expect(run("rig:withdraw-fees")).to.be.rejectedWith("has no fees to withdraw");
+    });
+  });
+
+  describe("Roles", function () {
+    let roles;
+
+    beforeEach(async function () {
+      roles = {
+        manager: await miningRigOwnership.RIG_MANAGER_ROLE(),
+        depositor: await miningRigOwnership.REWARD_DEPOSITOR_ROLE(),
+        treasurer: await miningRigOwnership.TREASURER_ROLE(),
+        pauser: await miningRigOwnership.PAUSER_ROLE()
+      };
+    });
+
+    it("Should show the roles an account holds", async function () {
+      await miningRigOwnership.grantRole(roles.depositor, user1.address);
+
+      const { result, output } = await run("rig:roles", { account: user1.address });
+
+      expect(result.filter(row => row.held === "yes").map(row => row.role)).to.deep.equal(["depositor"]);
+      expect(output).to.include(`Admin: ${owner.address}`);
+    });
+
+    it("Should grant and revoke roles by short name", async function () {
+      await run("rig:grant-role", { role: "treasurer", account: user1.address });
+      expect(await miningRigOwnership.hasRole(roles.treasurer, user1.address)).to.be.true;
+
+      await run("rig:revoke-role", { role: "Treasurer", account: user1.address });
+      expect(await miningRigOwnership.hasRole(roles.treasurer, user1.address)).to.be.false;
+
+      await expect(run("rig:grant-role", { role: "owner", account: user1.address }))
+        .to.be.rejectedWith("--role must be one of manager, depositor, treasurer, pauser, admin");
+      await expect(run("rig:grant-role", { role: "admin", account: user1.address }))
+        .to.be.rejectedWith("The admin role moves with rig:transfer-admin");
+    });
+
+    it("Should refuse to send when the signer lacks the task's role", async function () {
+      await miningRigOwnership.registerRig(1, "Rig", 100, pricePerShareWei, 0);
+      await miningRigOwnership.revokeRole(roles.treasurer, owner.address);
+      await miningRigOwnership.revokeRole(roles.depositor, owner.address);
+
+      await expect(run("rig:withdraw-sales", { amount: "all" }))
+        .to.be.rejectedWith(`${owner.address} does not hold TREASURER_ROLE; the admin can grant it with ` +
+          `rig:grant-role --role treasurer --account ${owner.address}`);
+      await expect(run("rig:deposit", { id: "1", amount: "0.1", dryRun: true }))
+        .to.be.rejectedWith("does not hold REWARD_DEPOSITOR_ROLE");
+    });
+
+    it("Should start, cancel and check admin handovers", async function () {
+      await run("rig:transfer-admin", { to: user1.address });
+      expect((await miningRigOwnership.pendingDefaultAdmin()).newAdmin).to.equal(user1.address);
+      expect((await run("rig:roles")).output).to.include(`Pending admin: ${user1.address}`);
+
+      // Only the pending admin (here user1, not the task signer) may accept
+      await expect(run("rig:accept-admin")).to.be.rejectedWith(`No admin handover is pending for ${owner.address}`);
+
+      await run("rig:transfer-admin", { cancel: true });
+      expect((await miningRigOwnership.pendingDefaultAdmin()).newAdmin).to.equal(ethers.constants.AddressZero);
+    });
+  });
+
+  describe("rig:pause / rig:rescue", function () {
+    it("Should pause and unpause the contract", async function () {
+      const { output } = await run("rig:pause");
+      expect(await miningRigOwnership.paused()).to.be.true;
+      expect(output).to.include("Claims and withdrawals stay open");
+
+      await expect(run("rig:pause")).to.be.rejectedWith("The contract is already paused");
+      await run("rig:pause", { unpause: true });
+      expect(await miningRigOwnership.paused()).to.be.false;
+    });
+
+    it("Should rescue only the unexplained surplus", async function () {
+      await expect(run("rig:rescue")).to.be.rejectedWith("nothing to rescue");
+
+      await ethers.provider.send("hardhat_setBalance", [miningRigOwnership.address, "0x1000"]);
+      const before = await user2.getBalance();
+      await run("rig:rescue", { to: user2.address });
+
+      expect((await user2.getBalance()).sub(before)).to.equal(0x1000);
+      expect((await miningRigOwnership.reconcileETH()).surplus).to.equal(0);
+    });
+  });
+
+  describe("rig:holders", function () {
+    it("Should list current holders by shares with their claimable rewards", async function () {
+      await miningRigOwnership.registerRig(1, "Rig", 100, pricePerShareWei, 0);
+      await miningRigOwnership.connect(user1).buyShares(1, 10, { value: pricePerShareWei.mul(10) });
+      await miningRigOwnership.connect(user2).buyShares(1, 30, { value: pricePerShareWei.mul(30) });
+      await miningRigOwnership.depositRewards(1, { value: ethers.utils.parseEther("4") });
+      await miningRigOwnership.connect(user1).safeTransferFrom(user1.address, owner.address, 1, 10, "0x");
+
+      const { result } = await run("rig:holders", { id: "1" });
+
+      expect(result).to.deep.equal([
+        { holder: user2.address, shares: "30", percent: "75.00%", claimable: "3.0" },
+        { holder: owner.address, shares: "10", percent: "25.00%", claimable: "0.0" }
+      ]);
+    });
+
+    it("Should reject unregistered rigs", async function () {
+      await expect(run("rig:holders", { id: "9" })).to.be.rejectedWith("Rig #9 is not registered");
+    });
+  });
+
+  describe("rig:cap-table", function () {
+    let out;
+
+    beforeEach(function () {
+      out = fs.mkdtempSync(path.join(os.tmpdir(), "cap-tables-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(out, { recursive: true, force: true });
+    });
+
+    it("Should rebuild every rig's holders at a past block with their rewards", async function () {
+      const eth = value => ethers.utils.parseEther(value).toString();
+      await miningRigOwnership.registerRig(1, "Rig, One", 100, pricePerShareWei, 0);
+      await miningRigOwnership.registerRig(2, "Rig Two", 50, pricePerShareWei, 0);
+      await miningRigOwnership.connect(user1).buyShares(1, 10, { value: pricePerShareWei.mul(10) });
+      await miningRigOwnership.connect(user2).buyShares(1, 30, { value: pricePerShareWei.mul(30) });
+      await miningRigOwnership.connect(user1).buyShares(2, 5, { value: pricePerShareWei.mul(5) });
+      await miningRigOwnership.depositRewards(1, { value: ethers.utils.parseEther("4") });
+      // user1 sells out of rig 1 but keeps the rewards it earned, settled as pending
+      await miningRigOwnership.connect(user1).safeTransferFrom(user1.address, owner.address, 1, 10, "0x");
+      await miningRigOwnership.connect(user1).safeBatchTransferFrom(user1.address, user2.address, [2], [2], "0x");
+      const block = await ethers.provider.getBlockNumber();
+      await miningRigOwnership.connect(user2).buyShares(1, 5, { value: pricePerShareWei.mul(5) });
+
+      const { result, output } = await run("rig:cap-table", { block: String(block), out });
+
+      const rows = result.capTable.rigs.map(rig => [rig.id, rig.supply, rig.holders.map(h => Object.values(h))]);
+      expect(rows).to.deep.equal([
+        ["1", "40", [
+          [user2.address, "30", "75.00%", "0", eth("3")],
+          [owner.address, "10", "25.00%", "0", "0"],
+          [user1.address, "0", "0.00%", eth("1"), eth("1")]
+        ]],
+        ["2", "5", [
+          [user1.address, "3", "60.00%", "0", "0"],
+          [user2.address, "2", "40.00%", "0", "0"]
+        ]]
+      ]);
+      expect(output).to.include(`Verified 5 balances and 2 supplies against balanceOf and totalSupply at block ${block}`);
+
+      expect(result.json).to.equal(path.join(out, `cap-table-31337-${block}.json`));
+      expect(JSON.parse(fs.readFileSync(result.json, "utf8"))).to.deep.equal(result.capTable);
+      expect(fs.readFileSync(result.csv, "utf8").split("\n").slice(0, 3)).to.deep.equal([
+        "Rig ID,Rig,Holder,Shares,Ownership,Pending ETH,Claimable ETH",
+        `1,"Rig, One",${user2.address},30,75.00%,0.0,3.0`,
+        `1,"Rig, One",${owner.address},10,25.00%,0.0,0.0`
+      ]);
+    });
+
+    it("Should only include the requested rig as registered at the block", async function () {
+      await miningRigOwnership.registerRig(1, "Rig", 100, pricePerShareWei, 0);
+      const block = await ethers.provider.getBlockNumber();
+      await miningRigOwnership.registerRig(2, "Later Rig", 100, pricePerShareWei, 0);
+
+      const { result } = await run("rig:cap-table", { id: "2", out });
+      expect(result.capTable.rigs.map(rig => rig.id)).to.deep.equal(["2"]);
+
+      await expect(run("rig:cap-table", { id: "2", block: String(block), out }))
+        .to.be.rejectedWith(`Rig #2 was not registered at block ${block}`);
+      await expect(run("rig:cap-table", { block: String(block + 100), out })).to.be.rejectedWith("is past the latest block");
+    });
+
+    it("Should refuse to write a cap table that does not match the contract", async function () {
+      await miningRigOwnership.registerRig(1, "Rig", 100, pricePerShareWei, 0);
+      await miningRigOwnership.connect(user1).buyShares(1, 10, { value: pricePerShareWei.mul(10) });
+
+      // Give user1 two shares no event accounts for: ERC1155Storage._balances[1][user1] (ERC-7201 slot)
+      const { defaultAbiCoder, hexStripZeros, hexZeroPad, keccak256 } = ethers.utils;
+      const balances = "0x88be536d5240c274a3b1d3a1be54482fd9caa294f08c62a7cde569f49a3c4500";
+      const idSlot = keccak256(defaultAbiCoder.encode(["uint256", "bytes32"], [1, balances]));
+      const slot = keccak256(defaultAbiCoder.encode(["address", "bytes32"], [user1.address, idSlot]));
+      await hre.network.provider.send("hardhat_setStorageAt", [miningRigOwnership.address, hexStripZeros(slot), hexZeroPad("0x0c", 32)]);
+
+      await expect(run("rig:cap-table", { out }))
+        .to.be.rejectedWith(`rig #1, ${user1.address}: replayed 10 shares, balanceOf 12`);
+      expect(fs.readdirSync(out)).to.deep.equal([]);
+    });
+  });
+
+  describe("rig:claimable", function () {
+    beforeEach(async function () {
+      await miningRigOwnership.registerRig(1, "Rig One", 100, pricePerShareWei, 0);
+      await miningRigOwnership.registerRig(2, "Rig Two", 100, pricePerShareWei, 0);
+      await miningRigOwnership.connect(user1).buyShares(1, 10, { value: pricePerShareWei.mul(10) });
+      await miningRigOwnership.depositRewards(1, { value: ethers.utils.parseEther("1") });
+    });
+
+    it("Should list the rigs the account holds", async function () {
+      const { result, output } = await run("rig:claimable", { account: user1.address });
+
+      expect(result).to.deep.equal([{ id: "1", shares: "10", claimable: "1.0", tokens: "-" }]);
+      expect(output).to.include(`Account ${user1.address}`);
+    });
+
+    it("Should show a single rig with --id even when empty", async function () {
+      const { result } = await run("rig:claimable", { account: user1.address, id: "2" });
+      expect(result).to.deep.equal([{ id: "2", shares: "0", claimable: "0.0", tokens: "-" }]);
+    });
+
+    it("Should default to the signer", async function () {
+      const { output } = await run("rig:claimable");
+      expect(output).to.include(`Account ${owner.address}`);
+      expect(output).to.include("Nothing claimable");
+    });
+  });
+
+  describe("rig:sync", function () {
+    // Write a fleet file into the temp directory and return its path
+    function fleetFile(name, contents) {
+      const file = path.join(deploymentsDir, name);
+      fs.writeFileSync(file, typeof contents === "string" ? contents : JSON.stringify(contents));
+      return file;
+    }
+
+    const fleet = {
+      rigs: [
+        { id: 1, name: "Rig One", shares: 100, price: "0.01", maxPerWallet: 10 },
+        { id: 2, name: "Rig Two", shares: 50, price: "0.02", active: false }
+      ]
+    };
+
+    it("Should register missing rigs and do nothing on a second run", async function () {
+      const file = fleetFile("rigs.json", fleet);
+
+      const first = await run("rig:sync", { file });
+      expect(first.result.actions.map(a => `${a.id}:${a.kind}`)).to.deep.equal(["1:register", "2:register", "2:deactivate"]);
+
+      const rig2 = await miningRigOwnership.rigs(2);
+      expect(rig2.pricePerShareWei).to.equal(ethers.utils.parseEther("0.02"));
+      expect(rig2.active).to.equal(false);
+      expect((await miningRigOwnership.rigs(1)).maxPerWallet).to.equal(10);
+
+      const second = await run("rig:sync", { file });
+      expect(second.result.actions).to.deep.equal([]);
+      expect(second.result.drift).to.deep.equal([]);
+      expect(second.output).to.include("Nothing to change");
+    });
+
+    it("Should read YAML fleet files", async function () {
+      const file = fleetFile("rigs.yaml", [
+        "rigs:",
+        "  - id: 7",
+        "    name: Yaml Rig",
+        "    shares: 20",
+        "    price: 0.5",
+        ""
+      ].join("\n"));
+
+      await run("rig:sync", { file });
+
+      expect((await miningRigOwnership.rigs(7)).pricePerShareWei).to.equal(ethers.utils.parseEther("0.5"));
+    });
+
+    it("Should update price, share cap and state but report immutable drift", async function () {
+      await miningRigOwnership.registerRig(1, "Old Name", 100, pricePerShareWei, 5);
+      await miningRigOwnership.registerRig(2, "Rig Two", 50, ethers.utils.parseEther("0.02"), 0);
+      await miningRigOwnership.registerRig(3, "Unlisted", 10, pricePerShareWei, 0);
+      await miningRigOwnership.connect(user1).buyShares(2, 40, { value: ethers.utils.parseEther("0.8") });
+      const file = fleetFile("rigs.json", {
+        rigs: [
+          { id: 1, name: "Rig One", shares: 120, price: "0.03", maxPerWallet: 10 },
+          { id: 2, name: "Rig Two", shares: 30, price: "0.02", active: false }
+        ]
+      });
+
+      const { result, output } = await run("rig:sync", { file });
+
+      expect(result.actions.map(a => `${a.id}:${a.kind}`)).to.deep.equal(["1:price", "1:shares", "2:deactivate"]);
+      expect(result.drift).to.deep.equal([
+        { id: "1", field: "name", config: "Rig One", onChain: "Old Name" },
+        { id: "1", field: "maxPerWallet", config: "10", onChain: "5" },
+        { id: "2", field: "shares", config: "30", onChain: "50 (40 already minted)" },
+        { id: "3", field: "rig", config: "(missing)", onChain: "Unlisted" }
+      ]);
+      expect(output).to.include("Drift that can't be changed after registerRig");
+
+      const rig1 = await miningRigOwnership.rigs(1);
+      expect(rig1.pricePerShareWei).to.equal(ethers.utils.parseEther("0.03"));
+      expect(rig1.totalShares).to.equal(120);
+      expect((await miningRigOwnership.rigs(2)).active).to.equal(false);
+    });
+
+    it("Should not send anything on --dry-run", async function () {
+      const file = fleetFile("rigs.json", fleet);
+
+      const { result, output } = await run("rig:sync", { file, dryRun: true });
+
+      expect(result.actions).to.have.length(3);
+      expect(output).to.include("estimated once the rig is registered");
+      expect((await miningRigOwnership.rigs(1)).totalShares).to.equal(0);
+    });
+
+    it("Should write the frontend manifest from the saved deployment", async function () {
+      const file = fleetFile("rigs.json", fleet);
+      const manifest = path.join(deploymentsDir, "deployment.json");
+
+      const { result } = await run("rig:sync", { file, manifest });
+
+      expect(result.manifest).to.equal(manifest);
+      const written = JSON.parse(fs.readFileSync(manifest, "utf8"));
+      expect(written.network).to.equal("hardhat");
+      expect(written.chainId).to.equal(31337);
+      expect(written.MiningRigOwnership.address).to.equal(miningRigOwnership.address);
+      expect(written.MiningRigOwnership.blockNumber).to.be.a("number");
+    });
+
+    it("Should reject invalid fleet files", async function () {
+      await expect(run("rig:sync", { file: fleetFile("rigs.json", { rigs: [{ id: 1, name: "A", shares: 10 }] }) }))
+        .to.be.rejectedWith('rigs[0]: missing "price"');
+      await expect(run("rig:sync", { file: fleetFile("rigs.json", { rigs: [fleet.rigs[0], fleet.rigs[0]] }) }))
+        .to.be.rejectedWith("rigs[1]: duplicate rig id 1");
+      await expect(run("rig:sync", { file: fleetFile("rigs.json", { rigs: [{ ...fleet.rigs[0], price: "free" }] }) }))
+        .to.be.rejectedWith('"price" must be an ETH amount');
+      await expect(run("rig:sync", { file: path.join(deploymentsDir, "missing.json") }))
+        .to.be.rejectedWith("not found");
+    });
+  });
+
+  describe("Frontend files", function () {
+    it("Should export the frontend ABIs from the artifacts", async function () {
+      const dir = path.join(deploymentsDir, "abi");
+      const files = writeFrontendAbis(hre, dir);
+
+      expect(files.map(file => path.basename(file))).to.deep.equal(["MiningRigOwnership.json", "RigShareMarket.json"]);
+      const abi = JSON.parse(fs.readFileSync(path.join(dir, "MiningRigOwnership.json"), "utf8"));
+      const rigsGetter = abi.find(entry => entry.type === "function" && entry.name === "rigs");
+      expect(rigsGetter.outputs.map(output => output.name))
+        .to.deep.equal(["name", "totalShares", "pricePerShareWei", "maxPerWallet", "rewardPerShare", "active"]);
+    });
+
+    it("Should write this chain's manifest with rig:frontend", async function () {
+      const manifest = path.join(deploymentsDir, "31337.json");
+
+      const { result, output } = await run("rig:frontend", { manifest });
+
+      expect(result.manifest).to.equal(manifest);
+      expect(output).to.include("Frontend manifest for chain 31337");
+      const written = JSON.parse(fs.readFileSync(manifest, "utf8"));
+      expect(written.chainId).to.equal(31337);
+      expect(written.MiningRigOwnership.address).to.equal(miningRigOwnership.address);
+    });
+  });
+});
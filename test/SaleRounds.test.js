@@ -0,0 +1,367 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+require("@nomicfoundation/hardhat-chai-matchers");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { saveDeployment } = require("../scripts/deployments");
+const { deployMiningRigOwnership } = require("../scripts/upgrades");
+const { parseAllowlistCsv, buildAllowlist, writeAllowlist } = require("../scripts/build-allowlist");
+
+describe("Presale rounds, allowlists and transfer restrictions", function() {
+  let miningRigOwnership;
+  let owner;
+  let user1;
+  let user2;
+  let user3;
+  let tmpDir;
+
+  const rigPrice = ethers.utils.parseEther("0.01");
+  const presalePrice = ethers.utils.parseEther("0.008");
+  const ZERO_ROOT = ethers.constants.HashZero;
+  const HOUR = 3600;
+
+  // SalePhase
+  const CLOSED = 0;
+  const PRESALE = 1;
+  const PUBLIC = 2;
+
+  async function now() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function travelTo(timestamp) {
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  function round(start, overrides = {}) {
+    return {
+      start,
+      end: start + HOUR,
+      pricePerShareWei: presalePrice,
+      cap: 20,
+      maxPerWallet: 0,
+      allowlistRoot: ZERO_ROOT,
+      sold: 0,
+      ...overrides
+    };
+  }
+
+  // Run a task and return its result plus everything it printed
+  async function run(taskName, args = {}) {
+    const lines = [];
+    const log = console.log;
+    console.log = (...parts) => lines.push(parts.join(" "));
+    try {
+      const result = await hre.run(taskName, args);
+      return { result, output: lines.join("\n") };
+    } finally {
+      console.log = log;
+    }
+  }
+
+  before(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rig-sale-"));
+    process.env.DEPLOYMENTS_DIR = tmpDir;
+  });
+
+  after(function () {
+    delete process.env.DEPLOYMENTS_DIR;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    [owner, user1, user2, user3] = await ethers.getSigners();
+
+    let proxy;
+    ({ contract: miningRigOwnership, proxy } = await deployMiningRigOwnership(hre));
+    await miningRigOwnership.registerRig(1, "Antminer S19", 100, rigPrice, 0);
+
+    const receipt = await proxy.deployTransaction.wait();
+    saveDeployment(hre, {
+      network: hre.network.name,
+      chainId: 31337,
+      MiningRigOwnership: {
+        address: miningRigOwnership.address,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber
+      }
+    });
+  });
+
+  describe("Presale rounds", function () {
+    let start;
+
+    beforeEach(async function () {
+      start = (await now()) + HOUR;
+      await miningRigOwnership.setSaleRounds(1, [
+        round(start, { cap: 10, maxPerWallet: 4 }),
+        round(start + 2 * HOUR, { pricePerShareWei: ethers.utils.parseEther("0.009") })
+      ]);
+    });
+
+    it("Should keep the public sale open when a rig has no rounds", async function () {
+      await miningRigOwnership.registerRig(2, "Rig 2", 10, rigPrice, 0);
+
+      const [phase] = await miningRigOwnership.salePhase(2);
+      expect(phase).to.equal(PUBLIC);
+      await expect(miningRigOwnership.connect(user1).buyShares(2, 1, { value: rigPrice }))
+        .to.emit(miningRigOwnership, "SharesPurchased");
+    });
+
+    it("Should close the sale before the first round and between rounds", async function () {
+      let [phase, next] = await miningRigOwnership.salePhase(1);
+      expect(phase).to.equal(CLOSED);
+      expect(next).to.equal(0);
+      await expect(miningRigOwnership.connect(user1).buyShares(1, 1, { value: presalePrice }))
+        .to.be.revertedWith("sale not open");
+
+      await travelTo(start + HOUR);
+      [phase, next] = await miningRigOwnership.salePhase(1);
+      expect(phase).to.equal(CLOSED);
+      expect(next).to.equal(1);
+    });
+
+    it("Should sell at the round's price within its cap and wallet cap", async function () {
+      await travelTo(start);
+      const [phase, current] = await miningRigOwnership.salePhase(1);
+      expect(phase).to.equal(PRESALE);
+      expect(current).to.equal(0);
+
+      await expect(miningRigOwnership.connect(user1).buyShares(1, 1, { value: rigPrice }))
+        .to.be.revertedWith("wrong ETH sent");
+      await expect(miningRigOwnership.connect(user1).buyShares(1, 4, { value: presalePrice.mul(4) }))
+        .to.emit(miningRigOwnership, "SharesPurchased")
+        .withArgs(1, user1.address, 4, presalePrice.mul(4));
+      await expect(miningRigOwnership.connect(user1).buyShares(1, 1, { value: presalePrice }))
+        .to.be.revertedWith("round wallet cap exceeded");
+
+      await miningRigOwnership.connect(user2).buyShares(1, 4, { value: presalePrice.mul(4) });
+      await expect(miningRigOwnership.connect(user3).buyShares(1, 3, { value: presalePrice.mul(3) }))
+        .to.be.revertedWith("exceeds round cap");
+
+      const rounds = await miningRigOwnership.saleRounds(1);
+      expect(rounds[0].sold).to.equal(8);
+      expect(await miningRigOwnership.roundPurchases(1, 0, user1.address)).to.equal(4);
+      expect(await miningRigOwnership.totalSalesETH()).to.equal(presalePrice.mul(8));
+    });
+
+    it("Should open the public sale at the rig's price after the last round", async function () {
+      await travelTo(start + 3 * HOUR);
+
+      const [phase, count] = await miningRigOwnership.salePhase(1);
+      expect(phase).to.equal(PUBLIC);
+      expect(count).to.equal(2);
+      await expect(miningRigOwnership.connect(user1).buyShares(1, 2, { value: rigPrice.mul(2) }))
+        .to.emit(miningRigOwnership, "SharesPurchased")
+        .withArgs(1, user1.address, 2, rigPrice.mul(2));
+    });
+
+    it("Should only replace rounds before the first one opens", async function () {
+      await miningRigOwnership.setSaleRounds(1, [round(start)]);
+      expect(await miningRigOwnership.saleRounds(1)).to.have.length(1);
+
+      await travelTo(start);
+      await expect(miningRigOwnership.setSaleRounds(1, []))
+        .to.be.revertedWith("sale started");
+    });
+
+    it("Should reject rounds out of order, overlapping or in the past", async function () {
+      await miningRigOwnership.setSaleRounds(1, []);
+
+      await expect(miningRigOwnership.setSaleRounds(1, [round(start), round(start + HOUR / 2)]))
+        .to.be.revertedWith("bad round times");
+      await expect(miningRigOwnership.setSaleRounds(1, [round(start, { end: start })]))
+        .to.be.revertedWith("bad round times");
+      await expect(miningRigOwnership.setSaleRounds(1, [round((await now()) - HOUR)]))
+        .to.be.revertedWith("bad round times");
+      await expect(miningRigOwnership.setSaleRounds(1, [round(start, { cap: 0 })]))
+        .to.be.revertedWith("cap=0");
+      await expect(miningRigOwnership.setSaleRounds(1, [round(start, { pricePerShareWei: 0 })]))
+        .to.be.revertedWith("price=0");
+      await expect(miningRigOwnership.setSaleRounds(1, Array.from({ length: 11 }, (_, i) => round(start + i * HOUR))))
+        .to.be.revertedWith("too many rounds");
+      await expect(miningRigOwnership.setSaleRounds(9, [round(start)]))
+        .to.be.revertedWith("rig not found");
+    });
+
+    it("Should ignore the sold count passed in and only let the rig manager set rounds", async function () {
+      await miningRigOwnership.setSaleRounds(1, [round(start, { sold: 5 })]);
+      expect((await miningRigOwnership.saleRounds(1))[0].sold).to.equal(0);
+
+      await expect(miningRigOwnership.connect(user1).setSaleRounds(1, []))
+        .to.be.revertedWithCustomError(miningRigOwnership, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Allowlists", function () {
+    let allowlist;
+
+    beforeEach(async function () {
+      allowlist = buildAllowlist([user1.address, user2.address, owner.address]);
+    });
+
+    it("Should require a valid proof once the rig has an allowlist", async function () {
+      await expect(miningRigOwnership.setAllowlistRoot(1, allowlist.root))
+        .to.emit(miningRigOwnership, "AllowlistRootUpdated")
+        .withArgs(1, allowlist.root);
+
+      await expect(miningRigOwnership.connect(user1).buyShares(1, 1, { value: rigPrice }))
+        .to.be.revertedWith("not allowlisted");
+      await expect(miningRigOwnership.connect(user3).buySharesWithProof(1, 1, allowlist.proofs[user1.address], { value: rigPrice }))
+        .to.be.revertedWith("not allowlisted");
+
+      await miningRigOwnership.connect(user1).buySharesWithProof(1, 1, allowlist.proofs[user1.address], { value: rigPrice });
+      expect(await miningRigOwnership.balanceOf(user1.address, 1)).to.equal(1);
+
+      await miningRigOwnership.setAllowlistRoot(1, ZERO_ROOT);
+      await miningRigOwnership.connect(user3).buyShares(1, 1, { value: rigPrice });
+    });
+
+    it("Should check a round's own allowlist instead of the rig's", async function () {
+      const presaleList = buildAllowlist([user3.address]);
+      const start = (await now()) + HOUR;
+      await miningRigOwnership.setAllowlistRoot(1, allowlist.root);
+      await miningRigOwnership.setSaleRounds(1, [round(start, { allowlistRoot: presaleList.root })]);
+      await travelTo(start);
+
+      await expect(miningRigOwnership.connect(user1).buySharesWithProof(1, 1, allowlist.proofs[user1.address], { value: presalePrice }))
+        .to.be.revertedWith("not allowlisted");
+      await miningRigOwnership.connect(user3).buySharesWithProof(1, 1, presaleList.proofs[user3.address], { value: presalePrice });
+
+      await travelTo(start + HOUR);
+      await miningRigOwnership.connect(user1).buySharesWithProof(1, 1, allowlist.proofs[user1.address], { value: rigPrice });
+    });
+
+    it("Should build proofs the contract accepts for every address", async function () {
+      const signers = (await ethers.getSigners()).slice(0, 7);
+      const list = buildAllowlist(signers.map(signer => signer.address));
+      await miningRigOwnership.setAllowlistRoot(1, list.root);
+
+      for (const signer of signers) {
+        await miningRigOwnership.connect(signer).buySharesWithProof(1, 1, list.proofs[signer.address], { value: rigPrice });
+      }
+      expect(await miningRigOwnership["totalSupply(uint256)"](1)).to.equal(7);
+    });
+
+    it("Should parse addresses from a CSV with or without a header", function () {
+      const csv = `name,address\nAlice,${user1.address.toLowerCase()}\n\n# pending\nBob,${user2.address}\nAlice again,${user1.address}\n`;
+      expect(parseAllowlistCsv(csv)).to.deep.equal([user1.address, user2.address]);
+      expect(parseAllowlistCsv(`${user3.address}\n${user1.address}`)).to.deep.equal([user3.address, user1.address]);
+
+      expect(() => parseAllowlistCsv(`address\n${user1.address}\n0x1234`, "kyc.csv"))
+        .to.throw('kyc.csv:3: "0x1234" is not an address');
+      expect(() => parseAllowlistCsv("name,email\nAlice,a@example.com", "kyc.csv"))
+        .to.throw('no "address" header');
+    });
+
+    it("Should write the proofs to <root>.json", function () {
+      const file = writeAllowlist(allowlist, path.join(tmpDir, "allowlists"));
+
+      expect(path.basename(file)).to.equal(`${allowlist.root}.json`);
+      const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+      expect(saved.count).to.equal(3);
+      expect(saved.proofs[user2.address]).to.deep.equal(allowlist.proofs[user2.address]);
+    });
+  });
+
+  describe("Transfer restrictions", function () {
+    beforeEach(async function () {
+      await miningRigOwnership.connect(user1).buyShares(1, 5, { value: rigPrice.mul(5) });
+      await expect(miningRigOwnership.setTransferRestricted(1, true))
+        .to.emit(miningRigOwnership, "TransferRestrictionUpdated")
+        .withArgs(1, true);
+    });
+
+    it("Should only move shares between approved addresses", async function () {
+      await expect(miningRigOwnership.connect(user1).safeTransferFrom(user1.address, user2.address, 1, 1, "0x"))
+        .to.be.revertedWith("transfer restricted");
+
+      await expect(miningRigOwnership.setTransferApproved([user1.address], true))
+        .to.emit(miningRigOwnership, "TransferApprovalUpdated")
+        .withArgs(user1.address, true);
+      await expect(miningRigOwnership.connect(user1).safeTransferFrom(user1.address, user2.address, 1, 1, "0x"))
+        .to.be.revertedWith("transfer restricted");
+
+      await miningRigOwnership.setTransferApproved([user2.address], true);
+      await miningRigOwnership.connect(user1).safeTransferFrom(user1.address, user2.address, 1, 1, "0x");
+      expect(await miningRigOwnership.balanceOf(user2.address, 1)).to.equal(1);
+
+      await miningRigOwnership.setTransferRestricted(1, false);
+      await miningRigOwnership.connect(user2).safeTransferFrom(user2.address, user3.address, 1, 1, "0x");
+    });
+
+    it("Should still allow buying, refunds and buybacks", async function () {
+      await miningRigOwnership.setRefundWindow(1, HOUR);
+      await miningRigOwnership.connect(user2).buyShares(1, 2, { value: rigPrice.mul(2) });
+      await miningRigOwnership.openBuyback(1, rigPrice, { value: rigPrice });
+
+      await expect(miningRigOwnership.connect(user2).refundShares(1, 1))
+        .to.emit(miningRigOwnership, "SharesRefunded");
+      await expect(miningRigOwnership.connect(user2).sellBackShares(1, 1))
+        .to.emit(miningRigOwnership, "SharesBoughtBack");
+    });
+
+    it("Should only let the rig manager change restrictions and approvals", async function () {
+      await expect(miningRigOwnership.connect(user1).setTransferRestricted(1, false))
+        .to.be.revertedWithCustomError(miningRigOwnership, "AccessControlUnauthorizedAccount");
+      await expect(miningRigOwnership.connect(user1).setTransferApproved([user1.address], true))
+        .to.be.revertedWithCustomError(miningRigOwnership, "AccessControlUnauthorizedAccount");
+      await expect(miningRigOwnership.setTransferApproved([ethers.constants.AddressZero], true))
+        .to.be.revertedWith("zero addr");
+    });
+  });
+
+  describe("Tasks", function () {
+    it("Should set rounds from a file with rig:rounds and print them", async function () {
+      const start = (await now()) + HOUR;
+      const file = path.join(tmpDir, "rounds.json");
+      fs.writeFileSync(file, JSON.stringify([
+        { start: new Date(start * 1000).toISOString(), end: start + HOUR, price: "0.008", cap: 40, maxPerWallet: 5 }
+      ]));
+
+      await run("rig:rounds", { id: "1", file });
+      const [saved] = await miningRigOwnership.saleRounds(1);
+      expect(saved.start).to.equal(start);
+      expect(saved.pricePerShareWei).to.equal(presalePrice);
+      expect(saved.maxPerWallet).to.equal(5);
+
+      const { result, output } = await run("rig:rounds", { id: "1" });
+      expect(result.phase).to.equal("Closed");
+      expect(output).to.include("0/40");
+      expect(output).to.include("Sale closed until round 1 opens");
+    });
+
+    it("Should reject a rounds file with a bad date", async function () {
+      const file = path.join(tmpDir, "bad-rounds.json");
+      fs.writeFileSync(file, JSON.stringify([{ start: "next week", end: 1, price: "0.01", cap: 1 }]));
+
+      await expect(run("rig:rounds", { id: "1", file }))
+        .to.be.rejectedWith(/round 1: "start" must be an ISO date or unix seconds/);
+    });
+
+    it("Should set and clear the allowlist root with rig:allowlist", async function () {
+      const { root } = buildAllowlist([user1.address]);
+
+      await run("rig:allowlist", { id: "1", root });
+      expect(await miningRigOwnership.allowlistRoot(1)).to.equal(root);
+
+      await run("rig:allowlist", { id: "1", clear: true });
+      expect(await miningRigOwnership.allowlistRoot(1)).to.equal(ZERO_ROOT);
+    });
+
+    it("Should approve every address in a CSV with rig:approve-transfers", async function () {
+      const csv = path.join(tmpDir, "kyc.csv");
+      fs.writeFileSync(csv, `address\n${user1.address}\n${user2.address}\n`);
+
+      await run("rig:approve-transfers", { csv });
+      expect(await miningRigOwnership.transferApproved(user1.address)).to.equal(true);
+      expect(await miningRigOwnership.transferApproved(user2.address)).to.equal(true);
+
+      await run("rig:approve-transfers", { accounts: user2.address, revoke: true });
+      expect(await miningRigOwnership.transferApproved(user2.address)).to.equal(false);
+    });
+  });
+});
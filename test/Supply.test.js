@@ -0,0 +1,93 @@
+const { expect } = require("chai");
+require("@nomicfoundation/hardhat-chai-matchers");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployMiningRigOwnership } = require("../scripts/upgrades");
+const { loadSupply, remainingShares, walletCapLeft, buyLimit } = require("../frontend/supply");
+
+describe("Frontend buy limits", function() {
+  let contract;
+  let alice;
+  let bob;
+  const price = ethers.utils.parseEther("0.01");
+  const publicSale = { phase: "Public" };
+
+  // The fields of a rig that app.js's fetchRig keeps for the buy modal
+  async function loadRig(account, id) {
+    const rig = await contract.rigs(id);
+    return {
+      totalShares: rig.totalShares.toString(),
+      maxPerWallet: rig.maxPerWallet.toString(),
+      ...await loadSupply(contract, account, id)
+    };
+  }
+
+  function buy(buyer, id, amount) {
+    return contract.connect(buyer).buyShares(id, amount, { value: price.mul(amount) });
+  }
+
+  beforeEach(async function () {
+    [, alice, bob] = await ethers.getSigners();
+    ({ contract } = await deployMiningRigOwnership(hre));
+    await contract.registerRig(1, "Capped", 100, price, 10);
+    await contract.registerRig(2, "Uncapped", 50, price, 0);
+    await contract.registerRig(3, "Small", 5, price, 0);
+  });
+
+  it("Should limit a partially sold rig by what is left of the wallet cap", async function () {
+    await buy(alice, 1, 4);
+    await buy(bob, 1, 10);
+
+    const rig = await loadRig(alice.address, 1);
+    expect(remainingShares(rig)).to.equal(86);
+    expect(walletCapLeft(rig)).to.equal(6);
+    const limit = buyLimit(rig, publicSale);
+    expect(limit.left).to.equal(6);
+    expect(limit.by).to.equal("the per-wallet cap");
+
+    await expect(buy(alice, 1, 7)).to.be.revertedWith("wallet cap exceeded");
+    await buy(alice, 1, 6);
+  });
+
+  it("Should report a reached wallet cap", async function () {
+    await buy(alice, 1, 10);
+
+    const rig = await loadRig(alice.address, 1);
+    expect(remainingShares(rig)).to.equal(90);
+    expect(walletCapLeft(rig)).to.equal(0);
+    const limit = buyLimit(rig, publicSale);
+    expect(limit.left).to.equal(0);
+    expect(limit.reached).to.equal("Your wallet already holds the most shares of this rig it can.");
+    await expect(buy(alice, 1, 1)).to.be.revertedWith("wallet cap exceeded");
+
+    // Another wallet still has its whole cap
+    expect(buyLimit(await loadRig(bob.address, 1), publicSale).left).to.equal(10);
+  });
+
+  it("Should limit a rig without a wallet cap only by the shares left", async function () {
+    await buy(alice, 2, 20);
+
+    const rig = await loadRig(alice.address, 2);
+    expect(walletCapLeft(rig)).to.equal(null);
+    const limit = buyLimit(rig, publicSale);
+    expect(limit.left).to.equal(30);
+    expect(limit.by).to.equal("the shares left");
+
+    await expect(buy(alice, 2, 31)).to.be.revertedWith("exceeds total shares");
+    await buy(alice, 2, 30);
+  });
+
+  it("Should report a sold-out rig, with or without a wallet", async function () {
+    await buy(alice, 3, 5);
+
+    for (const account of [bob.address, null]) {
+      const rig = await loadRig(account, 3);
+      expect(remainingShares(rig)).to.equal(0);
+      const limit = buyLimit(rig, publicSale);
+      expect(limit.left).to.equal(0);
+      expect(limit.reached).to.equal("This rig is sold out.");
+    }
+    expect((await loadSupply(contract, null, 3)).held).to.equal(null);
+    await expect(buy(bob, 3, 1)).to.be.revertedWith("exceeds total shares");
+  });
+});
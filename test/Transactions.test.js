@@ -0,0 +1,255 @@
+const { expect } = require("chai");
+require("@nomicfoundation/hardhat-chai-matchers");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployMiningRigOwnership } = require("../scripts/upgrades");
+const {
+  createTransactionTracker,
+  describeError,
+  preflightCall,
+  revertMessages,
+  transactionStorageKey
+} = require("../frontend/transactions");
+
+describe("Frontend transaction layer", function() {
+  let contract;
+  let alice;
+  let bob;
+  let provider;
+  let buyer;
+  const price = ethers.utils.parseEther("0.01");
+
+  // localStorage stand-in
+  function memoryStorage() {
+    const items = new Map();
+    return {
+      getItem: key => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: key => items.delete(key)
+    };
+  }
+
+  // The error a promise rejects with
+  async function failure(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error("Expected a failure");
+  }
+
+  async function until(condition) {
+    for (let i = 0; i < 200 && !condition(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    expect(condition()).to.equal(true);
+  }
+
+  const setAutomine = on => hre.network.provider.send("evm_setAutomine", [on]);
+  const mine = () => hre.network.provider.send("evm_mine");
+
+  // Keep producing blocks like a live chain until `promise` settles; ethers looks for
+  // replacements only on blocks after the one that mined them
+  async function mineUntil(promise) {
+    let settled = false;
+    promise.then(() => (settled = true), () => (settled = true));
+    while (!settled) {
+      await mine();
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    return promise;
+  }
+
+  beforeEach(async function () {
+    [, alice, bob] = await ethers.getSigners();
+    ({ contract } = await deployMiningRigOwnership(hre));
+    await contract.registerRig(1, "Antminer S19", 100, price, 10);
+
+    // The page talks to the contract through the wallet's provider
+    provider = new ethers.providers.Web3Provider(hre.network.provider);
+    provider.pollingInterval = 10;
+    buyer = contract.connect(provider.getSigner(alice.address));
+  });
+
+  afterEach(async function () {
+    await setAutomine(true);
+  });
+
+  describe("Error messages", function () {
+    it("Should explain require() reasons from calls, gas estimates and sends", async function () {
+      const wrongEth = await failure(buyer.callStatic.buyShares(1, 2, { value: price }));
+      expect(describeError(wrongEth)).to.equal(`${revertMessages["wrong ETH sent"]} (wrong ETH sent)`);
+
+      const overCap = await failure(buyer.estimateGas.buyShares(1, 11, { value: price.mul(11) }));
+      expect(describeError(overCap)).to.equal(`${revertMessages["wallet cap exceeded"]} (wallet cap exceeded)`);
+
+      const nothing = await failure(buyer.claimRewards(1));
+      expect(describeError(nothing)).to.equal(`${revertMessages["nothing to claim"]} (nothing to claim)`);
+    });
+
+    it("Should name custom errors, decoding them with the contract's interface", async function () {
+      await contract.pause();
+
+      const paused = await failure(buyer.buyShares(1, 1, { value: price }));
+      expect(describeError(paused, contract.interface)).to.equal("The contract is paused (EnforcedPause)");
+      expect(describeError(paused)).to.equal("The contract is paused (EnforcedPause)");
+    });
+
+    it("Should describe rejections, unknown reasons and other failures", async function () {
+      const rejected = { code: "ACTION_REJECTED", message: "user rejected transaction", error: { code: 4001 } };
+      expect(describeError(rejected)).to.equal("You rejected the request in your wallet");
+
+      const fees = await failure(contract.setRigFees(1, 10000, 0, ethers.constants.AddressZero));
+      expect(describeError(fees)).to.equal("The contract rejected it (fee too high)");
+
+      expect(describeError(new Error("network down"))).to.equal("network down");
+    });
+  });
+
+  describe("Preflight", function () {
+    it("Should estimate the gas of a purchase without sending it", async function () {
+      const { gasLimit, gasCostWei } = await preflightCall(buyer, "buyShares", [1, 2], { value: price.mul(2) });
+
+      expect(gasLimit.gt(0)).to.equal(true);
+      expect(gasCostWei).to.equal(gasLimit.mul(await provider.getGasPrice()));
+      expect(await contract.balanceOf(alice.address, 1)).to.equal(0);
+    });
+
+    it("Should surface a revert before anything is signed", async function () {
+      const nonce = await provider.getTransactionCount(alice.address);
+
+      const error = await failure(preflightCall(buyer, "buyShares", [1, 1], { value: price.mul(2) }));
+
+      expect(describeError(error)).to.equal(`${revertMessages["wrong ETH sent"]} (wrong ETH sent)`);
+      expect(await provider.getTransactionCount(alice.address)).to.equal(nonce);
+    });
+  });
+
+  describe("Tracking", function () {
+    let storage;
+    let tracker;
+
+    function openTracker(account = alice.address) {
+      const next = createTransactionTracker({ storage, pollMs: 10 });
+      next.open(31337, account, provider);
+      return next;
+    }
+
+    // A plain transfer from alice, to be replaced by a transaction with the same nonce
+    async function sendPending(gwei) {
+      return provider.getSigner(alice.address).sendTransaction({
+        to: bob.address,
+        value: 1,
+        gasLimit: 21000,
+        gasPrice: ethers.utils.parseUnits(String(gwei), "gwei")
+      });
+    }
+
+    beforeEach(function () {
+      storage = memoryStorage();
+      tracker = openTracker();
+    });
+
+    it("Should record a confirmed transaction and keep it across reloads", async function () {
+      const changes = [];
+      tracker.on("change", entries => changes.push(entries.map(entry => entry.status)));
+
+      const tx = await buyer.buyShares(1, 2, { value: price.mul(2) });
+      const receipt = await tracker.track(tx, "Buy 2 shares");
+
+      expect(receipt.status).to.equal(1);
+      expect(changes).to.deep.equal([["pending"], ["confirmed"]]);
+      expect(openTracker().entries[0]).to.include({
+        hash: tx.hash,
+        label: "Buy 2 shares",
+        status: "confirmed",
+        block: receipt.blockNumber,
+        nonce: tx.nonce
+      });
+      expect(storage.getItem(transactionStorageKey(31337, alice.address))).to.include(tx.hash);
+    });
+
+    it("Should record a transaction that reverts on chain as failed", async function () {
+      await setAutomine(false);
+      const tx = await buyer.buyShares(1, 2, { value: price, gasLimit: 500000 });
+      const tracked = failure(tracker.track(tx, "Buy 2 shares"));
+      await mine();
+
+      const error = await tracked;
+      expect(error.code).to.equal("CALL_EXCEPTION");
+      expect(tracker.entries[0]).to.include({ status: "failed", error: "The transaction reverted" });
+    });
+
+    it("Should follow a transaction sped up in the wallet", async function () {
+      await setAutomine(false);
+      const tx = await sendPending(2);
+      const tracked = tracker.track(tx, "Pay bob");
+      const faster = await provider.getSigner(alice.address).sendTransaction({
+        to: bob.address, value: 1, gasLimit: 21000, nonce: tx.nonce, gasPrice: ethers.utils.parseUnits("4", "gwei")
+      });
+      const receipt = await mineUntil(tracked);
+      expect(receipt.transactionHash).to.equal(faster.hash);
+      expect(tracker.entries.map(entry => [entry.hash, entry.status, entry.label])).to.deep.equal([
+        [faster.hash, "confirmed", "Pay bob"],
+        [tx.hash, "replaced", "Pay bob"]
+      ]);
+      expect(tracker.entries[1].replacedBy).to.equal(faster.hash);
+    });
+
+    it("Should reject when the wallet cancels the transaction", async function () {
+      await setAutomine(false);
+      const tx = await sendPending(2);
+      const tracked = failure(tracker.track(tx, "Pay bob"));
+      await provider.getSigner(alice.address).sendTransaction({
+        to: alice.address, value: 0, gasLimit: 21000, nonce: tx.nonce, gasPrice: ethers.utils.parseUnits("4", "gwei")
+      });
+      const error = await mineUntil(tracked);
+      expect(describeError(error)).to.equal("The transaction was cancelled or replaced in your wallet");
+      expect(tracker.entries).to.have.length(1);
+      expect(tracker.entries[0]).to.include({ status: "replaced", error: describeError(error) });
+    });
+
+    it("Should settle transactions still pending from an earlier visit", async function () {
+      await setAutomine(false);
+      const confirmed = await buyer.buyShares(1, 1, { value: price, gasLimit: 500000 });
+      const first = tracker.track(confirmed, "Buy 1 share");
+      const replaced = await sendPending(2);
+      const second = failure(tracker.track(replaced, "Pay bob"));
+
+      // Reload: a new tracker finds both pending and checks them itself
+      const reloaded = openTracker();
+      expect(reloaded.entries.map(entry => entry.status)).to.deep.equal(["pending", "pending"]);
+      await provider.getSigner(alice.address).sendTransaction({
+        to: alice.address, value: 0, gasLimit: 21000, nonce: replaced.nonce, gasPrice: ethers.utils.parseUnits("4", "gwei")
+      });
+      await mine();
+
+      await until(() => reloaded.entries.every(entry => entry.status !== "pending"));
+      expect(reloaded.entries.map(entry => [entry.hash, entry.status])).to.deep.equal([
+        [replaced.hash, "replaced"],
+        [confirmed.hash, "confirmed"]
+      ]);
+      await first;
+      await second;
+    });
+
+    it("Should keep each account's transactions apart", async function () {
+      await setAutomine(false);
+      const tx = await buyer.buyShares(1, 1, { value: price, gasLimit: 500000 });
+      const tracked = tracker.track(tx, "Buy 1 share");
+
+      // The user switches to bob before alice's purchase is mined
+      tracker.open(31337, bob.address, provider);
+      await mine();
+      await tracked;
+
+      expect(tracker.entries).to.deep.equal([]);
+      expect(openTracker(alice.address).entries[0]).to.include({ hash: tx.hash, status: "confirmed" });
+
+      tracker.open(31337, alice.address, provider);
+      tracker.clear();
+      expect(tracker.entries).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,338 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+require("@nomicfoundation/hardhat-chai-matchers");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { saveDeployment, loadDeployment } = require("../scripts/deployments");
+const {
+  deployMiningRigOwnership,
+  upgradeMiningRigOwnership,
+  getImplementationAddress,
+  compiledLayout,
+  compareLayouts,
+  checkStorageLayout
+} = require("../scripts/upgrades");
+
+describe("Upgrades", function() {
+  let miningRigOwnership;
+  let proxy;
+  let owner;
+  let user1;
+  let user2;
+  let deploymentsDir;
+
+  const pricePerShareWei = ethers.utils.parseEther("0.01");
+
+  // Run a task and return its result plus everything it printed
+  async function run(taskName, args = {}) {
+    const lines = [];
+    const log = console.log;
+    console.log = (...parts) => lines.push(parts.join(" "));
+    try {
+      const result = await hre.run(taskName, args);
+      return { result, output: lines.join("\n") };
+    } finally {
+      console.log = log;
+    }
+  }
+
+  before(function () {
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "rig-deployments-"));
+    process.env.DEPLOYMENTS_DIR = deploymentsDir;
+  });
+
+  after(function () {
+    delete process.env.DEPLOYMENTS_DIR;
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    ({ contract: miningRigOwnership, proxy } = await deployMiningRigOwnership(hre));
+
+    const receipt = await proxy.deployTransaction.wait();
+    saveDeployment(hre, {
+      network: hre.network.name,
+      chainId: 31337,
+      MiningRigOwnership: {
+        address: miningRigOwnership.address,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber
+      }
+    });
+  });
+
+  describe("Proxy", function () {
+    it("Should initialize once, with every role for the admin", async function () {
+      expect(await miningRigOwnership.defaultAdmin()).to.equal(owner.address);
+      expect(await miningRigOwnership.hasRole(await miningRigOwnership.TREASURER_ROLE(), owner.address)).to.equal(true);
+      expect(await miningRigOwnership.operatorFeeRecipient()).to.equal(owner.address);
+      expect(await miningRigOwnership.migrationOpen()).to.equal(false);
+
+      await expect(miningRigOwnership.initialize(user1.address, false))
+        .to.be.revertedWithCustomError(miningRigOwnership, "InvalidInitialization");
+    });
+
+    it("Should not let anyone initialize the implementation itself", async function () {
+      const implementation = await ethers.getContractAt(
+        "MiningRigOwnership",
+        await getImplementationAddress(hre, miningRigOwnership.address)
+      );
+
+      await expect(implementation.initialize(user1.address, false))
+        .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+
+    it("Should run admin functions in the proxy's storage with the caller's roles", async function () {
+      await expect(miningRigOwnership.registerRig(1, "Rig", 100, pricePerShareWei, 0))
+        .to.emit(miningRigOwnership, "RigRegistered");
+      expect((await miningRigOwnership.rigs(1)).name).to.equal("Rig");
+
+      await expect(miningRigOwnership.connect(user1).registerRig(2, "Rig", 100, pricePerShareWei, 0))
+        .to.be.revertedWithCustomError(miningRigOwnership, "AccessControlUnauthorizedAccount");
+      await expect(miningRigOwnership.registerRig(1, "Rig", 100, pricePerShareWei, 0)).to.be.revertedWith("rig exists");
+    });
+  });
+
+  describe("Upgrading", function () {
+    it("Should keep balances, rewards and roles across an upgrade", async function () {
+      await miningRigOwnership.registerRig(1, "Rig", 100, pricePerShareWei, 0);
+      await miningRigOwnership.connect(user1).buyShares(1, 10, { value: pricePerShareWei.mul(10) });
+      await miningRigOwnership.depositRewards(1, { value: ethers.utils.parseEther("1") });
+      const implementation = await getImplementationAddress(hre, miningRigOwnership.address);
+
+      const { contract: upgraded } = await upgradeMiningRigOwnership(hre, miningRigOwnership.address, {
+        contractName: "MiningRigOwnershipV2Mock"
+      });
+
+      expect(await getImplementationAddress(hre, upgraded.address)).to.not.equal(implementation);
+      expect(await upgraded.version()).to.equal(2);
+      expect(await upgraded.balanceOf(user1.address, 1)).to.equal(10);
+      expect(await upgraded.claimable(user1.address, 1)).to.equal(ethers.utils.parseEther("1"));
+      expect(await upgraded.defaultAdmin()).to.equal(owner.address);
+      await expect(upgraded.connect(user1).claimRewards(1))
+        .to.changeEtherBalance(user1, ethers.utils.parseEther("1"));
+    });
+
+    it("Should only let the admin upgrade", async function () {
+      const V2 = await ethers.getContractFactory("MiningRigOwnershipV2Mock");
+      const v2 = await V2.deploy(
+        await miningRigOwnership.adminLogic(),
+        await miningRigOwnership.saleLogic(),
+        await miningRigOwnership.intentLogic(),
+        await miningRigOwnership.decommissionLogic()
+      );
+
+      await expect(miningRigOwnership.connect(user1).upgradeToAndCall(v2.address, "0x"))
+        .to.be.revertedWithCustomError(miningRigOwnership, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should upgrade the saved deployment with rig:upgrade and record the implementation", async function () {
+      const previous = await getImplementationAddress(hre, miningRigOwnership.address);
+
+      const { result, output } = await run("rig:upgrade");
+
+      expect(result.previous).to.equal(previous);
+      expect(await getImplementationAddress(hre, miningRigOwnership.address)).to.equal(result.implementation);
+      expect(output).to.include("storage layout is compatible");
+      const saved = loadDeployment(hre).MiningRigOwnership;
+      expect(saved.implementation).to.equal(result.implementation);
+      expect(saved.adminLogic).to.equal(result.adminLogic);
+      expect(saved.saleLogic).to.equal(result.saleLogic);
+      expect(saved.intentLogic).to.equal(result.intentLogic);
+      expect(saved.decommissionLogic).to.equal(result.decommissionLogic);
+    });
+
+    it("Should only check on rig:upgrade --dry-run", async function () {
+      const previous = await getImplementationAddress(hre, miningRigOwnership.address);
+
+      const { output } = await run("rig:upgrade", { dryRun: true });
+
+      expect(output).to.include("Dry run: nothing deployed");
+      expect(await getImplementationAddress(hre, miningRigOwnership.address)).to.equal(previous);
+    });
+
+    it("Should refuse to upgrade a contract that is not behind a proxy", async function () {
+      const legacy = await (await ethers.getContractFactory("LegacyMiningRigOwnership")).deploy();
+
+      await expect(run("rig:upgrade", { address: legacy.address })).to.be.rejectedWith(/is not a proxy; move it/);
+    });
+  });
+
+  describe("Storage layout", function () {
+    let reference;
+
+    beforeEach(async function () {
+      reference = await compiledLayout(hre, "MiningRigOwnership");
+    });
+
+    it("Should match the committed reference layout", async function () {
+      expect(await checkStorageLayout(hre)).to.deep.equal([]);
+      expect((await run("rig:storage-layout")).output).to.include("compatible with the reference");
+    });
+
+    it("Should accept variables appended at the end", async function () {
+      const last = reference[reference.length - 1];
+      const current = [...reference, { label: "added", slot: last.slot + 1, offset: 0, type: { label: "uint256", bytes: 32 } }];
+
+      expect(compareLayouts(reference, current)).to.deep.equal([]);
+    });
+
+    it("Should reject inserted, removed and retyped variables", async function () {
+      const inserted = [{ label: "inserted", slot: 0, offset: 0, type: { label: "uint256", bytes: 32 } },
+        ...reference.map(v => ({ ...v, slot: v.slot + 1 }))];
+      const retyped = reference.map(v => v.label === "totalSalesETH" ? { ...v, type: { label: "uint128", bytes: 16 } } : v);
+
+      expect(compareLayouts(reference, inserted)[0]).to.equal("rigs (slot 0) was replaced by inserted");
+      expect(compareLayouts(reference, reference.slice(0, -1)))
+        .to.deep.equal([`${reference[reference.length - 1].label} was removed (slot ${reference[reference.length - 1].slot})`]);
+      expect(compareLayouts(reference, retyped)).to.deep.equal(["totalSalesETH changed type from uint256 to uint128"]);
+    });
+
+    it("Should allow new members only at the end of structs stored in mappings", async function () {
+      const grow = members => reference.map(v => v.label !== "rigs" ? v : {
+        ...v, type: { ...v.type, value: { ...v.type.value, members } }
+      });
+      const rigMembers = reference[0].type.value.members;
+      const extra = { label: "hostedAt", slot: 6, offset: 0, type: { label: "uint256", bytes: 32 } };
+
+      expect(compareLayouts(reference, grow([...rigMembers, extra]))).to.deep.equal([]);
+      expect(compareLayouts(reference, grow([extra, ...rigMembers]))[0]).to.equal("rigs[].name (slot 0) was replaced by hostedAt");
+    });
+  });
+
+  describe("Migration from a non-upgradeable deployment", function () {
+    let legacy;
+
+    beforeEach(async function () {
+      legacy = await (await ethers.getContractFactory("LegacyMiningRigOwnership")).deploy();
+
+      await legacy.registerRig(1, "Rig One", 100, pricePerShareWei, 20);
+      await legacy.registerRig(2, "Rig Two", 50, pricePerShareWei, 0);
+      await legacy.registerRig(3, "Rig Three", 10, pricePerShareWei, 0);
+      await legacy.setRigFees(1, 500, 0, ethers.constants.AddressZero);
+      await legacy.setRigURI(1, "ipfs://rig-1.json");
+      await legacy.setRefundWindow(2, 3600);
+
+      await legacy.connect(user1).buyShares(1, 10, { value: pricePerShareWei.mul(10) });
+      await legacy.connect(user2).buyShares(1, 5, { value: pricePerShareWei.mul(5) });
+      await legacy.depositRewards(1, { value: ethers.utils.parseEther("1") });
+      await legacy.connect(user1).safeTransferFrom(user1.address, user2.address, 1, 5, "0x");
+      await legacy.depositRewards(1, { value: ethers.utils.parseEther("0.3") });
+      await legacy.connect(user2).buyShares(2, 3, { value: pricePerShareWei.mul(3) });
+      await legacy.depositRewards(2, { value: ethers.utils.parseEther("0.1") });
+      await legacy.connect(user2).claimRewards(2);
+      await legacy.depositRewards(3, { value: ethers.utils.parseEther("0.2") });
+      await legacy.deactivateRig(2);
+    });
+
+    it("Should refuse to snapshot a contract that is still running", async function () {
+      await expect(run("rig:migrate", { from: legacy.address, fromBlock: "0" }))
+        .to.be.rejectedWith(/Pause .* first/);
+    });
+
+    it("Should copy rigs, balances and reward positions into a new proxy", async function () {
+      await legacy.pause();
+      const snapshotFile = path.join(deploymentsDir, "snapshot.json");
+
+      const { result, output } = await run("rig:migrate", {
+        from: legacy.address, fromBlock: "0", snapshot: snapshotFile, batchSize: "1"
+      });
+      const migrated = await ethers.getContractAt("MiningRigOwnership", result.address);
+
+      expect(output).to.include("match the snapshot");
+      expect(JSON.parse(fs.readFileSync(snapshotFile, "utf8")).rigs).to.have.length(3);
+      for (const id of [1, 2, 3]) {
+        const before = await legacy.rigs(id);
+        const after = await migrated.rigs(id);
+        expect(after.name).to.equal(before.name);
+        expect(after.totalShares).to.equal(before.totalShares);
+        expect(after.maxPerWallet).to.equal(before.maxPerWallet);
+        expect(after.rewardPerShare).to.equal(before.rewardPerShare);
+        expect(after.active).to.equal(before.active);
+        expect(await migrated["totalSupply(uint256)"](id)).to.equal(await legacy["totalSupply(uint256)"](id));
+        expect(await migrated.queuedRewards(id)).to.equal(await legacy.queuedRewards(id));
+        for (const user of [user1, user2]) {
+          expect(await migrated.balanceOf(user.address, id)).to.equal(await legacy.balanceOf(user.address, id));
+          expect(await migrated.pending(user.address, id)).to.equal(await legacy.pending(user.address, id));
+          expect(await migrated.userRewardPerSharePaid(user.address, id))
+            .to.equal(await legacy.userRewardPerSharePaid(user.address, id));
+        }
+      }
+      expect((await migrated.rigFees(1)).operatorBps).to.equal(500);
+      expect(await migrated.uri(1)).to.equal("ipfs://rig-1.json");
+      expect(await migrated.refundWindow(2)).to.equal(3600);
+      expect(await migrated.migrationOpen()).to.equal(false);
+
+      // The carried-over rewards are funded and claimable; the accounting balances
+      await expect(migrated.connect(user1).claimRewards(1))
+        .to.changeEtherBalance(user1, await legacy.claimable(user1.address, 1));
+      expect((await migrated.reconcileETH()).surplus).to.equal(0);
+
+      expect(loadDeployment(hre).MiningRigOwnership.address).to.equal(result.address);
+      expect(loadDeployment(hre).migratedFrom.address).to.equal(legacy.address);
+    });
+
+    it("Should release imported queued rewards to the first buyer", async function () {
+      await legacy.pause();
+      const { result } = await run("rig:migrate", { from: legacy.address, fromBlock: "0" });
+      const migrated = await ethers.getContractAt("MiningRigOwnership", result.address);
+
+      await migrated.connect(user1).buyShares(3, 1, { value: pricePerShareWei });
+
+      expect(await migrated.claimable(user1.address, 3)).to.equal(ethers.utils.parseEther("0.2"));
+    });
+
+    it("Should only print the snapshot on --dry-run", async function () {
+      await legacy.pause();
+
+      const { result, output } = await run("rig:migrate", { from: legacy.address, fromBlock: "0", dryRun: true });
+
+      expect(output).to.include("Dry run: nothing deployed");
+      expect(result.snapshot.rigs[0].holders.map(h => h.holder)).to.have.members([user1.address, user2.address]);
+      expect(loadDeployment(hre).MiningRigOwnership.address).to.equal(miningRigOwnership.address);
+    });
+
+    it("Should only import while the migration is open, and only as admin", async function () {
+      const { contract: migrating } = await deployMiningRigOwnership(hre, { migrating: true });
+      await migrating.registerRig(1, "Rig", 10, pricePerShareWei, 0);
+      const snapshot = [{ holder: user1.address, balance: 11, pendingWei: 0, rewardPerSharePaid: 0 }];
+
+      await expect(migrating.connect(user1).importHolders(1, snapshot))
+        .to.be.revertedWithCustomError(migrating, "AccessControlUnauthorizedAccount");
+      await expect(migrating.importHolders(1, snapshot)).to.be.revertedWith("exceeds total shares");
+
+      await expect(migrating.finishMigration()).to.emit(migrating, "MigrationFinished");
+      await expect(migrating.importHolders(1, [{ ...snapshot[0], balance: 1 }])).to.be.revertedWith("migration closed");
+
+      await miningRigOwnership.registerRig(1, "Rig", 10, pricePerShareWei, 0);
+      await expect(miningRigOwnership.importRigRewards(1, 0, 0, 0)).to.be.revertedWith("migration closed");
+    });
+
+    it("Should import each holder once per rig", async function () {
+      const { contract: migrating } = await deployMiningRigOwnership(hre, { migrating: true });
+      await migrating.registerRig(1, "Rig", 10, pricePerShareWei, 0);
+      await migrating.registerRig(2, "Rig", 10, pricePerShareWei, 0);
+      const position = { holder: user1.address, balance: 3, pendingWei: 5, rewardPerSharePaid: 7 };
+      await migrating.importHolders(1, [position]);
+
+      // A batch re-run after a failed transaction, or a holder listed twice in one batch
+      await expect(migrating.importHolders(1, [{ ...position, holder: user2.address }, position]))
+        .to.be.revertedWith("holder already imported");
+      await expect(migrating.importHolders(1, [{ ...position, holder: user2.address }, { ...position, holder: user2.address }]))
+        .to.be.revertedWith("holder already imported");
+
+      expect(await migrating.balanceOf(user1.address, 1)).to.equal(3);
+      expect(await migrating.balanceOf(user2.address, 1)).to.equal(0);
+      expect(await migrating.pending(user1.address, 1)).to.equal(5);
+      expect(await migrating.userRewardPerSharePaid(user1.address, 1)).to.equal(7);
+      expect(await migrating.holderImported(1, user1.address)).to.equal(true);
+
+      // Other rigs are imported separately
+      await migrating.importHolders(2, [position]);
+      expect(await migrating.balanceOf(user1.address, 2)).to.equal(3);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const { expect } = require("chai");
+require("@nomicfoundation/hardhat-chai-matchers");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployMiningRigOwnership } = require("../scripts/upgrades");
+const { createWalletManager, walletStorageKey } = require("../frontend/wallet");
+const { MockEip1193Provider, announceWallet } = require("./mocks/eip1193-provider");
+
+describe("Frontend wallet layer", function() {
+  let alice;
+  let bob;
+  let target;
+  let storage;
+  let metamask;
+  let rabby;
+
+  // localStorage stand-in
+  function memoryStorage() {
+    const items = new Map();
+    return {
+      getItem: key => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: key => items.delete(key)
+    };
+  }
+
+  function walletInfo(name, rdns) {
+    return { uuid: `${rdns}-uuid`, name, icon: "data:image/svg+xml,<svg/>", rdns };
+  }
+
+  function walletManager(options = {}) {
+    return createWalletManager({ target, storage, discoveryMs: 10, ...options });
+  }
+
+  // Every event the manager forwards, in order
+  function recordEvents(manager) {
+    const events = [];
+    for (const name of ["accountsChanged", "chainChanged", "disconnect"]) {
+      manager.on(name, value => events.push([name, value]));
+    }
+    return events;
+  }
+
+  beforeEach(async function () {
+    [, alice, bob] = await ethers.getSigners();
+    target = new EventTarget();
+    storage = memoryStorage();
+
+    metamask = new MockEip1193Provider(hre.network.provider, { accounts: [alice.address] });
+    rabby = new MockEip1193Provider(hre.network.provider, { accounts: [bob.address] });
+    announceWallet(target, walletInfo("MetaMask", "io.metamask"), metamask);
+    announceWallet(target, walletInfo("Rabby", "io.rabby"), rabby);
+  });
+
+  describe("Discovery", function () {
+    it("Should find every announced wallet", async function () {
+      const wallets = await walletManager().discover();
+
+      expect(wallets.map(wallet => wallet.info.name)).to.deep.equal(["MetaMask", "Rabby"]);
+      expect(wallets[1].provider).to.equal(rabby);
+    });
+
+    it("Should offer window.ethereum only when no announced wallet is it", async function () {
+      expect(await walletManager({ legacyProvider: metamask }).discover()).to.have.length(2);
+
+      const legacy = new MockEip1193Provider(hre.network.provider, { accounts: [alice.address] });
+      const wallets = await walletManager({ legacyProvider: legacy }).discover();
+      expect(wallets.map(wallet => wallet.info.rdns)).to.deep.equal(["io.metamask", "io.rabby", "injected"]);
+    });
+
+    it("Should pick up wallets announcing after discovery", async function () {
+      const manager = walletManager();
+      await manager.discover();
+
+      const late = new MockEip1193Provider(hre.network.provider, { accounts: [alice.address] });
+      announceWallet(target, walletInfo("Coinbase Wallet", "com.coinbase.wallet"), late);
+      expect(manager.wallets.map(wallet => wallet.info.rdns)).to.include("com.coinbase.wallet");
+    });
+  });
+
+  describe("Connecting", function () {
+    it("Should connect the chosen wallet and remember it", async function () {
+      const manager = walletManager();
+      await manager.discover();
+
+      const session = await manager.connect("io.rabby");
+
+      expect(session.accounts).to.deep.equal([bob.address]);
+      expect(session.chainId).to.equal(31337);
+      expect(manager.provider).to.equal(rabby);
+      expect(storage.getItem(walletStorageKey)).to.equal("io.rabby");
+      expect(metamask.prompts).to.equal(0);
+    });
+
+    it("Should restore the remembered wallet on the next visit without a prompt", async function () {
+      const first = walletManager();
+      await first.discover();
+      await first.connect("io.rabby");
+
+      const next = walletManager();
+      await next.discover();
+      const session = await next.restore();
+
+      expect(session.wallet.info.rdns).to.equal("io.rabby");
+      expect(session.accounts).to.deep.equal([bob.address]);
+      expect(rabby.prompts).to.equal(1);
+    });
+
+    it("Should not restore a wallet that revoked the site or was never chosen", async function () {
+      const manager = walletManager();
+      await manager.discover();
+      expect(await manager.restore()).to.equal(null);
+
+      await manager.connect("io.rabby");
+      rabby.authorized = false;
+      expect(await walletManager().restore()).to.equal(null);
+    });
+
+    it("Should not remember a wallet whose prompt was rejected", async function () {
+      const manager = walletManager();
+      await manager.discover();
+      metamask.rejectConnection = true;
+
+      await expect(manager.connect("io.metamask")).to.be.rejected.and.eventually.have.property("code", 4001);
+      expect(manager.wallet).to.equal(null);
+      expect(storage.getItem(walletStorageKey)).to.equal(null);
+      await expect(manager.connect("io.unknown")).to.be.rejectedWith("Wallet io.unknown not found");
+    });
+
+    it("Should forget the wallet on disconnect", async function () {
+      const manager = walletManager();
+      await manager.discover();
+      await manager.connect("io.metamask");
+
+      manager.disconnect();
+
+      expect(manager.wallet).to.equal(null);
+      expect(manager.accounts).to.deep.equal([]);
+      expect(storage.getItem(walletStorageKey)).to.equal(null);
+    });
+  });
+
+  describe("Wallet events", function () {
+    let manager;
+    let events;
+
+    beforeEach(async function () {
+      manager = walletManager();
+      events = recordEvents(manager);
+      await manager.discover();
+      await manager.connect("io.rabby");
+    });
+
+    it("Should forward account changes of the connected wallet only", async function () {
+      rabby.switchAccount(alice.address);
+      metamask.switchAccount(bob.address);
+
+      expect(events).to.deep.equal([["accountsChanged", [alice.address]]]);
+      expect(manager.accounts).to.deep.equal([alice.address]);
+    });
+
+    it("Should forward chain changes as numbers, adding unknown chains first", async function () {
+      const switchTo = chainId => rabby.request({ method: "wallet_switchEthereumChain", params: [{ chainId }] });
+
+      await expect(switchTo("0x66eee")).to.be.rejected.and.eventually.have.property("code", 4902);
+      await rabby.request({ method: "wallet_addEthereumChain", params: [{ chainId: "0x66eee", chainName: "Arbitrum Sepolia" }] });
+      await switchTo("0x66eee");
+
+      expect(events).to.deep.equal([["chainChanged", 421614]]);
+      expect(manager.chainId).to.equal(421614);
+    });
+
+    it("Should report a locked wallet as disconnected and stop following it", async function () {
+      rabby.lock();
+      rabby.switchChain(421614);
+
+      expect(events).to.deep.equal([["disconnect", undefined]]);
+      expect(manager.wallet).to.equal(null);
+      expect(storage.getItem(walletStorageKey)).to.equal("io.rabby");
+    });
+  });
+
+  describe("Transactions", function () {
+    it("Should buy shares through the connected wallet on the Hardhat node", async function () {
+      const { contract } = await deployMiningRigOwnership(hre);
+      const price = ethers.utils.parseEther("0.01");
+      await contract.registerRig(1, "Antminer S19", 100, price, 0);
+
+      const manager = walletManager();
+      await manager.discover();
+      const { accounts } = await manager.connect("io.metamask");
+      const provider = new ethers.providers.Web3Provider(manager.provider);
+      const signer = provider.getSigner(accounts[0]);
+
+      expect((await provider.getNetwork()).chainId).to.equal(31337);
+      await (await contract.connect(signer).buyShares(1, 2, { value: price.mul(2) })).wait();
+      expect(await contract.balanceOf(alice.address, 1)).to.equal(2);
+    });
+
+    it("Should refuse to send before the user connects", async function () {
+      const provider = new ethers.providers.Web3Provider(metamask);
+
+      await expect(provider.getSigner(alice.address).sendTransaction({ to: bob.address, value: 1 }))
+        .to.be.rejected.and.eventually.have.property("code", 4100);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+// Mock EIP-1193 wallet for the frontend's wallet layer (frontend/wallet.js). Reads, signing
+// and transactions go to a Hardhat node (its accounts are unlocked); the wallet-only
+// methods and events are simulated, so tests can play the user: approve or reject the
+// connection, switch accounts or chains, lock the wallet.
+const { EventEmitter } = require("events");
+
+function rpcError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+class MockEip1193Provider extends EventEmitter {
+  /**
+   * @param {object} node EIP-1193 provider of a Hardhat node (hre.network.provider)
+   * @param {object} options
+   * @param {string[]} options.accounts accounts the user exposes on connect
+   * @param {number} [options.chainId=31337] chain the wallet starts on
+   * @param {number[]} [options.knownChains=[chainId]] chains it can switch to without adding
+   */
+  constructor(node, { accounts, chainId = 31337, knownChains = [chainId] }) {
+    super();
+    this.node = node;
+    this.accounts = accounts;
+    this.chainId = chainId;
+    this.knownChains = new Set(knownChains);
+    this.authorized = false;
+    this.prompts = 0;
+    this.rejectConnection = false;
+  }
+
+  async request({ method, params = [] }) {
+    switch (method) {
+      case "eth_requestAccounts":
+        this.prompts++;
+        if (this.rejectConnection) throw rpcError(4001, "User rejected the request.");
+        this.authorized = true;
+        return [...this.accounts];
+      case "eth_accounts":
+        return this.authorized ? [...this.accounts] : [];
+      case "eth_chainId":
+        return `0x${this.chainId.toString(16)}`;
+      case "net_version":
+        return String(this.chainId);
+      case "wallet_switchEthereumChain": {
+        const chainId = parseInt(params[0].chainId, 16);
+        if (!this.knownChains.has(chainId)) throw rpcError(4902, `Unrecognized chain ID ${params[0].chainId}`);
+        this.switchChain(chainId);
+        return null;
+      }
+      case "wallet_addEthereumChain":
+        this.knownChains.add(parseInt(params[0].chainId, 16));
+        return null;
+      default:
+        if (!this.authorized && (method === "eth_sendTransaction" || method.startsWith("eth_sign"))) {
+          throw rpcError(4100, "The requested account has not been authorized by the user.");
+        }
+        return this.node.request({ method, params });
+    }
+  }
+
+  // What the user does in the wallet
+
+  switchAccount(address) {
+    this.accounts = [address];
+    if (this.authorized) this.emit("accountsChanged", [...this.accounts]);
+  }
+
+  switchChain(chainId) {
+    this.chainId = chainId;
+    this.emit("chainChanged", `0x${chainId.toString(16)}`);
+  }
+
+  lock() {
+    this.authorized = false;
+    this.emit("accountsChanged", []);
+  }
+}
+
+// Announce `provider` on `target` as an EIP-6963 wallet, now and on every request
+function announceWallet(target, info, provider) {
+  const announce = () => {
+    target.dispatchEvent(new CustomEvent("eip6963:announceProvider", { detail: Object.freeze({ info, provider }) }));
+  };
+  target.addEventListener("eip6963:requestProvider", announce);
+  announce();
+}
+
+module.exports = { MockEip1193Provider, announceWallet };